@@ -6,52 +6,155 @@ const requiredEnvVars = [
    'PORT',
    'MONGODB_URI',
    'JWT_SECRET',
-   'EMAIL',
-   'CLIENT_ID',
-   'CLIENT_SECRET',
-   'REFRESH_TOKEN',
-   'PINATA_KEY',
-   'PINATA_SECRET',
    'SLACK_WEBHOOK_URL'
 ];
 
-const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+// Extra variables required by the selected storage backend
+const storageEnvVars = {
+   local: [],
+   s3: ['S3_BUCKET_NAME'],
+   ipfs: ['PINATA_KEY']
+};
+
+const storageType = process.env.STORAGE_TYPE || 'local';
+if (!storageEnvVars[storageType]) {
+   throw new Error(`Invalid STORAGE_TYPE '${storageType}'. Use one of: ${Object.keys(storageEnvVars).join(', ')}`);
+}
+
+// Extra variables required by the selected email transport
+const emailEnvVars = {
+   gmail: ['EMAIL', 'CLIENT_ID', 'CLIENT_SECRET', 'REFRESH_TOKEN'],
+   smtp: ['SMTP_HOST'],
+   file: [],
+   memory: []
+};
+
+const emailTransport = process.env.EMAIL_TRANSPORT || 'gmail';
+if (!emailEnvVars[emailTransport]) {
+   throw new Error(`Invalid EMAIL_TRANSPORT '${emailTransport}'. Use one of: ${Object.keys(emailEnvVars).join(', ')}`);
+}
+
+const missingEnvVars = requiredEnvVars
+   .concat(storageEnvVars[storageType], emailEnvVars[emailTransport])
+   .filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
    throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
 }
 
+const publicUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
 module.exports = {
    port: process.env.PORT || 3000,
+   publicUrl,
+   // Proxies delante de la API (número de saltos o lista de IPs), para que req.ip sea la IP real del cliente
+   trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? Number(process.env.TRUST_PROXY) : (process.env.TRUST_PROXY || false),
    mongoURI: process.env.MONGODB_URI,
    jwtSecret: process.env.JWT_SECRET,
    environment: process.env.NODE_ENV || 'development',
    email: {
-      address: process.env.EMAIL,
-      clientId: process.env.CLIENT_ID,
-      clientSecret: process.env.CLIENT_SECRET,
-      refreshToken: process.env.REFRESH_TOKEN,
-      redirectUri: process.env.REDIRECT_URI || 'https://developers.google.com/oauthplayground'
+      transport: emailTransport, // 'gmail', 'smtp', 'file' o 'memory'
+      from: process.env.EMAIL_FROM || `"API" <${process.env.EMAIL || 'no-reply@localhost'}>`,
+      gmail: {
+         address: process.env.EMAIL,
+         clientId: process.env.CLIENT_ID,
+         clientSecret: process.env.CLIENT_SECRET,
+         refreshToken: process.env.REFRESH_TOKEN,
+         redirectUri: process.env.REDIRECT_URI || 'https://developers.google.com/oauthplayground'
+      },
+      smtp: {
+         host: process.env.SMTP_HOST,
+         port: Number(process.env.SMTP_PORT) || 587, // MailHog/Mailpit escuchan en el 1025
+         secure: process.env.SMTP_SECURE === 'true', // true solo para el puerto 465
+         user: process.env.SMTP_USER,
+         pass: process.env.SMTP_PASS
+      },
+      file: {
+         path: process.env.EMAIL_FILE_PATH || 'emails' // Un JSON por email
+      },
+      memory: {}
    },
    slack: {
       webhookUrl: process.env.SLACK_WEBHOOK_URL,
    },
+   auth: {
+      accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m', // JWT de acceso, corto
+      refreshTokenExpiresIn: (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000, // Sesión sin uso antes de caducar
+      sessionTouchInterval: 60 * 1000 // Frecuencia máxima con la que se actualiza lastUsedAt de una sesión
+   },
+   twoFactor: {
+      issuer: process.env.TOTP_ISSUER || 'Albaranes', // Nombre que muestra la app de autenticación
+      window: 1, // Pasos de 30 s de desfase de reloj aceptados a cada lado
+      challengeExpiresIn: 5 * 60 * 1000, // Tiempo para introducir el segundo factor tras la contraseña
+      recoveryCodes: 10 // Códigos de recuperación por generación
+   },
+   signatureRequest: {
+      expiresIn: 7 * 24 * 60 * 60 * 1000 // 7 días
+   },
+   invitation: {
+      expiresIn: 7 * 24 * 60 * 60 * 1000 // 7 días para aceptar una invitación a la compañía
+   },
+   signedPdfEmail: {
+      enabled: process.env.SEND_SIGNED_PDF !== 'false', // Envía el PDF firmado al cliente al firmar
+      ccProvider: process.env.SIGNED_PDF_CC_PROVIDER === 'true' // Copia al proveedor (email del creador del albarán)
+   },
+   pagination: {
+      defaultLimit: 20,
+      maxLimit: 100
+   },
+   numbering: {
+      // Series por defecto; cada compañía puede personalizarlas
+      deliveryNote: { prefix: 'ALB', padding: 4, yearlyReset: true }, // ALB-2026-0001
+      invoice: { prefix: 'FAC', padding: 4, yearlyReset: true } // FAC-2026-0001
+   },
+   import: {
+      maxRows: 1000 // Filas por fichero CSV importado
+   },
+   invoice: {
+      irpfRate: 15, // Retención IRPF de autónomos
+      paymentTermDays: 30
+   },
    rateLimits: {
+      // Desactivado por defecto en tests; RATE_LIMIT_ENABLED=true|false lo fuerza
+      enabled: process.env.RATE_LIMIT_ENABLED
+         ? process.env.RATE_LIMIT_ENABLED === 'true'
+         : process.env.NODE_ENV !== 'test',
+      store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' (un solo proceso) o 'mongo' (compartido entre instancias)
       auth: {
          windowMs: 15 * 60 * 1000, // 15 minutos
-         max: 5 // 5 intentos
+         max: 5 // 5 intentos fallidos, por IP y por cuenta
+      },
+      recover: {
+         windowMs: 60 * 60 * 1000, // 1 hora
+         max: 5 // 5 peticiones, correctas o no, por IP y por cuenta
       },
       general: {
          windowMs: 15 * 60 * 1000,
-         max: 100
+         max: 100 // Peticiones por IP
+      },
+      lockout: {
+         maxAttempts: 5, // Logins fallidos seguidos antes de bloquear la cuenta
+         baseDuration: 60 * 1000, // Primer bloqueo: 1 minuto; cada bloqueo seguido dura el doble
+         maxDuration: 24 * 60 * 60 * 1000 // Hasta 24 horas
       }
    },
    storage: {
-      type: process.env.STORAGE_TYPE || 'local', // 'local' o 's3'
-      localPath: 'uploads/logos/',
+      type: storageType, // 'local', 's3' o 'ipfs'
+      local: {
+         path: 'uploads', // Servido como estático en /uploads
+         baseUrl: `${publicUrl}/uploads`
+      },
       s3: {
          bucketName: process.env.S3_BUCKET_NAME,
-         region: process.env.S3_REGION
+         region: process.env.S3_REGION || 'us-east-1',
+         endpoint: process.env.S3_ENDPOINT, // Para servicios compatibles, p. ej. MinIO
+         accessKeyId: process.env.S3_ACCESS_KEY_ID,
+         secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+         publicUrl: process.env.S3_PUBLIC_URL
+      },
+      ipfs: {
+         jwt: process.env.PINATA_KEY,
+         gatewayUrl: process.env.PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud'
       }
    }
 };
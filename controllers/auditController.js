@@ -0,0 +1,97 @@
+// File: controllers/auditController.js
+const AuditLog = require('../models/AuditLog');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const { ApiError } = require('../middleware/handleError');
+const auditService = require('../services/auditService');
+const { getScopeFilter } = require('../services/companyService');
+const { buildFilter, paginate } = require('../services/queryService');
+
+// Filters of GET /api/audit, mapped to document paths
+const LIST_FILTERS = {
+   resourceType: { type: 'exact' },
+   resourceId: { type: 'exact' },
+   action: { type: 'in' },
+   actor: { type: 'exact' },
+   from: { type: 'from', path: 'createdAt' },
+   to: { type: 'to', path: 'createdAt' },
+};
+
+const ACTOR_FIELDS = ['actor', 'firstName lastName email'];
+
+/**
+ * Send a page of audit entries, newest first
+ * @param {Object} req - Express request object, with the pagination query
+ * @param {Object} res - Express response object
+ * @param {Object} filter - Entries to list
+ */
+const sendEntries = async (req, res, filter) => {
+   const { items: entries, pagination } = await paginate(AuditLog, filter, {
+      query: req.query,
+      defaultSort: '-createdAt',
+      populate: [ACTOR_FIELDS],
+   });
+
+   res.status(200).json({
+      message: 'Audit log retrieved successfully',
+      entries,
+      pagination,
+   });
+};
+
+/**
+ * Build the handler of the history of a kind of resource. The resource has to be
+ * visible to the user; archived ones too. Deleted ones are found through /api/audit.
+ * @param {import('mongoose').Model} Model - Model of the resource
+ * @param {string} resourceType - One of AuditLog.AUDIT_RESOURCES
+ * @param {string} label - Name of the resource in the error message
+ * @returns {Function} Express controller
+ */
+const historyOf = (Model, resourceType, label) => async (req, res) => {
+   const { id } = req.params;
+   if (!(await Model.exists({ _id: id, ...getScopeFilter(req.user) }))) {
+      throw new ApiError(404, `${label} not found`, 'not_found');
+   }
+   await sendEntries(req, res, { resourceType, resourceId: id });
+};
+
+/**
+ * @desc List the audit log of the user's company (or, without a company, the user's own changes)
+ * @route GET /api/audit?page=&limit=&cursor=&sort=&resourceType=&resourceId=&action=&actor=&from=&to=
+ * @access Private (audit:read permission)
+ */
+exports.getAuditLogs = async (req, res) => {
+   const filter = { ...buildFilter(req.query, LIST_FILTERS), ...auditService.getScopeFilter(req.user) };
+   await sendEntries(req, res, filter);
+};
+
+/**
+ * @desc History of a client
+ * @route GET /api/client/:id/history
+ * @access Private (client:read permission)
+ */
+exports.getClientHistory = historyOf(Client, 'client', 'Client');
+
+/**
+ * @desc History of a project
+ * @route GET /api/project/:id/history
+ * @access Private (project:read permission)
+ */
+exports.getProjectHistory = historyOf(Project, 'project', 'Project');
+
+/**
+ * @desc History of a delivery note
+ * @route GET /api/deliverynote/:id/history
+ * @access Private (deliverynote:read permission)
+ */
+exports.getDeliveryNoteHistory = historyOf(DeliveryNote, 'deliverynote', 'Delivery note');
+
+/**
+ * @desc History of the current user's account
+ * @route GET /api/user/history
+ * @access Private
+ */
+exports.getUserHistory = async (req, res) => {
+   await sendEntries(req, res, { resourceType: 'user', resourceId: req.user.id });
+};
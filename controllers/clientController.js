@@ -3,6 +3,17 @@ const validationResult = require('express-validator').validationResult; // TODO:
 const Client = require('../models/Client');
 const Project = require('../models/Project');
 const { ApiError } = require('../middleware/handleError');
+const { getScopeFilter, getCompanyId } = require('../services/companyService');
+const { buildFilter, paginate } = require('../services/queryService');
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const { clientFieldRules } = require('../validators/clientValidators');
+
+// Columns accepted by the CSV import; contacts are not imported
+const IMPORT_COLUMNS = [
+   'name', 'email', 'cif', 'phone', 'billingEmail',
+   'address.street', 'address.city', 'address.postalCode', 'address.province', 'address.country',
+];
 
 /**
  * @desc Create a new client
@@ -15,10 +26,11 @@ exports.createClient = async (req, res, next) => {
       throw new ApiError(400, 'Validation errors', 'validation', {errors: errors.array()});
    }
 
-   const { name, email, company } = req.body;
+   const { name, email, cif, phone, address, contacts, billingEmail } = req.body;
    const userId = req.user.id; // From middleware auth
+   const scope = getScopeFilter(req.user);
 
-   const existingClient = await Client.findOne({ email, createdBy: userId });
+   const existingClient = await Client.findOne({ email, ...scope });
    if (existingClient) {
       throw new ApiError(400, 'Client already exists', 'client', { errors: [{ msg: 'Client already exists' }] });
    }
@@ -26,11 +38,17 @@ exports.createClient = async (req, res, next) => {
    const client = new Client({
       name,
       email,
-      company: company || null,
+      cif,
+      phone,
+      address,
+      contacts,
+      billingEmail,
+      company: getCompanyId(req.user),
       createdBy: userId,
    });
 
    await client.save();
+   await auditService.record(req, { action: 'create', resourceType: 'client', document: client });
 
    res.status(201).json({
       message: 'Client created successfully',
@@ -39,19 +57,85 @@ exports.createClient = async (req, res, next) => {
 };
 
 /**
- * @desc Get all active clients from user
- * @route GET /api/client
+ * @desc Import clients from a CSV file (multipart field 'file'), one client per row.
+ * Rows are validated like POST /api/client; clients whose email already exists, or is repeated
+ * in the file, are skipped. With dryRun=true nothing is saved.
+ * @route POST /api/client/import?dryRun=
  * @access Private
  */
-exports.getClients = async (req, res, next) => {
-   const userId = req.user.id; // From middleware auth
+exports.importClients = async (req, res) => {
+   if (!req.file) {
+      throw new ApiError(400, 'CSV file is required.', 'missing_file');
+   }
+
+   const { records, ignoredColumns } = importService.readCsv(req.file.buffer, IMPORT_COLUMNS);
+   const dryRun = req.query.dryRun === true;
+   const scope = getScopeFilter(req.user);
+   const emailsInFile = new Set();
+
+   const { summary, rows } = await importService.runImport(records, {
+      dryRun,
+      prepare: async (record) => {
+         const { data, errors } = await importService.validateRecord(clientFieldRules, record, req.user);
+         if (errors) return { errors };
+
+         if (emailsInFile.has(data.email) || await Client.exists({ email: data.email, ...scope })) {
+            return { duplicate: 'Client with this email already exists.' };
+         }
+         emailsInFile.add(data.email);
+         return { data };
+      },
+      create: async ({ name, email, cif, phone, address, billingEmail }) => {
+         const client = await new Client({
+            name,
+            email,
+            cif,
+            phone,
+            address,
+            billingEmail,
+            company: getCompanyId(req.user),
+            createdBy: req.user.id,
+         }).save();
+         await auditService.record(req, { action: 'create', resourceType: 'client', document: client });
+         return client;
+      },
+   });
+
+   res.status(200).json({
+      message: dryRun ? 'Import checked, no clients were saved.' : 'Clients imported successfully',
+      dryRun,
+      ignoredColumns,
+      summary,
+      rows,
+   });
+};
 
-   // Cambios .populate('company', 'name');
-   const clients = await Client.find({ createdBy: userId, archived: false });
+/**
+ * @desc Get the active clients from user, paginated
+ * @route GET /api/client?page=&limit=&cursor=&sort=&name=&email=&cif=
+ * @access Private
+ */
+exports.getClients = async (req, res, next) => {
+   const scope = getScopeFilter(req.user); // Own clients or the company ones
+   const filter = {
+      ...buildFilter(req.query, {
+         name: { type: 'contains' },
+         email: { type: 'contains' },
+         cif: { type: 'exact' },
+      }),
+      ...scope,
+      archived: false,
+   };
+
+   const { items: clients, pagination } = await paginate(Client, filter, {
+      query: req.query,
+      defaultSort: 'name',
+   });
 
    res.status(200).json({
       message: 'Clients retrieved successfully',
       clients,
+      pagination,
    });
 };
 
@@ -61,11 +145,11 @@ exports.getClients = async (req, res, next) => {
  * @access Private
  */
 exports.getClientById = async (req, res, next) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const clientId = req.params.id;
 
-   // Cambios .populate('company', 'name');
-   const client = await Client.findOne({ _id: clientId, createdBy: userId, archived: false });
+   const client = await Client.findOne({ _id: clientId, ...scope, archived: false })
+      .populate('company', 'name');
 
    if (!client) {
       throw new ApiError(404, 'Client not found', 'client', { errors: [{ msg: 'Client not found' }] });
@@ -85,20 +169,21 @@ exports.updateClient = async (req, res) => {
       throw new ApiError(400, 'Validation errors', 'validation', { errors: errors.array() });
    }
 
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const clientId = req.params.id;
-   const updateData = req.body; // { name, email, company }
+   const updateData = req.body; // { name, email, cif, phone, address, contacts, billingEmail }
 
-   const client = await Client.findOne({ _id: clientId, createdBy: userId });
+   const client = await Client.findOne({ _id: clientId, ...scope });
 
    if (!client) {
       throw new ApiError(404, 'Client not found', 'client', { errors: [{ msg: 'Client not found' }] });
    }
+   const before = auditService.snapshot(client);
 
    // Check duplicate email
    if (updateData.email && updateData.email !== client.email) {
       const existingClient = await Client.findOne({
-        createdBy: userId,
+        ...scope,
         email: updateData.email,
         _id: { $ne: clientId }, // Exclude the current client from the search
       });
@@ -112,9 +197,16 @@ exports.updateClient = async (req, res) => {
 
    // Update other fields
    if (updateData.name) client.name = updateData.name;
-   if (updateData.hasOwnProperty('company')) client.company = updateData.company || null;
+   // An empty value clears the tax ID or the phone
+   if (updateData.cif !== undefined) client.cif = updateData.cif || undefined;
+   if (updateData.phone !== undefined) client.phone = updateData.phone || undefined;
+   // Only the address fields sent are changed
+   if (updateData.address) client.set('address', updateData.address, { merge: true });
+   if (updateData.contacts) client.contacts = updateData.contacts;
+   if (updateData.billingEmail !== undefined) client.billingEmail = updateData.billingEmail;
 
    const updatedClient = await client.save();
+   await auditService.record(req, { action: 'update', resourceType: 'client', document: updatedClient, before });
 
    res.status(200).json({
       message: 'Client updated successfully',
@@ -128,10 +220,10 @@ exports.updateClient = async (req, res) => {
  * @access Private
  */
 exports.archiveClient = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const clientId = req.params.id;
 
-   const client = await Client.findOne({ _id: clientId, createdBy: userId });
+   const client = await Client.findOne({ _id: clientId, ...scope });
 
    if (!client) {
       throw new ApiError(404, 'Client not found', 'client', { errors: [{ msg: 'Client not found' }] });
@@ -141,8 +233,10 @@ exports.archiveClient = async (req, res) => {
       throw new ApiError(400, 'Client already archived', 'client', { errors: [{ msg: 'Client already archived' }] });
    }
 
+   const before = auditService.snapshot(client);
    client.archived = true;
    await client.save();
+   await auditService.record(req, { action: 'archive', resourceType: 'client', document: client, before });
 
    res.status(200).json({
       message: 'Client archived successfully',
@@ -156,11 +250,11 @@ exports.archiveClient = async (req, res) => {
  * @access Private
  */
 exports.deleteClient = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const clientId = req.params.id;
 
-   // 1. Verify if the client exists and belongs to the user
-   const client = await Client.findOne({ _id: clientId, createdBy: userId });
+   // 1. Verify if the client exists and belongs to the user (or the user's company)
+   const client = await Client.findOne({ _id: clientId, ...scope });
 
    if (!client) {
       throw new ApiError(404, 'Client not found or you do not have permission', 'not_found');
@@ -179,11 +273,12 @@ exports.deleteClient = async (req, res) => {
    }
 
    // 3. If no projects are associated, delete the client
-   const result = await Client.deleteOne({ _id: clientId, createdBy: userId });
+   const result = await Client.deleteOne({ _id: clientId, ...scope });
 
    if (result.deleteCount === 0) {
       throw new ApiError(404, 'Client not found', 'client', { errors: [{ msg: 'Client not found' }] });
    }
+   await auditService.record(req, { action: 'delete', resourceType: 'client', document: client });
 
    res.status(200).json({ message: 'Client deleted successfully' });
 };
@@ -194,10 +289,9 @@ exports.deleteClient = async (req, res) => {
  * @access  Private
  */
 exports.getArchivedClients = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
 
-   // Cambios .populate('company', 'name');
-   const clients = await Client.find({ createdBy: userId, archived: true });
+   const clients = await Client.find({ ...scope, archived: true });
 
    res.status(200).json(clients);
  };
@@ -208,10 +302,10 @@ exports.getArchivedClients = async (req, res) => {
   * @access  Private
   */
  exports.recoverClient = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const clientId = req.params.id;
 
-   const client = await Client.findOne({ _id: clientId, createdBy: userId });
+   const client = await Client.findOne({ _id: clientId, ...scope });
 
    if (!client) {
      throw new ApiError(404, 'Client not found or you do not have permission', 'not_found');
@@ -221,8 +315,10 @@ exports.getArchivedClients = async (req, res) => {
      throw new ApiError(400, 'Client is not archived', 'bad_request');
    }
 
+   const before = auditService.snapshot(client);
    client.archived = false;
    const recoveredClient = await client.save();
+   await auditService.record(req, { action: 'recover', resourceType: 'client', document: recoveredClient, before });
 
    res.status(200).json({
      message: 'Client recovered successfully',
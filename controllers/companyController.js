@@ -0,0 +1,182 @@
+// File: controllers/companyController.js
+const Company = require('../models/Company');
+const { NUMBERING_SERIES, COMPANY_ROLES } = Company;
+const User = require('../models/User');
+const { ApiError } = require('../middleware/handleError');
+const numberingService = require('../services/numberingService');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Load the company of the authenticated user
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Company document
+ * @throws {ApiError} When the user does not belong to any company
+ */
+const findUserCompany = async (user) => {
+   if (!user.companyId) {
+      throw new ApiError(404, 'You do not belong to any company', 'not_found');
+   }
+
+   const company = await Company.findById(user.companyId);
+   if (!company) {
+      throw new ApiError(404, 'Company not found', 'not_found');
+   }
+
+   return company;
+};
+
+/**
+ * @desc Get the company of the current user with its members
+ * @route GET /api/company
+ * @access Private
+ */
+exports.getMyCompany = async (req, res) => {
+   const { _id } = await findUserCompany(req.user);
+
+   const company = await Company.findById(_id)
+      .populate('owner', 'firstName lastName email')
+      .populate('members.user', 'firstName lastName email');
+
+   res.status(200).json({
+      message: 'Company retrieved successfully',
+      company,
+   });
+};
+
+/**
+ * @desc List the company roles with their permissions, and the role of the current user
+ * @route GET /api/company/roles
+ * @access Private
+ */
+exports.getRoles = async (req, res) => {
+   const currentRole = req.user.companyId
+      ? await permissionService.getCompanyRole(req.user.id, req.user.companyId)
+      : null;
+
+   res.status(200).json({
+      message: 'Roles retrieved successfully',
+      roles: COMPANY_ROLES.map(role => ({ role, permissions: permissionService.ROLE_PERMISSIONS[role] })),
+      currentRole,
+   });
+};
+
+/**
+ * @desc Remove a member from the current user's company
+ * @route DELETE /api/company/members/:userId
+ * @access Private (member:remove permission)
+ */
+exports.removeMember = async (req, res) => {
+   const company = await findUserCompany(req.user);
+   const { userId } = req.params;
+
+   const member = company.getMember(userId);
+   if (!member) {
+      throw new ApiError(404, 'Member not found in this company', 'not_found');
+   }
+
+   if (member.role === 'owner') {
+      throw new ApiError(400, 'The company owner cannot be removed', 'bad_request');
+   }
+
+   if (!permissionService.canManageRole(req.user.companyRole, member.role)) {
+      throw new ApiError(403, `You cannot manage members with the ${member.role} role`, 'forbidden');
+   }
+
+   company.removeMember(userId);
+   await company.save();
+   await User.updateOne({ _id: userId, companyId: company._id }, { companyId: null });
+
+   res.status(200).json({ message: 'Member removed successfully' });
+};
+
+/**
+ * @desc Change the role of a member of the current user's company
+ * @route PATCH /api/company/members/:userId
+ * @access Private (member:role permission; only the owner manages admins)
+ */
+exports.updateMemberRole = async (req, res) => {
+   const company = await findUserCompany(req.user);
+   const { userId } = req.params;
+   const { role } = req.body;
+
+   const member = company.getMember(userId);
+   if (!member) {
+      throw new ApiError(404, 'Member not found in this company', 'not_found');
+   }
+
+   if (userId === req.user.id) {
+      throw new ApiError(400, 'You cannot change your own role', 'bad_request');
+   }
+
+   if (!permissionService.canManageRole(req.user.companyRole, member.role)) {
+      throw new ApiError(403, `You cannot manage members with the ${member.role} role`, 'forbidden');
+   }
+   if (!permissionService.canManageRole(req.user.companyRole, role)) {
+      throw new ApiError(403, `You cannot give the ${role} role`, 'forbidden');
+   }
+
+   member.role = role;
+   await company.save();
+
+   res.status(200).json({
+      message: 'Member role updated successfully',
+      member: {
+         user: userId,
+         role: member.role,
+         permissions: permissionService.ROLE_PERMISSIONS[member.role],
+      },
+   });
+};
+
+/**
+ * Build the numbering response: effective series and the next number of each
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Series by type, with the next number as preview
+ */
+const describeNumbering = async (user) => {
+   const numbering = {};
+   for (const type of NUMBERING_SERIES) {
+      const series = await numberingService.getSeries(user, type);
+      numbering[type] = { ...series, nextNumber: await numberingService.peekNumber(user, type, series) };
+   }
+   return numbering;
+};
+
+/**
+ * @desc Get the numbering series of the company documents
+ * @route GET /api/company/numbering
+ * @access Private
+ */
+exports.getNumbering = async (req, res) => {
+   await findUserCompany(req.user);
+
+   res.status(200).json({
+      message: 'Numbering series retrieved successfully',
+      numbering: await describeNumbering(req.user),
+   });
+};
+
+/**
+ * @desc Update the numbering series of the company documents
+ * @route PATCH /api/company/numbering
+ * @access Private (company:update permission)
+ */
+exports.updateNumbering = async (req, res) => {
+   const company = await findUserCompany(req.user);
+
+   NUMBERING_SERIES.forEach(type => {
+      const changes = req.body[type];
+      if (!changes) return;
+      const series = company.numbering?.[type]?.toObject() || {};
+      ['prefix', 'padding', 'yearlyReset'].forEach(field => {
+         if (changes[field] !== undefined) series[field] = changes[field];
+      });
+      company.set(`numbering.${type}`, series);
+   });
+   await company.save();
+
+   res.status(200).json({
+      message: 'Numbering series updated successfully',
+      numbering: await describeNumbering(req.user),
+   });
+};
@@ -1,11 +1,11 @@
 // File: controllers/deliveryNoteController.js
 const mongoose = require('mongoose');
+const path = require('path');
 const stream = require('stream');
-const PDFDocument = require('pdfkit');
-const FormData = require('form-data');
 
 // Models
 const DeliveryNote = require('../models/DeliveryNote');
+const { STATUS_TRANSITIONS, ITEM_TYPES, getItemType, summarizeByType } = DeliveryNote;
 const Project = require('../models/Project');
 const Client = require('../models/Client');
 const User = require('../models/User');
@@ -13,264 +13,355 @@ const User = require('../models/User');
 // Error Handling
 const { ApiError } = require('../middleware/handleError');
 
-// Environment variables for Pinata
-const pinataJWT = process.env.PINATA_KEY;
-const pinataGatewayUrl = process.env.PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud';
+// Services
+const { getScopeFilter, getCompanyId } = require('../services/companyService');
+const authService = require('../services/authService');
+const handleEmail = require('../utils/handleEmail');
+const storage = require('../services/storage');
+const numberingService = require('../services/numberingService');
+const exportService = require('../services/exportService');
+const auditService = require('../services/auditService');
+const { buildFilter, paginate } = require('../services/queryService');
+const { renderPdf, writeProvider, writeClient, formatAmount } = require('../services/pdfService');
+const { calculateLine, summarizeTaxes } = require('../services/taxService');
+const config = require('../config/config');
 
-if (!pinataJWT) {
-   console.warn(
-      "PINATA_JWT not configured in environment variables. " +
-      "IPFS operations will be disabled."
-   );
-}
-
-/**
- * Uploads a file buffer to Pinata IPFS using their HTTP API.
- * @async
- * @param {Buffer} fileBuffer - The buffer of the file to upload.
- * @param {string} fileName - The desired name for the file on Pinata.
- * @returns {Promise<string>} The IPFS CID (Content Identifier) of the uploaded file.
- * @throws {ApiError} If IPFS service is not configured or if the upload fails.
- */
-const uploadToIPFS = async (fileBuffer, fileName) => {
-   // En entorno de test, simular upload exitoso
-   if (process.env.NODE_ENV === 'test') {
-      console.log(`[TEST MODE] Simulating IPFS upload for: ${fileName}`);
-      return 'QmTestHashFor' + fileName.replace(/[^a-zA-Z0-9]/g, '');
-   }
-
-   if (!pinataJWT) {
-      throw new ApiError(500, 'IPFS service (Pinata JWT) is not configured.', 'IPFS_CONFIG_ERROR');
-   }
-
-   const url = `https://api.pinata.cloud/pinning/pinFileToIPFS`;
-   let data = new FormData();
-
-   data.append('file', fileBuffer, fileName);
-
-   const metadata = JSON.stringify({ name: fileName });
-   data.append('pinataMetadata', metadata);
-
-   const options = JSON.stringify({ cidVersion: 0 });
-   data.append('pinataOptions', options);
-
-   try {
-      const response = await fetch(url, {
-         method: 'POST',
-         headers: {
-            'Authorization': `Bearer ${pinataJWT}`,
-            ...data.getHeaders() // Para FormData
-         },
-         body: data
-      });
+// Section titles of the PDF items table
+const ITEM_TYPE_LABELS = { hours: 'Hours', material: 'Materials', service: 'Services' };
 
-      if (!response.ok) {
-         const errorBody = await response.text();
-         console.error('Pinata API Error Response:', `Status: ${response.status}, Body: ${errorBody}`);
-         throw new Error(`Failed to upload to Pinata: ${response.status} ${response.statusText}`);
-      }
+// Provider fields needed to write the PDF and to localise and brand the emails sent to the client
+const PROVIDER_FIELDS = 'firstName lastName email company logo language';
 
-      const responseData = await response.json();
-      if (!responseData.IpfsHash) {
-         console.error('Pinata API successful response but missing IpfsHash:', responseData);
-         throw new Error('IpfsHash not found in Pinata response.');
-      }
-      console.log(`Successfully pinned '${fileName}' to IPFS via API. CID: ${responseData.IpfsHash}`);
-      return responseData.IpfsHash;
+// Fields of a delivery note that can be changed through the update endpoint (plus projectId)
+const EDITABLE_FIELDS = ['deliveryNoteNumber', 'date', 'items', 'notes'];
 
-   } catch (error) {
-      console.error(`Error uploading '${fileName}' to Pinata API:`, error.message, error.stack);
-      throw new ApiError(500, `Failed to upload '${fileName}' to IPFS.`, 'IPFS_UPLOAD_ERROR', { detail: error.message });
-   }
-};
+// Statuses reached only through their own flow (signing, invoicing), never through the status endpoint
+const SYSTEM_STATUSES = ['signed', 'invoiced'];
 
 /**
- * Constructs the full public gateway URL for a given IPFS CID.
- * @param {string} cid - The IPFS Content Identifier.
- * @returns {string|null} The full gateway URL, or null if no CID is provided.
+ * Lists the statuses a note can be moved to through the status endpoint.
+ * @param {string} status - Current status of the note.
+ * @returns {Array<string>} Statuses reachable manually.
  */
-const getIpfsUrl = (cid) => {
-   if (!cid) return null;
-   const gateway = pinataGatewayUrl.endsWith('/') ? pinataGatewayUrl : `${pinataGatewayUrl}/`;
-   return `${gateway}ipfs/${cid}`;
-};
+const getManualTransitions = (status) =>
+   (STATUS_TRANSITIONS[status] || []).filter(next => !SYSTEM_STATUSES.includes(next));
 
 /**
  * Generates a PDF buffer for a given delivery note.
- * The PDF includes details of the provider, client, project, items, and signature (if signed).
+ * The PDF includes details of the provider, client, project, items with their tax summary, and signature (if signed).
  * @async
  * @param {object} note - A populated Mongoose DeliveryNote document.
  * Must include createdBy, client, and project populated.
+ * @param {Buffer|null} [signatureImage=null] - PNG or JPEG signature drawn in the signature area.
  * @returns {Promise<Buffer>} A promise that resolves with the PDF buffer.
  * @throws {ApiError} If PDF generation fails.
  */
-const generatePdfBuffer = async (note) => {
-   return new Promise((resolve, reject) => {
-      try {
-         const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
-         const buffers = [];
-
-         doc.on('data', buffers.push.bind(buffers));
-         doc.on('end', () => resolve(Buffer.concat(buffers)));
-         doc.on('error', (err) => {
-            console.error("Error during PDF stream generation:", err);
-            reject(new ApiError(500, 'PDF generation stream failed.', 'PDF_STREAM_ERROR', { detail: err.message }));
+const generatePdfBuffer = async (note, signatureImage = null) => {
+   return renderPdf((doc) => {
+      // PDF Content Structure
+      doc.fontSize(18).text(`Delivery Note #${note.deliveryNoteNumber || 'N/A'}`, { align: 'center' });
+      doc.fontSize(10).text(`Date: ${note.date ? new Date(note.date).toLocaleDateString('en-US') : 'N/A'}`, { align: 'right' });
+      doc.moveDown(2);
+
+      writeProvider(doc, note.createdBy);
+      writeClient(doc, note.client);
+
+      // Project Info
+      doc.fontSize(12).text('Project:', { underline: true });
+      if (note.project) {
+         doc.text(`${note.project.name || 'N/A'}`);
+         if (note.project.description) doc.fontSize(10).text(`Description: ${note.project.description}`, { oblique: true });
+      } else {
+         doc.text('Project data not available.');
+      }
+      doc.moveDown();
+
+      // Items Table
+      doc.fontSize(12).text('Items:', { underline: true });
+      doc.moveDown(0.5);
+      const tableTop = doc.y;
+      const itemX = 50;
+      const personX = 165;
+      const qtyX = 260;
+      const priceX = 310;
+      const discountX = 375;
+      const taxX = 420;
+      const totalItemX = 465;
+
+      doc.fontSize(10);
+      doc.text('Description', itemX, tableTop, { bold: true, width: 110, lineBreak: false });
+      doc.text('Person / Unit', personX, tableTop, { bold: true, width: 90, lineBreak: false });
+      doc.text('Qty', qtyX, tableTop, { bold: true, width: 45, align: 'right', lineBreak: false });
+      doc.text('Unit Price', priceX, tableTop, { bold: true, width: 60, align: 'right', lineBreak: false });
+      doc.text('Disc.', discountX, tableTop, { bold: true, width: 40, align: 'right', lineBreak: false });
+      doc.text('VAT', taxX, tableTop, { bold: true, width: 40, align: 'right', lineBreak: false });
+      doc.text('Amount', totalItemX, tableTop, { bold: true, width: 80, align: 'right' });
+      doc.moveDown(0.2);
+      doc.moveTo(itemX, doc.y).lineTo(totalItemX + 80, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      const items = note.items || [];
+      const typeSubtotals = summarizeByType(items);
+
+      // One block per item type, each with its own subtotal
+      ITEM_TYPES.forEach(type => {
+         const typeItems = items.filter(item => getItemType(item) === type);
+         if (typeItems.length === 0) return;
+
+         doc.fontSize(10).text(ITEM_TYPE_LABELS[type], itemX, doc.y, { underline: true });
+         doc.moveDown(0.3);
+
+         typeItems.forEach(item => {
+            const yPosition = doc.y;
+            const { base } = calculateLine(item);
+
+            doc.text(item.description || '', itemX, yPosition, { width: 110, align: 'left' });
+            let yAfterDesc = doc.y; // Current Y after description (might wrap)
+            doc.text((type === 'hours' ? item.person : item.unit) || '-', personX, yPosition, { width: 90, align: 'left' });
+            let yAfterPerson = doc.y; // Current Y after person or unit (might wrap)
+
+            // Use the greater Y to ensure text doesn't overlap if one wraps more
+            let lineY = Math.max(yAfterDesc, yAfterPerson);
+            doc.y = yPosition; // Reset Y to draw numbers on the same initial line
+
+            doc.text(`${item.quantity || 0}${type === 'hours' ? ' h' : ''}`, qtyX, yPosition, { width: 45, align: 'right' });
+            doc.text(item.unitPrice != null ? formatAmount(item.unitPrice) : '-', priceX, yPosition, { width: 60, align: 'right' });
+            doc.text(item.discount ? `${item.discount}%` : '-', discountX, yPosition, { width: 40, align: 'right' });
+            doc.text(`${item.taxRate || 0}%`, taxX, yPosition, { width: 40, align: 'right' });
+            doc.text(formatAmount(base), totalItemX, yPosition, { width: 80, align: 'right' });
+
+            doc.y = lineY; // Set Y to below the longest wrapped text for this item
+            doc.moveDown(0.7);
          });
 
-         // PDF Content Structure
-         doc.fontSize(18).text(`Delivery Note #${note.deliveryNoteNumber || 'N/A'}`, { align: 'center' });
-         doc.fontSize(10).text(`Date: ${note.date ? new Date(note.date).toLocaleDateString('en-US') : 'N/A'}`, { align: 'right' });
-         doc.moveDown(2);
-
-         // Provider Info
-         doc.fontSize(12).text('Provider:', { underline: true });
-         if (note.createdBy) {
-            const user = note.createdBy;
-            doc.text(`${user.firstName || ''} ${user.lastName || ''} (${user.email || 'N/A'})`);
-            if (user.company?.name) {
-               doc.text(`Company: ${user.company.name} (CIF: ${user.company.cif || 'N/A'})`);
-               if (user.company.address?.street) {
-                  doc.text(
-                     `Address: ${user.company.address.street}, ` +
-                     `${user.company.address.city || ''} ` +
-                     `${user.company.address.postalCode || ''}, ` +
-                     `${user.company.address.country || ''}`
-                  );
-               }
-            } else {
-               doc.text(`NIF: ${user.nif || 'N/A'}`);
-            }
-         } else {
-            doc.text('Provider data not available.');
-         }
-         doc.moveDown();
-
-         // Client Info
-         doc.fontSize(12).text('Client:', { underline: true });
-         if (note.client) {
-            const client = note.client;
-            doc.text(`${client.name || 'N/A'} (${client.email || 'N/A'})`);
-            // Assuming client model has 'cif' and 'address' directly as per schema discussion
-            doc.text(`Tax ID: ${client.cif || 'N/A'}`);
-            doc.text(`Address: ${client.address || 'N/A'}`);
-         } else {
-            doc.text('Client data not available.');
-         }
-         doc.moveDown();
+         const subtotalY = doc.y;
+         doc.text(`Subtotal ${ITEM_TYPE_LABELS[type].toLowerCase()}:`, itemX, subtotalY, { width: totalItemX - 10 - itemX, align: 'right' });
+         doc.text(formatAmount(typeSubtotals[type]), totalItemX, subtotalY, { width: 80, align: 'right' });
+         doc.moveDown(0.8);
+      });
 
-         // Project Info
-         doc.fontSize(12).text('Project:', { underline: true });
-         if (note.project) {
-            doc.text(`${note.project.name || 'N/A'}`);
-            if (note.project.description) doc.fontSize(10).text(`Description: ${note.project.description}`, { oblique: true });
-         } else {
-            doc.text('Project data not available.');
-         }
-         doc.moveDown();
+      if (items.some(item => item.unitPrice != null)) {
+         const summary = summarizeTaxes(items);
 
-         // Items Table
-         doc.fontSize(12).text('Items:', { underline: true });
+         // Tax summary table: one row per tax rate, then the totals
          doc.moveDown(0.5);
-         const tableTop = doc.y;
-         const itemX = 50;
-         const personX = 180; // Adjusted for potentially longer descriptions
-         const qtyX = 330;
-         const priceX = 400;
-         const totalItemX = 480;
-
-         doc.fontSize(10);
-         doc.text('Description', itemX, tableTop, { bold: true, width: 120, lineBreak: false });
-         doc.text('Person', personX, tableTop, { bold: true, width: 140, lineBreak: false });
-         doc.text('Quantity', qtyX, tableTop, { bold: true, width: 60, align: 'right', lineBreak: false });
-         doc.text('Unit Price', priceX, tableTop, { bold: true, width: 70, align: 'right', lineBreak: false });
-         doc.text('Total', totalItemX, tableTop, { bold: true, width: 70, align: 'right' });
+         const summaryTop = doc.y;
+         doc.text('Tax rate', discountX - 65, summaryTop, { bold: true, width: 60, align: 'right', lineBreak: false });
+         doc.text('Base', taxX - 40, summaryTop, { bold: true, width: 80, align: 'right', lineBreak: false });
+         doc.text('Tax', totalItemX, summaryTop, { bold: true, width: 80, align: 'right' });
          doc.moveDown(0.2);
-         doc.moveTo(itemX, doc.y).lineTo(totalItemX + 70, doc.y).stroke();
+         doc.moveTo(discountX - 65, doc.y).lineTo(totalItemX + 80, doc.y).stroke();
          doc.moveDown(0.5);
 
-         let grandTotal = 0;
-         if (note.items && note.items.length > 0) {
-            note.items.forEach(item => {
-               const yPosition = doc.y;
-               const itemTotal = (item.quantity || 0) * (item.unitPrice || 0);
-               grandTotal += itemTotal;
-
-               doc.text(item.description || '', itemX, yPosition, { width: 120, align: 'left' });
-               let yAfterDesc = doc.y; // Current Y after description (might wrap)
-               doc.text(item.person || '-', personX, yPosition, { width: 140, align: 'left' });
-               let yAfterPerson = doc.y; // Current Y after person (might wrap)
-
-               // Use the greater Y to ensure text doesn't overlap if one wraps more
-               let lineY = Math.max(yAfterDesc, yAfterPerson);
-               doc.y = yPosition; // Reset Y to draw numbers on the same initial line
-
-               doc.text((item.quantity || 0).toString(), qtyX, yPosition, { width: 60, align: 'right' });
-               doc.text(item.unitPrice != null ? `${item.unitPrice.toFixed(2)} €` : '-', priceX, yPosition, { width: 70, align: 'right' });
-               doc.text(`${itemTotal.toFixed(2)} €`, totalItemX, yPosition, { width: 70, align: 'right' });
-
-               doc.y = lineY; // Set Y to below the longest wrapped text for this item
-               doc.moveDown(0.7);
-            });
-         }
-
-         if (note.items && note.items.some(item => item.unitPrice != null)) {
-            doc.moveTo(priceX - 10, doc.y).lineTo(totalItemX + 70, doc.y).stroke();
-            doc.moveDown(0.5);
-            doc.fontSize(11).text('Grand Total:', priceX, doc.y, { bold: true, width: 70, align: 'right' });
-            doc.text(`${grandTotal.toFixed(2)} €`, totalItemX, doc.y, { bold: true, width: 70, align: 'right' });
-            doc.moveDown();
-         }
+         summary.taxBreakdown.forEach(tax => {
+            const y = doc.y;
+            doc.text(`${tax.rate}%`, discountX - 65, y, { width: 60, align: 'right' });
+            doc.text(formatAmount(tax.base), taxX - 40, y, { width: 80, align: 'right' });
+            doc.text(formatAmount(tax.amount), totalItemX, y, { width: 80, align: 'right' });
+            doc.moveDown(0.3);
+         });
 
-         if (note.notes) {
-            doc.moveDown();
-            doc.fontSize(10).text('Additional Notes:', { underline: true });
-            doc.text(note.notes, { align: 'left', width: 500 });
+         doc.moveTo(discountX - 65, doc.y).lineTo(totalItemX + 80, doc.y).stroke();
+         doc.moveDown(0.5);
+         const writeTotal = (label, amount) => {
+            const y = doc.y;
+            doc.text(label, itemX, y, { width: totalItemX - 10 - itemX, align: 'right' });
+            doc.text(amount, totalItemX, y, { width: 80, align: 'right' });
+            doc.moveDown(0.3);
+         };
+         if (summary.discountAmount > 0) {
+            writeTotal('Discounts:', `-${formatAmount(summary.discountAmount)}`);
          }
+         writeTotal('Subtotal:', formatAmount(summary.subtotal));
+         writeTotal('Taxes:', formatAmount(summary.taxAmount));
+         doc.fontSize(11);
+         writeTotal('Total:', formatAmount(summary.total));
+         doc.moveDown();
+      }
 
-         // Signature Area
-         doc.moveDown(2);
-         const signatureY = doc.y > 680 ? 50 : doc.y; // Try to avoid splitting signature across pages
-         doc.y = signatureY; // Set Y position for signature block
+      if (note.notes) {
+         doc.moveDown();
+         doc.fontSize(10).text('Additional Notes:', { underline: true });
+         doc.text(note.notes, { align: 'left', width: 500 });
+      }
 
-         if (note.isSigned && note.signatureUrl) {
-            doc.fontSize(11).text('Digitally Signed:', { underline: true });
-            doc.fontSize(9).text(`Signing Date: ${note.signedAt ? new Date(note.signedAt).toLocaleString('en-US') : 'N/A'}`);
-            const signatureDisplayUrl = getIpfsUrl(note.signatureUrl);
-            if (signatureDisplayUrl) {
+      // Signature Area
+      doc.moveDown(2);
+      const signatureY = doc.y > 680 ? 50 : doc.y; // Try to avoid splitting signature across pages
+      doc.y = signatureY; // Set Y position for signature block
+
+      if (note.isSigned && note.signatureUrl) {
+         doc.fontSize(11).text('Digitally Signed:', { underline: true });
+         doc.fontSize(9).text(`Signing Date: ${note.signedDate ? new Date(note.signedDate).toLocaleString('en-US') : 'N/A'}`);
+         if (note.signerName) doc.text(`Signed by: ${note.signerName}`);
+         if (signatureImage) {
+            try {
                doc.moveDown(0.5);
-               doc.fillColor('blue')
-                  .text('View Signature (IPFS Link)', { link: signatureDisplayUrl, underline: true })
-                  .fillColor('black');
-            } else {
-               doc.fontSize(8).fillColor('red').text('(Signature link not available)');
+               doc.image(signatureImage, itemX, doc.y, { fit: [200, 80] });
+               doc.y += 85;
+            } catch (imageError) {
+               // Unsupported or corrupt image: keep the link below as the only reference
+               console.warn('Could not embed signature image in PDF:', imageError.message);
             }
+         }
+         const signatureDisplayUrl = storage.getUrl(note.signatureUrl);
+         if (signatureDisplayUrl) {
+            doc.moveDown(0.5);
+            doc.fillColor('blue')
+               .text('View Signature (Link)', { link: signatureDisplayUrl, underline: true })
+               .fillColor('black');
          } else {
-            doc.fontSize(11).text('Pending Signature');
-            // Placeholder for manual signature
-            doc.moveDown(1);
-            doc.lineCap('round')
-               .moveTo(itemX, doc.y + 20)
-               .lineTo(itemX + 200, doc.y + 20)
-               .stroke();
-            doc.fontSize(9).text('Client Signature', itemX, doc.y + 25);
+            doc.fontSize(8).fillColor('red').text('(Signature link not available)');
          }
-         // --- End PDF Content ---
-         doc.end();
-
-      } catch (error) {
-         console.error("Error during PDF content generation:", error);
-         reject(new ApiError(500, 'PDF content generation failed.', 'PDF_CONTENT_ERROR', { detail: error.message }));
+      } else {
+         doc.fontSize(11).text('Pending Signature');
+         // Placeholder for manual signature
+         doc.moveDown(1);
+         doc.lineCap('round')
+            .moveTo(itemX, doc.y + 20)
+            .lineTo(itemX + 200, doc.y + 20)
+            .stroke();
+         doc.fontSize(9).text('Client Signature', itemX, doc.y + 25);
       }
+      // --- End PDF Content ---
    });
 };
 
+/**
+ * Marks a delivery note as signed, generates its PDF with the signature embedded and uploads it.
+ * Shared by the owner signing flow and the public remote signing flow.
+ * @async
+ * @param {object} deliveryNote - Mongoose DeliveryNote document with createdBy, client and project populated.
+ * @param {object} signature - Signature data.
+ * @param {string} signature.signatureUrl - Storage key of the uploaded image, or the reference sent by the caller.
+ * @param {Date} signature.signedAt - Signing date.
+ * @param {string|null} signature.signedBy - User that signs, or null when the client signs remotely.
+ * @param {string} [signature.signerName] - Name of the person who signed.
+ * @param {string} [signature.comment] - Comment stored in the status history.
+ * @param {Buffer} [signature.signatureImage] - Uploaded signature image, embedded in the PDF.
+ * Without it the PDF only links to signatureUrl: caller supplied references are never downloaded.
+ * @param {import('mongoose').ClientSession} session - Session of the running transaction.
+ * @param {Array<string>} uploadedKeys - Storage keys uploaded by the signing flow; the PDF key is added to it.
+ * @returns {Promise<{deliveryNote: object, pdfBuffer: Buffer}>} The saved DeliveryNote document and its signed PDF.
+ */
+const completeSignature = async (deliveryNote, { signatureUrl, signedAt, signedBy, signerName, comment, signatureImage }, session, uploadedKeys) => {
+   deliveryNote.transitionTo('signed', signedBy, comment);
+   deliveryNote.isSigned = true;
+   deliveryNote.signatureUrl = signatureUrl;
+   deliveryNote.signedDate = signedAt;
+   if (signerName) {
+      deliveryNote.signerName = signerName;
+   }
+
+   const pdfBuffer = await generatePdfBuffer(deliveryNote, signatureImage || null);
+   const pdfFileName = `Albaran_${deliveryNote.deliveryNoteNumber || 'DN'}_${Date.now()}.pdf`;
+   deliveryNote.pdfUrl = await storage.upload(pdfBuffer, {
+      folder: 'pdfs',
+      fileName: pdfFileName,
+      contentType: 'application/pdf',
+   });
+   uploadedKeys.push(deliveryNote.pdfUrl);
+
+   return { deliveryNote: await deliveryNote.save({ session }), pdfBuffer };
+};
+
+/**
+ * Deletes the files uploaded by a signing flow whose transaction was aborted,
+ * so no stored file is left without a note pointing to it. Failures are only logged.
+ * @async
+ * @param {Array<string>} keys - Storage keys to delete.
+ * @returns {Promise<void>}
+ */
+const removeUploads = async (keys) => {
+   await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+      console.error(`Error deleting orphaned file '${key}':`, error.message);
+   })));
+};
+
+/**
+ * Name the client sees as the sender of delivery note emails.
+ * @param {object} provider - Populated createdBy user of the note.
+ * @returns {string} Company name, user email or a generic name.
+ */
+const getProviderName = (provider) => provider?.company?.name || provider?.email || 'Your provider';
+
+/**
+ * Emails the signed PDF of a delivery note to the client, optionally with a copy to the provider.
+ * @async
+ * @param {object} deliveryNote - Signed DeliveryNote document with createdBy and client populated.
+ * @param {object} [options] - Delivery options.
+ * @param {string} [options.to] - Recipient. Defaults to the client billing email.
+ * @param {boolean} [options.ccProvider=config.signedPdfEmail.ccProvider] - Copy the user who created the note.
+ * @param {Buffer} [options.pdf] - Signed PDF. Read from storage when omitted.
+ * @returns {Promise<{sentTo: string, cc: string|null}>} Recipients of the email.
+ * @throws {ApiError} If there is no recipient.
+ */
+const sendSignedPdf = async (deliveryNote, { to, ccProvider = config.signedPdfEmail.ccProvider, pdf } = {}) => {
+   const recipient = to || deliveryNote.client?.getBillingEmail();
+   if (!recipient) {
+      throw new ApiError(400, 'The client has no email to send the delivery note to.', 'MISSING_CLIENT_EMAIL');
+   }
+   const cc = (ccProvider && deliveryNote.createdBy?.email) || null;
+
+   await handleEmail.sendSignedDeliveryNoteEmail(recipient, {
+      deliveryNoteNumber: deliveryNote.deliveryNoteNumber,
+      companyName: getProviderName(deliveryNote.createdBy),
+      pdf: pdf || await storage.download(deliveryNote.pdfUrl),
+      clientName: deliveryNote.client?.name,
+      signedAt: deliveryNote.signedDate,
+      signerName: deliveryNote.signerName,
+      cc: cc || undefined,
+   }, handleEmail.getEmailOptions(deliveryNote.createdBy));
+
+   return { sentTo: recipient, cc };
+};
+
+/**
+ * Emails the signed PDF to the client right after signing, unless disabled in config.signedPdfEmail.
+ * Best effort: the note is already signed, so a failure is logged and reported as not sent.
+ * @async
+ * @param {object} deliveryNote - Signed DeliveryNote document with createdBy and client populated.
+ * @param {Buffer} pdf - Signed PDF just generated.
+ * @returns {Promise<{sentTo: string, cc: string|null}|null>} Recipients, or null if nothing was sent.
+ */
+const notifySigned = async (deliveryNote, pdf) => {
+   if (!config.signedPdfEmail.enabled) return null;
+
+   try {
+      return await sendSignedPdf(deliveryNote, { pdf });
+   } catch (error) {
+      console.error(`Error emailing signed delivery note ${deliveryNote.deliveryNoteNumber}:`, error.message || error);
+      return null;
+   }
+};
+
+/**
+ * Allocates the next delivery note number of the user's series.
+ * The counter is incremented outside the create transaction, so concurrent creates never
+ * wait on each other; a failed create leaves a gap in the series. Numbers already taken
+ * by manually numbered notes are skipped.
+ * @async
+ * @param {object} user - Authenticated user (req.user).
+ * @param {Date} date - Date of the note, selects the yearly sequence.
+ * @returns {Promise<string>} The allocated number.
+ */
+const allocateDeliveryNoteNumber = async (user, date) => {
+   const scope = getScopeFilter(user);
+   let deliveryNoteNumber;
+   do {
+      deliveryNoteNumber = await numberingService.allocateNumber(user, 'deliveryNote', date);
+   } while (await DeliveryNote.exists({ deliveryNoteNumber, ...scope }));
+   return deliveryNoteNumber;
+};
+
 /**
  * Creates a new delivery note.
- * It requires a deliveryNoteNumber, date, projectId, and an array of items.
+ * It requires a date, projectId, and an array of items. When no deliveryNoteNumber is given,
+ * the next number of the company series is allocated (e.g. ALB-2026-0001).
  * The client associated with the project is automatically linked.
  * @async
  * @function createDeliveryNote
- * @param {import('express').Request} req - Express request object. Expected body: { deliveryNoteNumber, date, projectId, items, notes? }
+ * @param {import('express').Request} req - Express request object. Expected body: { deliveryNoteNumber?, date, projectId, items, notes? }
  * @param {import('express').Response} res - Express response object.
  * @throws {ApiError} If creation fails due to validation, database error, or other issues.
  */
@@ -279,12 +370,14 @@ const createDeliveryNote = async (req, res) => {
    session.startTransaction();
    try {
       const userId = req.user.id;
-      const { deliveryNoteNumber, date, projectId, items, notes } = req.body;
+      const scope = getScopeFilter(req.user);
+      const { date, projectId, items, notes } = req.body;
+      let { deliveryNoteNumber } = req.body;
 
       const Project = require('../models/Project');
       const projectDoc = await Project.findOne({
          _id: projectId,
-         createdBy: userId,
+         ...scope,
          archived: false
       });
 
@@ -292,14 +385,18 @@ const createDeliveryNote = async (req, res) => {
          throw new ApiError(404, 'Project not found or access denied.', 'PROJECT_NOT_FOUND');
       }
 
-      // Verify number duplicates
-      const existingNote = await DeliveryNote.findOne({
-         deliveryNoteNumber,
-         createdBy: userId
-      });
+      if (deliveryNoteNumber) {
+         // Verify number duplicates
+         const existingNote = await DeliveryNote.findOne({
+            deliveryNoteNumber,
+            ...scope
+         });
 
-      if (existingNote) {
-         throw new ApiError(409, 'Delivery note number already exists.', 'DUPLICATE_NUMBER');
+         if (existingNote) {
+            throw new ApiError(409, 'Delivery note number already exists.', 'DUPLICATE_NUMBER');
+         }
+      } else {
+         deliveryNoteNumber = await allocateDeliveryNoteNumber(req.user, date);
       }
 
       const deliveryNoteData = {
@@ -307,9 +404,11 @@ const createDeliveryNote = async (req, res) => {
          date,
          project: projectId,
          createdBy: userId,
+         company: getCompanyId(req.user),
          items,
          isSigned: false, // Default to unsigned
          status: 'draft', // Default status
+         statusHistory: [{ from: null, to: 'draft', changedBy: userId, changedAt: new Date() }],
       };
 
       if (notes) {
@@ -320,18 +419,13 @@ const createDeliveryNote = async (req, res) => {
 
       await newDeliveryNote.save({ session }); // Pre-save hook in model links client
       await session.commitTransaction();
+      await auditService.record(req, { action: 'create', resourceType: 'deliverynote', document: newDeliveryNote });
 
-      /*
-      const populatedNote = await DeliveryNote.findById(newDeliveryNote._id)
-         .populate('createdBy', 'firstName lastName email')
-         .populate('client', 'name email')
-         .populate('project', 'name'); */
-
-      const populatedNote = await DeliveryNote.findById(newDeliveryNote._id);
+      const createdNote = await DeliveryNote.findById(newDeliveryNote._id);
 
       res.status(201).json({
          message: 'Delivery note created successfully.',
-         data: populatedNote,
+         data: createdNote,
       });
 
    } catch (error) {
@@ -363,29 +457,44 @@ const createDeliveryNote = async (req, res) => {
 };
 
 /**
- * Retrieves all delivery notes for the logged-in user.
- * Notes are sorted by date in descending order.
- * Includes IPFS gateway URLs for signature and PDF if available.
+ * Filters accepted by the delivery note list, mapped to document paths.
+ * @constant {Object}
+ */
+const LIST_FILTERS = {
+   status: { type: 'in' },
+   projectId: { type: 'exact', path: 'project' },
+   clientId: { type: 'exact', path: 'client' },
+   isSigned: { type: 'exact' },
+   dateFrom: { type: 'from', path: 'date' },
+   dateTo: { type: 'to', path: 'date' },
+};
+
+/**
+ * Retrieves the delivery notes of the logged-in user, one page at a time.
+ * Notes are sorted by date in descending order unless ?sort is given, and can be
+ * filtered by status, projectId, clientId, isSigned and date range (dateFrom, dateTo).
+ * Includes public storage URLs for signature and PDF if available.
  * @async
  * @function getAllDeliveryNotes
- * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Request} req - Express request object. Query: { page?, limit?, cursor?, sort?, status?, projectId?, clientId?, isSigned?, dateFrom?, dateTo? }
  * @param {import('express').Response} res - Express response object.
  */
 const getAllDeliveryNotes = async (req, res) => {
-   const userId = req.user.id;
-   const deliveryNotes = await DeliveryNote.find({ createdBy: userId })
-      .populate('client', 'name')
-      .populate('project', 'name')
-      .sort({ date: -1 });
+   const scope = getScopeFilter(req.user);
+   const filter = { ...buildFilter(req.query, LIST_FILTERS), ...scope };
+
+   const { items: deliveryNotes, pagination } = await paginate(DeliveryNote, filter, {
+      query: req.query,
+      defaultSort: '-date',
+      populate: [['client', 'name'], ['project', 'name']],
+   });
 
    const notesWithUrls = deliveryNotes.map(note => {
       const noteObj = note.toObject();
       return {
          ...noteObj,
-         signatureGatewayUrl: noteObj.signatureUrl ?
-            `https://gateway.pinata.cloud/ipfs/${noteObj.signatureUrl.replace('ipfs://', '')}` : null,
-         pdfGatewayUrl: noteObj.pdfUrl ?
-            `https://gateway.pinata.cloud/ipfs/${noteObj.pdfUrl.replace('ipfs://', '')}` : null,
+         signatureGatewayUrl: storage.getUrl(noteObj.signatureUrl),
+         pdfGatewayUrl: storage.getUrl(noteObj.pdfUrl),
       };
    });
 
@@ -393,13 +502,108 @@ const getAllDeliveryNotes = async (req, res) => {
       message: 'Delivery notes retrieved successfully.',
       count: notesWithUrls.length,
       data: notesWithUrls,
+      pagination,
+   });
+};
+
+// Columns describing the delivery note of an export row ({ note, item })
+const NOTE_EXPORT_COLUMNS = [
+   { header: 'Number', value: ({ note }) => note.deliveryNoteNumber },
+   { header: 'Date', value: ({ note }) => note.date, width: 12 },
+   { header: 'Status', value: ({ note }) => note.status, width: 10 },
+   { header: 'Client', value: ({ note }) => note.client?.name, width: 30 },
+   { header: 'Client tax ID', value: ({ note }) => note.client?.cif },
+   { header: 'Project', value: ({ note }) => note.project?.name, width: 30 },
+];
+
+// Signature columns, shared by both row layouts
+const SIGNATURE_EXPORT_COLUMNS = [
+   { header: 'Signed', value: ({ note }) => (note.isSigned ? 'yes' : 'no'), width: 8 },
+   { header: 'Signed date', value: ({ note }) => note.signedDate },
+   { header: 'Signer', value: ({ note }) => note.signerName, width: 25 },
+];
+
+// Export columns of each row layout: one row per delivery note or one row per item
+const EXPORT_COLUMNS = {
+   note: [
+      ...NOTE_EXPORT_COLUMNS,
+      { header: 'Items', value: ({ note }) => note.items.length, width: 8 },
+      { header: 'Subtotal', value: ({ note }) => note.subtotal },
+      { header: 'Discount', value: ({ note }) => note.discountAmount },
+      { header: 'Tax', value: ({ note }) => note.taxAmount },
+      { header: 'Total', value: ({ note }) => note.totalAmount },
+      ...SIGNATURE_EXPORT_COLUMNS,
+   ],
+   item: [
+      ...NOTE_EXPORT_COLUMNS,
+      { header: 'Type', value: ({ item }) => getItemType(item), width: 10 },
+      { header: 'Description', value: ({ item }) => item.description, width: 40 },
+      { header: 'Person', value: ({ item }) => item.person, width: 20 },
+      { header: 'Unit', value: ({ item }) => item.unit, width: 10 },
+      { header: 'Quantity', value: ({ item }) => item.quantity },
+      { header: 'Unit price', value: ({ item }) => item.unitPrice || 0 },
+      { header: 'Discount %', value: ({ item }) => item.discount || 0 },
+      { header: 'Tax rate %', value: ({ item }) => item.taxRate || 0 },
+      { header: 'Base', value: ({ line }) => line.base },
+      { header: 'Tax', value: ({ line }) => line.taxAmount },
+      { header: 'Total', value: ({ line }) => line.total },
+      ...SIGNATURE_EXPORT_COLUMNS,
+   ],
+};
+
+/**
+ * Iterate the export rows of a delivery note cursor
+ * @param {AsyncIterable<Object>} notes - Lean delivery notes with client and project populated
+ * @param {string} layout - 'note' for one row per note, 'item' for one row per item
+ * @returns {AsyncGenerator<{note: Object, item?: Object, line?: Object}>} Export rows
+ */
+async function* exportRows(notes, layout) {
+   for await (const note of notes) {
+      if (layout === 'item') {
+         for (const item of note.items) {
+            yield { note, item, line: calculateLine(item) };
+         }
+      } else {
+         yield { note };
+      }
+   }
+}
+
+/**
+ * Exports the delivery notes of the logged-in user as a CSV or XLSX download.
+ * Accepts the same filters and sort as the list, without pagination: the notes are read
+ * with a cursor and written to the response as they arrive.
+ * @async
+ * @function exportDeliveryNotes
+ * @param {import('express').Request} req - Express request object. Query: { format?: 'csv'|'xlsx', rows?: 'note'|'item', sort?, status?, projectId?, clientId?, isSigned?, dateFrom?, dateTo? }
+ * @param {import('express').Response} res - Express response object.
+ */
+const exportDeliveryNotes = async (req, res) => {
+   const { format = 'csv', rows = 'note', sort = '-date' } = req.query;
+   const scope = getScopeFilter(req.user);
+   const filter = { ...buildFilter(req.query, LIST_FILTERS), ...scope };
+   const direction = sort.startsWith('-') ? -1 : 1;
+
+   const notes = DeliveryNote.find(filter)
+      .sort({ [sort.replace(/^-/, '')]: direction, _id: direction })
+      .populate('client', 'name cif')
+      .populate('project', 'name')
+      .lean()
+      .cursor();
+
+   await exportService.streamTable(res, {
+      format,
+      fileName: `albaranes-${new Date().toISOString().slice(0, 10)}`,
+      columns: EXPORT_COLUMNS[rows],
+      rows: exportRows(notes, rows),
+      sheetName: 'Delivery notes',
    });
 };
 
 /**
  * Retrieves a specific delivery note by its ID for the logged-in user.
  * Populates createdBy (user), client, and project details.
- * Includes IPFS gateway URLs for signature and PDF if available.
+ * Includes public storage URLs for signature and PDF if available.
  * @async
  * @function getDeliveryNoteById
  * @param {import('express').Request} req - Express request object. Params: { id: string }
@@ -407,10 +611,10 @@ const getAllDeliveryNotes = async (req, res) => {
  * @throws {ApiError} If the note is not found or user lacks permission.
  */
 const getDeliveryNoteById = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const { id } = req.params;
 
-   const deliveryNote = await DeliveryNote.findOne({ _id: id, createdBy: userId })
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope })
       .populate('createdBy', 'firstName lastName email company')
       .populate('client')
       .populate('project');
@@ -422,8 +626,8 @@ const getDeliveryNoteById = async (req, res) => {
    const noteObj = deliveryNote.toObject();
    const responseData = {
       ...noteObj,
-      signatureGatewayUrl: getIpfsUrl(noteObj.signatureUrl),
-      pdfGatewayUrl: getIpfsUrl(noteObj.pdfUrl),
+      signatureGatewayUrl: storage.getUrl(noteObj.signatureUrl),
+      pdfGatewayUrl: storage.getUrl(noteObj.pdfUrl),
    };
 
    res.status(200).json({
@@ -434,7 +638,8 @@ const getDeliveryNoteById = async (req, res) => {
 
 /**
  * Updates an existing delivery note if it has not been signed.
- * Certain fields like signature status, URLs, and ownership cannot be changed directly.
+ * Only the number, date, project, items and notes can be changed; status, signature,
+ * invoice and ownership fields are ignored and change only through their own endpoints.
  * @async
  * @function updateDeliveryNote
  * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: fields to update.
@@ -442,11 +647,11 @@ const getDeliveryNoteById = async (req, res) => {
  * @throws {ApiError} If note not found, update forbidden (signed), or DB error.
  */
 const updateDeliveryNote = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const { id } = req.params;
    const updateData = req.body;
 
-   const deliveryNote = await DeliveryNote.findOne({ _id: id, createdBy: userId });
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope });
 
    if (!deliveryNote) {
       throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
@@ -455,16 +660,15 @@ const updateDeliveryNote = async (req, res) => {
    if (deliveryNote.isSigned) {
       throw new ApiError(403, 'Cannot update a signed delivery note.', 'UPDATE_SIGNED_FORBIDDEN');
    }
-
-   // Sanitize updateData
-   delete updateData.isSigned;
-   delete updateData.signedAt;
-   delete updateData.signatureUrl;
-   delete updateData.pdfUrl;
-   delete updateData.createdBy;
-   delete updateData.client; // Client is derived via project
-
-   Object.assign(deliveryNote, updateData);
+   const before = auditService.snapshot(deliveryNote);
+
+   // Copy only the editable fields; client and company are derived via project
+   EDITABLE_FIELDS
+      .filter(field => updateData[field] !== undefined)
+      .forEach(field => { deliveryNote[field] = updateData[field]; });
+   if (updateData.projectId !== undefined) {
+      deliveryNote.project = updateData.projectId;
+   }
 
    try {
       await deliveryNote.save(); // Triggers pre-save hook if project changed
@@ -478,6 +682,7 @@ const updateDeliveryNote = async (req, res) => {
       console.error('Error updating delivery note:', error);
       throw new ApiError(500, 'Failed to update delivery note.', 'UPDATE_NOTE_ERROR', { detail: error.message });
    }
+   await auditService.record(req, { action: 'update', resourceType: 'deliverynote', document: deliveryNote, before });
 
 
    const updatedPopulatedNote = await DeliveryNote.findById(id)
@@ -493,32 +698,35 @@ const updateDeliveryNote = async (req, res) => {
 
 /**
  * Signs a delivery note.
+ * The signature is either a prebuilt signatureUrl or an uploaded image (multipart field 'signature').
  * This involves:
- * 1. Updating the note's status (isSigned, signatureUrl, signedAt).
- * 2. Generating a PDF version of the note.
- * 3. Uploading the generated PDF to IPFS (or cloud storage).
- * 4. Saving the PDF URL/CID to the delivery note.
+ * 1. Uploading the signature image to the configured storage, if one was sent.
+ * 2. Updating the note's status (isSigned, signatureUrl, signedDate).
+ * 3. Generating a PDF version of the note with the signature image embedded.
+ * 4. Uploading the generated PDF to the configured storage (local, S3 or IPFS).
+ * 5. Saving the PDF storage key to the delivery note.
  * @async
  * @function signDeliveryNote
- * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { signatureUrl: string, signedDate?: Date }
+ * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { signatureUrl?: string, signedDate?: Date }. Multipart: signature? (image)
  * @param {import('express').Response} res - Express response object.
  * @throws {ApiError} If any step in the signing process fails.
  */
 const signDeliveryNote = async (req, res) => {
    const session = await mongoose.startSession();
    session.startTransaction();
+   const uploadedKeys = [];
 
    try {
-      const userId = req.user.id;
+      const scope = getScopeFilter(req.user);
       const { id } = req.params;
       const { signatureUrl, signedDate } = req.body;
 
-      if (!signatureUrl) {
-         throw new ApiError(400, 'Signature URL (e.g., IPFS CID) is required.', 'MISSING_SIGNATURE_URL');
+      if (!signatureUrl && !req.file) {
+         throw new ApiError(400, 'Signature URL (e.g., IPFS CID) or signature image is required.', 'MISSING_SIGNATURE_URL');
       }
 
-      const deliveryNote = await DeliveryNote.findOne({ _id: id, createdBy: userId })
-         .populate('createdBy', 'firstName lastName email company')
+      const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope })
+         .populate('createdBy', PROVIDER_FIELDS)
          .populate('client')
          .populate('project')
          .session(session);
@@ -532,8 +740,8 @@ const signDeliveryNote = async (req, res) => {
          const noteObj = deliveryNote.toObject();
          const responseData = {
             ...noteObj,
-            signatureGatewayUrl: getIpfsUrl(noteObj.signatureUrl),
-            pdfGatewayUrl: getIpfsUrl(noteObj.pdfUrl)
+            signatureGatewayUrl: storage.getUrl(noteObj.signatureUrl),
+            pdfGatewayUrl: storage.getUrl(noteObj.pdfUrl)
          };
          return res.status(400).json({
             message: 'Delivery note is already signed.',
@@ -541,33 +749,51 @@ const signDeliveryNote = async (req, res) => {
          });
       }
 
-      deliveryNote.isSigned = true;
-      deliveryNote.signatureUrl = signatureUrl;
-      deliveryNote.signedAt = signedDate ? new Date(signedDate) : new Date();
+      if (!deliveryNote.canTransitionTo('signed')) {
+         throw new ApiError(409, `Cannot sign a delivery note with status '${deliveryNote.status}'.`, 'INVALID_STATUS_TRANSITION');
+      }
 
-      const pdfBuffer = await generatePdfBuffer(deliveryNote);
-      const pdfFileName = `Albaran_${deliveryNote.deliveryNoteNumber || 'DN'}_${Date.now()}.pdf`;
-      const pdfCid = await uploadToIPFS(pdfBuffer, pdfFileName);
-      deliveryNote.pdfUrl = pdfCid;
+      const before = auditService.snapshot(deliveryNote);
+      let signatureKey = signatureUrl;
+      if (req.file) {
+         const extension = path.extname(req.file.originalname) || '.png';
+         const signatureFileName = `Firma_${deliveryNote.deliveryNoteNumber || 'DN'}_${Date.now()}${extension}`;
+         signatureKey = await storage.upload(req.file.buffer, {
+            folder: 'signatures',
+            fileName: signatureFileName,
+            contentType: req.file.mimetype,
+         });
+         uploadedKeys.push(signatureKey);
+      }
 
-      const signedDeliveryNote = await deliveryNote.save({ session });
+      const { deliveryNote: signedDeliveryNote, pdfBuffer } = await completeSignature(deliveryNote, {
+         signatureUrl: signatureKey,
+         signedAt: signedDate ? new Date(signedDate) : new Date(),
+         signedBy: req.user.id,
+         signatureImage: req.file ? req.file.buffer : null,
+      }, session, uploadedKeys);
       await session.commitTransaction();
+      await auditService.record(req, { action: 'sign', resourceType: 'deliverynote', document: signedDeliveryNote, before });
+
+      const pdfEmail = await notifySigned(signedDeliveryNote, pdfBuffer);
 
       const noteObj = signedDeliveryNote.toObject();
       const responseData = {
          ...noteObj,
-         signatureGatewayUrl: getIpfsUrl(noteObj.signatureUrl),
-         pdfGatewayUrl: getIpfsUrl(noteObj.pdfUrl)
+         signatureGatewayUrl: storage.getUrl(noteObj.signatureUrl),
+         pdfGatewayUrl: storage.getUrl(noteObj.pdfUrl)
       };
 
       res.status(200).json({
          message: 'Delivery note signed and PDF uploaded successfully.',
          data: responseData,
+         pdfEmail,
       });
 
    } catch (error) {
       if (session.inTransaction()) {
          await session.abortTransaction();
+         await removeUploads(uploadedKeys);
       }
 
       if (error instanceof ApiError) throw error;
@@ -577,10 +803,345 @@ const signDeliveryNote = async (req, res) => {
    }
 };
 
+/**
+ * Sends the client a one-time link to sign a delivery note remotely.
+ * A draft note is moved to 'sent'. Requesting again invalidates the previous link.
+ * @async
+ * @function requestRemoteSignature
+ * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { email?: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the note is not found, already signed or cannot be signed in its current status.
+ */
+const requestRemoteSignature = async (req, res) => {
+   const scope = getScopeFilter(req.user);
+   const { id } = req.params;
+
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope })
+      .populate('createdBy', PROVIDER_FIELDS)
+      .populate('client', 'name email billingEmail');
+
+   if (!deliveryNote) {
+      throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
+   }
+
+   if (deliveryNote.isSigned) {
+      throw new ApiError(400, 'Delivery note is already signed.', 'NOTE_ALREADY_SIGNED');
+   }
+
+   const recipient = req.body.email || deliveryNote.client?.getBillingEmail();
+   if (!recipient) {
+      throw new ApiError(400, 'The client has no email to send the signature request to.', 'MISSING_CLIENT_EMAIL');
+   }
+
+   const before = auditService.snapshot(deliveryNote);
+   if (deliveryNote.status === 'draft') {
+      deliveryNote.transitionTo('sent', req.user.id, 'Sent for remote signature');
+   } else if (!deliveryNote.canTransitionTo('signed')) {
+      throw new ApiError(409, `Cannot request a signature for a delivery note with status '${deliveryNote.status}'.`, 'INVALID_STATUS_TRANSITION');
+   }
+
+   const token = authService.generateResetToken();
+   const now = new Date();
+   deliveryNote.signatureRequest = {
+      tokenHash: authService.hashToken(token),
+      sentTo: recipient,
+      requestedBy: req.user.id,
+      requestedAt: now,
+      expiresAt: new Date(now.getTime() + config.signatureRequest.expiresIn),
+      usedAt: null,
+   };
+   await deliveryNote.save();
+   await auditService.record(req, { action: 'update', resourceType: 'deliverynote', document: deliveryNote, before });
+
+   const signUrl = `${config.publicUrl}/api/deliverynote/public/sign/${token}`;
+   const companyName = getProviderName(deliveryNote.createdBy);
+
+   try {
+      await handleEmail.sendSignatureRequestEmail(
+         recipient,
+         signUrl,
+         deliveryNote.deliveryNoteNumber,
+         companyName,
+         handleEmail.getEmailOptions(deliveryNote.createdBy)
+      );
+   } catch (emailError) {
+      console.error('Error sending signature request email:', emailError);
+      throw new ApiError(502, 'Signature request could not be emailed. Please try again.', 'EMAIL_SEND_ERROR');
+   }
+
+   res.status(200).json({
+      message: 'Signature request sent successfully.',
+      data: {
+         sentTo: recipient,
+         expiresAt: deliveryNote.signatureRequest.expiresAt,
+         status: deliveryNote.status,
+      },
+   });
+};
+
+/**
+ * Emails the signed PDF of a delivery note to the client again.
+ * The recipient defaults to the client billing email; the provider can be copied.
+ * @async
+ * @function sendSignedDeliveryNote
+ * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { email?: string, ccProvider?: boolean }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the note is not found, not signed yet or the email cannot be sent.
+ */
+const sendSignedDeliveryNote = async (req, res) => {
+   const scope = getScopeFilter(req.user);
+   const { id } = req.params;
+
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope })
+      .populate('createdBy', PROVIDER_FIELDS)
+      .populate('client', 'name email billingEmail');
+
+   if (!deliveryNote) {
+      throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
+   }
+
+   if (!deliveryNote.isSigned || !deliveryNote.pdfUrl) {
+      throw new ApiError(400, 'Only signed delivery notes can be sent.', 'NOTE_NOT_SIGNED');
+   }
+
+   let pdfEmail;
+   try {
+      pdfEmail = await sendSignedPdf(deliveryNote, { to: req.body.email, ccProvider: req.body.ccProvider });
+   } catch (emailError) {
+      if (emailError instanceof ApiError) throw emailError;
+      console.error('Error sending signed delivery note email:', emailError);
+      throw new ApiError(502, 'Signed delivery note could not be emailed. Please try again.', 'EMAIL_SEND_ERROR');
+   }
+
+   res.status(200).json({
+      message: 'Signed delivery note sent successfully.',
+      data: pdfEmail,
+   });
+};
+
+/**
+ * Finds the delivery note of a pending remote signature request.
+ * @param {string} token - Plain one-time token from the signing link.
+ * @returns {import('mongoose').Query} Query for the note, to be populated by the caller.
+ */
+const findNoteBySignatureToken = (token) => DeliveryNote.findOne({
+   'signatureRequest.tokenHash': authService.hashToken(token),
+   'signatureRequest.usedAt': null,
+   'signatureRequest.expiresAt': { $gt: new Date() },
+   isSigned: false,
+});
+
+/**
+ * Shows a delivery note to a client through a remote signing link.
+ * Public endpoint: access is granted by the one-time token only.
+ * @async
+ * @function getPublicDeliveryNote
+ * @param {import('express').Request} req - Express request object. Params: { token: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the link is invalid, expired or already used.
+ */
+const getPublicDeliveryNote = async (req, res) => {
+   const deliveryNote = await findNoteBySignatureToken(req.params.token)
+      .populate('createdBy', 'firstName lastName email company')
+      .populate('client', 'name email cif address')
+      .populate('project', 'name description');
+
+   if (!deliveryNote) {
+      throw new ApiError(404, 'Signing link is invalid, expired or already used.', 'INVALID_SIGNING_LINK');
+   }
+
+   const provider = deliveryNote.createdBy;
+   res.status(200).json({
+      message: 'Delivery note retrieved successfully.',
+      data: {
+         deliveryNoteNumber: deliveryNote.deliveryNoteNumber,
+         date: deliveryNote.date,
+         provider: {
+            name: provider?.company?.name || `${provider?.firstName || ''} ${provider?.lastName || ''}`.trim(),
+            cif: provider?.company?.cif || null,
+         },
+         client: deliveryNote.client,
+         project: deliveryNote.project,
+         items: deliveryNote.items,
+         subtotal: deliveryNote.subtotal,
+         typeSubtotals: deliveryNote.typeSubtotals,
+         taxBreakdown: deliveryNote.taxBreakdown,
+         totalAmount: deliveryNote.totalAmount,
+         notes: deliveryNote.notes,
+         expiresAt: deliveryNote.signatureRequest.expiresAt,
+      },
+   });
+};
+
+/**
+ * Signs a delivery note through a remote signing link with an uploaded signature image.
+ * Public endpoint: the link is consumed on success and cannot be reused.
+ * Runs the same PDF generation and storage flow as signDeliveryNote.
+ * @async
+ * @function signPublicDeliveryNote
+ * @param {import('express').Request} req - Express request object. Params: { token: string }. Multipart: signature (image), signerName?
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the link is invalid or any step in the signing process fails.
+ */
+const signPublicDeliveryNote = async (req, res) => {
+   if (!req.file) {
+      throw new ApiError(400, 'Signature image is required.', 'MISSING_SIGNATURE_IMAGE');
+   }
+
+   const session = await mongoose.startSession();
+   session.startTransaction();
+   const uploadedKeys = [];
+
+   try {
+      const deliveryNote = await findNoteBySignatureToken(req.params.token)
+         .populate('createdBy', PROVIDER_FIELDS)
+         .populate('client')
+         .populate('project')
+         .session(session);
+
+      if (!deliveryNote) {
+         throw new ApiError(404, 'Signing link is invalid, expired or already used.', 'INVALID_SIGNING_LINK');
+      }
+
+      const extension = path.extname(req.file.originalname) || '.png';
+      const signatureFileName = `Firma_${deliveryNote.deliveryNoteNumber || 'DN'}_${Date.now()}${extension}`;
+      const signatureKey = await storage.upload(req.file.buffer, {
+         folder: 'signatures',
+         fileName: signatureFileName,
+         contentType: req.file.mimetype,
+      });
+      uploadedKeys.push(signatureKey);
+
+      const before = auditService.snapshot(deliveryNote);
+      // Consume the link before saving so it cannot be used twice
+      deliveryNote.signatureRequest.usedAt = new Date();
+      deliveryNote.signatureRequest.tokenHash = null;
+
+      const { deliveryNote: signedDeliveryNote, pdfBuffer } = await completeSignature(deliveryNote, {
+         signatureUrl: signatureKey,
+         signedAt: new Date(),
+         signedBy: null,
+         signerName: req.body.signerName,
+         comment: `Signed remotely by ${deliveryNote.signatureRequest.sentTo}`,
+         signatureImage: req.file.buffer,
+      }, session, uploadedKeys);
+      await session.commitTransaction();
+      // Signed by the client through the link, not by a user
+      await auditService.record(req, {
+         action: 'sign',
+         resourceType: 'deliverynote',
+         document: signedDeliveryNote,
+         before,
+         actor: null,
+         actorEmail: signedDeliveryNote.signatureRequest.sentTo,
+      });
+
+      const pdfEmail = await notifySigned(signedDeliveryNote, pdfBuffer);
+
+      res.status(200).json({
+         message: 'Delivery note signed successfully. Thank you.',
+         data: {
+            deliveryNoteNumber: signedDeliveryNote.deliveryNoteNumber,
+            signedAt: signedDeliveryNote.signedDate,
+            pdfGatewayUrl: storage.getUrl(signedDeliveryNote.pdfUrl),
+            emailedTo: pdfEmail?.sentTo || null,
+         },
+      });
+
+   } catch (error) {
+      if (session.inTransaction()) {
+         await session.abortTransaction();
+         await removeUploads(uploadedKeys);
+      }
+
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(500, 'Failed to sign delivery note.', 'SIGN_NOTE_ERROR', { detail: error.message });
+   } finally {
+      session.endSession();
+   }
+};
+
+/**
+ * Retrieves the current status of a delivery note and its transition history.
+ * @async
+ * @function getDeliveryNoteStatus
+ * @param {import('express').Request} req - Express request object. Params: { id: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the note is not found or user lacks permission.
+ */
+const getDeliveryNoteStatus = async (req, res) => {
+   const scope = getScopeFilter(req.user);
+   const { id } = req.params;
+
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope })
+      .select('deliveryNoteNumber status statusHistory')
+      .populate('statusHistory.changedBy', 'firstName lastName email');
+
+   if (!deliveryNote) {
+      throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
+   }
+
+   res.status(200).json({
+      message: 'Delivery note status retrieved successfully.',
+      data: {
+         status: deliveryNote.status,
+         allowedTransitions: getManualTransitions(deliveryNote.status),
+         history: deliveryNote.statusHistory,
+      },
+   });
+};
+
+/**
+ * Moves a delivery note to a new status following the workflow state machine.
+ * Signing is not allowed here: it needs a signature and goes through signDeliveryNote.
+ * @async
+ * @function changeDeliveryNoteStatus
+ * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { status: string, comment?: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the note is not found or the transition is not allowed.
+ */
+const changeDeliveryNoteStatus = async (req, res) => {
+   const scope = getScopeFilter(req.user);
+   const { id } = req.params;
+   const { status, comment } = req.body;
+
+   if (SYSTEM_STATUSES.includes(status)) {
+      throw new ApiError(400, `Status '${status}' cannot be set manually.`, 'STATUS_NOT_MANUAL');
+   }
+
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope });
+
+   if (!deliveryNote) {
+      throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
+   }
+
+   if (!deliveryNote.canTransitionTo(status)) {
+      throw new ApiError(
+         409,
+         `Cannot change delivery note status from '${deliveryNote.status}' to '${status}'.`,
+         'INVALID_STATUS_TRANSITION',
+         { allowedTransitions: getManualTransitions(deliveryNote.status) }
+      );
+   }
+
+   const before = auditService.snapshot(deliveryNote);
+   deliveryNote.transitionTo(status, req.user.id, comment);
+   await deliveryNote.save();
+   await auditService.record(req, { action: 'update', resourceType: 'deliverynote', document: deliveryNote, before });
+
+   res.status(200).json({
+      message: 'Delivery note status updated successfully.',
+      data: {
+         status: deliveryNote.status,
+         history: deliveryNote.statusHistory,
+      },
+   });
+};
+
 /**
  * Downloads the PDF of a delivery note.
- * It first tries to redirect to a cloud/IPFS URL if available.
- * Permissions are checked: only the owner or a guest of the owner's company can download.
+ * It first tries to redirect to the public storage URL if available.
+ * Permissions are checked: only the owner or a member of the note's company can download.
  * @async
  * @function downloadDeliveryNotePdf
  * @param {import('express').Request} req - Express request object. Params: { id: string }
@@ -591,24 +1152,20 @@ const downloadDeliveryNotePdf = async (req, res) => {
    const requestorUserId = req.user.id;
    const { id } = req.params;
 
-   const deliveryNote = await DeliveryNote.findById(id)
-      .populate({ path: 'createdBy', select: 'companyId' }); // Only need companyId for creator
+   const deliveryNote = await DeliveryNote.findById(id);
 
    if (!deliveryNote) {
       throw new ApiError(404, 'Delivery note not found.', 'NOTE_NOT_FOUND');
    }
 
    // Permission Check
-   const isOwner = deliveryNote.createdBy._id.toString() === requestorUserId;
-   let isGuestOfCompany = false;
-   if (!isOwner && deliveryNote.createdBy.companyId) { // Check companyId only if not owner
-      const requestorUser = await User.findById(requestorUserId).select('companyId');
-      if (requestorUser && requestorUser.companyId) {
-         isGuestOfCompany = requestorUser.companyId.toString() === deliveryNote.createdBy.companyId.toString();
-      }
-   }
+   const isOwner = deliveryNote.createdBy.toString() === requestorUserId;
+   const isMemberOfCompany = Boolean(
+      deliveryNote.company && req.user.companyId &&
+      deliveryNote.company.toString() === req.user.companyId
+   );
 
-   if (!isOwner && !isGuestOfCompany) {
+   if (!isOwner && !isMemberOfCompany) {
       throw new ApiError(403, 'Access denied. You do not have permission to download this PDF.', 'PDF_DOWNLOAD_FORBIDDEN');
    }
 
@@ -616,13 +1173,13 @@ const downloadDeliveryNotePdf = async (req, res) => {
       throw new ApiError(404, 'PDF is not available. The delivery note may not be signed yet.', 'PDF_NOT_AVAILABLE');
    }
 
-   const pdfGatewayUrl = getIpfsUrl(deliveryNote.pdfUrl);
+   const pdfGatewayUrl = storage.getUrl(deliveryNote.pdfUrl);
    if (pdfGatewayUrl) {
-      console.log(`Redirecting PDF download for note ${id} to IPFS: ${pdfGatewayUrl}`);
+      console.log(`Redirecting PDF download for note ${id} to storage: ${pdfGatewayUrl}`);
       res.setHeader('Content-Disposition', `attachment; filename="Albaran_${deliveryNote.deliveryNoteNumber || id}.pdf"`);
       return res.redirect(302, pdfGatewayUrl);
    } else {
-      console.warn(`PDF URL (CID) for signed note ${id} is missing or invalid, attempting to generate on-the-fly.`);
+      console.warn(`PDF URL (storage key) for signed note ${id} is missing or invalid, attempting to generate on-the-fly.`);
       try {
          const populatedNoteForPdf = await DeliveryNote.findById(id)
             .populate('createdBy', 'firstName lastName email company')
@@ -652,10 +1209,10 @@ const downloadDeliveryNotePdf = async (req, res) => {
  * @throws {ApiError} If note not found, delete forbidden (signed), or DB error.
  */
 const deleteDeliveryNote = async (req, res) => {
-   const userId = req.user.id;
+   const scope = getScopeFilter(req.user);
    const { id } = req.params;
 
-   const deliveryNote = await DeliveryNote.findOne({ _id: id, createdBy: userId });
+   const deliveryNote = await DeliveryNote.findOne({ _id: id, ...scope });
 
    if (!deliveryNote) {
       throw new ApiError(404, 'Delivery note not found or access denied.', 'NOTE_NOT_FOUND');
@@ -665,11 +1222,12 @@ const deleteDeliveryNote = async (req, res) => {
       throw new ApiError(403, 'Cannot delete a signed delivery note.', 'DELETE_SIGNED_FORBIDDEN');
    }
 
-   // Consider unpinning from IPFS if signatureUrl or pdfUrl exist for an unsigned note (though unlikely)
-   // if (deliveryNote.signatureUrl && pinataApiKey && pinataSecretApiKey) { /* try await pinata.unpin(deliveryNote.signatureUrl) */ }
-   // if (deliveryNote.pdfUrl && pinataApiKey && pinataSecretApiKey) { /* try await pinata.unpin(deliveryNote.pdfUrl) */ }
+   // Consider removing signatureUrl or pdfUrl from storage if they exist for an unsigned note (though unlikely)
+   // if (deliveryNote.signatureUrl) { /* try await storage.remove(deliveryNote.signatureUrl) */ }
+   // if (deliveryNote.pdfUrl) { /* try await storage.remove(deliveryNote.pdfUrl) */ }
 
-   await DeliveryNote.deleteOne({ _id: id, createdBy: userId });
+   await DeliveryNote.deleteOne({ _id: id, ...scope });
+   await auditService.record(req, { action: 'delete', resourceType: 'deliverynote', document: deliveryNote });
 
    res.status(200).json({ message: 'Delivery note deleted successfully.' });
 };
@@ -692,9 +1250,16 @@ const abortTransaction = async (session, errorToReThrow, next) => {
 module.exports = {
    createDeliveryNote,
    getAllDeliveryNotes,
+   exportDeliveryNotes,
    getDeliveryNoteById,
    updateDeliveryNote,
    signDeliveryNote,
+   requestRemoteSignature,
+   sendSignedDeliveryNote,
+   getPublicDeliveryNote,
+   signPublicDeliveryNote,
+   getDeliveryNoteStatus,
+   changeDeliveryNoteStatus,
    downloadDeliveryNotePdf,
    deleteDeliveryNote,
 };
@@ -0,0 +1,343 @@
+// File: controllers/invitationController.js
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/handleError');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const companyService = require('../services/companyService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const handleEmail = require('../utils/handleEmail');
+const config = require('../config/config');
+
+/**
+ * Public link of an invitation, with its one-time token
+ * @param {string} token - Plain invitation token
+ * @returns {string} URL of the invitation
+ */
+const getInvitationUrl = (token) => `${config.publicUrl}/api/user/invitations/${token}`;
+
+/**
+ * Load the company of the authenticated user; the member:invite permission is checked by the route
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Company document
+ * @throws {ApiError} 404 without company
+ */
+const findManagedCompany = async (user) => {
+   const company = user.companyId ? await Company.findById(user.companyId) : null;
+   if (!company) {
+      throw new ApiError(404, 'You do not belong to any company', 'not_found');
+   }
+   return company;
+};
+
+/**
+ * Find the pending invitation of a link
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<Object>} Invitation document with its company populated
+ * @throws {ApiError} 404 if the link is unknown, expired or already answered
+ */
+const findInvitationByToken = async (token) => {
+   const invitation = await Invitation.findOne({
+      tokenHash: authService.hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+   }).populate('company', 'name');
+
+   if (!invitation || !invitation.company) {
+      throw new ApiError(404, 'Invitation link is invalid, expired or already used.', 'INVALID_INVITATION');
+   }
+   return invitation;
+};
+
+/**
+ * Public data of an invitation
+ * @param {Object} invitation - Invitation document
+ * @returns {Object} Invitation summary
+ */
+const describeInvitation = (invitation) => ({
+   id: invitation.id,
+   email: invitation.email,
+   role: invitation.role,
+   status: invitation.status,
+   expiresAt: invitation.expiresAt,
+});
+
+/**
+ * @desc Invite someone to the company of the current user. The invitee joins when accepting
+ * the emailed link; inviting the same email again renews its pending invitation.
+ * @route POST /api/user/invite
+ * @access Private (member:invite permission; only the owner invites admins)
+ */
+exports.createInvitation = async (req, res) => {
+   const { email, role = 'guest' } = req.body;
+
+   const owner = await User.findById(req.user.id);
+   if (!owner) {
+      throw new ApiError(404, 'User not found', 'not_found');
+   }
+
+   // Load the inviter's company, creating it from the embedded data if needed
+   let company = owner.companyId ? await Company.findById(owner.companyId) : null;
+   if (!company) {
+      if (!owner.company?.name) {
+         throw new ApiError(400, 'You must configure your company data before inviting members', 'bad_request');
+      }
+      company = await companyService.upsertOwnedCompany(owner);
+   }
+
+   // The route checked the permission unless the company has just been created
+   const inviter = company.getMember(owner._id);
+   if (!inviter || !permissionService.hasPermission(inviter.role, 'member:invite')) {
+      throw new ApiError(403, 'Your role in the company does not allow this action', 'FORBIDDEN', { permission: 'member:invite', role: inviter?.role });
+   }
+   if (!permissionService.canManageRole(inviter.role, role)) {
+      throw new ApiError(403, `You cannot give the ${role} role`, 'forbidden');
+   }
+
+   const invitee = await User.findOne({ email });
+   if (invitee && company.getMember(invitee._id)) {
+      throw new ApiError(409, 'User is already a member of this company', 'conflict');
+   }
+   if (invitee?.companyId && invitee.companyId.toString() !== company.id) {
+      throw new ApiError(409, 'User already belongs to another company', 'conflict');
+   }
+
+   const token = authService.generateResetToken();
+   const data = {
+      role,
+      tokenHash: authService.hashToken(token),
+      invitedBy: owner._id,
+      expiresAt: new Date(Date.now() + config.invitation.expiresIn),
+   };
+
+   // Renew the pending invitation (and its link) or start a new one
+   let invitation = await Invitation.findOne({ company: company._id, email, status: 'pending' });
+   const renewed = Boolean(invitation);
+   if (invitation) {
+      invitation.set(data);
+   } else {
+      invitation = new Invitation({ ...data, company: company._id, email });
+   }
+   await invitation.save();
+
+   try {
+      await handleEmail.sendInvitationEmail(
+         email,
+         {
+            companyName: company.name,
+            invitationUrl: getInvitationUrl(token),
+            expiresAt: invitation.expiresAt,
+            hasAccount: Boolean(invitee),
+         },
+         handleEmail.getEmailOptions(owner)
+      );
+   } catch (emailError) {
+      console.error('Error sending invitation email:', emailError);
+      throw new ApiError(502, 'Invitation could not be emailed. Please try again.', 'EMAIL_SEND_ERROR');
+   }
+
+   res.status(renewed ? 200 : 201).json({
+      message: renewed ? 'Invitation sent again' : 'Invitation sent',
+      invitation: describeInvitation(invitation),
+   });
+};
+
+/**
+ * @desc List the pending invitations of the current user's company
+ * @route GET /api/company/invitations
+ * @access Private (member:invite permission)
+ */
+exports.listInvitations = async (req, res) => {
+   const company = await findManagedCompany(req.user);
+
+   const invitations = await Invitation.find({ company: company._id, status: 'pending', expiresAt: { $gt: new Date() } })
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+   res.status(200).json({
+      message: 'Invitations retrieved successfully',
+      invitations: invitations.map(invitation => ({
+         ...describeInvitation(invitation),
+         invitedBy: invitation.invitedBy,
+         createdAt: invitation.createdAt,
+      })),
+   });
+};
+
+/**
+ * @desc Cancel a pending invitation; its link stops working
+ * @route DELETE /api/company/invitations/:invitationId
+ * @access Private (member:invite permission)
+ */
+exports.revokeInvitation = async (req, res) => {
+   const company = await findManagedCompany(req.user);
+
+   const invitation = await Invitation.findOne({ _id: req.params.invitationId, company: company._id, status: 'pending' });
+   if (!invitation) {
+      throw new ApiError(404, 'Invitation not found', 'not_found');
+   }
+
+   invitation.respond('revoked');
+   await invitation.save();
+
+   res.status(200).json({ message: 'Invitation revoked successfully' });
+};
+
+/**
+ * @desc Show an invitation through its link, telling whether the invitee has to create an account
+ * @route GET /api/user/invitations/:token
+ * @access Public (invitation token)
+ */
+exports.getInvitation = async (req, res) => {
+   const invitation = await findInvitationByToken(req.params.token);
+   const hasAccount = await User.exists({ email: invitation.email });
+
+   res.status(200).json({
+      message: 'Invitation retrieved successfully',
+      invitation: {
+         ...describeInvitation(invitation),
+         company: { id: invitation.company.id, name: invitation.company.name },
+         hasAccount: Boolean(hasAccount),
+      },
+   });
+};
+
+/**
+ * @desc Accept an invitation and join the company. Invitees without an account create it here
+ * with their own password and are logged in; existing users keep their credentials and must
+ * be logged in with the invited account.
+ * @route POST /api/user/invitations/:token/accept
+ * @access Public (invitation token; existing users also need their token)
+ */
+exports.acceptInvitation = async (req, res) => {
+   const invitation = await findInvitationByToken(req.params.token);
+   const company = await Company.findById(invitation.company._id);
+   let user = await User.findOne({ email: invitation.email });
+
+   if (user?.companyId && user.companyId.toString() !== company.id) {
+      throw new ApiError(409, 'You already belong to another company', 'conflict');
+   }
+   if (!user && !req.body.password) {
+      throw new ApiError(400, 'Choose a password to create your account.', 'PASSWORD_REQUIRED');
+   }
+   // Holding the link is not enough to move an existing account: its owner must be logged in
+   if (user && !req.user) {
+      throw new ApiError(401, 'Log in with the invited account to accept this invitation.', 'LOGIN_REQUIRED');
+   }
+   if (user && req.user.id !== user.id) {
+      throw new ApiError(403, 'This invitation was sent to another account.', 'forbidden');
+   }
+
+   const isNewUser = !user;
+   let password;
+   let inviter;
+   if (isNewUser) {
+      password = await authService.hashPassword(req.body.password);
+      inviter = await User.findById(invitation.invitedBy).select('language');
+   }
+
+   // The invitation, the account and the membership change together or not at all
+   const session = await mongoose.startSession();
+   session.startTransaction();
+   let before = null;
+
+   try {
+      // Claim the invitation first so the link cannot be used twice
+      const claimed = await Invitation.findOneAndUpdate(
+         { _id: invitation._id, status: 'pending' },
+         { status: 'accepted', respondedAt: new Date() },
+         { new: true, session }
+      );
+      if (!claimed) {
+         throw new ApiError(404, 'Invitation link is invalid, expired or already used.', 'INVALID_INVITATION');
+      }
+
+      if (isNewUser) {
+         const { firstName, lastName, language } = req.body;
+         [user] = await User.create([{
+            email: invitation.email,
+            password,
+            firstName,
+            lastName,
+            role: 'guest',
+            // The link was emailed to this address
+            isEmailVerified: true,
+            language: language || inviter?.language,
+         }], { session });
+      } else {
+         before = auditService.snapshot(user);
+      }
+
+      user.companyId = company._id;
+      await user.save({ session });
+      // What the user created before joining stays visible, as when creating an own company
+      if (!isNewUser) {
+         await companyService.adoptUserDocuments(user._id, company._id, session);
+      }
+      company.addMember(user._id, invitation.role);
+      await company.save({ session });
+
+      claimed.user = user._id;
+      await claimed.save({ session });
+
+      await session.commitTransaction();
+   } catch (error) {
+      if (session.inTransaction()) {
+         await session.abortTransaction();
+      }
+      throw error;
+   } finally {
+      session.endSession();
+   }
+
+   await auditService.record(req, {
+      action: isNewUser ? 'create' : 'update',
+      resourceType: 'user',
+      document: user,
+      before,
+      actor: user._id,
+      actorEmail: user.email,
+   });
+
+   const body = {
+      message: 'Invitation accepted',
+      company: { id: company.id, name: company.name },
+      role: invitation.role,
+   };
+
+   if (!isNewUser) {
+      return res.status(200).json(body);
+   }
+
+   // New accounts are logged in straight away
+   const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.getClientInfo(req));
+   res.status(201).json({
+      ...body,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+         id: user.id,
+         email: user.email,
+         role: user.role,
+         status: 'verified',
+      },
+   });
+};
+
+/**
+ * @desc Decline an invitation; its link stops working
+ * @route POST /api/user/invitations/:token/decline
+ * @access Public (invitation token)
+ */
+exports.declineInvitation = async (req, res) => {
+   const invitation = await findInvitationByToken(req.params.token);
+
+   invitation.respond('declined');
+   await invitation.save();
+
+   res.status(200).json({ message: 'Invitation declined' });
+};
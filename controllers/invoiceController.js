@@ -0,0 +1,382 @@
+// File: controllers/invoiceController.js
+const mongoose = require('mongoose');
+
+// Models
+const Invoice = require('../models/Invoice');
+const DeliveryNote = require('../models/DeliveryNote');
+const Company = require('../models/Company');
+const User = require('../models/User');
+
+// Error Handling
+const { ApiError } = require('../middleware/handleError');
+
+// Services
+const { getScopeFilter, getCompanyId } = require('../services/companyService');
+const storage = require('../services/storage');
+const numberingService = require('../services/numberingService');
+const { buildFilter, paginate } = require('../services/queryService');
+const { renderPdf, writeProvider, writeClient, formatAmount } = require('../services/pdfService');
+const config = require('../config/config');
+
+/**
+ * Checks whether the issuer is autonomous, which requires an IRPF retention.
+ * Uses the company when the user belongs to one, otherwise the user's own company data.
+ * @async
+ * @param {object} user - Authenticated user (req.user).
+ * @returns {Promise<boolean>} True if the issuer is autonomous.
+ */
+const isAutonomousIssuer = async (user) => {
+   if (user.companyId) {
+      const company = await Company.findById(user.companyId).select('isAutonomous');
+      return Boolean(company?.isAutonomous);
+   }
+   const issuer = await User.findById(user.id).select('company.isAutonomous');
+   return Boolean(issuer?.company?.isAutonomous);
+};
+
+/**
+ * Adds the public PDF URL to an invoice for API responses.
+ * @param {object} invoice - Mongoose Invoice document.
+ * @returns {object} Plain invoice object with pdfGatewayUrl.
+ */
+const toResponse = (invoice) => {
+   const invoiceObj = invoice.toObject();
+   return {
+      ...invoiceObj,
+      pdfGatewayUrl: storage.getUrl(invoiceObj.pdfUrl),
+   };
+};
+
+/**
+ * Generates a PDF buffer for an invoice with the same pipeline as delivery notes.
+ * The PDF includes provider, client, billed lines grouped by delivery note and the tax breakdown.
+ * @async
+ * @param {object} invoice - A populated Mongoose Invoice document.
+ * Must include createdBy, client and deliveryNotes populated.
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF buffer.
+ * @throws {ApiError} If PDF generation fails.
+ */
+const generateInvoicePdfBuffer = async (invoice) => {
+   return renderPdf((doc) => {
+      doc.fontSize(18).text(`Invoice #${invoice.invoiceNumber}`, { align: 'center' });
+      doc.fontSize(10).text(`Issue date: ${new Date(invoice.issueDate).toLocaleDateString('en-US')}`, { align: 'right' });
+      if (invoice.dueDate) {
+         doc.text(`Due date: ${new Date(invoice.dueDate).toLocaleDateString('en-US')}`, { align: 'right' });
+      }
+      doc.moveDown(2);
+
+      writeProvider(doc, invoice.createdBy);
+      writeClient(doc, invoice.client);
+
+      // Lines Table
+      doc.fontSize(12).text('Items:', { underline: true });
+      doc.moveDown(0.5);
+      const tableTop = doc.y;
+      const itemX = 50;
+      const noteX = 260;
+      const qtyX = 330;
+      const priceX = 400;
+      const totalItemX = 480;
+
+      doc.fontSize(10);
+      doc.text('Description', itemX, tableTop, { width: 200, lineBreak: false });
+      doc.text('Note', noteX, tableTop, { width: 70, lineBreak: false });
+      doc.text('Quantity', qtyX, tableTop, { width: 60, align: 'right', lineBreak: false });
+      doc.text('Unit Price', priceX, tableTop, { width: 70, align: 'right', lineBreak: false });
+      doc.text('Amount', totalItemX, tableTop, { width: 70, align: 'right' });
+      doc.moveDown(0.2);
+      doc.moveTo(itemX, doc.y).lineTo(totalItemX + 70, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      const noteNumbers = new Map(
+         (invoice.deliveryNotes || []).map(note => [note._id.toString(), note.deliveryNoteNumber])
+      );
+
+      invoice.lines.forEach(line => {
+         const yPosition = doc.y;
+         doc.text(line.description, itemX, yPosition, { width: 200 });
+         const lineY = doc.y;
+
+         doc.text(noteNumbers.get(line.deliveryNote.toString()) || '-', noteX, yPosition, { width: 70 });
+         doc.text(line.quantity.toString(), qtyX, yPosition, { width: 60, align: 'right' });
+         doc.text(formatAmount(line.unitPrice), priceX, yPosition, { width: 70, align: 'right' });
+         doc.text(formatAmount(line.amount), totalItemX, yPosition, { width: 70, align: 'right' });
+
+         doc.y = Math.max(lineY, doc.y);
+         doc.moveDown(0.7);
+      });
+
+      // Tax breakdown
+      doc.moveTo(priceX - 10, doc.y).lineTo(totalItemX + 70, doc.y).stroke();
+      doc.moveDown(0.5);
+      const writeTotal = (label, amount) => {
+         const y = doc.y;
+         doc.text(label, itemX, y, { width: priceX + 70 - itemX, align: 'right' });
+         doc.text(amount, totalItemX, y, { width: 70, align: 'right' });
+         doc.moveDown(0.3);
+      };
+      writeTotal('Tax base:', formatAmount(invoice.subtotal));
+      invoice.taxBreakdown.forEach(tax => {
+         writeTotal(`IVA ${tax.rate}% on ${formatAmount(tax.base)}:`, formatAmount(tax.amount));
+      });
+      if (invoice.irpfRate > 0) {
+         writeTotal(`IRPF retention (${invoice.irpfRate}%):`, `-${formatAmount(invoice.irpfAmount)}`);
+      }
+      doc.fontSize(11);
+      writeTotal('Total:', formatAmount(invoice.total));
+
+      if (invoice.notes) {
+         doc.moveDown();
+         doc.fontSize(10).text('Additional Notes:', itemX, doc.y, { underline: true });
+         doc.text(invoice.notes, { align: 'left', width: 500 });
+      }
+   });
+};
+
+/**
+ * Creates an invoice from one or more signed delivery notes of the same client.
+ * The notes are copied into invoice lines and moved to the 'invoiced' status.
+ * IVA is applied with the rate of each item unless ivaRate overrides it for every line;
+ * IRPF is withheld by default when the issuer is autonomous.
+ * The invoice PDF is generated and stored.
+ * @async
+ * @function createInvoice
+ * @param {import('express').Request} req - Express request object. Body: { deliveryNoteIds, issueDate?, dueDate?, ivaRate?, irpfRate?, notes? }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If notes are missing, not signed, from different clients, or creation fails.
+ */
+const createInvoice = async (req, res) => {
+   const session = await mongoose.startSession();
+   session.startTransaction();
+
+   // PDF uploaded by this request, deleted again if the invoice is not committed
+   let pdfKey = null;
+   let committed = false;
+
+   try {
+      const userId = req.user.id;
+      const scope = getScopeFilter(req.user);
+      const { deliveryNoteIds, dueDate, ivaRate, irpfRate, notes } = req.body;
+      const issueDate = req.body.issueDate || new Date();
+      const noteIds = [...new Set(deliveryNoteIds.map(String))];
+
+      const deliveryNotes = await DeliveryNote.find({ _id: { $in: noteIds }, ...scope })
+         .sort({ date: 1 })
+         .session(session);
+
+      if (deliveryNotes.length !== noteIds.length) {
+         throw new ApiError(404, 'One or more delivery notes were not found or access denied.', 'NOTE_NOT_FOUND');
+      }
+
+      const notInvoiceable = deliveryNotes.filter(note => note.status !== 'signed');
+      if (notInvoiceable.length > 0) {
+         throw new ApiError(409, 'Only signed delivery notes that have not been invoiced yet can be invoiced.', 'NOTE_NOT_INVOICEABLE', {
+            deliveryNotes: notInvoiceable.map(note => ({ id: note._id, deliveryNoteNumber: note.deliveryNoteNumber, status: note.status })),
+         });
+      }
+
+      const clientId = deliveryNotes[0].client.toString();
+      if (deliveryNotes.some(note => note.client.toString() !== clientId)) {
+         throw new ApiError(400, 'All delivery notes of an invoice must belong to the same client.', 'MIXED_CLIENTS');
+      }
+
+      const autonomous = await isAutonomousIssuer(req.user);
+      const invoiceNumber = await numberingService.allocateNumber(req.user, 'invoice', issueDate, session);
+
+      const invoice = new Invoice({
+         invoiceNumber,
+         createdBy: userId,
+         company: getCompanyId(req.user),
+         client: clientId,
+         deliveryNotes: deliveryNotes.map(note => note._id),
+         lines: deliveryNotes.flatMap(note => note.items.map(item => ({
+            deliveryNote: note._id,
+            description: item.description,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice || 0,
+            discount: item.discount || 0,
+            taxRate: ivaRate ?? item.taxRate,
+         }))),
+         issueDate,
+         dueDate: dueDate || new Date(issueDate.getTime() + config.invoice.paymentTermDays * 24 * 60 * 60 * 1000),
+         irpfRate: irpfRate ?? (autonomous ? config.invoice.irpfRate : 0),
+         notes,
+      });
+
+      for (const note of deliveryNotes) {
+         note.transitionTo('invoiced', userId, `Invoiced in ${invoiceNumber}`);
+         note.invoice = invoice._id;
+         await note.save({ session });
+      }
+
+      await invoice.populate([
+         { path: 'createdBy', select: 'firstName lastName email nif company' },
+         { path: 'client' },
+      ]);
+      invoice.deliveryNotes = deliveryNotes;
+      invoice.calculateTotals();
+
+      const pdfBuffer = await generateInvoicePdfBuffer(invoice);
+      pdfKey = await storage.upload(pdfBuffer, {
+         folder: 'invoices',
+         fileName: `Factura_${invoiceNumber}_${Date.now()}.pdf`,
+         contentType: 'application/pdf',
+      });
+      invoice.pdfUrl = pdfKey;
+
+      await invoice.save({ session });
+      await session.commitTransaction();
+      committed = true;
+
+      const createdInvoice = await Invoice.findById(invoice._id)
+         .populate('client', 'name email')
+         .populate('deliveryNotes', 'deliveryNoteNumber date totalAmount');
+
+      res.status(201).json({
+         message: 'Invoice created successfully.',
+         data: toResponse(createdInvoice),
+      });
+
+   } catch (error) {
+      if (session.inTransaction()) {
+         await session.abortTransaction();
+      }
+      if (pdfKey && !committed) {
+         await storage.remove(pdfKey).catch(removeError => {
+            console.error(`Error deleting orphaned file '${pdfKey}':`, removeError.message);
+         });
+      }
+
+      if (error instanceof ApiError) throw error;
+
+      if (error.name === 'ValidationError') {
+         throw new ApiError(400, 'Validation failed', 'VALIDATION_ERROR', { detail: error.message });
+      }
+
+      console.error('Error creating invoice:', error);
+      throw new ApiError(500, 'Failed to create invoice.', 'CREATE_INVOICE_ERROR', { detail: error.message });
+   } finally {
+      session.endSession();
+   }
+};
+
+/**
+ * Retrieves the invoices of the logged-in user (or company), newest first, one page at a time.
+ * Can be filtered by payment state, client and issue date range.
+ * @async
+ * @function getInvoices
+ * @param {import('express').Request} req - Express request object. Query: { page?, limit?, cursor?, sort?, isPaid?, clientId?, dateFrom?, dateTo? }
+ * @param {import('express').Response} res - Express response object.
+ */
+const getInvoices = async (req, res) => {
+   const filter = {
+      ...buildFilter(req.query, {
+         isPaid: { type: 'exact' },
+         clientId: { type: 'exact', path: 'client' },
+         dateFrom: { type: 'from', path: 'issueDate' },
+         dateTo: { type: 'to', path: 'issueDate' },
+      }),
+      ...getScopeFilter(req.user),
+   };
+
+   const { items: invoices, pagination } = await paginate(Invoice, filter, {
+      query: req.query,
+      defaultSort: '-issueDate',
+      populate: [['client', 'name']],
+   });
+
+   res.status(200).json({
+      message: 'Invoices retrieved successfully.',
+      count: invoices.length,
+      data: invoices.map(toResponse),
+      pagination,
+   });
+};
+
+/**
+ * Retrieves a single invoice with its client and delivery notes.
+ * @async
+ * @function getInvoiceById
+ * @param {import('express').Request} req - Express request object. Params: { id: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the invoice is not found or user lacks permission.
+ */
+const getInvoiceById = async (req, res) => {
+   const invoice = await Invoice.findOne({ _id: req.params.id, ...getScopeFilter(req.user) })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('client')
+      .populate('deliveryNotes', 'deliveryNoteNumber date totalAmount project');
+
+   if (!invoice) {
+      throw new ApiError(404, 'Invoice not found or access denied.', 'INVOICE_NOT_FOUND');
+   }
+
+   res.status(200).json({
+      message: 'Invoice retrieved successfully.',
+      data: toResponse(invoice),
+   });
+};
+
+/**
+ * Marks an invoice as paid or unpaid.
+ * @async
+ * @function updateInvoicePayment
+ * @param {import('express').Request} req - Express request object. Params: { id: string }. Body: { isPaid: boolean, paidAt?: Date }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the invoice is not found or user lacks permission.
+ */
+const updateInvoicePayment = async (req, res) => {
+   const invoice = await Invoice.findOne({ _id: req.params.id, ...getScopeFilter(req.user) });
+
+   if (!invoice) {
+      throw new ApiError(404, 'Invoice not found or access denied.', 'INVOICE_NOT_FOUND');
+   }
+
+   invoice.setPaid(req.body.isPaid, req.body.paidAt || new Date());
+   await invoice.save();
+
+   res.status(200).json({
+      message: invoice.isPaid ? 'Invoice marked as paid.' : 'Invoice marked as unpaid.',
+      data: toResponse(invoice),
+   });
+};
+
+/**
+ * Downloads the PDF of an invoice.
+ * Redirects to the stored PDF, or generates it on the fly if it is not stored.
+ * @async
+ * @function downloadInvoicePdf
+ * @param {import('express').Request} req - Express request object. Params: { id: string }
+ * @param {import('express').Response} res - Express response object.
+ * @throws {ApiError} If the invoice is not found or user lacks permission.
+ */
+const downloadInvoicePdf = async (req, res) => {
+   const invoice = await Invoice.findOne({ _id: req.params.id, ...getScopeFilter(req.user) })
+      .populate('createdBy', 'firstName lastName email nif company')
+      .populate('client')
+      .populate('deliveryNotes', 'deliveryNoteNumber');
+
+   if (!invoice) {
+      throw new ApiError(404, 'Invoice not found or access denied.', 'INVOICE_NOT_FOUND');
+   }
+
+   const fileName = `Factura_${invoice.invoiceNumber}.pdf`;
+   const pdfUrl = storage.getUrl(invoice.pdfUrl);
+   if (pdfUrl) {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.redirect(302, pdfUrl);
+   }
+
+   const pdfBuffer = await generateInvoicePdfBuffer(invoice);
+   res.setHeader('Content-Type', 'application/pdf');
+   res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+   res.send(pdfBuffer);
+};
+
+module.exports = {
+   createInvoice,
+   getInvoices,
+   getInvoiceById,
+   updateInvoicePayment,
+   downloadInvoicePdf,
+};
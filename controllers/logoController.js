@@ -1,8 +1,7 @@
 // File: controllers/logoController.js
-const { config } = require('dotenv');
 const User = require('../models/User');
-const fs = require('fs');
 const path = require('path');
+const storage = require('../services/storage');
 
 /**
  * Upload company logo
@@ -18,30 +17,32 @@ exports.uploadLogo = async(req, res) => {
         const userId = req.user.id;
         const file = req.file;
 
-        // Generate URL for the uploaded file
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
-        const relativePath = `/uploads/logos/${file.filename}`;
-        const logoUrl = `${baseUrl}${relativePath}`;
-
         // Find user
         const user = await User.findById(userId);
         if (!user) {
-            fs.unlinkSync(file.path);
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Store the file with a unique filename with user ID and timestamp
+        const extension = path.extname(file.originalname);
+        const key = await storage.upload(file.buffer, {
+            folder: 'logos',
+            fileName: `logo_${userId}_${Date.now()}${extension}`,
+            contentType: file.mimetype
+        });
+        const logoUrl = storage.getUrl(key);
+
         // Check if user already has a logo and delete the old file
         if (user.logo && user.logo.filename) {
-            const oldFilePath = path.join(__dirname, '../uploads/logos', user.logo.filename);
-            if (fs.existsSync(oldFilePath)) {
-                fs.unlinkSync(oldFilePath);
-            }
+            // Logos stored before the storage service only kept the file name
+            const oldKey = user.logo.filename.includes('/') ? user.logo.filename : `logos/${user.logo.filename}`;
+            await storage.remove(oldKey).catch(err => console.error('Error deleting old logo: ', err.message));
         }
 
-        // Update user with new logo information
+        // Update user with new logo information, filename holds the storage key
         user.logo = {
             url: logoUrl,
-            filename: file.filename
+            filename: key
         };
 
         await user.save();
@@ -50,7 +51,7 @@ exports.uploadLogo = async(req, res) => {
             message: 'Logo uploaded successfully',
             logo: {
                 url: logoUrl,
-                filename: file.filename
+                filename: key
             }
         });
     } catch (err) {
@@ -4,6 +4,32 @@ const Project = require('../models/Project');
 const Client = require('../models/Client');
 const DeliveryNote = require('../models/DeliveryNote');
 const { ApiError } = require('../middleware/handleError');
+const { getScopeFilter, getCompanyId } = require('../services/companyService');
+const { buildFilter, paginate } = require('../services/queryService');
+const { getConsumption, getReport } = require('../services/projectService');
+const { toCsv } = require('../services/csvService');
+const { renderPdf, formatAmount } = require('../services/pdfService');
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const { projectFieldRules, projectImportClientRules } = require('../validators/projectValidators');
+
+// Columns accepted by the CSV import; the client is given by ID or by email
+const IMPORT_COLUMNS = [
+  'name', 'description', 'client', 'clientEmail', 'startDate', 'endDate', 'budget.hours', 'budget.amount'
+];
+
+/**
+ * Check that the project schedule ends after it starts
+ * @param {Object} project - Project document with startDate and endDate already set
+ * @throws {ApiError} If the end date is before the start date
+ */
+const checkSchedule = (project) => {
+  if (project.startDate && project.endDate && project.endDate < project.startDate) {
+    throw new ApiError(400, 'End date cannot be before start date.', 'validation', {
+      errors: [{ msg: 'End date cannot be before start date.', path: 'endDate' }]
+    });
+  }
+};
 
 /**
  * @desc Create a new project
@@ -16,16 +42,17 @@ exports.createProject = async (req, res) => {
     throw new ApiError(400, 'Validation failed', 'validation', { errors: errors.array() });
   }
 
-  const { name, description, client } = req.body;
+  const { name, description, client, startDate, endDate, budget } = req.body;
   const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
 
-  const clientDoc = await Client.findOne({ _id: client, createdBy: userId, archived: false });
+  const clientDoc = await Client.findOne({ _id: client, ...scope, archived: false });
   if (!clientDoc) {
     throw new ApiError(404, 'Client not found or you do not have permission to assign it.', 'not_found');
   }
 
-  // Check duplicated (name + client + user)
-  const existingProject = await Project.findOne({ name, client, createdBy: userId });
+  // Check duplicated (name + client + user or company)
+  const existingProject = await Project.findOne({ name, client, ...scope });
   if (existingProject) {
      throw new ApiError(409, 'A project with this name already exists for this client.', 'conflict');
   }
@@ -34,10 +61,16 @@ exports.createProject = async (req, res) => {
     name,
     description,
     client,
-    createdBy: userId
+    startDate,
+    endDate,
+    budget,
+    createdBy: userId,
+    company: getCompanyId(req.user)
   });
+  checkSchedule(project);
 
   await project.save();
+  await auditService.record(req, { action: 'create', resourceType: 'project', document: project });
 
   const populatedProject = await Project.findById(project._id).populate('client', 'name email');
 
@@ -48,30 +81,111 @@ exports.createProject = async (req, res) => {
 };
 
 /**
- * @desc Obtain all projects of the user
- * @route GET /api/project
+ * @desc Import projects from a CSV file (multipart field 'file'), one project per row.
+ * Rows are validated like POST /api/project, with the client given by ID (client) or email (clientEmail).
+ * Projects whose name already exists for the client, or is repeated in the file, are skipped.
+ * With dryRun=true nothing is saved.
+ * @route POST /api/project/import?dryRun=
  * @access Private
  */
-exports.getProjects = async (req, res) => {
-  const userId = req.user.id;
+exports.importProjects = async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, 'CSV file is required.', 'missing_file');
+  }
 
-  const projects = await Project.find({ createdBy: userId, archived: false })
-                                .populate('client', 'name email')
-                                .sort({ createdAt: -1 }); // Order by most recent
+  const { records, ignoredColumns } = importService.readCsv(req.file.buffer, IMPORT_COLUMNS);
+  const dryRun = req.query.dryRun === true;
+  const scope = getScopeFilter(req.user);
+  const projectsInFile = new Set();
+
+  const { summary, rows } = await importService.runImport(records, {
+    dryRun,
+    prepare: async (record) => {
+      const clientColumns = await importService.validateRecord(projectImportClientRules, record, req.user);
+      if (clientColumns.errors) return { errors: clientColumns.errors };
+
+      const { clientEmail, ...fields } = clientColumns.data;
+      if (!fields.client && clientEmail) {
+        const clientDoc = await Client.findOne({ email: clientEmail, ...scope, archived: false }).select('_id');
+        if (!clientDoc) return { errors: [{ path: 'clientEmail', msg: 'Client not found.' }] };
+        fields.client = clientDoc.id;
+      }
 
-  res.status(200).json(projects);
+      const { data, errors } = await importService.validateRecord(projectFieldRules, fields, req.user);
+      if (errors) return { errors };
+
+      if (!(await Client.exists({ _id: data.client, ...scope, archived: false }))) {
+        return { errors: [{ path: 'client', msg: 'Client not found or you do not have permission to assign it.' }] };
+      }
+
+      const key = `${data.client}:${data.name}`;
+      if (projectsInFile.has(key) || await Project.exists({ name: data.name, client: data.client, ...scope })) {
+        return { duplicate: 'A project with this name already exists for this client.' };
+      }
+      projectsInFile.add(key);
+      return { data };
+    },
+    create: async ({ name, description, client, startDate, endDate, budget }) => {
+      const project = await new Project({
+        name,
+        description,
+        client,
+        startDate,
+        endDate,
+        budget,
+        createdBy: req.user.id,
+        company: getCompanyId(req.user)
+      }).save();
+      await auditService.record(req, { action: 'create', resourceType: 'project', document: project });
+      return project;
+    },
+  });
+
+  res.status(200).json({
+    message: dryRun ? 'Import checked, no projects were saved.' : 'Projects imported successfully',
+    dryRun,
+    ignoredColumns,
+    summary,
+    rows
+  });
 };
 
 /**
- * @desc Obtain a project by ID
+ * @desc Obtain the projects of the user, paginated (most recent first by default)
+ * @route GET /api/project?page=&limit=&cursor=&sort=&clientId=&name=
+ * @access Private
+ */
+exports.getProjects = async (req, res) => {
+  const scope = getScopeFilter(req.user);
+  const filter = {
+    ...buildFilter(req.query, { clientId: { type: 'exact', path: 'client' }, name: { type: 'contains' } }),
+    ...scope,
+    archived: false
+  };
+
+  const { items: projects, pagination } = await paginate(Project, filter, {
+    query: req.query,
+    defaultSort: '-createdAt',
+    populate: [['client', 'name email']]
+  });
+
+  res.status(200).json({
+    message: 'Projects retrieved successfully',
+    projects,
+    pagination
+  });
+};
+
+/**
+ * @desc Obtain a project by ID, with the hours and amount consumed by its delivery notes
  * @route GET /api/project/:id
  * @access Private
  */
 exports.getProjectById = async (req, res) => {
-  const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
   const projectId = req.params.id;
 
-  const project = await Project.findOne({ _id: projectId, createdBy: userId, archived: false })
+  const project = await Project.findOne({ _id: projectId, ...scope, archived: false })
                                .populate('client', 'name email')
                                .populate('createdBy', 'firstName lastName email');
 
@@ -79,7 +193,9 @@ exports.getProjectById = async (req, res) => {
     throw new ApiError(404, 'Project not found or you do not have permission to view it', 'not_found');
   }
 
-  res.status(200).json(project);
+  const consumption = await getConsumption(project);
+
+  res.status(200).json({ ...project.toJSON(), consumption });
 };
 
 /**
@@ -93,18 +209,19 @@ exports.updateProject = async (req, res) => {
     throw new ApiError(400, 'Validation failed', 'validation', { errors: errors.array() });
   }
 
-  const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
   const projectId = req.params.id;
-  const { name, description, client: newClientId } = req.body;
+  const { name, description, client: newClientId, startDate, endDate, budget } = req.body;
 
-  const project = await Project.findOne({ _id: projectId, createdBy: userId });
+  const project = await Project.findOne({ _id: projectId, ...scope });
   if (!project) {
     throw new ApiError(404, 'Project not found or you do not have permission to update it', 'not_found');
   }
+  const before = auditService.snapshot(project);
 
   // If client changes, check if the new client exists and belongs to the user
   if (newClientId && newClientId.toString() !== project.client.toString()) {
-    const newClient = await Client.findOne({ _id: newClientId, createdBy: userId, archived: false });
+    const newClient = await Client.findOne({ _id: newClientId, ...scope, archived: false });
     if (!newClient) {
       throw new ApiError(404, 'New client not found or you do not have permission to assign it.', 'not_found');
     }
@@ -116,7 +233,7 @@ exports.updateProject = async (req, res) => {
       const existingProject = await Project.findOne({
           name,
           client: currentClient,
-          createdBy: userId,
+          ...scope,
           _id: { $ne: projectId } // Exclude the current project from the search
       });
       if (existingProject) {
@@ -126,8 +243,14 @@ exports.updateProject = async (req, res) => {
   }
 
   if (description !== undefined) project.description = description; // Permite actualizar a null o string vacío
+  // null clears a date; only the budget fields sent are changed
+  if (startDate !== undefined) project.startDate = startDate;
+  if (endDate !== undefined) project.endDate = endDate;
+  if (budget) project.set('budget', budget, { merge: true });
+  checkSchedule(project);
 
   await project.save();
+  await auditService.record(req, { action: 'update', resourceType: 'project', document: project, before });
   const updatedProject = await Project.findById(projectId).populate('client', 'name email').populate('createdBy', 'firstName lastName email');
 
   res.status(200).json({
@@ -142,10 +265,10 @@ exports.updateProject = async (req, res) => {
  * @access Private
  */
 exports.archiveProject = async (req, res) => {
-  const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
   const projectId = req.params.id;
 
-  const project = await Project.findOne({ _id: projectId, createdBy: userId });
+  const project = await Project.findOne({ _id: projectId, ...scope });
   if (!project) {
     throw new ApiError(404, 'Project not found or you do not have permission to archive it', 'not_found');
   }
@@ -154,8 +277,10 @@ exports.archiveProject = async (req, res) => {
     return res.status(200).json({ message: 'Project is already archived' });
   }
 
+  const before = auditService.snapshot(project);
   project.archived = true;
   await project.save();
+  await auditService.record(req, { action: 'archive', resourceType: 'project', document: project, before });
 
   res.status(200).json({ message: 'Project archived successfully' });
 };
@@ -166,11 +291,11 @@ exports.archiveProject = async (req, res) => {
  * @access Private
  */
 exports.deleteProject = async (req, res) => {
-  const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
   const projectId = req.params.id;
 
-  const projectExists = await Project.findOne({ _id: projectId, createdBy: userId }, '_id');
-  if (!projectExists) {
+  const project = await Project.findOne({ _id: projectId, ...scope });
+  if (!project) {
       throw new ApiError(404, 'Project not found or you do not have permission to delete it', 'not_found');
   }
 
@@ -181,11 +306,12 @@ exports.deleteProject = async (req, res) => {
       throw new ApiError(409, `Cannot delete project: ${associatedNotesCount} associated delivery note(s) exist.`, 'dependency_conflict');
   }
 
-  const result = await Project.deleteOne({ _id: projectId, createdBy: userId });
+  const result = await Project.deleteOne({ _id: projectId, ...scope });
 
   if (result.deletedCount === 0) {
       throw new ApiError(404, 'Project not found or deletion failed unexpectedly', 'not_found');
   }
+  await auditService.record(req, { action: 'delete', resourceType: 'project', document: project });
 
   res.status(200).json({ message: 'Project deleted permanently' });
 };
@@ -196,8 +322,8 @@ exports.deleteProject = async (req, res) => {
  * @access Private
  */
 exports.getArchivedProjects = async (req, res) => {
-  const userId = req.user.id;
-  const projects = await Project.find({ createdBy: userId, archived: true })
+  const scope = getScopeFilter(req.user);
+  const projects = await Project.find({ ...scope, archived: true })
                                 .populate('client', 'name email')
                                 .sort({ updatedAt: -1 }); // Sort by most recent update
 
@@ -210,10 +336,10 @@ exports.getArchivedProjects = async (req, res) => {
  * @access Private
  */
 exports.recoverProject = async (req, res) => {
-  const userId = req.user.id;
+  const scope = getScopeFilter(req.user);
   const projectId = req.params.id;
 
-  const project = await Project.findOne({ _id: projectId, createdBy: userId });
+  const project = await Project.findOne({ _id: projectId, ...scope });
   if (!project) {
       throw new ApiError(404, 'Project not found or you do not have permission', 'not_found');
   }
@@ -222,8 +348,10 @@ exports.recoverProject = async (req, res) => {
       throw new ApiError(400, 'Project is not archived', 'bad_request');
   }
 
+  const before = auditService.snapshot(project);
   project.archived = false;
   await project.save();
+  await auditService.record(req, { action: 'recover', resourceType: 'project', document: project, before });
   const recoveredProject = await Project.findById(projectId).populate('client', 'name email');
 
 
@@ -232,3 +360,139 @@ exports.recoverProject = async (req, res) => {
       project: recoveredProject
   });
 };
+
+/**
+ * Format a report period for humans, in UTC days like the report months
+ * @param {{dateFrom: Date|null, dateTo: Date|null}} period - Report period
+ * @returns {string} e.g. '2026-03-01 - 2026-03-31', or 'All time'
+ */
+const formatPeriod = ({ dateFrom, dateTo }) => {
+  if (!dateFrom && !dateTo) return 'All time';
+  const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '...');
+  return `${day(dateFrom)} - ${day(dateTo)}`;
+};
+
+/**
+ * Build the CSV of a project report: one row per person, month and item type, then the totals
+ * @param {Object} report - Report from projectService.getReport
+ * @returns {string} CSV content
+ */
+const reportToCsv = (report) => {
+  const rows = [
+    ...report.byPerson.map(row => ['person', row.person, '', '', row.hours, row.amount]),
+    ...report.byMonth.map(row => ['month', row.month, row.deliveryNotes, '', row.hours, row.amount]),
+    ...report.byType.map(row => ['type', row.type, '', row.quantity, row.hours, row.amount]),
+    ['total', '', report.totals.deliveryNotes, '', report.totals.hours, report.totals.amount],
+  ];
+  return toCsv(['group', 'key', 'deliveryNotes', 'quantity', 'hours', 'amount'], rows);
+};
+
+/**
+ * Generates the PDF of a project report with the totals and one table per grouping
+ * @param {Object} report - Report from projectService.getReport, with the project populated
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const generateReportPdfBuffer = (report) => renderPdf((doc) => {
+  const left = 50;
+
+  doc.fontSize(18).text(`Project Report: ${report.project.name}`, { align: 'center' });
+  doc.fontSize(10).text(`Generated: ${new Date().toLocaleDateString('en-US')}`, { align: 'right' });
+  doc.moveDown();
+  doc.fontSize(11).text(`Client: ${report.project.client?.name || 'N/A'}`);
+  doc.text(`Period: ${formatPeriod(report.period)}`);
+  doc.text(`Delivery notes: ${report.totals.deliveryNotes}`);
+  doc.text(`Hours: ${report.totals.hours}`);
+  doc.text(`Amount (before tax): ${formatAmount(report.totals.amount)}`);
+  doc.moveDown();
+
+  // columns: [{ label, width, value(row), align }]
+  const writeTable = (title, columns, rows) => {
+    doc.fontSize(12).text(title, left, doc.y, { underline: true });
+    doc.moveDown(0.5);
+    if (rows.length === 0) {
+      doc.fontSize(10).text('No data for this period.', left);
+      doc.moveDown();
+      return;
+    }
+
+    doc.fontSize(10);
+    let x = left;
+    const headerY = doc.y;
+    columns.forEach(column => {
+      doc.text(column.label, x, headerY, { width: column.width, align: column.align || 'left', lineBreak: false });
+      x += column.width;
+    });
+    doc.moveDown(0.2);
+    doc.moveTo(left, doc.y).lineTo(x, doc.y).stroke();
+    doc.moveDown(0.5);
+
+    rows.forEach(row => {
+      const y = doc.y;
+      let columnX = left;
+      columns.forEach(column => {
+        doc.text(String(column.value(row)), columnX, y, { width: column.width, align: column.align || 'left', lineBreak: false });
+        columnX += column.width;
+      });
+      doc.moveDown(0.7);
+    });
+    doc.moveDown();
+  };
+
+  const hours = { label: 'Hours', width: 90, align: 'right', value: row => row.hours };
+  const amount = { label: 'Amount', width: 110, align: 'right', value: row => formatAmount(row.amount) };
+
+  writeTable('Hours by person', [{ label: 'Person', width: 200, value: row => row.person }, hours, amount], report.byPerson);
+  writeTable('By month', [
+    { label: 'Month', width: 110, value: row => row.month },
+    { label: 'Notes', width: 90, align: 'right', value: row => row.deliveryNotes },
+    hours,
+    amount,
+  ], report.byMonth);
+  writeTable('By item type', [
+    { label: 'Type', width: 110, value: row => row.type },
+    { label: 'Quantity', width: 90, align: 'right', value: row => row.quantity },
+    hours,
+    amount,
+  ], report.byType);
+});
+
+/**
+ * @desc Summary of the hours and amounts of a project by person, month and item type
+ * @route GET /api/project/:id/report?dateFrom=&dateTo=&format=json|csv|pdf
+ * @access Private
+ */
+exports.getProjectReport = async (req, res) => {
+  const scope = getScopeFilter(req.user);
+  const { dateFrom, dateTo, format = 'json' } = req.query;
+
+  const project = await Project.findOne({ _id: req.params.id, ...scope })
+                               .populate('client', 'name');
+
+  if (!project) {
+    throw new ApiError(404, 'Project not found or you do not have permission to view it', 'not_found');
+  }
+
+  const report = {
+    project: { _id: project._id, name: project.name, client: project.client, budget: project.budget },
+    ...await getReport(project, { dateFrom, dateTo }),
+  };
+
+  const fileName = `project-report-${project._id}`;
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.status(200).send(reportToCsv(report));
+  }
+
+  if (format === 'pdf') {
+    const pdfBuffer = await generateReportPdfBuffer(report);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.status(200).send(pdfBuffer);
+  }
+
+  res.status(200).json({
+    message: 'Project report generated successfully',
+    report
+  });
+};
@@ -0,0 +1,32 @@
+// File: controllers/searchController.js
+
+// Services
+const { getScopeFilter } = require('../services/companyService');
+const searchService = require('../services/searchService');
+
+/**
+ * Searches clients (name, email), projects (name, description) and delivery notes
+ * (number, item descriptions, notes) of the user or its company.
+ * Results are grouped by type and ranked by relevance inside each group.
+ * @async
+ * @function search
+ * @param {import('express').Request} req - Express request object. Query: { q: string, types?: string, limit?: number }
+ * @param {import('express').Response} res - Express response object.
+ */
+const search = async (req, res) => {
+   const { q, limit } = req.query;
+   const types = req.query.types ? req.query.types.split(',') : undefined;
+
+   const { total, results } = await searchService.search(q, getScopeFilter(req.user), { types, limit });
+
+   res.status(200).json({
+      message: 'Search completed successfully.',
+      query: q,
+      total,
+      data: results,
+   });
+};
+
+module.exports = {
+   search,
+};
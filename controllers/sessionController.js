@@ -0,0 +1,86 @@
+// File: controllers/sessionController.js
+const { ApiError } = require('../middleware/handleError');
+const sessionService = require('../services/sessionService');
+
+/**
+ * @desc Renew the access token with a refresh token; the refresh token is rotated
+ * @route POST /api/user/refresh
+ * @access Public (refresh token)
+ */
+exports.refresh = async (req, res) => {
+   const { token, refreshToken, expiresIn } = await sessionService.refreshSession(
+      req.body.refreshToken,
+      sessionService.getClientInfo(req)
+   );
+
+   res.status(200).json({
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken,
+      expiresIn,
+   });
+};
+
+/**
+ * @desc Close the session of the access token used in the request
+ * @route POST /api/user/logout
+ * @access Private
+ */
+exports.logout = async (req, res) => {
+   if (req.user.sid) {
+      await sessionService.revokeSession(req.user.id, req.user.sid, 'logout');
+   }
+
+   res.status(200).json({ message: 'Logged out successfully' });
+};
+
+/**
+ * @desc List the open sessions of the current user, marking the one in use
+ * @route GET /api/user/sessions
+ * @access Private
+ */
+exports.listSessions = async (req, res) => {
+   const sessions = await sessionService.listSessions(req.user.id);
+
+   res.status(200).json({
+      message: 'Sessions retrieved successfully',
+      sessions: sessions.map(session => ({
+         id: session.id,
+         device: session.device,
+         userAgent: session.userAgent,
+         ip: session.ip,
+         createdAt: session.createdAt,
+         lastUsedAt: session.lastUsedAt,
+         expiresAt: session.expiresAt,
+         current: session.id === req.user.sid,
+      })),
+   });
+};
+
+/**
+ * @desc Close one session of the current user, e.g. a lost device
+ * @route DELETE /api/user/sessions/:sessionId
+ * @access Private
+ */
+exports.revokeSession = async (req, res) => {
+   const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+   if (!revoked) {
+      throw new ApiError(404, 'Session not found', 'not_found');
+   }
+
+   res.status(200).json({ message: 'Session revoked successfully' });
+};
+
+/**
+ * @desc Close every session of the current user except the one in use
+ * @route DELETE /api/user/sessions
+ * @access Private
+ */
+exports.revokeOtherSessions = async (req, res) => {
+   const revoked = await sessionService.revokeAllSessions(req.user.id, { except: req.user.sid });
+
+   res.status(200).json({
+      message: 'Other sessions revoked successfully',
+      revoked,
+   });
+};
@@ -0,0 +1,223 @@
+// File: controllers/twoFactorController.js
+const User = require('../models/User');
+const { ApiError } = require('../middleware/handleError');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const config = require('../config/config');
+
+// Hidden fields needed to check a second factor
+const SECOND_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Current user with the given hidden fields
+ * @param {string} userId - User id
+ * @param {string} [fields=''] - Extra fields to select
+ * @returns {Promise<Object>} User document
+ * @throws {ApiError} 404 if the user no longer exists
+ */
+const findUser = async (userId, fields = '') => {
+   const user = await User.findById(userId).select(fields);
+   if (!user) {
+      throw new ApiError(404, 'User not found', 'not_found');
+   }
+   return user;
+};
+
+/**
+ * Refuse the request, setting Retry-After, while the account is locked
+ * @param {Object} res - Express response object
+ * @param {number} remainingMs - Milliseconds until the account is unlocked
+ * @throws {ApiError} 423 always
+ */
+const throwAccountLocked = (res, remainingMs) => {
+   const retryAfter = Math.ceil(remainingMs / 1000);
+   res.set('Retry-After', String(retryAfter));
+   throw new ApiError(423, 'Account temporarily locked due to failed login attempts. Try again later.', 'ACCOUNT_LOCKED', { retryAfter });
+};
+
+/**
+ * @desc Two-factor authentication status of the current user
+ * @route GET /api/user/2fa
+ * @access Private
+ */
+exports.getStatus = async (req, res) => {
+   const user = await findUser(req.user.id, '+twoFactor.recoveryCodes');
+
+   res.status(200).json({
+      message: 'Two-factor status retrieved successfully',
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+   });
+};
+
+/**
+ * @desc Generate a TOTP secret to add to an authenticator app. It is not active until /2fa/verify
+ * @route POST /api/user/2fa/setup
+ * @access Private
+ */
+exports.setup = async (req, res) => {
+   const user = await findUser(req.user.id);
+   if (user.twoFactor.enabled) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled.', 'TWO_FACTOR_ALREADY_ENABLED');
+   }
+
+   const secret = twoFactorService.generateSecret();
+   const otpauthUri = twoFactorService.buildOtpauthUri(secret, user.email);
+   user.twoFactor.pendingSecret = secret;
+   await user.save();
+
+   res.status(200).json({
+      message: 'Scan the QR code with an authenticator app and verify a code to enable two-factor authentication',
+      secret,
+      otpauthUri,
+      qrCode: await twoFactorService.renderQrCode(otpauthUri),
+   });
+};
+
+/**
+ * @desc Confirm the secret of /2fa/setup with a code of the app and enable two-factor authentication.
+ * The recovery codes are only returned here.
+ * @route POST /api/user/2fa/verify
+ * @access Private
+ */
+exports.verify = async (req, res) => {
+   const user = await findUser(req.user.id, '+twoFactor.pendingSecret');
+   if (user.twoFactor.enabled) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled.', 'TWO_FACTOR_ALREADY_ENABLED');
+   }
+   if (!user.twoFactor.pendingSecret) {
+      throw new ApiError(400, 'Start the two-factor setup first.', 'TWO_FACTOR_NOT_SET_UP');
+   }
+
+   const step = twoFactorService.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+   if (step === null) {
+      throw new ApiError(401, 'Invalid authentication code.', 'INVALID_TWO_FACTOR_CODE');
+   }
+
+   const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+   user.twoFactor.enabled = true;
+   user.twoFactor.enabledAt = new Date();
+   user.twoFactor.secret = user.twoFactor.pendingSecret;
+   user.twoFactor.pendingSecret = null;
+   user.twoFactor.lastUsedStep = step;
+   user.twoFactor.recoveryCodes = hashes;
+   await user.save();
+
+   res.status(200).json({
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place, they will not be shown again',
+      recoveryCodes: codes,
+   });
+};
+
+/**
+ * @desc Replace the recovery codes; the previous ones stop working
+ * @route POST /api/user/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+   const user = await findUser(req.user.id, SECOND_FACTOR_FIELDS);
+   if (!user.twoFactor.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled.', 'TWO_FACTOR_NOT_ENABLED');
+   }
+   if (!twoFactorService.verifySecondFactor(user, { code: req.body.code })) {
+      throw new ApiError(401, 'Invalid authentication code.', 'INVALID_TWO_FACTOR_CODE');
+   }
+
+   const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+   user.twoFactor.recoveryCodes = hashes;
+   await user.save();
+
+   res.status(200).json({
+      message: 'Recovery codes regenerated successfully',
+      recoveryCodes: codes,
+   });
+};
+
+/**
+ * @desc Turn two-factor authentication off; requires the password and a second factor
+ * @route POST /api/user/2fa/disable
+ * @access Private
+ */
+exports.disable = async (req, res) => {
+   const user = await findUser(req.user.id, SECOND_FACTOR_FIELDS);
+   if (!user.twoFactor.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled.', 'TWO_FACTOR_NOT_ENABLED');
+   }
+
+   const { password, code, recoveryCode } = req.body;
+   if (!(await authService.comparePassword(password, user.password))) {
+      throw new ApiError(401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+   }
+   if (!twoFactorService.verifySecondFactor(user, { code, recoveryCode })) {
+      throw new ApiError(401, 'Invalid authentication code.', 'INVALID_TWO_FACTOR_CODE');
+   }
+
+   user.twoFactor.enabled = false;
+   user.twoFactor.enabledAt = null;
+   user.twoFactor.secret = null;
+   user.twoFactor.lastUsedStep = null;
+   user.twoFactor.recoveryCodes = [];
+   await user.save();
+
+   res.status(200).json({ message: 'Two-factor authentication disabled' });
+};
+
+/**
+ * @desc Second step of a login: exchange the challenge of /login and a second factor for the session tokens.
+ * Wrong codes count as failed logins and can lock the account.
+ * @route POST /api/user/login/2fa
+ * @access Public (challenge token)
+ */
+exports.login = async (req, res) => {
+   const { challengeToken, code, recoveryCode } = req.body;
+   const user = await User.findOne({
+      'twoFactor.challengeHash': authService.hashToken(challengeToken),
+      'twoFactor.challengeExpires': { $gt: new Date() },
+   }).select(SECOND_FACTOR_FIELDS);
+
+   if (!user || !user.twoFactor.enabled) {
+      throw new ApiError(401, 'Invalid or expired login challenge. Please log in again.', 'INVALID_CHALLENGE');
+   }
+
+   const lockRemaining = user.getLockRemaining();
+   if (lockRemaining > 0) {
+      twoFactorService.clearChallenge(user);
+      await user.save();
+      throwAccountLocked(res, lockRemaining);
+   }
+
+   const factor = twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+   if (!factor) {
+      const lockDuration = user.registerFailedLogin(config.rateLimits.lockout);
+      if (lockDuration > 0) {
+         // The password has to be checked again once the lock is over
+         twoFactorService.clearChallenge(user);
+      }
+      await user.save();
+      if (lockDuration > 0) {
+         throwAccountLocked(res, lockDuration);
+      }
+      throw new ApiError(401, 'Invalid authentication code.', 'INVALID_TWO_FACTOR_CODE');
+   }
+
+   twoFactorService.clearChallenge(user);
+   user.resetLoginAttempts();
+   await user.save();
+
+   const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.getClientInfo(req));
+
+   res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      ...(factor === 'recovery' && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length }),
+      user: {
+         id: user.id,
+         email: user.email,
+         role: user.role,
+         status: user.isEmailVerified ? 'verified' : 'pending',
+      },
+   });
+};
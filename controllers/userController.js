@@ -1,8 +1,28 @@
 // FIle: controllers/userController.js
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Company = require('../models/Company');
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const companyService = require('../services/companyService');
+const auditService = require('../services/auditService');
 const handleEmail = require('../utils/handleEmail');
+const config = require('../config/config');
+
+/**
+ * Answer a login attempt on a locked account
+ * @param {Object} res - Express response object
+ * @param {number} remainingMs - Milliseconds until the account is unlocked
+ */
+const sendAccountLocked = (res, remainingMs) => {
+    const retryAfter = Math.ceil(remainingMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+        message: 'Account temporarily locked due to failed login attempts. Try again later.',
+        retryAfter
+    });
+};
 
 /**
  * Register a new user
@@ -21,7 +41,7 @@ exports.registerUser = async (req, res) => {
             });
         }
 
-        const { name, surname, email, password, passwordConfirm } = req.body;
+        const { name, surname, email, password, passwordConfirm, language } = req.body;
 
         // Check if the user already exists and is verified
         const existingUser = await User.findOne({ email });
@@ -54,23 +74,19 @@ exports.registerUser = async (req, res) => {
             maxVerificationAttempts: maxAttempts,
             isEmailVerified: false,
             role: 'user',
+            language,
         });
 
         // Save user to database
         await newUser.save();
+        await auditService.record(req, { action: 'create', resourceType: 'user', document: newUser, actor: newUser._id, actorEmail: newUser.email });
 
-        // Generate JWT
-        const payload = {
-            id: newUser.id,
-            email: newUser.email,
-            role: newUser.role
-        };
-
-        const token = authService.generateToken(payload);
+        // Start a session: access token and refresh token
+        const { token, refreshToken, expiresIn } = await sessionService.createSession(newUser, sessionService.getClientInfo(req));
 
         // Send verification email
         try {
-            await handleEmail.sendVerificationEmail(email, verificationCode);
+            await handleEmail.sendVerificationEmail(email, verificationCode, handleEmail.getEmailOptions(newUser));
             console.log(`Verification email sent to ${email}`);
         } catch (emailError) {
             console.error('Error sending verification mail: ', emailError);
@@ -83,7 +99,9 @@ exports.registerUser = async (req, res) => {
                 email: newUser.email,
                 status: newUser.isEmailVerified ? 'verified' : 'pending'
             },
-            token
+            token,
+            refreshToken,
+            expiresIn
         });
     } catch (err) {
         console.error(err.message);
@@ -141,10 +159,12 @@ exports.verifyEmail = async (req, res) => {
         }
 
         // Update user as verified
+        const before = auditService.snapshot(user);
         user.isEmailVerified = true;
         user.verificationCode = null;
         user.verificationAttempts = 0;
         await user.save();
+        await auditService.record(req, { action: 'update', resourceType: 'user', document: user, before });
 
         // Return success response
         return res.status(200).json({
@@ -190,24 +210,48 @@ exports.loginUser = async (req, res) => {
             });
         }
 
+        // Refuse locked accounts without checking the password
+        const lockRemaining = user.getLockRemaining();
+        if (lockRemaining > 0) {
+            return sendAccountLocked(res, lockRemaining);
+        }
+
         // Check password
         const isMatch = await authService.comparePassword(password, user.password);
         if (!isMatch) {
+            const lockDuration = user.registerFailedLogin(config.rateLimits.lockout);
+            await user.save();
+            if (lockDuration > 0) {
+                return sendAccountLocked(res, lockDuration);
+            }
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        // Generate JWT
-        const payload = {
-            id: user.id,
-            email: user.email,
-            role: user.role
-        };
+        // With two-factor authentication the tokens are issued by /login/2fa
+        if (user.twoFactor?.enabled) {
+            const { challengeToken, expiresAt } = twoFactorService.createChallenge(user);
+            await user.save();
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken,
+                expiresAt
+            });
+        }
+
+        if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+            user.resetLoginAttempts();
+            await user.save();
+        }
 
-        const token = authService.generateToken(payload);
+        // Start a session: access token and refresh token
+        const { token, refreshToken, expiresIn } = await sessionService.createSession(user, sessionService.getClientInfo(req));
 
         // Return success response
         res.status(200).json({
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user.id,
                 email: user.email,
@@ -262,6 +306,7 @@ exports.updatePersonalData = async (req, res) => {
 
         const userId = req.user.id;
         const updateData = req.body;
+        const previous = await User.findById(userId).select('-password -verificationCode');
 
         // Find and update user
         const user = await User.findByIdAndUpdate(
@@ -273,6 +318,7 @@ exports.updatePersonalData = async (req, res) => {
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
+        await auditService.record(req, { action: 'update', resourceType: 'user', document: user, before: auditService.snapshot(previous) });
 
         res.status(200).json({
             message: 'Personal data updated successfully',
@@ -310,6 +356,18 @@ exports.updateCompanyData = async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Members of someone else's company cannot overwrite its data
+        if (user.companyId) {
+            const currentCompany = await Company.findById(user.companyId);
+            if (currentCompany && currentCompany.owner.toString() !== user.id) {
+                return res.status(403).json({
+                    message: 'Only the company owner can update company data'
+                });
+            }
+        }
+
+        const before = auditService.snapshot(user);
+
         // Check if user is autonomous
         if (company.isAutonomous) {
             // If user is autonomous, use personal data for company
@@ -333,12 +391,19 @@ exports.updateCompanyData = async (req, res) => {
 
         await user.save();
 
+        // Keep the shared Company document in sync with the owner's data
+        const companyDoc = user.company && user.company.name
+            ? await companyService.upsertOwnedCompany(user)
+            : null;
+        await auditService.record(req, { action: 'update', resourceType: 'user', document: user, before });
+
         res.status(200).json({
             message: 'Company data updated successfully',
             user: {
                 id: user.id,
                 email: user.email,
-                company: user.company
+                company: user.company,
+                companyId: companyDoc ? companyDoc.id : null
             }
         });
     } catch (err) {
@@ -362,11 +427,16 @@ exports.deleteUser = async (req, res) => {
             return res.status(404).json({message: 'User not found'});
         }
 
+        await sessionService.revokeAllSessions(userId, { reason: 'account_deleted' });
+
         if (softDelete) { // Using mongoose soft-delete
+            const before = auditService.snapshot(user);
             await user.delete();
+            await auditService.record(req, { action: 'archive', resourceType: 'user', document: user, before });
             return res.status(200).json({ message: 'User deleted temporarily' });
         } else { // Hard delete
             await User.findByIdAndDelete(userId);
+            await auditService.record(req, { action: 'delete', resourceType: 'user', document: user });
             return res.status(200).json({ message: 'User deleted permanently' });
         }
     } catch (err) {
@@ -408,7 +478,7 @@ exports.requestPasswordReset = async (req, res) => {
 
         // Send email with code
         try {
-            await handleEmail.sendPasswordResetEmail(email, resetCode);
+            await handleEmail.sendPasswordResetEmail(email, resetCode, handleEmail.getEmailOptions(user));
             console.log(`Password reset email sent to ${email}`);
         } catch (emailError) {
             console.error(`Error sending password reset email: `, emailError);
@@ -452,114 +522,19 @@ exports.resetPassword = async (req, res) => {
         }
 
         // Update password
+        const before = auditService.snapshot(user);
         const hashedPassword = await authService.hashPassword(newPassword);
         user.password = hashedPassword;
         user.passwordResetCode = undefined;
         user.passwordResetExpires = undefined;
+        user.resetLoginAttempts(); // Proving access to the email unlocks the account
         await user.save();
+        await auditService.record(req, { action: 'update', resourceType: 'user', document: user, before, actor: user._id, actorEmail: user.email });
 
-        res.status(200).json({ message: 'Password updated successfully' });
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).json({ message: 'Server error' });
-    }
-};
-
-/**
- * Invite a team member to the company
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- */
-exports.inviteTeamMember = async (req, res) => {
-    try {
-        // Check validation errors
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                type: 'VALIDATION_ERROR',
-                data: { errors: errors.array() }
-            });
-        }
-
-        const { email, role } = req.body;
-        const ownerId = req.user.id;
-
-        // Verificar el rol
-        if (role && role !== 'guest') {
-            return res.status(400).json({ message: 'Invited users can only have "guest" role' });
-        }
-
-        const owner = await User.findById(ownerId);
-        if (!owner || !owner.company) {
-            return res.status(400).json({ message: 'You must configure your company data before inviting members' });
-        }
-
-        let invitedUser = await User.findOne({ email });
-
-        if (invitedUser) {
-            invitedUser.role = 'guest';
-            invitedUser.companyId = owner.company._id;
-            await invitedUser.save();
-
-            try {
-                await handleEmail.sendInvitationEmail(
-                    email,
-                    "User already registered",
-                    "N/A",
-                    owner.company.name
-                );
-            } catch (emailError) {
-                console.error('Error sending invitation notification:', emailError);
-            }
-
-            return res.status(200).json({
-                message: 'Existing user invited to the company',
-                user: {
-                    email: invitedUser.email,
-                    role: invitedUser.role
-                }
-            });
-        }
+        // Whoever knew the old password must not stay logged in
+        await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
 
-        // Generate random password
-        const tempPassword = Math.random().toString(36).slice(-8);
-        const hashedPassword = await authService.hashPassword(tempPassword);
-
-        // Create new user with guest role
-        const verificationCode = authService.generateVerificationCode();
-        const newUser = new User({
-            email,
-            password: hashedPassword,
-            role: 'guest',
-            companyId: owner.company._id,
-            verificationCode,
-            isEmailVerified: false,
-            maxVerificationAttempts: 3,
-            verificationAttempts: 0
-        });
-
-        await newUser.save();
-
-        try {
-            await handleEmail.sendInvitationEmail(
-                email,
-                tempPassword,
-                verificationCode,
-                owner.company.name
-            );
-            console.log(`Invitation email sent to ${email}`);
-        } catch (emailError) {
-            console.error('Error sending invitation email:', emailError);
-        }
-
-        res.status(201).json({
-            message: 'Invitation sent',
-            user: {
-                email: newUser.email,
-                role: newUser.role
-            }
-        });
+        res.status(200).json({ message: 'Password updated successfully' });
     } catch (err) {
         console.error(err.message);
         res.status(500).json({ message: 'Server error' });
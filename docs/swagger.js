@@ -59,6 +59,12 @@ const options = {
                   type: 'string',
                   example: 'Password123!',
                   description: 'Confirmación de contraseña'
+                },
+                language: {
+                  type: 'string',
+                  enum: ['es', 'en'],
+                  default: 'es',
+                  description: 'Idioma de los emails'
                 }
               }
             },
@@ -96,7 +102,8 @@ const options = {
                 firstName: { type: 'string', example: 'Juan' },
                 lastName: { type: 'string', example: 'Pérez' },
                 nif: { type: 'string', example: '12345678Z' },
-                phone: { type: 'string', example: '+34666123456' }
+                phone: { type: 'string', example: '+34666123456' },
+                language: { type: 'string', enum: ['es', 'en'], example: 'en', description: 'Idioma de los emails' }
               }
             },
 
@@ -133,6 +140,14 @@ const options = {
                 nif: { type: 'string' },
                 phone: { type: 'string' },
                 isEmailVerified: { type: 'boolean' },
+                language: { type: 'string', enum: ['es', 'en'], default: 'es' },
+                twoFactor: {
+                  type: 'object',
+                  properties: {
+                    enabled: { type: 'boolean', default: false },
+                    enabledAt: { type: 'string', format: 'date-time', nullable: true }
+                  }
+                },
                 role: {
                   type: 'string',
                   enum: ['user', 'admin', 'guest'],
@@ -156,13 +171,101 @@ const options = {
               properties: {
                 token: {
                   type: 'string',
-                  description: 'JWT token para autenticación'
+                  description: 'JWT de acceso, de corta duración'
+                },
+                refreshToken: {
+                  type: 'string',
+                  description: 'Token para renovar el JWT en /user/refresh; cada uso devuelve uno nuevo'
+                },
+                expiresIn: {
+                  type: 'string',
+                  example: '15m',
+                  description: 'Duración del JWT de acceso'
                 },
                 user: { $ref: '#/components/schemas/UserResponse' },
                 message: { type: 'string' }
               }
             },
 
+            Session: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', example: '665f1c2e8b3a4d0012345678' },
+                device: { type: 'string', example: 'Chrome on Windows' },
+                userAgent: { type: 'string' },
+                ip: { type: 'string', example: '203.0.113.7' },
+                createdAt: { type: 'string', format: 'date-time', description: 'Inicio de sesión' },
+                lastUsedAt: { type: 'string', format: 'date-time', description: 'Último uso' },
+                expiresAt: { type: 'string', format: 'date-time', description: 'Caduca si no se renueva antes' },
+                current: { type: 'boolean', description: 'Sesión de la petición' }
+              }
+            },
+
+            UserInvite: {
+              type: 'object',
+              required: ['email'],
+              properties: {
+                email: { type: 'string', format: 'email', example: 'guest@example.com' },
+                role: { type: 'string', enum: ['admin', 'member', 'signer', 'viewer', 'guest'], default: 'guest', description: 'Rol en la compañía al aceptar. Solo el propietario puede invitar administradores' }
+              }
+            },
+
+            Invitation: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', example: '665f1c2e8b3a4d0012345678' },
+                email: { type: 'string', format: 'email' },
+                role: { type: 'string', enum: ['admin', 'member', 'signer', 'viewer', 'guest'] },
+                status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'revoked'] },
+                expiresAt: { type: 'string', format: 'date-time', description: 'Después de esta fecha el enlace deja de valer' }
+              }
+            },
+
+            CompanyRole: {
+              type: 'object',
+              properties: {
+                role: { type: 'string', enum: ['owner', 'admin', 'member', 'signer', 'viewer', 'guest'] },
+                permissions: {
+                  type: 'array',
+                  items: { type: 'string', example: 'deliverynote:sign' },
+                  description: 'Acciones permitidas al rol, como recurso:acción'
+                }
+              }
+            },
+
+            TwoFactorChallenge: {
+              type: 'object',
+              description: 'Respuesta de /user/login cuando la cuenta tiene 2FA: el token se envía a /user/login/2fa con el código',
+              properties: {
+                message: { type: 'string', example: 'Two-factor authentication required' },
+                twoFactorRequired: { type: 'boolean', example: true },
+                challengeToken: { type: 'string', description: 'Token de un solo uso del segundo paso del login' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            },
+
+            TwoFactorSetup: {
+              type: 'object',
+              properties: {
+                message: { type: 'string' },
+                secret: { type: 'string', example: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP', description: 'Secreto TOTP en base32, para introducirlo a mano' },
+                otpauthUri: { type: 'string', example: 'otpauth://totp/Albaranes%3Auser%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Albaranes&algorithm=SHA1&digits=6&period=30' },
+                qrCode: { type: 'string', description: 'Código QR del otpauthUri como data URL PNG' }
+              }
+            },
+
+            RecoveryCodes: {
+              type: 'object',
+              properties: {
+                message: { type: 'string' },
+                recoveryCodes: {
+                  type: 'array',
+                  items: { type: 'string', example: '3f9a1-c07be' },
+                  description: 'Códigos de un solo uso; solo se muestran una vez'
+                }
+              }
+            },
+
             ClientInput: {
               type: 'object',
               required: ['name', 'email'],
@@ -177,6 +280,29 @@ const options = {
                   format: 'email',
                   example: 'cliente@empresa.com'
                 },
+                cif: {
+                  type: 'string',
+                  example: 'B12345678',
+                  description: 'CIF, NIF o NIE del cliente'
+                },
+                phone: {
+                  type: 'string',
+                  pattern: '^\\d{9}$',
+                  example: '912345678'
+                },
+                address: { $ref: '#/components/schemas/ClientAddress' },
+                contacts: {
+                  type: 'array',
+                  maxItems: 20,
+                  items: { $ref: '#/components/schemas/ClientContact' }
+                },
+                billingEmail: {
+                  type: 'string',
+                  format: 'email',
+                  nullable: true,
+                  example: 'facturacion@empresa.com',
+                  description: 'Email al que se envían albaranes y facturas; si falta se usa email'
+                },
                 company: {
                   type: 'string',
                   nullable: true,
@@ -185,12 +311,43 @@ const options = {
               }
             },
 
+            ClientAddress: {
+              type: 'object',
+              description: 'Dirección fiscal. En actualizaciones solo cambian los campos enviados',
+              properties: {
+                street: { type: 'string', example: 'Calle Mayor 1, 2º B' },
+                city: { type: 'string', example: 'Madrid' },
+                postalCode: { type: 'string', pattern: '^\\d{5}$', example: '28013' },
+                province: { type: 'string', example: 'Madrid' },
+                country: { type: 'string', default: 'Spain' }
+              }
+            },
+
+            ClientContact: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', example: 'Ana Gómez' },
+                email: { type: 'string', format: 'email', example: 'ana@empresa.com' },
+                phone: { type: 'string', example: '600123456' },
+                role: { type: 'string', example: 'Administración' }
+              }
+            },
+
             ClientOutput: {
               type: 'object',
               properties: {
                 id: { type: 'string' },
                 name: { type: 'string' },
                 email: { type: 'string', format: 'email' },
+                cif: { type: 'string' },
+                phone: { type: 'string' },
+                address: { $ref: '#/components/schemas/ClientAddress' },
+                contacts: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/ClientContact' }
+                },
+                billingEmail: { type: 'string', format: 'email', nullable: true },
                 company: { type: 'string', nullable: true },
                 createdBy: { type: 'string', description: 'ID del usuario que creó el cliente' },
                 archived: { type: 'boolean', default: false },
@@ -218,6 +375,51 @@ const options = {
                   type: 'string',
                   description: 'ID del cliente asociado',
                   example: '605c5d4f5311236168a109ca'
+                },
+                startDate: { type: 'string', format: 'date', nullable: true, example: '2026-03-01' },
+                endDate: { type: 'string', format: 'date', nullable: true, example: '2026-06-30', description: 'No puede ser anterior a startDate' },
+                budget: { $ref: '#/components/schemas/ProjectBudget' }
+              }
+            },
+
+            ProjectBudget: {
+              type: 'object',
+              description: 'Presupuesto en horas y/o importe (base imponible, sin IVA). null elimina un valor',
+              properties: {
+                hours: { type: 'number', minimum: 0, nullable: true, example: 120 },
+                amount: { type: 'number', minimum: 0, nullable: true, example: 6000 }
+              }
+            },
+
+            BudgetUsage: {
+              type: 'object',
+              properties: {
+                budget: { type: 'number', nullable: true, description: 'null si el proyecto no tiene presupuesto' },
+                used: { type: 'number' },
+                remaining: { type: 'number', nullable: true, description: 'Negativo si se ha superado el presupuesto' },
+                percent: { type: 'number', nullable: true, example: 62.5 }
+              }
+            },
+
+            ProjectConsumption: {
+              type: 'object',
+              description: 'Horas (conceptos de tipo hours) e importes (base imponible) de los albaranes del proyecto',
+              properties: {
+                deliveryNotes: { type: 'integer', example: 8 },
+                hours: { $ref: '#/components/schemas/BudgetUsage' },
+                amount: { $ref: '#/components/schemas/BudgetUsage' },
+                overBudget: { type: 'boolean' },
+                byStatus: {
+                  type: 'object',
+                  description: 'Totales por estado del albarán',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      deliveryNotes: { type: 'integer' },
+                      hours: { type: 'number' },
+                      amount: { type: 'number' }
+                    }
+                  }
                 }
               }
             },
@@ -235,6 +437,9 @@ const options = {
                   ],
                   description: 'Puede ser ID o objeto cliente completo'
                 },
+                startDate: { type: 'string', format: 'date-time', nullable: true },
+                endDate: { type: 'string', format: 'date-time', nullable: true },
+                budget: { $ref: '#/components/schemas/ProjectBudget' },
                 createdBy: { type: 'string' },
                 archived: { type: 'boolean', default: false },
                 createdAt: { type: 'string', format: 'date-time' },
@@ -242,10 +447,91 @@ const options = {
               }
             },
 
+            ProjectDetail: {
+              allOf: [
+                { $ref: '#/components/schemas/ProjectOutput' },
+                {
+                  type: 'object',
+                  properties: {
+                    consumption: { $ref: '#/components/schemas/ProjectConsumption' }
+                  }
+                }
+              ]
+            },
+
+            ProjectReportOutput: {
+              type: 'object',
+              properties: {
+                message: { type: 'string', example: 'Project report generated successfully' },
+                report: {
+                  type: 'object',
+                  properties: {
+                    project: { type: 'object', description: 'Nombre, cliente y presupuesto del proyecto' },
+                    period: {
+                      type: 'object',
+                      properties: {
+                        dateFrom: { type: 'string', format: 'date-time', nullable: true },
+                        dateTo: { type: 'string', format: 'date-time', nullable: true }
+                      }
+                    },
+                    totals: {
+                      type: 'object',
+                      properties: {
+                        deliveryNotes: { type: 'integer', example: 4 },
+                        hours: { type: 'number', example: 32 },
+                        amount: { type: 'number', example: 1850 }
+                      }
+                    },
+                    byPerson: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          person: { type: 'string', example: 'Ana' },
+                          hours: { type: 'number' },
+                          amount: { type: 'number' }
+                        }
+                      }
+                    },
+                    byMonth: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          month: { type: 'string', example: '2026-03' },
+                          deliveryNotes: { type: 'integer' },
+                          hours: { type: 'number' },
+                          amount: { type: 'number' }
+                        }
+                      }
+                    },
+                    byType: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          type: { type: 'string', example: 'hours' },
+                          quantity: { type: 'number' },
+                          hours: { type: 'number' },
+                          amount: { type: 'number' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+
             DeliveryNoteItem: {
               type: 'object',
               required: ['description', 'quantity'],
               properties: {
+                type: {
+                  type: 'string',
+                  enum: ['hours', 'material', 'service'],
+                  example: 'hours',
+                  description: 'Tipo de concepto. Por defecto hours si hay persona y service si no. hours exige person y material exige unit'
+                },
                 description: {
                   type: 'string',
                   example: 'Desarrollo Frontend - React',
@@ -264,23 +550,54 @@ const options = {
                   example: 65.00,
                   description: 'Precio unitario (opcional)'
                 },
+                discount: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 100,
+                  default: 0,
+                  example: 10,
+                  description: 'Descuento en porcentaje, aplicado antes de impuestos'
+                },
+                taxRate: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 100,
+                  default: 21,
+                  example: 21,
+                  description: 'Porcentaje de IVA de la línea'
+                },
                 person: {
                   type: 'string',
                   nullable: true,
                   example: 'Juan Desarrollador',
-                  description: 'Persona que realizó el trabajo (opcional)'
+                  description: 'Persona que realizó el trabajo (obligatoria en conceptos de horas)'
+                },
+                unit: {
+                  type: 'string',
+                  maxLength: 20,
+                  example: 'kg',
+                  description: 'Unidad de medida de la cantidad (obligatoria en materiales)'
                 }
               }
             },
 
+            TaxLine: {
+              type: 'object',
+              properties: {
+                rate: { type: 'number', example: 21 },
+                base: { type: 'number', example: 520 },
+                amount: { type: 'number', example: 109.2 }
+              }
+            },
+
             DeliveryNoteInput: {
               type: 'object',
-              required: ['deliveryNoteNumber', 'projectId', 'items'],
+              required: ['projectId', 'items'],
               properties: {
                 deliveryNoteNumber: {
                   type: 'string',
-                  example: 'ALB-2025-001',
-                  description: 'Número único del albarán'
+                  example: 'ALB-2026-0001',
+                  description: 'Número único del albarán (opcional: por defecto se asigna el siguiente de la serie de la compañía)'
                 },
                 projectId: {
                   type: 'string',
@@ -329,13 +646,39 @@ const options = {
                   type: 'array',
                   items: { $ref: '#/components/schemas/DeliveryNoteItem' }
                 },
+                subtotal: {
+                  type: 'number',
+                  description: 'Base imponible (tras descuentos)'
+                },
+                typeSubtotals: {
+                  type: 'object',
+                  description: 'Base imponible por tipo de concepto',
+                  properties: {
+                    hours: { type: 'number', example: 520 },
+                    material: { type: 'number', example: 80 },
+                    service: { type: 'number', example: 0 }
+                  }
+                },
+                discountAmount: {
+                  type: 'number',
+                  description: 'Importe total descontado'
+                },
+                taxBreakdown: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/TaxLine' },
+                  description: 'Desglose de impuestos por tipo'
+                },
+                taxAmount: {
+                  type: 'number',
+                  description: 'Total de impuestos'
+                },
                 totalAmount: {
                   type: 'number',
-                  description: 'Importe total calculado automáticamente'
+                  description: 'Importe total (base + impuestos) calculado automáticamente'
                 },
                 status: {
                   type: 'string',
-                  enum: ['draft', 'sent', 'signed'],
+                  enum: ['draft', 'sent', 'signed', 'invoiced'],
                   default: 'draft'
                 },
                 isSigned: { type: 'boolean', default: false },
@@ -350,6 +693,227 @@ const options = {
               }
             },
 
+            Pagination: {
+              type: 'object',
+              description: 'Metadatos de paginación de los listados',
+              properties: {
+                total: { type: 'integer', example: 1250, description: 'Total de documentos que cumplen los filtros' },
+                limit: { type: 'integer', example: 20 },
+                sort: { type: 'string', example: '-date' },
+                hasNextPage: { type: 'boolean' },
+                nextCursor: { type: 'string', nullable: true, description: 'Cursor para pedir la página siguiente (?cursor=)' },
+                page: { type: 'integer', example: 1, description: 'Solo en paginación por página' },
+                totalPages: { type: 'integer', example: 63, description: 'Solo en paginación por página' },
+                hasPrevPage: { type: 'boolean', description: 'Solo en paginación por página' }
+              }
+            },
+
+            AuditLogEntry: {
+              type: 'object',
+              description: 'Cambio de un cliente, proyecto, albarán o usuario',
+              properties: {
+                _id: { type: 'string' },
+                resourceType: { type: 'string', enum: ['client', 'project', 'deliverynote', 'user'] },
+                resourceId: { type: 'string', example: '665f1c2e8b3a4d0012345678' },
+                action: { type: 'string', enum: ['create', 'update', 'archive', 'recover', 'delete', 'sign'] },
+                actor: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'Usuario que hizo el cambio; null si el cliente firmó con el enlace público',
+                  properties: {
+                    _id: { type: 'string' },
+                    firstName: { type: 'string' },
+                    lastName: { type: 'string' },
+                    email: { type: 'string', format: 'email' }
+                  }
+                },
+                actorEmail: { type: 'string', nullable: true, description: 'Email del usuario, o del destinatario del enlace de firma' },
+                company: { type: 'string', nullable: true },
+                before: { type: 'object', nullable: true, description: 'Valores anteriores de los campos cambiados (null al crear)', example: { status: 'draft' } },
+                after: { type: 'object', nullable: true, description: 'Valores nuevos de los campos cambiados (null al borrar)', example: { status: 'sent' } },
+                ip: { type: 'string', nullable: true },
+                userAgent: { type: 'string', nullable: true },
+                createdAt: { type: 'string', format: 'date-time' }
+              }
+            },
+
+            AuditLogList: {
+              type: 'object',
+              properties: {
+                message: { type: 'string', example: 'Audit log retrieved successfully' },
+                entries: { type: 'array', items: { $ref: '#/components/schemas/AuditLogEntry' } },
+                pagination: { $ref: '#/components/schemas/Pagination' }
+              }
+            },
+
+            SearchGroup: {
+              type: 'object',
+              description: 'Resultados de un tipo de documento, ordenados por relevancia',
+              properties: {
+                total: { type: 'integer', example: 3, description: 'Total de coincidencias' },
+                items: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      _id: { type: 'string' },
+                      score: { type: 'number', example: 5.5, description: 'Puntuación de relevancia' }
+                    },
+                    additionalProperties: true
+                  }
+                }
+              }
+            },
+
+            SearchOutput: {
+              type: 'object',
+              properties: {
+                message: { type: 'string', example: 'Search completed successfully.' },
+                query: { type: 'string', example: 'reforma' },
+                total: { type: 'integer', example: 4 },
+                data: {
+                  type: 'object',
+                  properties: {
+                    clients: { $ref: '#/components/schemas/SearchGroup' },
+                    projects: { $ref: '#/components/schemas/SearchGroup' },
+                    deliveryNotes: { $ref: '#/components/schemas/SearchGroup' }
+                  }
+                }
+              }
+            },
+
+            ImportRow: {
+              type: 'object',
+              properties: {
+                row: { type: 'integer', example: 3, description: 'Fila de la hoja de cálculo (la cabecera es la fila 1)' },
+                status: { type: 'string', enum: ['created', 'skipped', 'failed'], example: 'created' },
+                id: { type: 'string', description: 'Documento creado (no se incluye en dryRun)' },
+                reason: { type: 'string', example: 'Client with this email already exists.' },
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      path: { type: 'string', example: 'email' },
+                      msg: { type: 'string', example: 'Must be a valid email address.' }
+                    }
+                  }
+                }
+              }
+            },
+
+            ImportReport: {
+              type: 'object',
+              properties: {
+                message: { type: 'string', example: 'Clients imported successfully' },
+                dryRun: { type: 'boolean', example: false },
+                ignoredColumns: { type: 'array', items: { type: 'string' }, example: ['notes'] },
+                summary: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'integer', example: 120 },
+                    created: { type: 'integer', example: 115 },
+                    skipped: { type: 'integer', example: 3 },
+                    failed: { type: 'integer', example: 2 }
+                  }
+                },
+                rows: { type: 'array', items: { $ref: '#/components/schemas/ImportRow' } }
+              }
+            },
+
+            NumberingSeries: {
+              type: 'object',
+              properties: {
+                prefix: { type: 'string', maxLength: 10, example: 'ALB', description: 'Prefijo de la serie' },
+                padding: { type: 'integer', minimum: 1, maximum: 10, example: 4, description: 'Dígitos de la parte secuencial' },
+                yearlyReset: { type: 'boolean', example: true, description: 'Reinicia la numeración cada año e incluye el año en el número' }
+              }
+            },
+
+            NumberingSettings: {
+              type: 'object',
+              properties: {
+                deliveryNote: {
+                  allOf: [
+                    { $ref: '#/components/schemas/NumberingSeries' },
+                    { type: 'object', properties: { nextNumber: { type: 'string', example: 'ALB-2026-0001' } } }
+                  ]
+                },
+                invoice: {
+                  allOf: [
+                    { $ref: '#/components/schemas/NumberingSeries' },
+                    { type: 'object', properties: { nextNumber: { type: 'string', example: 'FAC-2026-0001' } } }
+                  ]
+                }
+              }
+            },
+
+            InvoiceInput: {
+              type: 'object',
+              required: ['deliveryNoteIds'],
+              properties: {
+                deliveryNoteIds: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  minItems: 1,
+                  description: 'Albaranes firmados del mismo cliente'
+                },
+                issueDate: { type: 'string', format: 'date-time', description: 'Fecha de emisión (por defecto: fecha actual)' },
+                dueDate: { type: 'string', format: 'date-time', description: 'Fecha de vencimiento (por defecto: 30 días)' },
+                ivaRate: { type: 'number', minimum: 0, maximum: 100, description: 'Porcentaje de IVA para todas las líneas (por defecto el de cada línea del albarán)' },
+                irpfRate: { type: 'number', minimum: 0, maximum: 100, description: 'Retención de IRPF (por defecto 15% para autónomos, 0% en otro caso)' },
+                notes: { type: 'string', nullable: true }
+              }
+            },
+
+            InvoiceOutput: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                invoiceNumber: { type: 'string', example: 'FAC-2026-0001' },
+                client: {
+                  oneOf: [
+                    { type: 'string' },
+                    { $ref: '#/components/schemas/ClientOutput' }
+                  ]
+                },
+                deliveryNotes: { type: 'array', items: { type: 'string' } },
+                lines: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      deliveryNote: { type: 'string' },
+                      description: { type: 'string' },
+                      quantity: { type: 'number' },
+                      unitPrice: { type: 'number' },
+                      discount: { type: 'number' },
+                      taxRate: { type: 'number' },
+                      amount: { type: 'number', description: 'Base imponible de la línea' }
+                    }
+                  }
+                },
+                issueDate: { type: 'string', format: 'date-time' },
+                dueDate: { type: 'string', format: 'date-time', nullable: true },
+                subtotal: { type: 'number', description: 'Base imponible' },
+                discountAmount: { type: 'number' },
+                taxBreakdown: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/TaxLine' }
+                },
+                ivaAmount: { type: 'number' },
+                irpfRate: { type: 'number' },
+                irpfAmount: { type: 'number' },
+                total: { type: 'number', description: 'Base + IVA - IRPF' },
+                isPaid: { type: 'boolean', default: false },
+                paidAt: { type: 'string', format: 'date-time', nullable: true },
+                pdfUrl: { type: 'string', nullable: true },
+                pdfGatewayUrl: { type: 'string', nullable: true },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+
             ApiInfo: {
               type: 'object',
               properties: {
@@ -414,6 +978,27 @@ const options = {
             }
         },
 
+        parameters: {
+          Page: {
+            in: 'query',
+            name: 'page',
+            schema: { type: 'integer', minimum: 1, default: 1 },
+            description: 'Página a devolver (no se puede combinar con cursor)'
+          },
+          Limit: {
+            in: 'query',
+            name: 'limit',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+            description: 'Documentos por página'
+          },
+          Cursor: {
+            in: 'query',
+            name: 'cursor',
+            schema: { type: 'string' },
+            description: 'Cursor nextCursor de la página anterior'
+          }
+        },
+
         responses: {
           ValidationError: {
             description: 'Error de validación',
@@ -457,6 +1042,36 @@ const options = {
               }
             }
           },
+          TooManyRequestsError: {
+            description: 'Demasiadas peticiones - Límite de peticiones superado',
+            headers: {
+              'Retry-After': {
+                description: 'Segundos que hay que esperar antes de reintentar',
+                schema: { type: 'integer' }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' },
+                example: { success: false, message: 'Too many requests, please try again later.', type: 'RATE_LIMITED', data: { retryAfter: 840 } }
+              }
+            }
+          },
+          AccountLockedError: {
+            description: 'Cuenta bloqueada temporalmente por logins fallidos',
+            headers: {
+              'Retry-After': {
+                description: 'Segundos hasta el desbloqueo',
+                schema: { type: 'integer' }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' },
+                example: { message: 'Account temporarily locked due to failed login attempts. Try again later.', retryAfter: 60 }
+              }
+            }
+          },
           InternalServerError: {
             description: 'Error interno del servidor',
             content: {
@@ -489,6 +1104,14 @@ const options = {
         {
           name: 'DeliveryNote',
           description: 'Gestión de albaranes'
+        },
+        {
+          name: 'Invoice',
+          description: 'Facturación de albaranes firmados'
+        },
+        {
+          name: 'Search',
+          description: 'Búsqueda de texto en clientes, proyectos y albaranes'
         }
       ]
     },
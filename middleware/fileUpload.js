@@ -1,39 +1,10 @@
 // File: middleware/fileUpload.js
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
 const { ApiError } = require('./handleError');
-const config = require('../config/config');
-
-// Destiny route for uploads
-const uploadDir = config.storage.localPath;
-
-// Ensure upload directory exists
-const ensureUploadDir = async () => {
-   try {
-     await fs.access(uploadDir);
-   } catch (error) {
-     // Directory does not exist: create
-     await fs.mkdir(uploadDir, { recursive: true });
-   }
- };
-
- // Initialize directory
- ensureUploadDir().catch(err => console.error('Error creating uploads directory: ', err));
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Require a unique filename with user ID and timestamp
-    const userId = req.user.id;
-    const timestamp = Date.now();
-    const extension = path.extname(file.originalname);
-    cb(null, `logo_${userId}_${timestamp}${extension}`);
-  }
-});
+
+// Files are kept in memory and written by the storage service (services/storage),
+// which stores them on local disk, S3 or IPFS depending on STORAGE_TYPE
+const storage = multer.memoryStorage();
 
 // File filter that allows only image
 const fileFilter = (req, file, cb) => {
@@ -58,4 +29,37 @@ const upload = multer({
     limits
 });
 
+// Signatures are embedded in the delivery note PDF, which only supports PNG and JPEG
+const signatureFileFilter = (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, 'Signature must be a PNG or JPEG image.', 'invalid_signature_image'));
+    }
+};
+
+const signatureUpload = multer({
+    storage,
+    fileFilter: signatureFileFilter,
+    limits
+});
+
+// CSV imports; browsers and spreadsheets report CSV files with several MIME types, so the extension is checked too
+const csvFileFilter = (req, file, cb) => {
+    const csvMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (csvMimeTypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, 'Import file must be a CSV file.', 'invalid_csv_file'));
+    }
+};
+
+const csvUpload = multer({
+    storage,
+    fileFilter: csvFileFilter,
+    limits
+});
+
 module.exports = upload;
+module.exports.signatureUpload = signatureUpload;
+module.exports.csvUpload = csvUpload;
@@ -0,0 +1,124 @@
+// File: middleware/rateLimit.js
+const { ApiError } = require('./handleError');
+const config = require('../config/config');
+const { getStore } = require('../services/rateLimit');
+
+/**
+ * Middleware generator that limits the requests of a client in a fixed time window.
+ * Each request adds a hit to every key of the client (its IP and, when known, its account);
+ * when any of them goes over max the request is rejected with 429 and a Retry-After header.
+ * Every response carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, prefix of the store keys
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Hits allowed per key and window
+ * @param {function(Object): Object<string, string>} [options.keys] - Keys of a request by kind; empty values are ignored. Default: { ip }
+ * @param {boolean} [options.skipSuccessfulRequests=false] - Only count the requests answered with an error status
+ * @param {function(Object): boolean} [options.skip] - Let a request through without counting it
+ * @param {import('../services/rateLimit').RateLimitStore} [options.store] - Counter store. Default: the store selected with RATE_LIMIT_STORE
+ * @returns {Function} Express middleware function
+ * @throws {ApiError} 429 when the client is over the limit
+ */
+exports.rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keys = (req) => ({ ip: req.ip }),
+  skipSuccessfulRequests = false,
+  skip = () => false,
+  store
+}) => {
+  return async (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+
+    const limitStore = store || getStore();
+    const storeKeys = Object.entries(keys(req))
+      .filter(([, value]) => value)
+      .map(([kind, value]) => `${name}:${kind}:${value}`);
+
+    let hits;
+    try {
+      hits = await Promise.all(storeKeys.map(key => limitStore.increment(key, windowMs)));
+    } catch (error) {
+      // A broken store must not take the API down: let the request through
+      console.error(`Rate limit store error (${name}):`, error.message || error);
+      return next();
+    }
+    if (hits.length === 0) {
+      return next();
+    }
+
+    // The most used key decides
+    const worst = hits.reduce((current, hit) => (hit.count > current.count ? hit : current));
+    const resetSeconds = Math.max(0, Math.ceil((worst.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - worst.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (worst.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new ApiError(429, 'Too many requests, please try again later.', 'RATE_LIMITED', { retryAfter: resetSeconds }));
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          storeKeys.forEach(key => limitStore.decrement(key).catch(error => {
+            console.error(`Rate limit store error (${name}):`, error.message || error);
+          }));
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Account targeted by an auth request: the authenticated user or the email of the body
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Account key
+ */
+const getAccount = (req) => {
+  if (req.user) {
+    return req.user.id;
+  }
+  return typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : undefined;
+};
+
+/**
+ * Limit of every API request, by IP (config.rateLimits.general)
+ */
+exports.generalLimiter = exports.rateLimit({
+  name: 'general',
+  ...config.rateLimits.general,
+  skip: () => !config.rateLimits.enabled
+});
+
+/**
+ * Limit of failed attempts on the auth routes, by IP and by account (config.rateLimits.auth).
+ * Successful requests are not counted.
+ */
+exports.authLimiter = exports.rateLimit({
+  name: 'auth',
+  ...config.rateLimits.auth,
+  keys: (req) => ({ ip: req.ip, account: getAccount(req) }),
+  skipSuccessfulRequests: true,
+  skip: () => !config.rateLimits.enabled
+});
+
+/**
+ * Limit of the auth routes that send or check an emailed code, by IP and by account (config.rateLimits.recover).
+ * Every request is counted: these routes answer 200 for any existing account, so counting
+ * only failures would let anyone send reset emails, and replace the pending code, without limit.
+ */
+exports.recoverLimiter = exports.rateLimit({
+  name: 'recover',
+  ...config.rateLimits.recover,
+  keys: (req) => ({ ip: req.ip, account: getAccount(req) }),
+  skip: () => !config.rateLimits.enabled
+});
@@ -0,0 +1,93 @@
+// File: models/AuditLog.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Kinds of documents whose changes are recorded
+ * @constant {Array<string>}
+ */
+const AUDIT_RESOURCES = ['client', 'project', 'deliverynote', 'user'];
+
+/**
+ * Actions recorded in the log
+ * @constant {Array<string>}
+ */
+const AUDIT_ACTIONS = ['create', 'update', 'archive', 'recover', 'delete', 'sign'];
+
+/**
+ * Audit log schema: one entry per change of a client, project, delivery note or user.
+ * Entries are only written by services/auditService and never updated.
+ * @typedef {Object} AuditLogSchema
+ * @property {string} resourceType - Kind of document changed (enum: AUDIT_RESOURCES)
+ * @property {ObjectId} resourceId - Id of the document changed; it may no longer exist
+ * @property {string} action - What was done (enum: AUDIT_ACTIONS)
+ * @property {ObjectId|null} actor - User that made the change; null when it was made through a public link
+ * @property {string|null} actorEmail - Email of the actor when the change was made, or of the recipient of the public link
+ * @property {ObjectId|null} company - Company of the document, to share the log with its members (null for personal data)
+ * @property {Object|null} before - Values of the changed fields before the change (null when created)
+ * @property {Object|null} after - Values of the changed fields after the change (null when deleted)
+ * @property {string|null} ip - IP address of the request
+ * @property {string|null} userAgent - User-Agent header of the request
+ * @property {Date} createdAt - When the change was made (auto-generated)
+ */
+const AuditLogSchema = new Schema({
+   resourceType: {
+      type: String,
+      enum: AUDIT_RESOURCES,
+      required: true
+   },
+   resourceId: {
+      type: Schema.Types.ObjectId,
+      required: true
+   },
+   action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true
+   },
+   actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+   },
+   actorEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null
+   },
+   company: {
+      type: Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null
+   },
+   before: {
+      type: Schema.Types.Mixed,
+      default: null
+   },
+   after: {
+      type: Schema.Types.Mixed,
+      default: null
+   },
+   ip: {
+      type: String,
+      trim: true,
+      default: null
+   },
+   userAgent: {
+      type: String,
+      trim: true,
+      default: null
+   }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// History of a document, and the log of a company, newest first
+AuditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+AuditLogSchema.index({ company: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_RESOURCES = AUDIT_RESOURCES;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
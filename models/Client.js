@@ -2,12 +2,46 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+/**
+ * Schema for a named contact person of a client
+ * @typedef {Object} ClientContact
+ * @property {string} name - Contact name (required, trimmed)
+ * @property {string} [email] - Contact email (lowercase, trimmed)
+ * @property {string} [phone] - Contact phone
+ * @property {string} [role] - Position or department, e.g. 'Administración'
+ */
+const ClientContactSchema = new Schema({
+   name: {
+      type: String,
+      required: [true, 'Contact name is required'],
+      trim: true
+   },
+   email: {
+      type: String,
+      lowercase: true,
+      trim: true
+   },
+   phone: {
+      type: String,
+      trim: true
+   },
+   role: {
+      type: String,
+      trim: true
+   }
+});
+
 /**
  * Schema definition for storing client information
  * @typedef {Object} ClientSchema
  * @property {string} name - The client's full name (required, trimmed)
  * @property {string} email - The client's email address (required, lowercase, trimmed)
- * @property {ObjectId|null} company - Reference to Company model (optional)
+ * @property {string} [cif] - Tax ID of the client, CIF, NIF or NIE (uppercase, trimmed)
+ * @property {string} [phone] - Main phone number
+ * @property {Object} address - Fiscal address (street, city, postalCode, province, country)
+ * @property {Array<ClientContact>} contacts - Named contact people
+ * @property {string} [billingEmail] - Address documents are delivered to, falls back to email
+ * @property {ObjectId|null} company - Reference to the Company that shares this client (null for users without company)
  * @property {ObjectId} createdBy - Reference to User who created this client (required)
  * @property {boolean} archived - Soft delete flag (default: false)
  * @property {Date} createdAt - Timestamp when document was created (auto-generated)
@@ -26,10 +60,52 @@ const ClientSchema = new Schema({
       lowercase: true,
       trim: true
    },
+  cif: {
+      type: String,
+      uppercase: true,
+      trim: true
+   },
+  phone: {
+      type: String,
+      trim: true
+   },
+  address: {
+      street: {
+         type: String,
+         trim: true
+      },
+      city: {
+         type: String,
+         trim: true
+      },
+      postalCode: {
+         type: String,
+         trim: true
+      },
+      province: {
+         type: String,
+         trim: true
+      },
+      country: {
+         type: String,
+         trim: true,
+         default: 'Spain'
+      }
+   },
+  contacts: {
+      type: [ClientContactSchema],
+      default: []
+   },
+  billingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+   },
   company: {
       type: Schema.Types.ObjectId,
       ref: 'Company',
-      required: false
+      default: null
    },
 
   createdBy: {
@@ -44,5 +120,23 @@ const ClientSchema = new Schema({
 
 // Unique index to prevent duplicate emails
 ClientSchema.index({ createdBy: 1, email: 1 }, { unique: true });
+// Unique email inside a company, shared by all its members
+ClientSchema.index(
+   { company: 1, email: 1 },
+   { unique: true, partialFilterExpression: { company: { $type: 'objectId' } } }
+);
+// Full-text search (GET /api/search), the name weighs more than the email
+ClientSchema.index(
+   { name: 'text', email: 'text' },
+   { name: 'client_text', weights: { name: 5, email: 2 }, default_language: 'spanish', language_override: 'textLanguage' }
+);
+
+/**
+ * Email the client documents (delivery notes, invoices) are sent to
+ * @returns {string} The billing email, or the main email when there is none
+ */
+ClientSchema.methods.getBillingEmail = function () {
+   return this.billingEmail || this.email;
+};
 
 module.exports = mongoose.model('Client', ClientSchema);
@@ -0,0 +1,175 @@
+// File: models/Company.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Roles a user can hold inside a company. Their permissions are in services/permissionService
+ * @constant {Array<string>}
+ */
+const COMPANY_ROLES = ['owner', 'admin', 'member', 'signer', 'viewer', 'guest'];
+
+/**
+ * Roles that can be given to members and invitees: every one but owner
+ * @constant {Array<string>}
+ */
+const ASSIGNABLE_ROLES = COMPANY_ROLES.filter(role => role !== 'owner');
+
+/**
+ * Schema for a company membership entry
+ * @typedef {Object} CompanyMember
+ * @property {ObjectId} user - Reference to the member User (required)
+ * @property {string} role - Role of the member inside the company (enum: COMPANY_ROLES)
+ * @property {Date} joinedAt - Date the user joined the company
+ */
+const CompanyMemberSchema = new Schema({
+   user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+   },
+   role: {
+      type: String,
+      enum: COMPANY_ROLES,
+      default: 'member'
+   },
+   joinedAt: {
+      type: Date,
+      default: Date.now
+   }
+}, { _id: false });
+
+/**
+ * Document types with their own numbering series
+ * @constant {Array<string>}
+ */
+const NUMBERING_SERIES = ['deliveryNote', 'invoice'];
+
+/**
+ * Schema for a document numbering series, e.g. ALB-2026-0001.
+ * Unset fields fall back to the defaults in config.numbering
+ * @typedef {Object} NumberingSeries
+ * @property {string} prefix - Prefix of the numbers (e.g. 'ALB')
+ * @property {number} padding - Digits of the sequential part, zero-padded
+ * @property {boolean} yearlyReset - Whether the sequence restarts every year (the year is then part of the number)
+ */
+const NumberingSeriesSchema = new Schema({
+   prefix: {
+      type: String,
+      trim: true,
+      maxlength: [10, 'Numbering prefix cannot exceed 10 characters']
+   },
+   padding: {
+      type: Number,
+      min: [1, 'Numbering padding must be at least 1'],
+      max: [10, 'Numbering padding cannot exceed 10']
+   },
+   yearlyReset: {
+      type: Boolean
+   }
+}, { _id: false });
+
+/**
+ * Schema definition for companies that group users and share their data
+ * @typedef {Object} CompanySchema
+ * @property {string} name - Company name (required, trimmed)
+ * @property {string} cif - Company tax ID (optional, trimmed)
+ * @property {Object} address - Fiscal address of the company
+ * @property {boolean} isAutonomous - Whether the company is a self-employed person (default: false)
+ * @property {ObjectId} owner - Reference to the User who owns the company (required)
+ * @property {Array<CompanyMember>} members - Users that belong to the company, including the owner
+ * @property {Object} numbering - Numbering series of the company documents (deliveryNote, invoice)
+ * @property {Date} createdAt - Timestamp when document was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when document was last updated (auto-generated)
+ */
+const CompanySchema = new Schema({
+   name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      trim: true
+   },
+   cif: {
+      type: String,
+      trim: true
+   },
+   address: {
+      street: {
+         type: String,
+         trim: true
+      },
+      city: {
+         type: String,
+         trim: true
+      },
+      postalCode: {
+         type: String,
+         trim: true
+      },
+      country: {
+         type: String,
+         trim: true,
+         default: 'Spain'
+      }
+   },
+   isAutonomous: {
+      type: Boolean,
+      default: false
+   },
+   owner: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Company owner is required']
+   },
+   members: {
+      type: [CompanyMemberSchema],
+      default: []
+   },
+   numbering: {
+      deliveryNote: NumberingSeriesSchema,
+      invoice: NumberingSeriesSchema
+   }
+}, { timestamps: true });
+
+// A user owns at most one company
+CompanySchema.index({ owner: 1 }, { unique: true });
+// Speed up membership lookups
+CompanySchema.index({ 'members.user': 1 });
+
+/**
+ * Find the membership entry of a user
+ * @param {ObjectId|string} userId - User to look for
+ * @returns {CompanyMember|undefined} Membership entry, if any
+ */
+CompanySchema.methods.getMember = function (userId) {
+   return this.members.find(member => member.user.toString() === userId.toString());
+};
+
+/**
+ * Add a user to the company or update its role if already a member
+ * @param {ObjectId|string} userId - User to add
+ * @param {string} [role='member'] - Role inside the company
+ * @returns {CompanyMember} The resulting membership entry
+ */
+CompanySchema.methods.addMember = function (userId, role = 'member') {
+   const existing = this.getMember(userId);
+   if (existing) {
+      existing.role = role;
+      return existing;
+   }
+   this.members.push({ user: userId, role });
+   return this.members[this.members.length - 1];
+};
+
+/**
+ * Remove a user from the company
+ * @param {ObjectId|string} userId - User to remove
+ */
+CompanySchema.methods.removeMember = function (userId) {
+   this.members = this.members.filter(member => member.user.toString() !== userId.toString());
+};
+
+const Company = mongoose.model('Company', CompanySchema);
+
+module.exports = Company;
+module.exports.COMPANY_ROLES = COMPANY_ROLES;
+module.exports.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
+module.exports.NUMBERING_SERIES = NUMBERING_SERIES;
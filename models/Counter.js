@@ -0,0 +1,39 @@
+// File: models/Counter.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Counter schema for sequential document numbers
+ * @typedef {Object} CounterSchema
+ * @property {string} key - Counter identifier, e.g. 'invoice:<companyId>:2026' (unique)
+ * @property {number} seq - Last number handed out (default: 0)
+ */
+const CounterSchema = new Schema({
+   key: {
+      type: String,
+      required: true,
+      unique: true
+   },
+   seq: {
+      type: Number,
+      default: 0
+   }
+});
+
+/**
+ * Atomically increment a counter and return the new value.
+ * The counter is created on first use, so concurrent calls never get the same number.
+ * @param {string} key - Counter identifier
+ * @param {import('mongoose').ClientSession} [session] - Session of the running transaction
+ * @returns {Promise<number>} Next number of the sequence, starting at 1
+ */
+CounterSchema.statics.next = async function (key, session) {
+   const counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+   );
+   return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -1,16 +1,99 @@
 // File: models/DeliveryNote.js - CORRECTED VERSION
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { summarizeTaxes, roundAmount, calculateLine } = require('../services/taxService');
 
 /**
- * Schema for individual items within a delivery note (hours or materials).
+ * Allowed delivery note statuses, in workflow order.
+ * @constant {Array<string>}
+ */
+const STATUSES = ['draft', 'sent', 'signed', 'invoiced'];
+
+/**
+ * State machine of the delivery note workflow: status -> statuses it can move to.
+ * A sent note can go back to draft to be corrected before the client signs it.
+ * @constant {Object<string, Array<string>>}
+ */
+const STATUS_TRANSITIONS = {
+   draft: ['sent', 'signed'],
+   sent: ['draft', 'signed'],
+   signed: ['invoiced'],
+   invoiced: [],
+};
+
+/**
+ * Kinds of delivery note items: hours worked by a person, materials measured in a unit, or services.
+ * @constant {Array<string>}
+ */
+const ITEM_TYPES = ['hours', 'material', 'service'];
+
+/**
+ * Type of an item, also for items stored before types existed: with a person they are hours, otherwise services.
+ * @param {Object} item - Delivery note item.
+ * @returns {string} One of ITEM_TYPES.
+ */
+const getItemType = (item) => item.type || (item.person ? 'hours' : 'service');
+
+/**
+ * Tax rate applied to items that do not set one (IVA general in Spain).
+ * @constant {number}
+ */
+const DEFAULT_TAX_RATE = 21;
+
+/**
+ * Schema for a single status change of a delivery note.
+ * @typedef {Object} StatusChange
+ * @property {string|null} from - Previous status (null for the initial status).
+ * @property {string} to - New status.
+ * @property {Schema.Types.ObjectId} changedBy - User who made the transition.
+ * @property {Date} changedAt - When the transition happened.
+ * @property {string} [comment] - Optional comment about the change.
+ */
+const StatusChangeSchema = new Schema({
+   from: {
+      type: String,
+      enum: [...STATUSES, null],
+      default: null,
+   },
+   to: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+   },
+   changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+   },
+   changedAt: {
+      type: Date,
+      default: Date.now,
+   },
+   comment: {
+      type: String,
+      trim: true,
+   },
+}, { _id: false });
+
+/**
+ * Schema for individual items within a delivery note (hours, materials or services).
  * @typedef {Object} DeliveryNoteItem
+ * @property {string} type - Item type (hours, material or service). Defaults to hours when a person is set, otherwise service.
  * @property {string} description - Description of the item/work.
  * @property {number} quantity - Quantity or hours.
- * @property {number} [unitPrice] - Unit price (for materials/services). Optional.
- * @property {string} [person] - Person who performed the hours (for hours type). Optional.
+ * @property {string} [unit] - Unit of measure of the quantity (required for materials), e.g. 'kg', 'm'.
+ * @property {number} [unitPrice] - Unit price (price per hour for hours). Optional.
+ * @property {number} [discount] - Discount percentage applied before tax (default: 0).
+ * @property {number} [taxRate] - Tax (IVA) percentage (default: 21).
+ * @property {string} [person] - Person who performed the hours (required for hours).
  */
 const DeliveryNoteItemSchema = new Schema({
+   type: {
+      type: String,
+      enum: ITEM_TYPES,
+      // Function defaults run after the other fields are set, so the person is known here
+      default: function () { return getItemType(this); },
+   },
    description: {
       type: String,
       required: [true, 'Item description is required'],
@@ -26,13 +109,44 @@ const DeliveryNoteItemSchema = new Schema({
       min: [0, 'Unit price cannot be negative'],
       default: 0,
    },
+   discount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+      default: 0,
+   },
+   taxRate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+      default: DEFAULT_TAX_RATE,
+   },
+   unit: {
+      type: String,
+      trim: true,
+      required: [function () { return this.type === 'material'; }, 'Unit is required for material items'],
+   },
    person: {
       type: String,
       trim: true,
       default: null,
+      required: [function () { return this.type === 'hours'; }, 'Person is required for hours items'],
    },
 }, { _id: true });
 
+/**
+ * Schema for the tax summary of a document, one entry per tax rate.
+ * @typedef {Object} TaxLine
+ * @property {number} rate - Tax percentage.
+ * @property {number} base - Taxable base at this rate, after discounts.
+ * @property {number} amount - Tax amount at this rate.
+ */
+const TaxLineSchema = new Schema({
+   rate: { type: Number, required: true },
+   base: { type: Number, default: 0 },
+   amount: { type: Number, default: 0 },
+}, { _id: false });
+
 /**
  * Schema definition for Delivery Notes.
  * @typedef {Object} DeliveryNote
@@ -40,16 +154,25 @@ const DeliveryNoteItemSchema = new Schema({
  * @property {Schema.Types.ObjectId} project - Reference to the Project this note belongs to.
  * @property {Schema.Types.ObjectId} createdBy - Reference to the User who created the note.
  * @property {Schema.Types.ObjectId} client - Reference to the Client associated with the project/note.
+ * @property {Schema.Types.ObjectId} [company] - Reference to the Company that shares the note (taken from the project).
  * @property {Date} date - Date the delivery note was issued.
  * @property {Array<DeliveryNoteItem>} items - Array containing details of hours or materials.
- * @property {number} totalAmount - Total amount calculated from items.
- * @property {string} status - Status of the delivery note.
+ * @property {number} subtotal - Taxable base: sum of the items after discounts.
+ * @property {Object} typeSubtotals - Taxable base of the items of each type (hours, material, service).
+ * @property {number} discountAmount - Total discounted from the items.
+ * @property {Array<TaxLine>} taxBreakdown - Taxes grouped by rate.
+ * @property {number} taxAmount - Total tax.
+ * @property {number} totalAmount - Total amount: subtotal plus taxes.
+ * @property {string} status - Status of the delivery note (draft, sent, signed, invoiced).
+ * @property {Array<StatusChange>} statusHistory - Log of every status transition.
  * @property {boolean} isSigned - Flag indicating if the note has been signed.
  * @property {Date} [signedDate]
  * @property {string} [signerName] - Name of the person who signed.
  * @property {string} [signerTitle] - Title of the person who signed.
- * @property {string} [signatureUrl] - URL (potentially IPFS CID) of the signature image.
- * @property {string} [pdfUrl] - URL (potentially IPFS CID) of the generated PDF after signing.
+ * @property {string} [signatureUrl] - Storage key (local path, S3 key or IPFS CID) or URL of the signature image.
+ * @property {string} [pdfUrl] - Storage key (local path, S3 key or IPFS CID) of the generated PDF after signing.
+ * @property {Object} [signatureRequest] - Pending remote signature request (one-time link sent to the client).
+ * @property {Schema.Types.ObjectId} [invoice] - Invoice that bills the note, once invoiced.
  * @property {string} [notes] - Optional additional notes.
  */
 const DeliveryNoteSchema = new Schema({
@@ -73,6 +196,11 @@ const DeliveryNoteSchema = new Schema({
       ref: 'Client',
       required: true
    },
+   company: {
+      type: Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null
+   },
    date: {
       type: Date,
       required: [true, 'Delivery note date is required'],
@@ -85,6 +213,27 @@ const DeliveryNoteSchema = new Schema({
          { validator: (val) => val.length > 0, msg: 'Delivery note must have at least one item.' }
       ]
    },
+   subtotal: {
+      type: Number,
+      default: 0
+   },
+   typeSubtotals: {
+      hours: { type: Number, default: 0 },
+      material: { type: Number, default: 0 },
+      service: { type: Number, default: 0 }
+   },
+   discountAmount: {
+      type: Number,
+      default: 0
+   },
+   taxBreakdown: {
+      type: [TaxLineSchema],
+      default: []
+   },
+   taxAmount: {
+      type: Number,
+      default: 0
+   },
    totalAmount: {
       type: Number,
       default: 0,
@@ -92,9 +241,13 @@ const DeliveryNoteSchema = new Schema({
    },
    status: {
       type: String,
-      enum: ['draft', 'sent', 'signed'],
+      enum: STATUSES,
       default: 'draft'
    },
+   statusHistory: {
+      type: [StatusChangeSchema],
+      default: []
+   },
    isSigned: {
       type: Boolean,
       default: false
@@ -123,6 +276,42 @@ const DeliveryNoteSchema = new Schema({
       trim: true,
       default: null
    },
+   signatureRequest: {
+      // Only the hash of the one-time token is stored
+      tokenHash: {
+         type: String,
+         default: null,
+         select: false
+      },
+      sentTo: {
+         type: String,
+         lowercase: true,
+         trim: true,
+         default: null
+      },
+      requestedBy: {
+         type: Schema.Types.ObjectId,
+         ref: 'User',
+         default: null
+      },
+      requestedAt: {
+         type: Date,
+         default: null
+      },
+      expiresAt: {
+         type: Date,
+         default: null
+      },
+      usedAt: {
+         type: Date,
+         default: null
+      }
+   },
+   invoice: {
+      type: Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+   },
    notes: {
       type: String,
       trim: true,
@@ -135,25 +324,99 @@ const DeliveryNoteSchema = new Schema({
 DeliveryNoteSchema.index({ createdBy: 1, project: 1, date: -1 });
 // Unique index for delivery note number per user
 DeliveryNoteSchema.index({ createdBy: 1, deliveryNoteNumber: 1 }, { unique: true });
+// Lookup of remote signature requests by token
+DeliveryNoteSchema.index({ 'signatureRequest.tokenHash': 1 }, { sparse: true });
+// Unique delivery note number inside a company
+DeliveryNoteSchema.index(
+   { company: 1, deliveryNoteNumber: 1 },
+   { unique: true, partialFilterExpression: { company: { $type: 'objectId' } } }
+);
+// Full-text search (GET /api/search) on the number, item descriptions and notes
+DeliveryNoteSchema.index(
+   { deliveryNoteNumber: 'text', 'items.description': 'text', notes: 'text' },
+   { name: 'deliverynote_text', weights: { deliveryNoteNumber: 10, 'items.description': 3, notes: 1 }, default_language: 'spanish', language_override: 'textLanguage' }
+);
 
-// Pre-save hook to automatically calculate totalAmount
+/**
+ * Taxable base of the items of each type.
+ * @param {Array<DeliveryNoteItem>} items - Items of the note.
+ * @returns {Object<string, number>} Subtotal per item type, zero for the types without items.
+ */
+const summarizeByType = (items) => {
+   const subtotals = Object.fromEntries(ITEM_TYPES.map(type => [type, 0]));
+   items.forEach(item => {
+      subtotals[getItemType(item)] += calculateLine(item).base;
+   });
+   ITEM_TYPES.forEach(type => { subtotals[type] = roundAmount(subtotals[type]); });
+   return subtotals;
+};
+
+// Pre-save hook to automatically calculate the amounts and tax breakdown
 DeliveryNoteSchema.pre('save', function(next) {
    if (this.items && this.items.length > 0) {
-      this.totalAmount = this.items.reduce((total, item) => {
-         return total + (item.quantity * (item.unitPrice || 0));
-      }, 0);
+      this.calculateTotals();
    }
    next();
 });
 
+/**
+ * Recalculate subtotal, subtotals by item type, discounts, taxes by rate and total from the items.
+ * Does not save the document.
+ */
+DeliveryNoteSchema.methods.calculateTotals = function () {
+   const summary = summarizeTaxes(this.items);
+   this.typeSubtotals = summarizeByType(this.items);
+   this.subtotal = summary.subtotal;
+   this.discountAmount = summary.discountAmount;
+   this.taxBreakdown = summary.taxBreakdown;
+   this.taxAmount = summary.taxAmount;
+   this.totalAmount = summary.total;
+};
+
+/**
+ * Check whether the note can move from its current status to another one.
+ * @param {string} status - Target status.
+ * @returns {boolean} True if the transition is allowed by the workflow.
+ */
+DeliveryNoteSchema.methods.canTransitionTo = function (status) {
+   return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the note to a new status and record who did it and when.
+ * Does not save the document.
+ * @param {string} status - Target status.
+ * @param {Schema.Types.ObjectId|string} userId - User making the transition.
+ * @param {string} [comment] - Optional comment stored with the change.
+ * @throws {Error} With code 'INVALID_STATUS_TRANSITION' if the workflow does not allow it.
+ */
+DeliveryNoteSchema.methods.transitionTo = function (status, userId, comment) {
+   if (!this.canTransitionTo(status)) {
+      const error = new Error(`Cannot change delivery note status from '${this.status}' to '${status}'.`);
+      error.code = 'INVALID_STATUS_TRANSITION';
+      throw error;
+   }
+
+   this.statusHistory.push({
+      from: this.status,
+      to: status,
+      changedBy: userId,
+      changedAt: new Date(),
+      comment,
+   });
+   this.status = status;
+};
+
 DeliveryNoteSchema.pre('validate', async function (next) {
    // Only validate project if it's new or project has been modified
    if (this.isNew || this.isModified('project')) {
       try {
          const Project = mongoose.model('Project');
+         // Projects of the note's company are shared; otherwise only the creator's own
+         const scope = this.company ? { company: this.company } : { createdBy: this.createdBy };
          const projectDoc = await Project.findOne({
             _id: this.project,
-            createdBy: this.createdBy,
+            ...scope,
             archived: false
          });
 
@@ -163,8 +426,9 @@ DeliveryNoteSchema.pre('validate', async function (next) {
             return next(error);
          }
 
-         // Automatically set the client based on the project
+         // Automatically set the client and company based on the project
          this.client = projectDoc.client;
+         this.company = projectDoc.company || null;
       } catch (err) {
          return next(err);
       }
@@ -173,3 +437,10 @@ DeliveryNoteSchema.pre('validate', async function (next) {
 });
 
 module.exports = mongoose.model('DeliveryNote', DeliveryNoteSchema);
+module.exports.STATUSES = STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.ITEM_TYPES = ITEM_TYPES;
+module.exports.getItemType = getItemType;
+module.exports.summarizeByType = summarizeByType;
+module.exports.DEFAULT_TAX_RATE = DEFAULT_TAX_RATE;
+module.exports.TaxLineSchema = TaxLineSchema;
@@ -0,0 +1,99 @@
+// File: models/Invitation.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { ASSIGNABLE_ROLES } = require('./Company');
+
+/**
+ * States of an invitation. A pending invitation past expiresAt is expired.
+ * @constant {Array<string>}
+ */
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+/**
+ * Invitation schema: an offer to join a company, answered through a one-time link emailed to the invitee
+ * @typedef {Object} InvitationSchema
+ * @property {ObjectId} company - Reference to the Company the invitee is asked to join (required)
+ * @property {string} email - Email address of the invitee (required, lowercase)
+ * @property {string} role - Role the invitee gets in the company on accepting (enum: Company.ASSIGNABLE_ROLES)
+ * @property {string} tokenHash - SHA-256 digest of the token of the link (unique, hidden by default)
+ * @property {ObjectId} invitedBy - Reference to the User who sent the invitation (required)
+ * @property {string} status - Invitation state (enum: INVITATION_STATUSES, default: pending)
+ * @property {Date} expiresAt - The invitation can no longer be answered after this date (required)
+ * @property {Date|null} respondedAt - When the invitation was accepted, declined or revoked (default: null)
+ * @property {ObjectId|null} user - Reference to the User who accepted the invitation (default: null)
+ * @property {Date} createdAt - Timestamp when document was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when document was last updated (auto-generated)
+ */
+const InvitationSchema = new Schema({
+   company: {
+      type: Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true
+   },
+   email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true
+   },
+   role: {
+      type: String,
+      enum: ASSIGNABLE_ROLES,
+      default: 'guest'
+   },
+   tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+   },
+   invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+   },
+   status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: 'pending'
+   },
+   expiresAt: {
+      type: Date,
+      required: true
+   },
+   respondedAt: {
+      type: Date,
+      default: null
+   },
+   user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+   }
+}, { timestamps: true });
+
+// A company has at most one pending invitation per email: inviting again renews it
+InvitationSchema.index({ company: 1, email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+/**
+ * Whether the invitation can still be answered
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {boolean} True if pending and not expired
+ */
+InvitationSchema.methods.isPending = function (now = new Date()) {
+   return this.status === 'pending' && this.expiresAt > now;
+};
+
+/**
+ * Close the invitation. Does not save the document.
+ * @param {string} status - 'accepted', 'declined' or 'revoked'
+ */
+InvitationSchema.methods.respond = function (status) {
+   this.status = status;
+   this.respondedAt = new Date();
+};
+
+const Invitation = mongoose.model('Invitation', InvitationSchema);
+
+module.exports = Invitation;
+module.exports.INVITATION_STATUSES = INVITATION_STATUSES;
@@ -0,0 +1,210 @@
+// File: models/Invoice.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { roundAmount, calculateLine, summarizeTaxes } = require('../services/taxService');
+const { TaxLineSchema } = require('./DeliveryNote');
+
+/**
+ * Schema for a billed line, copied from the delivery note items when the invoice is created.
+ * @typedef {Object} InvoiceLine
+ * @property {Schema.Types.ObjectId} deliveryNote - Delivery note the line comes from.
+ * @property {string} description - Description of the work or material.
+ * @property {number} quantity - Quantity or hours.
+ * @property {number} unitPrice - Unit price.
+ * @property {number} discount - Discount percentage applied before tax.
+ * @property {number} taxRate - IVA percentage of the line.
+ * @property {number} amount - Taxable base of the line: quantity * unitPrice minus the discount.
+ */
+const InvoiceLineSchema = new Schema({
+   deliveryNote: {
+      type: Schema.Types.ObjectId,
+      ref: 'DeliveryNote',
+      required: true,
+   },
+   description: {
+      type: String,
+      required: true,
+      trim: true,
+   },
+   quantity: {
+      type: Number,
+      required: true,
+   },
+   unitPrice: {
+      type: Number,
+      default: 0,
+   },
+   discount: {
+      type: Number,
+      default: 0,
+   },
+   taxRate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100'],
+      default: 0,
+   },
+   amount: {
+      type: Number,
+      default: 0,
+   },
+}, { _id: false });
+
+/**
+ * Schema definition for Invoices.
+ * @typedef {Object} Invoice
+ * @property {string} invoiceNumber - Sequential invoice number, e.g. FAC-2026-0001.
+ * @property {Schema.Types.ObjectId} createdBy - Reference to the User who issued the invoice.
+ * @property {Schema.Types.ObjectId} [company] - Reference to the Company that shares the invoice.
+ * @property {Schema.Types.ObjectId} client - Reference to the billed Client.
+ * @property {Array<Schema.Types.ObjectId>} deliveryNotes - Signed delivery notes included in the invoice.
+ * @property {Array<InvoiceLine>} lines - Billed lines, copied from the delivery notes.
+ * @property {Date} issueDate - Date the invoice was issued.
+ * @property {Date} [dueDate] - Payment due date.
+ * @property {number} subtotal - Sum of the line amounts (tax base).
+ * @property {number} discountAmount - Total discounted from the lines.
+ * @property {Array<TaxLine>} taxBreakdown - IVA grouped by rate.
+ * @property {number} ivaAmount - Total IVA amount.
+ * @property {number} irpfRate - IRPF retention percentage (only for autonomous providers).
+ * @property {number} irpfAmount - IRPF amount withheld.
+ * @property {number} total - subtotal + ivaAmount - irpfAmount.
+ * @property {boolean} isPaid - Whether the invoice has been paid.
+ * @property {Date} [paidAt] - When the invoice was paid.
+ * @property {string} [pdfUrl] - Storage key of the generated PDF.
+ * @property {string} [notes] - Optional additional notes.
+ */
+const InvoiceSchema = new Schema({
+   invoiceNumber: {
+      type: String,
+      required: true,
+      trim: true,
+   },
+   createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+   },
+   company: {
+      type: Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null,
+   },
+   client: {
+      type: Schema.Types.ObjectId,
+      ref: 'Client',
+      required: [true, 'Client is required for the invoice'],
+   },
+   deliveryNotes: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'DeliveryNote' }],
+      validate: [
+         { validator: (val) => val.length > 0, msg: 'Invoice must include at least one delivery note.' }
+      ]
+   },
+   lines: {
+      type: [InvoiceLineSchema],
+      default: [],
+   },
+   issueDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+   },
+   dueDate: {
+      type: Date,
+      default: null,
+   },
+   subtotal: {
+      type: Number,
+      default: 0,
+   },
+   discountAmount: {
+      type: Number,
+      default: 0,
+   },
+   taxBreakdown: {
+      type: [TaxLineSchema],
+      default: [],
+   },
+   ivaAmount: {
+      type: Number,
+      default: 0,
+   },
+   irpfRate: {
+      type: Number,
+      min: [0, 'IRPF rate cannot be negative'],
+      max: [100, 'IRPF rate cannot exceed 100'],
+      default: 0,
+   },
+   irpfAmount: {
+      type: Number,
+      default: 0,
+   },
+   total: {
+      type: Number,
+      default: 0,
+   },
+   isPaid: {
+      type: Boolean,
+      default: false,
+   },
+   paidAt: {
+      type: Date,
+      default: null,
+   },
+   pdfUrl: {
+      type: String,
+      trim: true,
+      default: null,
+   },
+   notes: {
+      type: String,
+      trim: true,
+   },
+}, {
+   timestamps: true
+});
+
+// Unique invoice number per user and inside a company
+InvoiceSchema.index({ createdBy: 1, invoiceNumber: 1 }, { unique: true });
+InvoiceSchema.index(
+   { company: 1, invoiceNumber: 1 },
+   { unique: true, partialFilterExpression: { company: { $type: 'objectId' } } }
+);
+InvoiceSchema.index({ client: 1, issueDate: -1 });
+
+/**
+ * Recalculate the line amounts and the tax breakdown.
+ * Does not save the document.
+ */
+InvoiceSchema.methods.calculateTotals = function () {
+   this.lines.forEach(line => {
+      line.amount = calculateLine(line).base;
+   });
+
+   const summary = summarizeTaxes(this.lines);
+   this.subtotal = summary.subtotal;
+   this.discountAmount = summary.discountAmount;
+   this.taxBreakdown = summary.taxBreakdown;
+   this.ivaAmount = summary.taxAmount;
+   this.irpfAmount = roundAmount(this.subtotal * this.irpfRate / 100);
+   this.total = roundAmount(this.subtotal + this.ivaAmount - this.irpfAmount);
+};
+
+/**
+ * Mark the invoice as paid or unpaid.
+ * Does not save the document.
+ * @param {boolean} isPaid - New payment state.
+ * @param {Date} [paidAt=new Date()] - Payment date, ignored when marking as unpaid.
+ */
+InvoiceSchema.methods.setPaid = function (isPaid, paidAt = new Date()) {
+   this.isPaid = isPaid;
+   this.paidAt = isPaid ? paidAt : null;
+};
+
+// Keep the stored totals consistent with the lines and rates
+InvoiceSchema.pre('validate', function (next) {
+   this.calculateTotals();
+   next();
+});
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
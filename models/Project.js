@@ -9,6 +9,10 @@ const Schema = mongoose.Schema;
  * @property {string|null} description - Optional project description (max 500 chars, trimmed)
  * @property {ObjectId} client - Reference to Client model (required)
  * @property {ObjectId} createdBy - Reference to User who created this project (required)
+ * @property {ObjectId|null} company - Reference to the Company that shares this project (null for users without company)
+ * @property {Date|null} startDate - Planned start of the project
+ * @property {Date|null} endDate - Planned end of the project (not before startDate)
+ * @property {Object} budget - Budgeted hours and/or amount (taxable base, without IVA); null when not budgeted
  * @property {boolean} archived - Soft delete flag (default: false)
  * @property {Date} createdAt - Timestamp when document was created (auto-generated)
  * @property {Date} updatedAt - Timestamp when document was last updated (auto-generated)
@@ -36,6 +40,31 @@ const ProjectSchema = new Schema({
       ref: 'User',
       required: [true, 'User is required']
    },
+   company: {
+      type: Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null
+   },
+   startDate: {
+      type: Date,
+      default: null
+   },
+   endDate: {
+      type: Date,
+      default: null
+   },
+   budget: {
+      hours: {
+         type: Number,
+         min: [0, 'Budgeted hours cannot be negative'],
+         default: null
+      },
+      amount: {
+         type: Number,
+         min: [0, 'Budgeted amount cannot be negative'],
+         default: null
+      }
+   },
    archived: {
       type: Boolean,
       default: false,
@@ -44,6 +73,19 @@ const ProjectSchema = new Schema({
 
 // Unique index to prevent duplicate project names for the same client
 ProjectSchema.index({ createdBy: 1, client: 1, name: 1 }, { unique: true,  message: 'Project name must be unique for this client and user.' });
+// Full-text search (GET /api/search), the name weighs more than the description
+ProjectSchema.index(
+   { name: 'text', description: 'text' },
+   { name: 'project_text', weights: { name: 5, description: 1 }, default_language: 'spanish', language_override: 'textLanguage' }
+);
+
+// The schedule must be consistent whatever combination of dates was updated
+ProjectSchema.pre('validate', function(next) {
+   if (this.startDate && this.endDate && this.endDate < this.startDate) {
+      this.invalidate('endDate', 'End date cannot be before start date.', this.endDate);
+   }
+   next();
+});
 
 // Validate if referenced client exists before saving
 ProjectSchema.pre('save', async function(next) {
@@ -0,0 +1,31 @@
+// File: models/RateLimit.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Hits of a rate limit key in its current window (mongo rate limit store)
+ * @typedef {Object} RateLimitSchema
+ * @property {string} key - Limiter and client, e.g. 'auth:ip:203.0.113.7' (unique)
+ * @property {number} count - Hits in the current window
+ * @property {Date} resetAt - End of the current window
+ */
+const RateLimitSchema = new Schema({
+   key: {
+      type: String,
+      required: true,
+      unique: true
+   },
+   count: {
+      type: Number,
+      default: 0
+   },
+   resetAt: {
+      type: Date,
+      required: true
+   }
+}, { collection: 'rate_limits' });
+
+// Finished windows are removed by MongoDB
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,102 @@
+// File: models/Session.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Reasons a session can be closed
+ * @constant {Array<string>}
+ */
+const REVOKE_REASONS = ['logout', 'revoked', 'password_reset', 'reuse_detected', 'account_deleted'];
+
+/**
+ * Session schema: one per login, renewed with a rotating refresh token
+ * @typedef {Object} SessionSchema
+ * @property {ObjectId} user - Reference to the User that logged in (required)
+ * @property {string} refreshTokenHash - SHA-256 digest of the current refresh token (unique)
+ * @property {string} previousTokenHash - Digest of the refresh token replaced in the last rotation, to detect reuse
+ * @property {string} userAgent - User-Agent header of the last login or refresh
+ * @property {string} device - Readable device name, e.g. 'Chrome on Windows'
+ * @property {string} ip - IP address of the last login or refresh
+ * @property {Date} lastUsedAt - Last time the session was used (default: now)
+ * @property {Date} expiresAt - The session closes if it is not refreshed before this date (required)
+ * @property {Date|null} revokedAt - When the session was closed (default: null)
+ * @property {string|null} revokedReason - Why the session was closed (enum: REVOKE_REASONS)
+ * @property {Date} createdAt - Login date (auto-generated)
+ * @property {Date} updatedAt - Timestamp when document was last updated (auto-generated)
+ */
+const SessionSchema = new Schema({
+   user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+   },
+   refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true
+   },
+   previousTokenHash: {
+      type: String,
+      default: null,
+      index: true
+   },
+   userAgent: {
+      type: String,
+      trim: true,
+      default: null
+   },
+   device: {
+      type: String,
+      trim: true,
+      default: null
+   },
+   ip: {
+      type: String,
+      trim: true,
+      default: null
+   },
+   lastUsedAt: {
+      type: Date,
+      default: Date.now
+   },
+   expiresAt: {
+      type: Date,
+      required: true
+   },
+   revokedAt: {
+      type: Date,
+      default: null
+   },
+   revokedReason: {
+      type: String,
+      enum: [...REVOKE_REASONS, null],
+      default: null
+   }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {boolean} True if not revoked and not expired
+ */
+SessionSchema.methods.isActive = function (now = new Date()) {
+   return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Close the session. Does not save the document.
+ * @param {string} reason - One of REVOKE_REASONS
+ */
+SessionSchema.methods.revoke = function (reason) {
+   this.revokedAt = new Date();
+   this.revokedReason = reason;
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -1,6 +1,7 @@
 // File: models/User.js
 const mongoose = require('mongoose');
 const mongooseDelete = require('mongoose-delete');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../services/email/templates');
 
 /**
  * User schema definition for managing user accounts and authentication
@@ -11,13 +12,19 @@ const mongooseDelete = require('mongoose-delete');
  * @property {string} lastName - User's last name (optional, trimmed)
  * @property {string} nif - User's National Identification Number (optional, trimmed)
  * @property {Object} company - Company information object
+ * @property {ObjectId|null} companyId - Reference to the Company the user belongs to (optional)
  * @property {Object} logo - Company logo information object
+ * @property {string} language - Preferred language of the emails (enum: es/en, default: es)
  * @property {boolean} isEmailVerified - Email verification status (default: false)
  * @property {string} verificationCode - Email verification code (optional)
  * @property {number} verificationAttempts - Count of verification attempts (default: 0)
  * @property {number} maxVerificationAttempts - Maximum allowed verification attempts (default: 3)
  * @property {string} passwordResetCode - Password reset verification code (optional)
  * @property {Date} passwordResetExpires - Password reset code expiration date (optional)
+ * @property {number} failedLoginAttempts - Failed logins since the last success or lockout (default: 0)
+ * @property {number} lockoutCount - Consecutive lockouts, each one lasts twice the previous (default: 0)
+ * @property {Date|null} lockUntil - Logins are refused until this date (default: null)
+ * @property {Object} twoFactor - TOTP two-factor authentication; every field but enabled/enabledAt is hidden by default
  * @property {string} role - User role in the system (enum: user/admin/guest, default: user)
  * @property {Date} createdAt - Timestamp when document was created (auto-generated)
  * @property {Date} updatedAt - Timestamp when document was last updated (auto-generated)
@@ -87,6 +94,13 @@ const UserSchema = new mongoose.Schema({
         }
     },
 
+    // Company the user belongs to (as owner or member)
+    companyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        default: null
+    },
+
     // Company logo
     logo: {
         url: {
@@ -99,6 +113,13 @@ const UserSchema = new mongoose.Schema({
         }
     },
 
+    // Language of the emails sent by or to the user
+    language: {
+        type: String,
+        enum: LANGUAGES,
+        default: DEFAULT_LANGUAGE
+    },
+
     // Email verification fields
     isEmailVerified: {
         type: Boolean,
@@ -127,6 +148,67 @@ const UserSchema = new mongoose.Schema({
       required: false
     },
 
+    // Login lockout fields
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockoutCount: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        },
+        // Base32 secret shared with the authenticator app
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // Secret generated by /2fa/setup, active once a code is verified
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // Time step of the last accepted code, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        // SHA-256 hashes of the unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        // Hash of the token of a login waiting for the second factor
+        challengeHash: {
+            type: String,
+            default: null,
+            select: false
+        },
+        challengeExpires: {
+            type: Date,
+            default: null,
+            select: false
+        }
+    },
+
     // User role
     role: {
         type: String,
@@ -135,6 +217,48 @@ const UserSchema = new mongoose.Schema({
     },
 }, { timestamps: true });
 
+/**
+ * Milliseconds left until the account can log in again
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {number} 0 when the account is not locked
+ */
+UserSchema.methods.getLockRemaining = function (now = new Date()) {
+    return this.lockUntil ? Math.max(0, this.lockUntil.getTime() - now.getTime()) : 0;
+};
+
+/**
+ * Record a failed login and lock the account once maxAttempts is reached.
+ * Each consecutive lockout lasts twice the previous one, up to maxDuration.
+ * Does not save the document.
+ * @param {Object} policy - Lockout policy (config.rateLimits.lockout)
+ * @param {number} policy.maxAttempts - Failed logins before a lockout
+ * @param {number} policy.baseDuration - Duration of the first lockout in milliseconds
+ * @param {number} policy.maxDuration - Longest lockout in milliseconds
+ * @returns {number} Duration of the lockout started, or 0 if the account is not locked
+ */
+UserSchema.methods.registerFailedLogin = function ({ maxAttempts, baseDuration, maxDuration }) {
+    this.failedLoginAttempts += 1;
+    if (this.failedLoginAttempts < maxAttempts) {
+        return 0;
+    }
+
+    const duration = Math.min(baseDuration * 2 ** this.lockoutCount, maxDuration);
+    this.lockoutCount += 1;
+    this.failedLoginAttempts = 0;
+    this.lockUntil = new Date(Date.now() + duration);
+    return duration;
+};
+
+/**
+ * Clear the failed logins and lockouts after a successful login.
+ * Does not save the document.
+ */
+UserSchema.methods.resetLoginAttempts = function () {
+    this.failedLoginAttempts = 0;
+    this.lockoutCount = 0;
+    this.lockUntil = null;
+};
+
 // Soft delete plugin
 UserSchema.plugin(mongooseDelete, {
     deleteAt: true,
@@ -0,0 +1,101 @@
+// File: routes/auditRoutes.js
+const express = require('express');
+const { auth, checkPermission } = require('../middleware/auth');
+const auditController = require('../controllers/auditController');
+const { validateListAuditLogs } = require('../validators/auditValidators');
+const { asyncHandler } = require('../middleware/handleError');
+
+const router = express.Router();
+
+// Apply auth middleware to all audit routes
+router.use(auth);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Audit
+ *     description: Log of the changes made to clients, projects, delivery notes and users
+ */
+
+/**
+ * @route GET /api/audit
+ * @desc List the audit log of the company of the user, or its own changes without a company
+ * @access Private (audit:read permission)
+ * @query page?, limit?, cursor?, sort?, resourceType?, resourceId?, action?, actor?, from?, to?
+ */
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     tags:
+ *       - Audit
+ *     summary: List the audit log
+ *     description: Every create, update, archive, recover, delete and sign of the clients, projects, delivery notes and users of the company, newest first, with the actor, the changed fields before and after, the IP and the date. Users without a company see the changes they made.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [client, project, deliverynote, user]
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Entries of one document, also after it was deleted.
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: update,sign
+ *         description: Comma separated actions (create, update, archive, recover, delete, sign).
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ObjectId of the actor.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a plain date covers the whole day.
+ *     responses:
+ *       '200':
+ *         description: Audit log retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogList'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/',
+   checkPermission('audit:read'),
+   validateListAuditLogs,
+   asyncHandler(auditController.getAuditLogs)
+);
+
+module.exports = router;
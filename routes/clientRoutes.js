@@ -1,10 +1,15 @@
 // File: routes/clientRoutes.js
 const express = require('express');
 const { param, check } = require('express-validator');
-const { validateCreateClient, validateUpdateClient, validateClientId } = require('../validators/clientValidators');
+const { validateCreateClient, validateUpdateClient, validateClientId, validateListClients } = require('../validators/clientValidators');
+const { validateImport } = require('../validators/commonValidators');
 const clientController = require('../controllers/clientController');
-const { auth } = require('../middleware/auth');
-const { handleError, asyncHandler } = require('../middleware/handleError');
+const auditController = require('../controllers/auditController');
+const { validateResourceHistory } = require('../validators/auditValidators');
+const { auth, checkPermission } = require('../middleware/auth');
+const Client = require('../models/Client');
+const { handleError, asyncHandler, handleMulterErrors } = require('../middleware/handleError');
+const { csvUpload } = require('../middleware/fileUpload');
 
 const router = express.Router();
 router.use(auth); // Apply auth middleware to all routes
@@ -42,40 +47,138 @@ router.use(auth); // Apply auth middleware to all routes
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
    '/',
+   checkPermission('client:create'),
    validateCreateClient,
    asyncHandler(clientController.createClient)
 );
 
+/**
+ * @openapi
+ * /client/import:
+ *   post:
+ *     tags:
+ *       - Client
+ *     summary: Import clients from a CSV file
+ *     description: |
+ *       Creates one client per row of the uploaded CSV file (comma or semicolon separated, header in the first row).
+ *       Columns: name, email, cif, phone, billingEmail, address.street, address.city, address.postalCode, address.province, address.country.
+ *       Each row is validated like POST /client; clients whose email already exists, or is repeated in the file, are skipped.
+ *       With dryRun=true the file is only checked and nothing is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '200':
+ *         description: Per-row import report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/import',
+   checkPermission('client:create'),
+   csvUpload.single('file'),
+   handleMulterErrors,
+   validateImport,
+   asyncHandler(clientController.importClients)
+);
+
 /**
  * @openapi
  * /client:
  *   get:
  *     tags:
  *       - Client
- *     summary: List all active clients
+ *     summary: List active clients
+ *     description: Returns one page of the active clients, sorted by name unless sort is given.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, email, -email, createdAt, -createdAt]
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Partial, case-insensitive match on the name.
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Partial, case-insensitive match on the email.
+ *       - in: query
+ *         name: cif
+ *         schema:
+ *           type: string
+ *         description: Exact tax ID (CIF, NIF or NIE).
  *     responses:
  *       '200':
- *         description: Array of client objects.
+ *         description: Page of clients.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/ClientOutput'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 clients:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClientOutput'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get(
    '/',
+   checkPermission('client:read'),
+   validateListClients,
    asyncHandler(clientController.getClients)
 );
 
@@ -99,11 +202,14 @@ router.get(
  *                 $ref: '#/components/schemas/ClientOutput'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get(
    '/archived',
+   checkPermission('client:read'),
    asyncHandler(clientController.getArchivedClients)
 );
 
@@ -135,6 +241,8 @@ router.get(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -142,16 +250,67 @@ router.get(
  */
 router.get(
    '/:id',
+   checkPermission('client:read', { model: Client }),
    validateClientId,
    asyncHandler(clientController.getClientById)
 );
 
+/**
+ * @route GET /api/client/:id/history
+ * @desc Audit history of a client: who changed it, what and when
+ * @access Private
+ */
+/**
+ * @openapi
+ * /client/{id}/history:
+ *   get:
+ *     tags:
+ *       - Client
+ *     summary: Get client history
+ *     description: Entries of the audit log of the client, newest first, with the actor and the changed fields before and after. The entries of deleted clients are listed in /audit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ObjectId.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       '200':
+ *         description: Client history retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogList'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/:id/history',
+   checkPermission('client:read', { model: Client }),
+   validateResourceHistory,
+   asyncHandler(auditController.getClientHistory)
+);
+
 /**
  * @route PUT /api/client/:id
  * @desc Update a client
  * @access Private
  * @param id (Client's MongoDB ObjectId)
- * @body { name?: string, email?: string, company?: string (ObjectId) }
+ * @body { name?: string, email?: string, cif?: string, phone?: string, address?: object, contacts?: Array<object>, billingEmail?: string|null, company?: string (ObjectId) }
  * @openapi
  * /client/{id}:
  *   put:
@@ -188,6 +347,8 @@ router.get(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -195,6 +356,7 @@ router.get(
  */
 router.put(
    '/:id',
+   checkPermission('client:update', { model: Client }),
    validateUpdateClient,
    asyncHandler(clientController.updateClient)
 );
@@ -236,6 +398,8 @@ router.put(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -243,6 +407,7 @@ router.put(
  */
 router.patch(
    '/:id',
+   checkPermission('client:update', { model: Client }),
    validateUpdateClient,
    asyncHandler(clientController.updateClient)
 );
@@ -275,6 +440,8 @@ router.patch(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -282,6 +449,7 @@ router.patch(
  */
 router.patch(
    '/:id/archive',
+   checkPermission('client:archive', { model: Client }),
    validateClientId,
    asyncHandler(clientController.archiveClient)
 );
@@ -314,6 +482,8 @@ router.patch(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -321,6 +491,7 @@ router.patch(
  */
 router.patch(
    '/:id/recover',
+   checkPermission('client:archive', { model: Client }),
    validateClientId,
    asyncHandler(clientController.recoverClient)
 );
@@ -352,6 +523,8 @@ router.patch(
  *         description: Client deleted successfully.
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -359,6 +532,7 @@ router.patch(
  */
 router.delete(
    '/:id',
+   checkPermission('client:delete', { model: Client }),
    validateClientId,
    asyncHandler(clientController.deleteClient)
 );
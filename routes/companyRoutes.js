@@ -0,0 +1,340 @@
+// File: routes/companyRoutes.js
+const express = require('express');
+const companyController = require('../controllers/companyController');
+const invitationController = require('../controllers/invitationController');
+const { auth, checkPermission } = require('../middleware/auth');
+const {
+   validateMemberId,
+   validateUpdateMemberRole,
+   validateInvitationId,
+   validateUpdateNumbering,
+} = require('../validators/companyValidators');
+const { asyncHandler } = require('../middleware/handleError');
+
+const router = express.Router();
+
+router.use(auth); // Apply auth to all routes
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Company
+ *     description: Company and team membership endpoints
+ */
+
+/**
+ * @route GET /api/company
+ * @desc Get the company of the current user with its members
+ * @access Private
+ * @openapi
+ * /company:
+ *   get:
+ *     tags:
+ *       - Company
+ *     summary: Get current company
+ *     description: Retrieves the company the authenticated user belongs to, including owner and members.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Company retrieved successfully.
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', asyncHandler(companyController.getMyCompany));
+
+/**
+ * @route GET /api/company/roles
+ * @desc List the company roles with their permissions
+ * @access Private
+ * @openapi
+ * /company/roles:
+ *   get:
+ *     tags:
+ *       - Company
+ *     summary: List company roles and permissions
+ *     description: Returns the permission matrix of the company roles (owner, admin, member, signer, viewer, guest) and the role of the authenticated user in its company.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Roles retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CompanyRole'
+ *                 currentRole:
+ *                   type: string
+ *                   nullable: true
+ *                   example: admin
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/roles', asyncHandler(companyController.getRoles));
+
+/**
+ * @route GET /api/company/numbering
+ * @desc Get the numbering series of the company documents and their next numbers
+ * @access Private
+ * @openapi
+ * /company/numbering:
+ *   get:
+ *     tags:
+ *       - Company
+ *     summary: Get numbering series
+ *     description: Returns the delivery note and invoice series of the company (prefix, padding, yearly reset) with the next number of each.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Numbering series retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 numbering:
+ *                   $ref: '#/components/schemas/NumberingSettings'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/numbering', asyncHandler(companyController.getNumbering));
+
+/**
+ * @route PATCH /api/company/numbering
+ * @desc Update the numbering series of the company documents
+ * @access Private (company:update permission)
+ * @body { deliveryNote?: { prefix?, padding?, yearlyReset? }, invoice?: { prefix?, padding?, yearlyReset? } }
+ * @openapi
+ * /company/numbering:
+ *   patch:
+ *     tags:
+ *       - Company
+ *     summary: Update numbering series
+ *     description: Changes the prefix, padding or yearly reset of the delivery note and invoice series. Numbers already issued are not changed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryNote:
+ *                 $ref: '#/components/schemas/NumberingSeries'
+ *               invoice:
+ *                 $ref: '#/components/schemas/NumberingSeries'
+ *     responses:
+ *       '200':
+ *         description: Numbering series updated successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch('/numbering',
+   checkPermission('company:update'),
+   validateUpdateNumbering,
+   asyncHandler(companyController.updateNumbering)
+);
+
+/**
+ * @route PATCH /api/company/members/:userId
+ * @desc Change the role of a member of the company
+ * @access Private (member:role permission)
+ * @body { role }
+ * @openapi
+ * /company/members/{userId}:
+ *   patch:
+ *     tags:
+ *       - Company
+ *     summary: Change the role of a company member
+ *     description: Gives another role to a member. Nobody can give or take away the owner role, only the owner can manage admins, and members cannot change their own role.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ObjectId of the member.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, signer, viewer, guest]
+ *     responses:
+ *       '200':
+ *         description: Member role updated successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch('/members/:userId',
+   checkPermission('member:role'),
+   validateUpdateMemberRole,
+   asyncHandler(companyController.updateMemberRole)
+);
+
+/**
+ * @route DELETE /api/company/members/:userId
+ * @desc Remove a member from the company
+ * @access Private (member:remove permission)
+ * @openapi
+ * /company/members/{userId}:
+ *   delete:
+ *     tags:
+ *       - Company
+ *     summary: Remove a company member
+ *     description: Removes a member from the company. The owner cannot be removed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ObjectId of the member.
+ *     responses:
+ *       '200':
+ *         description: Member removed successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/members/:userId',
+   checkPermission('member:remove'),
+   validateMemberId,
+   asyncHandler(companyController.removeMember)
+);
+
+/**
+ * @route GET /api/company/invitations
+ * @desc List the pending invitations of the company
+ * @access Private (member:invite permission)
+ * @openapi
+ * /company/invitations:
+ *   get:
+ *     tags:
+ *       - Company
+ *     summary: List pending invitations
+ *     description: Invitations sent with /user/invite that have not been answered and have not expired.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Pending invitations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/invitations',
+   checkPermission('member:invite'),
+   asyncHandler(invitationController.listInvitations)
+);
+
+/**
+ * @route DELETE /api/company/invitations/:invitationId
+ * @desc Revoke a pending invitation
+ * @access Private (member:invite permission)
+ * @openapi
+ * /company/invitations/{invitationId}:
+ *   delete:
+ *     tags:
+ *       - Company
+ *     summary: Revoke a pending invitation
+ *     description: Cancels an invitation that has not been answered; its link stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ObjectId.
+ *     responses:
+ *       '200':
+ *         description: Invitation revoked.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/invitations/:invitationId',
+   checkPermission('member:invite'),
+   validateInvitationId,
+   asyncHandler(invitationController.revokeInvitation)
+);
+
+module.exports = router;
@@ -1,20 +1,28 @@
 // File: routes/deliveryNoteRoutes.js
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
+const DeliveryNote = require('../models/DeliveryNote');
 const deliveryNoteController = require('../controllers/deliveryNoteController');
+const auditController = require('../controllers/auditController');
+const { validateResourceHistory } = require('../validators/auditValidators');
 const {
     validateCreateDeliveryNote,
     validateUpdateDeliveryNote,
     validateSignDeliveryNote,
-    validateDeliveryNoteId
+    validateDeliveryNoteStatus,
+    validateRequestSignature,
+    validateSendSignedDeliveryNote,
+    validatePublicSigningLink,
+    validatePublicSignDeliveryNote,
+    validateDeliveryNoteId,
+    validateListDeliveryNotes,
+    validateExportDeliveryNotes
 } = require('../validators/deliveryNoteValidators'); // Assuming validators are created
-const { asyncHandler } = require('../middleware/handleError');
+const { signatureUpload } = require('../middleware/fileUpload');
+const { asyncHandler, handleMulterErrors } = require('../middleware/handleError');
 
 const router = express.Router();
 
-// Apply auth middleware to all delivery note routes
-router.use(auth);
-
 /**
  * @openapi
  * tags:
@@ -22,11 +30,108 @@ router.use(auth);
  *     description: Delivery note management endpoints
  */
 
+// Public remote signing routes: declared before auth, access is granted by the one-time token
+
+/**
+ * @route GET /api/deliverynote/public/sign/:token
+ * @desc Show a delivery note to the client through a remote signing link.
+ * @access Public (one-time token)
+ * @param token - Token received by email.
+ */
+/**
+ * @openapi
+ * /deliverynote/public/sign/{token}:
+ *   get:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: View a delivery note to sign
+ *     description: Public endpoint opened from the signing link emailed to the client.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time signing token.
+ *     responses:
+ *       '200':
+ *         description: Delivery note data to review before signing.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/public/sign/:token',
+    validatePublicSigningLink,
+    asyncHandler(deliveryNoteController.getPublicDeliveryNote)
+);
+
+/**
+ * @route POST /api/deliverynote/public/sign/:token
+ * @desc Sign a delivery note through a remote signing link by uploading a signature image.
+ * Generates and stores the signed PDF. The link cannot be used again.
+ * @access Public (one-time token)
+ * @param token - Token received by email.
+ * @body multipart/form-data { signature: image, signerName?: string }
+ */
+/**
+ * @openapi
+ * /deliverynote/public/sign/{token}:
+ *   post:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Sign a delivery note remotely
+ *     description: Uploads the client's signature image, signs the note and generates its PDF.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time signing token.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signature
+ *             properties:
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *               signerName:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Delivery note signed successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+    '/public/sign/:token',
+    signatureUpload.single('signature'),
+    handleMulterErrors,
+    validatePublicSignDeliveryNote,
+    asyncHandler(deliveryNoteController.signPublicDeliveryNote)
+);
+
+// Apply auth middleware to all other delivery note routes
+router.use(auth);
+
 /**
  * @route POST /api/deliverynote
  * @desc Create a new delivery note (hours or materials) for a specific project[cite: 6].
  * @access Private
- * @body { deliveryNoteNumber: string, projectId: string, date: Date, items: Array<{description: string, quantity: number, unitPrice?: number, person?: string}>, notes?: string }
+ * @body { deliveryNoteNumber?: string, projectId: string, date: Date, items: Array<{description: string, quantity: number, unitPrice?: number, person?: string}>, notes?: string }
  */
 /**
  * @openapi
@@ -35,7 +140,7 @@ router.use(auth);
  *     tags:
  *       - DeliveryNote
  *     summary: Create a new delivery note
- *     description: Creates a new delivery note (hours or materials) for a specific project.
+ *     description: Creates a new delivery note (hours or materials) for a specific project. Without deliveryNoteNumber, the next number of the company series is assigned (e.g. ALB-2026-0001).
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -45,13 +150,13 @@ router.use(auth);
  *           schema:
  *             type: object
  *             required:
- *               - deliveryNoteNumber
  *               - projectId
  *               - date
  *               - items
  *             properties:
  *               deliveryNoteNumber:
  *                 type: string
+ *                 description: Optional; allocated from the company numbering series when omitted.
  *               projectId:
  *                 type: string
  *               date:
@@ -79,20 +184,23 @@ router.use(auth);
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
     '/',
+    checkPermission('deliverynote:create'),
     validateCreateDeliveryNote,
     asyncHandler(deliveryNoteController.createDeliveryNote)
 );
 
 /**
  * @route GET /api/deliverynote
- * @desc List all delivery notes for the logged-in user[cite: 6].
+ * @desc List the delivery notes for the logged-in user[cite: 6], paginated.
  * @access Private
- * @query (Optional filters like projectId, clientId, date range can be added later)
+ * @query page?, limit?, cursor?, sort?, status?, projectId?, clientId?, isSigned?, dateFrom?, dateTo?
  */
 /**
  * @openapi
@@ -100,11 +208,29 @@ router.post(
  *   get:
  *     tags:
  *       - DeliveryNote
- *     summary: List all delivery notes
- *     description: Retrieves all delivery notes for the authenticated user, with optional query filters.
+ *     summary: List delivery notes
+ *     description: Returns one page of the delivery notes of the authenticated user, newest first unless sort is given, with optional query filters.
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, deliveryNoteNumber, -deliveryNoteNumber, totalAmount, -totalAmount, createdAt, -createdAt]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more statuses, comma separated (e.g. signed,invoiced).
+ *       - in: query
+ *         name: isSigned
+ *         schema:
+ *           type: boolean
+ *         description: Filter by signature.
  *       - in: query
  *         name: projectId
  *         schema:
@@ -126,20 +252,119 @@ router.post(
  *         schema:
  *           type: string
  *           format: date
- *         description: End date filter.
+ *         description: End date filter (inclusive).
  *     responses:
  *       '200':
- *         description: List of delivery notes.
+ *         description: Page of delivery notes, with pagination metadata.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get(
     '/',
+    checkPermission('deliverynote:read'),
+    validateListDeliveryNotes,
     asyncHandler(deliveryNoteController.getAllDeliveryNotes)
 );
 
+/**
+ * @route GET /api/deliverynote/export
+ * @desc Download the delivery notes of the user as CSV or XLSX, streamed.
+ * Accepts the list filters and sort; each row is a delivery note or one of its items.
+ * @access Private
+ * @query format?: 'csv'|'xlsx', rows?: 'note'|'item', sort?, status?, projectId?, clientId?, isSigned?, dateFrom?, dateTo?
+ */
+/**
+ * @openapi
+ * /deliverynote/export:
+ *   get:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Export delivery notes
+ *     description: |
+ *       Streams the delivery notes matching the list filters as a CSV (UTF-8 with BOM) or XLSX file.
+ *       With rows=note each row is a delivery note with its client, project, totals and signature;
+ *       with rows=item each row is an item, repeating the delivery note columns.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: rows
+ *         schema:
+ *           type: string
+ *           enum: [note, item]
+ *           default: note
+ *         description: One row per delivery note or one row per item.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, deliveryNoteNumber, -deliveryNoteNumber, totalAmount, -totalAmount, createdAt, -createdAt]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more statuses, comma separated (e.g. signed,invoiced).
+ *       - in: query
+ *         name: isSigned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       '200':
+ *         description: Export file.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/export',
+    checkPermission('deliverynote:read'),
+    validateExportDeliveryNotes,
+    asyncHandler(deliveryNoteController.exportDeliveryNotes)
+);
+
 /**
  * @route GET /api/deliverynote/:id
  * @desc Get a specific delivery note by its ID, populating related data[cite: 6].
@@ -170,6 +395,8 @@ router.get(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -177,6 +404,7 @@ router.get(
  */
 router.get(
     '/:id',
+    checkPermission('deliverynote:read', { model: DeliveryNote }),
     validateDeliveryNoteId, // Validate the ID format
     asyncHandler(deliveryNoteController.getDeliveryNoteById)
 );
@@ -232,6 +460,8 @@ router.get(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -239,6 +469,7 @@ router.get(
  */
 router.put(
     '/:id',
+    checkPermission('deliverynote:update', { model: DeliveryNote }),
     validateUpdateDeliveryNote, // Includes ID validation and body validation
     asyncHandler(deliveryNoteController.updateDeliveryNote)
 );
@@ -279,6 +510,8 @@ router.put(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -286,6 +519,7 @@ router.put(
  */
 router.patch(
     '/:id',
+    checkPermission('deliverynote:update', { model: DeliveryNote }),
     validateUpdateDeliveryNote, // Same validation applies
     asyncHandler(deliveryNoteController.updateDeliveryNote)
 );
@@ -293,11 +527,14 @@ router.patch(
 
 /**
  * @route PATCH /api/deliverynote/sign/:id
- * @desc Sign a delivery note by providing the signature image URL (e.g., IPFS CID)[cite: 8].
- * This endpoint handles marking as signed, generating PDF, and storing URLs.
+ * @desc Sign a delivery note by providing the signature image URL (e.g., IPFS CID)[cite: 8]
+ * or by uploading the signature image (multipart field 'signature').
+ * This endpoint handles marking as signed, generating PDF with the signature embedded, and storing URLs.
+ * Only an uploaded image is embedded; a signatureUrl is stored and linked from the PDF, never downloaded.
  * @access Private
  * @param id - The MongoDB ObjectId of the delivery note.
  * @body { signatureUrl: string (IPFS CID or cloud URL), signedDate?: Date }
+ * or multipart/form-data { signature: image, signedDate?: Date }
  */
 /**
  * @openapi
@@ -306,7 +543,7 @@ router.patch(
  *     tags:
  *       - DeliveryNote
  *     summary: Sign a delivery note
- *     description: Signs a delivery note with a signature URL, generates PDF, and stores references.
+ *     description: Signs a delivery note with a signature URL or an uploaded PNG/JPEG signature image, generates PDF with the signature embedded, and stores references. Only an uploaded image is embedded in the PDF; a signatureUrl is stored and linked, never downloaded by the server.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -330,6 +567,18 @@ router.patch(
  *               signedDate:
  *                 type: string
  *                 format: date-time
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signature
+ *             properties:
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *               signedDate:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       '200':
  *         description: Delivery note signed successfully.
@@ -337,6 +586,8 @@ router.patch(
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -344,11 +595,303 @@ router.patch(
  */
 router.patch(
     '/sign/:id',
+    checkPermission('deliverynote:sign', { model: DeliveryNote }),
     // validateDeliveryNoteId,
+    signatureUpload.single('signature'),
+    handleMulterErrors,
     validateSignDeliveryNote, // Already handles the ID
     asyncHandler(deliveryNoteController.signDeliveryNote)
 );
 
+/**
+ * @route POST /api/deliverynote/:id/request-signature
+ * @desc Email the client a one-time link to sign the delivery note remotely.
+ * A draft note is marked as sent.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the delivery note.
+ * @body { email?: string } - Defaults to the client's billing email (or its main email).
+ */
+/**
+ * @openapi
+ * /deliverynote/{id}/request-signature:
+ *   post:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Send delivery note for signature
+ *     description: Emails a one-time signing link to the client billing email, or its main email when it has none. Requesting again invalidates the previous link.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery note ObjectId.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       '200':
+ *         description: Signature request sent successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+    '/:id/request-signature',
+    checkPermission('deliverynote:sign', { model: DeliveryNote }),
+    validateRequestSignature,
+    asyncHandler(deliveryNoteController.requestRemoteSignature)
+);
+
+/**
+ * @route POST /api/deliverynote/:id/send
+ * @desc Email the signed PDF to the client again (it is sent automatically when the note is signed).
+ * @access Private
+ * @param id - The MongoDB ObjectId of the delivery note.
+ * @body { email?: string, ccProvider?: boolean } - Email defaults to the client's billing email (or its main email).
+ */
+/**
+ * @openapi
+ * /deliverynote/{id}/send:
+ *   post:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Email the signed delivery note
+ *     description: Sends the signed PDF as attachment to the client billing email, or its main email when it has none. The same email is sent automatically when the note is signed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery note ObjectId.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               ccProvider:
+ *                 type: boolean
+ *                 description: Copy the user who created the delivery note. Defaults to SIGNED_PDF_CC_PROVIDER.
+ *     responses:
+ *       '200':
+ *         description: Signed delivery note sent successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sentTo:
+ *                       type: string
+ *                     cc:
+ *                       type: string
+ *                       nullable: true
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ *       '502':
+ *         description: The email could not be sent.
+ */
+router.post(
+    '/:id/send',
+    checkPermission('deliverynote:send', { model: DeliveryNote }),
+    validateSendSignedDeliveryNote,
+    asyncHandler(deliveryNoteController.sendSignedDeliveryNote)
+);
+
+/**
+ * @route GET /api/deliverynote/:id/status
+ * @desc Get the current status of a delivery note, its allowed transitions and history.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the delivery note.
+ */
+/**
+ * @openapi
+ * /deliverynote/{id}/status:
+ *   get:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Get delivery note status
+ *     description: Returns the current status, the statuses it can move to and who made each past transition.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery note ObjectId.
+ *     responses:
+ *       '200':
+ *         description: Delivery note status retrieved successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/:id/status',
+    checkPermission('deliverynote:read', { model: DeliveryNote }),
+    validateDeliveryNoteId,
+    asyncHandler(deliveryNoteController.getDeliveryNoteStatus)
+);
+
+/**
+ * @route GET /api/deliverynote/:id/history
+ * @desc Audit history of a delivery note: who changed it, what and when
+ * @access Private
+ */
+/**
+ * @openapi
+ * /deliverynote/{id}/history:
+ *   get:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Get delivery note history
+ *     description: Entries of the audit log of the delivery note, newest first, with the actor and the changed fields before and after. The entries of deleted delivery notes are listed in /audit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery note ObjectId.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       '200':
+ *         description: Delivery note history retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogList'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/:id/history',
+    checkPermission('deliverynote:read', { model: DeliveryNote }),
+    validateResourceHistory,
+    asyncHandler(auditController.getDeliveryNoteHistory)
+);
+
+/**
+ * @route PATCH /api/deliverynote/:id/status
+ * @desc Move a delivery note through the workflow (draft -> sent -> signed -> invoiced).
+ * Illegal transitions are rejected; signing must use the sign endpoint and invoicing the invoice endpoint.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the delivery note.
+ * @body { status: 'draft'|'sent', comment?: string }
+ */
+/**
+ * @openapi
+ * /deliverynote/{id}/status:
+ *   patch:
+ *     tags:
+ *       - DeliveryNote
+ *     summary: Change delivery note status
+ *     description: Applies a workflow transition and records who made it and when. Notes become signed through the sign endpoints and invoiced when an invoice is created from them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery note ObjectId.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, sent]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Delivery note status updated successfully.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch(
+    '/:id/status',
+    checkPermission('deliverynote:update', { model: DeliveryNote }),
+    validateDeliveryNoteStatus,
+    asyncHandler(deliveryNoteController.changeDeliveryNoteStatus)
+);
+
 /**
  * @route GET /api/deliverynote/pdf/:id
  * @desc Download the PDF of a specific (usually signed) delivery note[cite: 6, 8].
@@ -384,6 +927,8 @@ router.patch(
  *               format: binary
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -391,6 +936,7 @@ router.patch(
  */
 router.get(
     '/pdf/:id',
+    checkPermission('deliverynote:read', { model: DeliveryNote }),
     validateDeliveryNoteId,
     asyncHandler(deliveryNoteController.downloadDeliveryNotePdf)
 );
@@ -424,6 +970,8 @@ router.get(
  *         description: Delivery note deleted successfully.
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
@@ -431,6 +979,7 @@ router.get(
  */
 router.delete(
     '/:id',
+    checkPermission('deliverynote:delete', { model: DeliveryNote }),
     validateDeliveryNoteId,
     asyncHandler(deliveryNoteController.deleteDeliveryNote)
 );
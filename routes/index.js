@@ -4,12 +4,19 @@ const userRoutes = require('./userRoutes');
 const clientRoutes = require('./clientRoutes');
 const projectRoutes = require('./projectRoutes');
 const deliveryNoteRoutes = require('./deliveryNoteRoutes');
+const companyRoutes = require('./companyRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const searchRoutes = require('./searchRoutes');
+const auditRoutes = require('./auditRoutes');
+const { generalLimiter } = require('../middleware/rateLimit');
 
 /**
  * Initialize all API routes
  * @param {Express} app - Express application
  */
 function initRoutes(app) {
+  // Requests per IP on every API route
+  app.use('/api', generalLimiter);
   // User routes
   app.use('/api/user', userRoutes);
   // Client routes
@@ -18,6 +25,14 @@ function initRoutes(app) {
    app.use('/api/project', projectRoutes);
    // Delivery Note routes
    app.use('/api/deliverynote', require('./deliveryNoteRoutes'));
+   // Company routes
+   app.use('/api/company', companyRoutes);
+   // Invoice routes
+   app.use('/api/invoice', invoiceRoutes);
+   // Search routes
+   app.use('/api/search', searchRoutes);
+   // Audit log routes
+   app.use('/api/audit', auditRoutes);
 
   /**
    * @openapi
@@ -54,6 +69,10 @@ function initRoutes(app) {
         clients: '/api/client',
         projects: '/api/project',
         deliveryNotes: '/api/deliverynote',
+        company: '/api/company',
+        invoices: '/api/invoice',
+        search: '/api/search',
+        audit: '/api/audit',
       }
     });
   });
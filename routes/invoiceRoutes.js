@@ -0,0 +1,296 @@
+// File: routes/invoiceRoutes.js
+const express = require('express');
+const { auth, checkPermission } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const invoiceController = require('../controllers/invoiceController');
+const {
+    validateCreateInvoice,
+    validateListInvoices,
+    validateInvoicePayment,
+    validateInvoiceId
+} = require('../validators/invoiceValidators');
+const { asyncHandler } = require('../middleware/handleError');
+
+const router = express.Router();
+
+// Apply auth middleware to all invoice routes
+router.use(auth);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Invoice
+ *     description: Invoice management endpoints
+ */
+
+/**
+ * @route POST /api/invoice
+ * @desc Create an invoice from one or more signed delivery notes of the same client.
+ * The notes are marked as invoiced and the invoice PDF is generated.
+ * @access Private
+ * @body { deliveryNoteIds: Array<string>, issueDate?: Date, dueDate?: Date, ivaRate?: number, irpfRate?: number, notes?: string }
+ */
+/**
+ * @openapi
+ * /invoice:
+ *   post:
+ *     tags:
+ *       - Invoice
+ *     summary: Create an invoice
+ *     description: Bills one or more signed delivery notes of the same client. IVA uses the rate of each delivery note item unless ivaRate overrides it; IRPF (15%) is withheld by default for autonomous issuers.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       '201':
+ *         description: Invoice created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceOutput'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+    '/',
+    checkPermission('invoice:create'),
+    validateCreateInvoice,
+    asyncHandler(invoiceController.createInvoice)
+);
+
+/**
+ * @route GET /api/invoice
+ * @desc List the invoices of the user or its company, paginated.
+ * @access Private
+ * @query page?, limit?, cursor?, sort?, isPaid?, clientId?, dateFrom?, dateTo?
+ */
+/**
+ * @openapi
+ * /invoice:
+ *   get:
+ *     tags:
+ *       - Invoice
+ *     summary: List invoices
+ *     description: Returns one page of the invoices of the authenticated user or its company, newest first unless sort is given.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [issueDate, -issueDate, invoiceNumber, -invoiceNumber, total, -total, createdAt, -createdAt]
+ *       - in: query
+ *         name: isPaid
+ *         schema:
+ *           type: boolean
+ *         description: Filter by payment state.
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filter by client ID.
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Issued on or after this date.
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Issued on or before this date.
+ *     responses:
+ *       '200':
+ *         description: Page of invoices, with pagination metadata.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/',
+    checkPermission('invoice:read'),
+    validateListInvoices,
+    asyncHandler(invoiceController.getInvoices)
+);
+
+/**
+ * @route GET /api/invoice/:id/pdf
+ * @desc Download the PDF of an invoice.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the invoice.
+ */
+/**
+ * @openapi
+ * /invoice/{id}/pdf:
+ *   get:
+ *     tags:
+ *       - Invoice
+ *     summary: Download invoice PDF
+ *     description: Redirects to the stored PDF, or generates it on the fly.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ObjectId.
+ *     responses:
+ *       '200':
+ *         description: PDF file.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       '302':
+ *         description: Redirect to the stored PDF.
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/:id/pdf',
+    checkPermission('invoice:read', { model: Invoice }),
+    validateInvoiceId,
+    asyncHandler(invoiceController.downloadInvoicePdf)
+);
+
+/**
+ * @route GET /api/invoice/:id
+ * @desc Get a single invoice with its client and delivery notes.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the invoice.
+ */
+/**
+ * @openapi
+ * /invoice/{id}:
+ *   get:
+ *     tags:
+ *       - Invoice
+ *     summary: Get invoice by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ObjectId.
+ *     responses:
+ *       '200':
+ *         description: Invoice details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceOutput'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/:id',
+    checkPermission('invoice:read', { model: Invoice }),
+    validateInvoiceId,
+    asyncHandler(invoiceController.getInvoiceById)
+);
+
+/**
+ * @route PATCH /api/invoice/:id/payment
+ * @desc Mark an invoice as paid or unpaid.
+ * @access Private
+ * @param id - The MongoDB ObjectId of the invoice.
+ * @body { isPaid: boolean, paidAt?: Date }
+ */
+/**
+ * @openapi
+ * /invoice/{id}/payment:
+ *   patch:
+ *     tags:
+ *       - Invoice
+ *     summary: Update invoice payment state
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ObjectId.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPaid
+ *             properties:
+ *               isPaid:
+ *                 type: boolean
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       '200':
+ *         description: Payment state updated.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch(
+    '/:id/payment',
+    checkPermission('invoice:update', { model: Invoice }),
+    validateInvoicePayment,
+    asyncHandler(invoiceController.updateInvoicePayment)
+);
+
+module.exports = router;
@@ -1,9 +1,20 @@
 // File: routes/projectRoutes.js
 const express = require('express');
 const projectController = require('../controllers/projectController');
-const { auth } = require('../middleware/auth');
-const { validateCreateProject, validateUpdateProject, validateProjectId } = require('../validators/projectValidators');
-const { asyncHandler } = require('../middleware/handleError');
+const auditController = require('../controllers/auditController');
+const { validateResourceHistory } = require('../validators/auditValidators');
+const { auth, checkPermission } = require('../middleware/auth');
+const Project = require('../models/Project');
+const {
+   validateCreateProject,
+   validateUpdateProject,
+   validateProjectId,
+   validateListProjects,
+   validateProjectReport
+} = require('../validators/projectValidators');
+const { validateImport } = require('../validators/commonValidators');
+const { asyncHandler, handleMulterErrors } = require('../middleware/handleError');
+const { csvUpload } = require('../middleware/fileUpload');
 
 const router = express.Router();
 
@@ -46,14 +57,76 @@ router.use(auth); // Apply auth to all routes
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post('/',
+   checkPermission('project:create'),
    validateCreateProject,
    asyncHandler(projectController.createProject)
 );
 
+/**
+ * @route POST /api/project/import
+ * @desc Import projects from a CSV file, with a per-row report
+ * @access Private
+ * @openapi
+ * /project/import:
+ *   post:
+ *     tags:
+ *       - Project
+ *     summary: Import projects from a CSV file
+ *     description: |
+ *       Creates one project per row of the uploaded CSV file (comma or semicolon separated, header in the first row).
+ *       Columns: name, description, client (ID) or clientEmail, startDate, endDate, budget.hours, budget.amount.
+ *       Each row is validated like POST /project; projects whose name already exists for the client, or is repeated in the file, are skipped.
+ *       With dryRun=true the file is only checked and nothing is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '200':
+ *         description: Per-row import report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/import',
+   checkPermission('project:create'),
+   csvUpload.single('file'),
+   handleMulterErrors,
+   validateImport,
+   asyncHandler(projectController.importProjects)
+);
+
 /**
  * @route GET /api/project
  * @desc Obtain a list of projects for user
@@ -63,25 +136,55 @@ router.post('/',
  *   get:
  *     tags:
  *       - Project
- *     summary: List all projects
- *     description: Retrieves all projects for the authenticated user.
+ *     summary: List projects
+ *     description: Returns one page of the active projects of the authenticated user, most recent first unless sort is given.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, createdAt, -createdAt, updatedAt, -updatedAt]
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filter by client ID.
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Partial, case-insensitive match on the name.
  *     responses:
  *       '200':
- *         description: Array of project objects.
+ *         description: Page of projects.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/ProjectOutput'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectOutput'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/', asyncHandler(projectController.getProjects));
+router.get('/', checkPermission('project:read'), validateListProjects, asyncHandler(projectController.getProjects));
 
 /**
  * @route GET /api/project/archived
@@ -110,11 +213,11 @@ router.get('/', asyncHandler(projectController.getProjects));
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/archived', asyncHandler(projectController.getArchivedProjects));
+router.get('/archived', checkPermission('project:read'), asyncHandler(projectController.getArchivedProjects));
 
 /**
  * @route GET /api/project/:id
- * @desc Obtener un proyecto por ID
+ * @desc Obtener un proyecto por ID, con el consumo de horas e importe de sus albaranes
  * @access Private
  * @openapi
  * /project/{id}:
@@ -122,7 +225,7 @@ router.get('/archived', asyncHandler(projectController.getArchivedProjects));
  *     tags:
  *       - Project
  *     summary: Get a project by ID
- *     description: Retrieves a specific project by its ID.
+ *     description: Retrieves a specific project by its ID, with the hours and amount consumed by its delivery notes compared with the budget.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -138,21 +241,145 @@ router.get('/archived', asyncHandler(projectController.getArchivedProjects));
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ProjectOutput'
+ *               $ref: '#/components/schemas/ProjectDetail'
  *       '400':
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/:id',
+   checkPermission('project:read', { model: Project }),
    validateProjectId,
    asyncHandler(projectController.getProjectById)
 );
 
+/**
+ * @route GET /api/project/:id/report
+ * @desc Informe del proyecto: horas e importes por persona, por mes y por tipo de concepto
+ * Meses y días en UTC, igual que los filtros de fecha de los listados
+ * @access Private
+ * @query dateFrom?, dateTo?, format? (json | csv | pdf)
+ * @openapi
+ * /project/{id}/report:
+ *   get:
+ *     tags:
+ *       - Project
+ *     summary: Project summary report
+ *     description: Sums the items of the project delivery notes by person, by month of the note date and by item type. Amounts are the taxable base after discounts. Returns JSON, a CSV file or a PDF file. Months and days are UTC, like the date filters of the lists: a note dated near midnight on the last day of a month counts in the month of its UTC date.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ObjectId.
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only delivery notes dated on or after this day (UTC).
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only delivery notes dated on or before this day (UTC).
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       '200':
+ *         description: Project report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectReportOutput'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/report',
+   checkPermission('project:read', { model: Project }),
+   validateProjectReport,
+   asyncHandler(projectController.getProjectReport)
+);
+
+/**
+ * @route GET /api/project/:id/history
+ * @desc Audit history of a project: who changed it, what and when
+ * @access Private
+ */
+/**
+ * @openapi
+ * /project/{id}/history:
+ *   get:
+ *     tags:
+ *       - Project
+ *     summary: Get project history
+ *     description: Entries of the audit log of the project, newest first, with the actor and the changed fields before and after. The entries of deleted projects are listed in /audit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ObjectId.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       '200':
+ *         description: Project history retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogList'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/:id/history',
+   checkPermission('project:read', { model: Project }),
+   validateResourceHistory,
+   asyncHandler(auditController.getProjectHistory)
+);
+
 /**
  * @route PUT /api/project/:id
  * @desc Update a project
@@ -190,12 +417,15 @@ router.get('/:id',
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.put('/:id',
+   checkPermission('project:update', { model: Project }),
    // validateProjectId - the next validator already includes the ID
    validateUpdateProject,
    asyncHandler(projectController.updateProject) // Wrap controller
@@ -228,10 +458,13 @@ router.put('/:id',
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.patch('/archive/:id',
+   checkPermission('project:archive', { model: Project }),
    validateProjectId,
    asyncHandler(projectController.archiveProject) // Wrap controller
 );
@@ -263,10 +496,13 @@ router.patch('/archive/:id',
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.patch('/recover/:id',
+   checkPermission('project:archive', { model: Project }),
    validateProjectId,
    asyncHandler(projectController.recoverProject)
 );
@@ -296,12 +532,15 @@ router.patch('/recover/:id',
  *         description: Project deleted successfully.
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.delete('/:id',
+   checkPermission('project:delete', { model: Project }),
    validateProjectId,
    asyncHandler(projectController.deleteProject)
 );
@@ -0,0 +1,80 @@
+// File: routes/searchRoutes.js
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const searchController = require('../controllers/searchController');
+const { validateSearch } = require('../validators/searchValidators');
+const { asyncHandler } = require('../middleware/handleError');
+
+const router = express.Router();
+
+// Apply auth middleware to all search routes
+router.use(auth);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Search
+ *     description: Full-text search endpoints
+ */
+
+/**
+ * @route GET /api/search
+ * @desc Full-text search over the clients, projects and delivery notes of the user or its company.
+ * Results are grouped by type and sorted by relevance.
+ * @access Private
+ * @query q, types?, limit?
+ */
+/**
+ * @openapi
+ * /search:
+ *   get:
+ *     tags:
+ *       - Search
+ *     summary: Search clients, projects and delivery notes
+ *     description: Matches whole words (with Spanish stemming) in client name and email, project name and description, and delivery note number, item descriptions and notes. Archived clients and projects are excluded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: Search terms. Use quotes for an exact phrase and a leading '-' to exclude a word.
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: clients,projects
+ *         description: Comma separated groups to search (clients, projects, deliveryNotes). All by default.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum results per group.
+ *     responses:
+ *       '200':
+ *         description: Search completed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchOutput'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+    '/',
+    validateSearch,
+    asyncHandler(searchController.search)
+);
+
+module.exports = router;
@@ -10,11 +10,24 @@ const {
   validateForgotPassword,
   validateResetPassword,
   validateInviteUser,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateTwoFactorLogin,
+  validateInvitationToken,
+  validateAcceptInvitation,
   validateUserId
 } = require('../validators/userValidators');
 const userController = require('../controllers/userController');
 const logoController = require('../controllers/logoController');
-const { auth } = require('../middleware/auth');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const invitationController = require('../controllers/invitationController');
+const auditController = require('../controllers/auditController');
+const { validateUserHistory } = require('../validators/auditValidators');
+const { auth, optionalAuth, checkPermission } = require('../middleware/auth');
+const { authLimiter, recoverLimiter } = require('../middleware/rateLimit');
 const upload = require('../middleware/fileUpload');
 const { handleMulterErrors, asyncHandler } = require('../middleware/handleError');
 
@@ -88,12 +101,15 @@ router.post(
  *         $ref: '#/components/responses/UnauthorizedError'
  *       '404':
  *         $ref: '#/components/responses/NotFoundError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
    '/validation',
    auth,
+   recoverLimiter,
    validateEmailVerification,
    asyncHandler(userController.verifyEmail)
 );
@@ -105,7 +121,7 @@ router.post(
  *     tags:
  *       - User
  *     summary: Login user
- *     description: Authenticates a user with email and password, returning user data and a JWT token.
+ *     description: Authenticates a user with email and password, returning user data and a JWT token. When the account has two-factor authentication, a challenge token is returned instead, to be sent to /user/login/2fa with the code.
  *     requestBody:
  *       required: true
  *       content:
@@ -114,24 +130,80 @@ router.post(
  *             $ref: '#/components/schemas/UserLogin'
  *     responses:
  *       '200':
- *         description: Login successful.
+ *         description: Login successful, or second factor required.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       '400':
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '423':
+ *         $ref: '#/components/responses/AccountLockedError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
    '/login',
+   authLimiter,
    validateUserLogin,
    asyncHandler(userController.loginUser)
 );
 
+/**
+ * @openapi
+ * /user/login/2fa:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Complete a login with two-factor authentication
+ *     description: Exchanges the challenge token returned by /user/login and a code of the authenticator app (or a recovery code) for the session tokens. Wrong codes count as failed logins.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: '3f9a1-c07be'
+ *     responses:
+ *       '200':
+ *         description: Login successful. recoveryCodesLeft is included when a recovery code was used.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '423':
+ *         $ref: '#/components/responses/AccountLockedError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/login/2fa',
+   authLimiter,
+   validateTwoFactorLogin,
+   asyncHandler(twoFactorController.login)
+);
+
 /**
  * @openapi
  * /user:
@@ -369,11 +441,14 @@ router.delete(
  *                   type: string
  *       '400':
  *         $ref: '#/components/responses/ValidationError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
    '/recover-password',
+   recoverLimiter,
    validateForgotPassword,
    asyncHandler(userController.requestPasswordReset)
 );
@@ -404,11 +479,14 @@ router.post(
  *                   type: string
  *       '400':
  *         $ref: '#/components/responses/ValidationError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
    '/reset-password',
+   authLimiter,
    validateResetPassword,
    asyncHandler(userController.resetPassword)
 );
@@ -420,7 +498,7 @@ router.post(
  *     tags:
  *       - User
  *     summary: Invite a team member
- *     description: Invites a user to the company or creates a new guest account.
+ *     description: Emails an invitation to join the company with a link that expires in 7 days. The invitee joins only after accepting it; inviting the same email again renews the pending invitation and sends a new link. Requires the member:invite permission, and only the owner can invite admins.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -431,7 +509,7 @@ router.post(
  *             $ref: '#/components/schemas/UserInvite'
  *     responses:
  *       '200':
- *         description: Existing user invited successfully.
+ *         description: Pending invitation renewed and sent again.
  *         content:
  *           application/json:
  *             schema:
@@ -439,15 +517,10 @@ router.post(
  *               properties:
  *                 message:
  *                   type: string
- *                 user:
- *                   type: object
- *                   properties:
- *                     email:
- *                       type: string
- *                     role:
- *                       type: string
+ *                 invitation:
+ *                   $ref: '#/components/schemas/Invitation'
  *       '201':
- *         description: New user created and invitation sent.
+ *         description: Invitation created and sent.
  *         content:
  *           application/json:
  *             schema:
@@ -455,25 +528,610 @@ router.post(
  *               properties:
  *                 message:
  *                   type: string
- *                 user:
- *                   type: object
- *                   properties:
- *                     email:
- *                       type: string
- *                     role:
- *                       type: string
+ *                 invitation:
+ *                   $ref: '#/components/schemas/Invitation'
  *       '400':
  *         $ref: '#/components/responses/ValidationError'
  *       '401':
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
  *       '500':
  *         $ref: '#/components/responses/InternalServerError'
+ *       '502':
+ *         description: The invitation email could not be sent.
  */
 router.post(
    '/invite',
    auth,
+   checkPermission('member:invite'),
    validateInviteUser,
-   asyncHandler(userController.inviteTeamMember)
+   asyncHandler(invitationController.createInvitation)
+);
+
+/**
+ * @openapi
+ * /user/invitations/{token}:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: View an invitation
+ *     description: Public endpoint of the emailed invitation link. Shows the company and whether the invitee already has an account (otherwise a password is needed to accept).
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time token of the invitation link.
+ *     responses:
+ *       '200':
+ *         description: Pending invitation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitation:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Invitation'
+ *                     - type: object
+ *                       properties:
+ *                         company:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                         hasAccount:
+ *                           type: boolean
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/invitations/:token',
+   validateInvitationToken,
+   asyncHandler(invitationController.getInvitation)
+);
+
+/**
+ * @openapi
+ * /user/invitations/{token}/accept:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Accept an invitation
+ *     description: Joins the company of the invitation. Invitees without an account create it with their own password (required) and receive the session tokens; existing users keep their credentials and must send the access token of the invited account.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time token of the invitation link.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Required when the invitee has no account.
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *     responses:
+ *       '200':
+ *         description: Existing user joined the company.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 company:
+ *                   type: object
+ *                 role:
+ *                   type: string
+ *       '201':
+ *         description: Account created, joined the company and logged in.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '403':
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/invitations/:token/accept',
+   optionalAuth,
+   validateAcceptInvitation,
+   asyncHandler(invitationController.acceptInvitation)
+);
+
+/**
+ * @openapi
+ * /user/invitations/{token}/decline:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Decline an invitation
+ *     description: Declines the invitation; its link stops working.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time token of the invitation link.
+ *     responses:
+ *       '200':
+ *         description: Invitation declined.
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/invitations/:token/decline',
+   validateInvitationToken,
+   asyncHandler(invitationController.declineInvitation)
+);
+
+/**
+ * @openapi
+ * /user/refresh:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The refresh token can only be used once; using it again closes the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: New tokens issued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/refresh',
+   validateRefreshToken,
+   asyncHandler(sessionController.refresh)
+);
+
+/**
+ * @openapi
+ * /user/logout:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Log out
+ *     description: Closes the session of the access token; its access and refresh tokens stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Session closed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/logout',
+   auth,
+   asyncHandler(sessionController.logout)
+);
+
+/**
+ * @openapi
+ * /user/history:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Get the history of the current user
+ *     description: Audit log entries of the account of the current user (registration, email verification, personal and company data, password reset and deletion), newest first. Secrets such as the password are shown as changed but never with their value.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       '200':
+ *         description: History retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogList'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/history',
+   auth,
+   validateUserHistory,
+   asyncHandler(auditController.getUserHistory)
+);
+
+/**
+ * @openapi
+ * /user/sessions:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: List open sessions
+ *     description: Lists the open sessions of the current user with their device and last use. The session of the request is marked as current.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Open sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     tags:
+ *       - User
+ *     summary: Revoke the other sessions
+ *     description: Closes every session of the current user except the one of the request.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessions closed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/sessions',
+   auth,
+   asyncHandler(sessionController.listSessions)
+);
+
+router.delete(
+   '/sessions',
+   auth,
+   asyncHandler(sessionController.revokeOtherSessions)
+);
+
+/**
+ * @openapi
+ * /user/sessions/{sessionId}:
+ *   delete:
+ *     tags:
+ *       - User
+ *     summary: Revoke a session
+ *     description: Closes one session of the current user, e.g. on a lost device.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ObjectId.
+ *     responses:
+ *       '200':
+ *         description: Session closed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '404':
+ *         $ref: '#/components/responses/NotFoundError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete(
+   '/sessions/:sessionId',
+   auth,
+   validateSessionId,
+   asyncHandler(sessionController.revokeSession)
+);
+
+/**
+ * @openapi
+ * /user/2fa:
+ *   get:
+ *     tags:
+ *       - User
+ *     summary: Two-factor authentication status
+ *     description: Whether the current user has two-factor authentication enabled and how many recovery codes are left.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Two-factor status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 enabled:
+ *                   type: boolean
+ *                 enabledAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 recoveryCodesLeft:
+ *                   type: integer
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+   '/2fa',
+   auth,
+   asyncHandler(twoFactorController.getStatus)
+);
+
+/**
+ * @openapi
+ * /user/2fa/setup:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Start two-factor setup
+ *     description: Generates a TOTP secret and its otpauth URI as a QR code to scan with an authenticator app. Two-factor authentication is not enabled until a code is checked in /user/2fa/verify.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Secret generated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/2fa/setup',
+   auth,
+   asyncHandler(twoFactorController.setup)
+);
+
+/**
+ * @openapi
+ * /user/2fa/verify:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Enable two-factor authentication
+ *     description: Checks a code of the authenticator app against the secret of /user/2fa/setup and enables two-factor authentication. The recovery codes are returned only once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       '200':
+ *         description: Two-factor authentication enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodes'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '409':
+ *         $ref: '#/components/responses/ConflictError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/2fa/verify',
+   auth,
+   authLimiter,
+   validateTwoFactorCode,
+   asyncHandler(twoFactorController.verify)
+);
+
+/**
+ * @openapi
+ * /user/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Regenerate the recovery codes
+ *     description: Replaces the recovery codes with a new set; the previous ones stop working. Requires a code of the authenticator app.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       '200':
+ *         description: New recovery codes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodes'
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/2fa/recovery-codes',
+   auth,
+   authLimiter,
+   validateTwoFactorCode,
+   asyncHandler(twoFactorController.regenerateRecoveryCodes)
+);
+
+/**
+ * @openapi
+ * /user/2fa/disable:
+ *   post:
+ *     tags:
+ *       - User
+ *     summary: Disable two-factor authentication
+ *     description: Turns two-factor authentication off. Requires the password and a code of the authenticator app or a recovery code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: '3f9a1-c07be'
+ *     responses:
+ *       '200':
+ *         description: Two-factor authentication disabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         $ref: '#/components/responses/ValidationError'
+ *       '401':
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequestsError'
+ *       '500':
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+   '/2fa/disable',
+   auth,
+   authLimiter,
+   validateDisableTwoFactor,
+   asyncHandler(twoFactorController.disable)
 );
 
 module.exports = router;
@@ -6,17 +6,17 @@ const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
 const connectDB = require('./config/mongo');
+const config = require('./config/config');
 const initRoutes = require('./routes');
 const { handleApiErrors } = require('./middleware/handleError');
 // const { googleApis } = require('googleapis');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./docs/swagger');
 
-// Ensure required directories exist
+// Ensure required directories exist (files inside are created by the local storage backend)
 const ensureDirectories = () => {
   const directories = [
-    path.join(__dirname, 'uploads'),
-    path.join(__dirname, 'uploads/logos')
+    path.join(__dirname, 'uploads')
   ];
 
   directories.forEach(dir => {
@@ -36,6 +36,7 @@ if (process.env.NODE_ENV === 'test') {
 
 // Initialize Express
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 ensureDirectories();
 
@@ -55,7 +56,7 @@ app.use("/api-docs",
   swaggerUi.setup(swaggerSpecs)
 )
 
-// Serve static files
+// Serve static files stored by the local storage backend
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Connect to database
@@ -0,0 +1,113 @@
+// File: services/auditService.js
+const AuditLog = require('../models/AuditLog');
+
+// Fields left out of the log: bookkeeping, login counters and data with its own endpoints
+const IGNORED_FIELDS = [
+    '_id', '__v', 'createdAt', 'updatedAt', 'statusHistory', 'twoFactor',
+    'verificationAttempts', 'maxVerificationAttempts', 'passwordResetExpires',
+    'failedLoginAttempts', 'lockoutCount', 'lockUntil'
+];
+
+// Secrets are logged as changed, but never with their value
+const SECRET_PATHS = ['password', 'verificationCode', 'passwordResetCode', 'signatureRequest.tokenHash'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Plain copy of a document as it is now, to compare it after a change
+ * @param {Object|null} document - Mongoose document
+ * @returns {Object|null} JSON-safe object with ids as strings, or null
+ */
+exports.snapshot = (document) => (document
+    ? JSON.parse(JSON.stringify(document.toObject({ depopulate: true })))
+    : null);
+
+/**
+ * Replace the secrets of a partial snapshot. Modifies the object.
+ * @param {Object|null} values - Field values
+ * @returns {Object|null} The same object
+ */
+const redact = (values) => {
+    if (!values) return values;
+    SECRET_PATHS.forEach(path => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), values);
+        if (parent && typeof parent === 'object' && parent[last] != null) {
+            parent[last] = REDACTED;
+        }
+    });
+    return values;
+};
+
+/**
+ * Fields that differ between two snapshots, with their values before and after.
+ * A missing snapshot (creation or deletion) gives null on that side and every field on the other.
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {{before: Object|null, after: Object|null, fields: Array<string>}} Changed values and their field names
+ */
+exports.diff = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const fields = [...keys].filter(key => !IGNORED_FIELDS.includes(key)
+        && JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+
+    const pick = (snapshot) => (snapshot
+        ? redact(Object.fromEntries(fields.map(key => [key, snapshot[key] ?? null])))
+        : null);
+
+    return { before: pick(before), after: pick(after), fields };
+};
+
+/**
+ * Write an audit log entry for a change. The entry is written after the change is saved;
+ * a failure is logged and does not undo it. Updates that changed nothing are not recorded.
+ * @param {Object} req - Express request: actor (req.user), IP and User-Agent
+ * @param {Object} entry - Change to record
+ * @param {string} entry.action - One of AuditLog.AUDIT_ACTIONS
+ * @param {string} entry.resourceType - One of AuditLog.AUDIT_RESOURCES
+ * @param {Object} entry.document - Document after the change, or the deleted document
+ * @param {Object|null} [entry.before=null] - Snapshot taken before the change (see snapshot)
+ * @param {ObjectId|string|null} [entry.actor] - Actor when the request is not authenticated (req.user.id by default)
+ * @param {string|null} [entry.actorEmail] - Email of that actor (req.user.email by default)
+ * @returns {Promise<Object|null>} The AuditLog document, or null if nothing was written
+ */
+exports.record = async (req, { action, resourceType, document, before = null, actor, actorEmail }) => {
+    try {
+        const after = action === 'delete' ? null : exports.snapshot(document);
+        const previous = action === 'delete' ? exports.snapshot(document) : before;
+        const changes = exports.diff(previous, after);
+        if (!changes.fields.length && previous && after) {
+            return null;
+        }
+
+        const data = after || previous;
+        return await AuditLog.create({
+            resourceType,
+            resourceId: document._id,
+            action,
+            actor: actor !== undefined ? actor : req.user?.id || null,
+            actorEmail: actorEmail !== undefined ? actorEmail : req.user?.email || null,
+            company: (resourceType === 'user' ? data.companyId : data.company) || null,
+            before: changes.before,
+            after: changes.after,
+            ip: req.ip || null,
+            userAgent: req.get('User-Agent') || null
+        });
+    } catch (error) {
+        console.error(`Error writing audit log (${resourceType} ${action}):`, error);
+        return null;
+    }
+};
+
+/**
+ * Build the filter of the audit entries a user can see: those of its company,
+ * or, without a company, the changes it made itself
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Mongoose filter to merge into queries
+ */
+exports.getScopeFilter = (user) => {
+    if (user.companyId) {
+        return { company: user.companyId };
+    }
+    return { company: null, actor: user.id };
+};
@@ -2,6 +2,7 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const config = require('../config/config');
 
 /**
  * Hash a password with bcrypt
@@ -32,15 +33,15 @@ exports.generateVerificationCode = () => {
 };
 
 /**
- * Generate a JWT token
- * @param {Object} payload - Data to include in the token
+ * Generate a short-lived access token (config.auth.accessTokenExpiresIn)
+ * @param {Object} payload - Data to include in the token: id, email, role and the session id (sid)
  * @returns {string} JWT token
  */
 exports.generateToken = (payload) => {
     return jwt.sign(
         payload,
         process.env.JWT_SECRET,
-        { expiresIn: '24h' }
+        { expiresIn: config.auth.accessTokenExpiresIn }
     );
 };
 
@@ -54,6 +55,15 @@ exports.generateResetToken = () => {
 };
 
 
+/**
+ * Hash a one-time token so only its digest is stored in the database
+ * @param {string} token - Plain token sent to the user
+ * @returns {string} SHA-256 hex digest of the token
+ */
+exports.hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verify a JWT token
  * @param {string} token - JWT token to verify
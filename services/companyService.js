@@ -0,0 +1,85 @@
+// File: services/companyService.js
+const Company = require('../models/Company');
+
+/**
+ * Build the query filter that scopes documents to what a user can see.
+ * Users that belong to a company share every document of that company;
+ * users without a company only see what they created themselves.
+ * @param {Object} user - Authenticated user (req.user), with id and optional companyId
+ * @returns {Object} Mongoose filter to merge into queries
+ */
+exports.getScopeFilter = (user) => {
+    if (user.companyId) {
+        return { company: user.companyId };
+    }
+    return { createdBy: user.id };
+};
+
+/**
+ * Get the company id to stamp on newly created documents
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string|null} Company id or null if the user has no company
+ */
+exports.getCompanyId = (user) => user.companyId || null;
+
+/**
+ * Create or update the company owned by a user from its company data.
+ * The owner is registered as member with the 'owner' role, the user is linked
+ * to the company and the documents the user created before having a company
+ * are moved into it so they stay visible.
+ * @param {Object} user - Mongoose User document with company data already set
+ * @returns {Promise<Object>} The Company document
+ */
+exports.upsertOwnedCompany = async (user) => {
+    let company = user.companyId
+        ? await Company.findOne({ _id: user.companyId, owner: user._id })
+        : await Company.findOne({ owner: user._id });
+
+    const data = {
+        name: user.company.name,
+        cif: user.company.cif,
+        address: user.company.address,
+        isAutonomous: user.company.isAutonomous
+    };
+
+    if (company) {
+        company.set(data);
+    } else {
+        company = new Company({ ...data, owner: user._id });
+    }
+    company.addMember(user._id, 'owner');
+    await company.save();
+
+    if (!user.companyId || user.companyId.toString() !== company._id.toString()) {
+        user.companyId = company._id;
+        await user.save();
+        await exports.adoptUserDocuments(user._id, company._id);
+    }
+
+    return company;
+};
+
+/**
+ * Move the documents a user created without a company into a company,
+ * with the audit log of the changes the user made to them
+ * @param {ObjectId|string} userId - Creator of the documents
+ * @param {ObjectId|string} companyId - Company that adopts them
+ * @param {ClientSession} [session] - Transaction to run the updates in
+ * @returns {Promise<void>}
+ */
+exports.adoptUserDocuments = async (userId, companyId, session) => {
+    // Required lazily to avoid circular requires between models and services
+    const Client = require('../models/Client');
+    const Project = require('../models/Project');
+    const DeliveryNote = require('../models/DeliveryNote');
+    const AuditLog = require('../models/AuditLog');
+
+    const filter = { createdBy: userId, company: null };
+    const options = { session };
+    await Promise.all([
+        Client.updateMany(filter, { company: companyId }, options),
+        Project.updateMany(filter, { company: companyId }, options),
+        DeliveryNote.updateMany(filter, { company: companyId }, options),
+        AuditLog.updateMany({ actor: userId, company: null }, { company: companyId }, options)
+    ]);
+};
@@ -0,0 +1,100 @@
+// File: services/csvService.js
+
+/**
+ * Byte order mark so spreadsheet applications read the file as UTF-8
+ * @constant {string}
+ */
+exports.BOM = '\uFEFF';
+
+/**
+ * Format a single CSV value (RFC 4180).
+ * Text starting with =, +, - or @ is prefixed with a quote so spreadsheets do not run it as a formula.
+ * @param {*} value - Value to write; dates are written in ISO format, null and undefined as empty
+ * @returns {string} Escaped value
+ */
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line, including the line break
+ * @param {Array<*>} values - Values of the row
+ * @returns {string} CSV line
+ */
+exports.toCsvRow = (values) => `${values.map(formatValue).join(',')}\r\n`;
+
+/**
+ * Build a complete CSV document
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array<*>>} rows - Rows of values, in the header order
+ * @returns {string} CSV content starting with the UTF-8 BOM
+ */
+exports.toCsv = (header, rows) => exports.BOM + [header, ...rows].map(exports.toCsvRow).join('');
+
+/**
+ * Guess the delimiter of a CSV document from its first line.
+ * Spreadsheets with a Spanish locale save CSV files separated by semicolons.
+ * @param {string} text - CSV content
+ * @returns {string} ',' or ';'
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    const count = (char) => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Parse a CSV document (RFC 4180): quoted values may contain delimiters, quotes ("") and line breaks.
+ * The BOM is ignored and the delimiter is detected unless given.
+ * @param {string} text - CSV content
+ * @param {Object} [options={}] - Parse options
+ * @param {string} [options.delimiter] - Value separator, ',' or ';' when omitted
+ * @returns {Array<Array<string>>} Rows of raw values; the line break at the end of the file does not add a row
+ */
+exports.parseCsv = (text, { delimiter } = {}) => {
+    const content = text.startsWith(exports.BOM) ? text.slice(1) : text;
+    const separator = delimiter || detectDelimiter(content);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+};
@@ -0,0 +1,33 @@
+// File: services/email/fileTransport.js
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an email transport that does not send anything: each email is written
+ * as a JSON file (attachments base64 encoded) and logged in one line.
+ * Useful for local development without an email account.
+ * @param {Object} options - Transport options (config.email.file)
+ * @param {string} options.path - Directory the emails are written to
+ * @returns {import('./index').EmailTransport} File transport
+ */
+const createFileTransport = ({ path: dirPath }) => {
+   const root = path.resolve(dirPath);
+   const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+   const send = async (message) => {
+      const info = await transporter.sendMail(message);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+      const filePath = path.join(root, fileName);
+
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(filePath, info.message);
+      console.log(`Email '${message.subject}' to ${message.to} written to ${filePath}`);
+
+      return { ...info, path: filePath };
+   };
+
+   return { type: 'file', send };
+};
+
+module.exports = createFileTransport;
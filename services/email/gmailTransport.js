@@ -0,0 +1,50 @@
+// File: services/email/gmailTransport.js
+const nodemailer = require('nodemailer');
+const { google } = require('googleapis');
+const OAuth2 = google.auth.OAuth2;
+
+/**
+ * Create an email transport that sends through Gmail with OAuth2.
+ * A fresh access token is requested for every email from the refresh token.
+ * @param {Object} options - Transport options (config.email.gmail)
+ * @param {string} options.address - Gmail account that sends the emails
+ * @param {string} options.clientId - OAuth2 client ID
+ * @param {string} options.clientSecret - OAuth2 client secret
+ * @param {string} options.refreshToken - OAuth2 refresh token
+ * @param {string} options.redirectUri - OAuth2 redirect URI
+ * @returns {import('./index').EmailTransport} Gmail transport
+ */
+const createGmailTransport = ({ address, clientId, clientSecret, refreshToken, redirectUri }) => {
+   const getAccessToken = async () => {
+      const oauth2Client = new OAuth2(clientId, clientSecret, redirectUri);
+      oauth2Client.setCredentials({ refresh_token: refreshToken });
+
+      return new Promise((resolve, reject) => {
+         oauth2Client.getAccessToken((err, token) => {
+            if (err) {
+               return reject(new Error('Error retrieving access token'));
+            }
+            resolve(token);
+         });
+      });
+   };
+
+   const send = async (message) => {
+      const transporter = nodemailer.createTransport({
+         service: 'gmail',
+         auth: {
+            type: 'OAuth2',
+            user: address,
+            accessToken: await getAccessToken(),
+            clientId,
+            clientSecret,
+            refreshToken,
+         }
+      });
+      return transporter.sendMail(message);
+   };
+
+   return { type: 'gmail', send };
+};
+
+module.exports = createGmailTransport;
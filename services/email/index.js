@@ -0,0 +1,62 @@
+// File: services/email/index.js
+const config = require('../../config/config');
+const createGmailTransport = require('./gmailTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+
+/**
+ * @typedef {Object} EmailTransport
+ * @property {string} type - Transport name ('gmail', 'smtp', 'file' or 'memory')
+ * @property {function(Object): Promise<Object>} send - Send a nodemailer message and resolve with the delivery info
+ */
+
+const transports = {
+   gmail: createGmailTransport,
+   smtp: createSmtpTransport,
+   file: createFileTransport,
+   memory: createMemoryTransport
+};
+
+/**
+ * Create an email transport
+ * @param {string} [type=config.email.transport] - Transport to use
+ * @param {Object} [options=config.email[type]] - Transport options
+ * @returns {EmailTransport} Email transport
+ * @throws {Error} When the transport type is unknown
+ */
+const createTransport = (type = config.email.transport, options = config.email[type]) => {
+   const factory = transports[type];
+   if (!factory) {
+      throw new Error(`Unknown email transport '${type}'. Use one of: ${Object.keys(transports).join(', ')}`);
+   }
+   return factory(options);
+};
+
+let transport = null;
+
+/**
+ * Get the email transport selected with EMAIL_TRANSPORT, created on first use
+ * @returns {EmailTransport} Email transport
+ */
+const getTransport = () => {
+   if (!transport) {
+      transport = createTransport();
+   }
+   return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - nodemailer message: to, cc, subject, html, attachments...
+ * @param {string} [message.from=config.email.from] - Sender
+ * @returns {Promise<Object>} Delivery info of the transport
+ */
+const sendMail = (message) => getTransport().send({ from: config.email.from, ...message });
+
+module.exports = {
+   EMAIL_TRANSPORTS: Object.keys(transports),
+   createTransport,
+   getTransport,
+   sendMail
+};
@@ -0,0 +1,23 @@
+// File: services/email/memoryTransport.js
+
+/**
+ * Create an email transport that keeps the sent emails in memory, for tests.
+ * @returns {import('./index').EmailTransport & {messages: Array<Object>, clear: function(): void}}
+ *   Memory transport; messages holds the sent emails, oldest first
+ */
+const createMemoryTransport = () => {
+   const messages = [];
+
+   const send = async (message) => {
+      messages.push(message);
+      return { messageId: `<memory-${messages.length}@localhost>`, accepted: [].concat(message.to || []) };
+   };
+
+   const clear = () => {
+      messages.length = 0;
+   };
+
+   return { type: 'memory', send, messages, clear };
+};
+
+module.exports = createMemoryTransport;
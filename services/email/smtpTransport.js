@@ -0,0 +1,28 @@
+// File: services/email/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an email transport for any SMTP server, e.g. a provider relay
+ * or a local catch-all server such as MailHog or Mailpit during development.
+ * @param {Object} options - Transport options (config.email.smtp)
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465); otherwise STARTTLS is used when offered
+ * @param {string} [options.user] - User, when the server requires authentication
+ * @param {string} [options.pass] - Password
+ * @returns {import('./index').EmailTransport} SMTP transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+   const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+   });
+
+   const send = (message) => transporter.sendMail(message);
+
+   return { type: 'smtp', send };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,142 @@
+// File: services/email/templates.js
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', 'email');
+
+/** Languages with a dictionary in templates/email/locales */
+const LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+/** Intl locale used to format dates in each language */
+const DATE_LOCALES = { es: 'es-ES', en: 'en-GB' };
+
+const dictionaries = Object.fromEntries(LANGUAGES.map(language => [
+   language,
+   JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'locales', `${language}.json`), 'utf8'))
+]));
+
+/**
+ * Pick a supported language, falling back to the default one
+ * @param {string} [language] - Preferred language, e.g. the user's language
+ * @returns {string} Supported language
+ */
+const resolveLanguage = (language) => (LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Look up a dotted key in the dictionary of a language, then in the default one
+ * @param {string} language - Supported language
+ * @param {string} key - Key such as 'verification.subject'
+ * @returns {string} Translated text, or the key itself when missing
+ */
+const lookup = (language, key) => {
+   const find = (dictionary) => key.split('.').reduce((node, part) => node?.[part], dictionary);
+   const text = find(dictionaries[language]) ?? find(dictionaries[DEFAULT_LANGUAGE]);
+   return typeof text === 'string' ? text : key;
+};
+
+/**
+ * Translate a key, replacing {{name}} placeholders with the given values
+ * @param {string} language - Supported language
+ * @param {string} key - Dictionary key
+ * @param {Object} [values={}] - Placeholder values
+ * @param {function(string): string} [escape] - Escape applied to the text and the values (HTML bodies)
+ * @returns {string} Translated text
+ */
+const translate = (language, key, values = {}, escape = (text) => text) => lookup(language, key)
+   .split(/(\{\{\s*\w+\s*\}\})/)
+   .map(part => {
+      const placeholder = part.match(/^\{\{\s*(\w+)\s*\}\}$/);
+      if (!placeholder) return escape(part);
+      const value = values[placeholder[1]];
+      return value instanceof Handlebars.SafeString ? value.toString() : escape(String(value ?? ''));
+   })
+   .join('');
+
+/**
+ * Create a Handlebars environment with the layout partials and the helpers:
+ * - {{t "key" name=value}}: translated text; placeholders take the hash values, then the template data
+ * - {{formatDate value}}: long date in the email language
+ * @param {string} format - 'html' or 'text'
+ * @returns {typeof Handlebars} Handlebars environment
+ */
+const createEnvironment = (format) => {
+   const env = Handlebars.create();
+   const isHtml = format === 'html';
+
+   env.registerHelper('t', function (key, options) {
+      const values = { ...options.data.root, ...options.hash };
+      const text = translate(options.data.root.language, key, values, isHtml ? env.escapeExpression : undefined);
+      return isHtml ? new env.SafeString(text) : text;
+   });
+   env.registerHelper('formatDate', function (value, options) {
+      if (!value) return '';
+      const locale = DATE_LOCALES[options.data.root.language];
+      return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(value));
+   });
+
+   const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+   fs.readdirSync(partialsDir)
+      .filter(file => file.endsWith(`.${format}.hbs`))
+      .forEach(file => env.registerPartial(path.basename(file, `.${format}.hbs`), fs.readFileSync(path.join(partialsDir, file), 'utf8')));
+
+   return env;
+};
+
+const environments = {};
+const compiled = new Map();
+
+/**
+ * Compile a template file once and keep it for the next emails
+ * @param {string} format - 'html' or 'text'
+ * @param {string} name - Template name, e.g. 'verification' or 'layout'
+ * @returns {HandlebarsTemplateDelegate} Compiled template
+ * @throws {Error} When the template file does not exist
+ */
+const getTemplate = (format, name) => {
+   const cacheKey = `${name}.${format}`;
+   if (!compiled.has(cacheKey)) {
+      const file = path.join(TEMPLATES_DIR, `${cacheKey}.hbs`);
+      if (!fs.existsSync(file)) {
+         throw new Error(`Unknown email template '${name}' (${format})`);
+      }
+      environments[format] = environments[format] || createEnvironment(format);
+      compiled.set(cacheKey, environments[format].compile(fs.readFileSync(file, 'utf8'), { noEscape: format === 'text' }));
+   }
+   return compiled.get(cacheKey);
+};
+
+/**
+ * Render an email: localised subject, HTML body inside the layout and its plain-text fallback
+ * @param {string} name - Template name: 'verification', 'passwordReset', 'invitation', 'signatureRequest' or 'signedDeliveryNote'
+ * @param {Object} [data={}] - Template data; also fills the {{placeholders}} of the translated texts.
+ *   data.companyName is shown in the header when there is no logo
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.language] - Preferred language, defaults to DEFAULT_LANGUAGE
+ * @param {string} [options.logoUrl] - Public URL of the company logo shown in the header
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ * @throws {Error} When the template does not exist
+ */
+const renderEmail = (name, data = {}, { language, logoUrl } = {}) => {
+   const lang = resolveLanguage(language);
+   const subject = translate(lang, `${name}.subject`, data);
+   const context = {
+      ...data,
+      language: lang,
+      logoUrl: logoUrl || null,
+      subject,
+   };
+
+   const html = getTemplate('html', 'layout')({ ...context, body: new Handlebars.SafeString(getTemplate('html', name)(context)) });
+   const text = getTemplate('text', 'layout')({ ...context, body: getTemplate('text', name)(context).trim() });
+
+   return { subject, html, text: text.replace(/\n{3,}/g, '\n\n').trim() };
+};
+
+module.exports = {
+   LANGUAGES,
+   DEFAULT_LANGUAGE,
+   resolveLanguage,
+   renderEmail
+};
@@ -0,0 +1,93 @@
+// File: services/exportService.js
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { BOM, toCsvRow } = require('./csvService');
+
+/**
+ * Content type of each export format
+ * @constant {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Column of an export
+ * @typedef {Object} ExportColumn
+ * @property {string} header - Column title
+ * @property {function(Object): *} value - Reads the cell value from a row
+ * @property {number} [width] - Column width in the spreadsheet (characters)
+ */
+
+/**
+ * Write the rows as CSV, one line at a time, respecting the backpressure of the response
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {Array<ExportColumn>} columns - Columns of the export
+ * @param {AsyncIterable<Object>} rows - Rows to write
+ * @returns {Promise<void>} Resolves when the output has been ended
+ */
+const writeCsv = (output, columns, rows) => {
+    async function* lines() {
+        yield BOM + toCsvRow(columns.map(column => column.header));
+        for await (const row of rows) {
+            yield toCsvRow(columns.map(column => column.value(row)));
+        }
+    }
+    return pipeline(Readable.from(lines()), output);
+};
+
+/**
+ * Write the rows as a single-sheet XLSX workbook, committing each row as soon as it is added
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {Array<ExportColumn>} columns - Columns of the export
+ * @param {AsyncIterable<Object>} rows - Rows to write
+ * @param {string} sheetName - Name of the worksheet
+ * @returns {Promise<void>} Resolves when the workbook has been written and the output ended
+ */
+const writeXlsx = async (output, columns, rows, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column.header, width: column.width || 15 }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const row of rows) {
+        sheet.addRow(columns.map(column => column.value(row))).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+};
+
+/**
+ * Stream a table to the response as a CSV or XLSX download, without loading all the rows in memory.
+ * Once the download has started an error can no longer be answered as JSON,
+ * so the response is aborted and the client gets an incomplete file.
+ * @param {import('express').Response} res - Express response
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileName - File name without extension
+ * @param {Array<ExportColumn>} options.columns - Columns of the export
+ * @param {AsyncIterable<Object>} options.rows - Rows, e.g. from a Mongoose cursor
+ * @param {string} [options.sheetName='Export'] - Worksheet name (XLSX only)
+ * @returns {Promise<void>} Resolves when the download is complete or aborted
+ */
+exports.streamTable = async (res, { format, fileName, columns, rows, sheetName = 'Export' }) => {
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+    try {
+        if (format === 'xlsx') {
+            await writeXlsx(res, columns, rows, sheetName);
+        } else {
+            await writeCsv(res, columns, rows);
+        }
+    } catch (error) {
+        if (!res.headersSent) throw error;
+        console.error(`Error streaming ${format} export '${fileName}':`, error);
+        res.destroy(error);
+    }
+};
+
+exports.CONTENT_TYPES = CONTENT_TYPES;
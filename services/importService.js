@@ -0,0 +1,137 @@
+// File: services/importService.js
+const { validationResult } = require('express-validator');
+const { ApiError } = require('../middleware/handleError');
+const { parseCsv } = require('./csvService');
+const config = require('../config/config');
+
+/**
+ * Result of an imported row
+ * @typedef {Object} ImportRowResult
+ * @property {number} row - Spreadsheet row number (the header is row 1)
+ * @property {string} status - 'created', 'skipped' or 'failed'
+ * @property {string} [id] - Id of the created document (not in dry-run)
+ * @property {string} [reason] - Why the row was skipped
+ * @property {Array<{path: string, msg: string}>} [errors] - Why the row failed
+ */
+
+/**
+ * Set a value on a dotted path, e.g. 'address.city'
+ * @param {Object} target - Object to write
+ * @param {string} path - Dotted path
+ * @param {*} value - Value
+ */
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+        obj[key] = obj[key] || {};
+        return obj[key];
+    }, target);
+    parent[last] = value;
+};
+
+/**
+ * Read the records of an uploaded CSV file.
+ * Column names are field paths (dotted for nested fields, e.g. 'address.city');
+ * empty cells are left out, so optional fields keep their default, and blank lines are ignored.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Array<string>} columns - Accepted columns
+ * @returns {{records: Array<{row: number, data: Object}>, ignoredColumns: Array<string>}} Records and unknown columns
+ * @throws {ApiError} If the file has no data rows or exceeds config.import.maxRows
+ */
+exports.readCsv = (buffer, columns) => {
+    const [header = [], ...lines] = parseCsv(buffer.toString('utf8'));
+    const keys = header.map(key => key.trim());
+
+    const records = lines
+        .map((values, index) => {
+            const data = {};
+            keys.forEach((key, position) => {
+                const value = (values[position] || '').trim();
+                if (columns.includes(key) && value !== '') setPath(data, key, value);
+            });
+            return { row: index + 2, data, blank: values.every(value => value.trim() === '') };
+        })
+        .filter(record => !record.blank)
+        .map(({ row, data }) => ({ row, data }));
+
+    if (records.length === 0) {
+        throw new ApiError(400, 'The CSV file has no data rows.', 'empty_csv');
+    }
+    if (records.length > config.import.maxRows) {
+        throw new ApiError(400, `The CSV file cannot have more than ${config.import.maxRows} rows.`, 'csv_too_large');
+    }
+
+    return { records, ignoredColumns: keys.filter(key => key && !columns.includes(key)) };
+};
+
+/**
+ * Run express-validator rules on a record, as if it were the body of a request of the user
+ * @param {Array<import('express-validator').ValidationChain>} rules - Validation chains, without handleValidationErrors
+ * @param {Object} data - Record read from the file
+ * @param {Object} user - Authenticated user (req.user), for rules that look up existing documents
+ * @returns {Promise<{data: Object, errors: Array<Object>|null}>} Sanitized record, or the validation errors
+ */
+exports.validateRecord = async (rules, data, user) => {
+    const req = { body: data, query: {}, params: {}, user };
+    for (const rule of rules) {
+        await rule.run(req);
+    }
+    const errors = validationResult(req);
+    return {
+        data: req.body,
+        errors: errors.isEmpty() ? null : errors.array().map(({ path, msg }) => ({ path, msg })),
+    };
+};
+
+/**
+ * Import records one by one and report the result of each row.
+ * prepare() validates a record and returns { data }, { errors } (failed) or { duplicate } (skipped);
+ * create() saves it. A duplicate key error while saving (unique index) also skips the row.
+ * In dry-run nothing is created: rows report the status they would get.
+ * @param {Array<{row: number, data: Object}>} records - Records read with readCsv
+ * @param {Object} options - Import options
+ * @param {boolean} [options.dryRun=false] - Validate only
+ * @param {function(Object): Promise<Object>} options.prepare - Validates a record
+ * @param {function(Object): Promise<import('mongoose').Document>} options.create - Saves a prepared record
+ * @returns {Promise<{summary: Object, rows: Array<ImportRowResult>}>} Counts per status and per-row results
+ */
+exports.runImport = async (records, { dryRun = false, prepare, create }) => {
+    const rows = [];
+
+    for (const { row, data } of records) {
+        const prepared = await prepare(data);
+        if (prepared.errors) {
+            rows.push({ row, status: 'failed', errors: prepared.errors });
+            continue;
+        }
+        if (prepared.duplicate) {
+            rows.push({ row, status: 'skipped', reason: prepared.duplicate });
+            continue;
+        }
+        if (dryRun) {
+            rows.push({ row, status: 'created' });
+            continue;
+        }
+
+        try {
+            const doc = await create(prepared.data);
+            rows.push({ row, status: 'created', id: doc._id.toString() });
+        } catch (error) {
+            if (error.code === 11000) {
+                rows.push({ row, status: 'skipped', reason: 'Duplicate of an existing record.' });
+            } else if (error.name === 'ValidationError') {
+                const errors = Object.values(error.errors).map(({ path, message }) => ({ path, msg: message }));
+                rows.push({ row, status: 'failed', errors });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    const count = (status) => rows.filter(result => result.status === status).length;
+    return {
+        summary: { total: rows.length, created: count('created'), skipped: count('skipped'), failed: count('failed') },
+        rows,
+    };
+};
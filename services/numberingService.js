@@ -0,0 +1,83 @@
+// File: services/numberingService.js
+const Company = require('../models/Company');
+const Counter = require('../models/Counter');
+const config = require('../config/config');
+
+/**
+ * Get the numbering series of a document type for a user.
+ * The company settings override the defaults of config.numbering field by field.
+ * @param {Object} user - Authenticated user (req.user), with id and optional companyId
+ * @param {string} type - Series type ('deliveryNote' or 'invoice')
+ * @returns {Promise<{prefix: string, padding: number, yearlyReset: boolean}>} Effective series
+ */
+exports.getSeries = async (user, type) => {
+    const defaults = config.numbering[type];
+    if (!user.companyId) {
+        return { ...defaults };
+    }
+
+    const company = await Company.findById(user.companyId).select('numbering');
+    const custom = company?.numbering?.[type]?.toObject() || {};
+    const series = { ...defaults };
+    Object.keys(defaults).forEach(field => {
+        if (custom[field] !== undefined && custom[field] !== null) series[field] = custom[field];
+    });
+    return series;
+};
+
+/**
+ * Build the counter key of a series; yearly series get one counter per year
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} type - Series type
+ * @param {Object} series - Effective series
+ * @param {number} year - Year of the document
+ * @returns {string} Counter key, e.g. 'deliveryNote:<companyId>:2026'
+ */
+const counterKey = (user, type, series, year) => {
+    const owner = user.companyId || user.id;
+    return series.yearlyReset ? `${type}:${owner}:${year}` : `${type}:${owner}`;
+};
+
+/**
+ * Format a sequential number with a series
+ * @param {Object} series - Series with prefix, padding and yearlyReset
+ * @param {number} seq - Sequential number
+ * @param {number} year - Year of the document, included when the series resets yearly
+ * @returns {string} Document number, e.g. 'ALB-2026-0001'
+ */
+exports.formatNumber = (series, seq, year) => {
+    const parts = [series.prefix];
+    if (series.yearlyReset) parts.push(year);
+    parts.push(String(seq).padStart(series.padding, '0'));
+    return parts.filter(part => part !== '' && part !== undefined).join('-');
+};
+
+/**
+ * Atomically allocate the next number of a series.
+ * Counters live per company (or per user without company), so members never get the same number.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} type - Series type ('deliveryNote' or 'invoice')
+ * @param {Date} [date=new Date()] - Document date, selects the yearly sequence
+ * @param {import('mongoose').ClientSession} [session] - Session of the running transaction
+ * @returns {Promise<string>} The allocated number
+ */
+exports.allocateNumber = async (user, type, date = new Date(), session) => {
+    const series = await exports.getSeries(user, type);
+    const year = new Date(date).getFullYear();
+    const seq = await Counter.next(counterKey(user, type, series, year), session);
+    return exports.formatNumber(series, seq, year);
+};
+
+/**
+ * Preview the number the next document of a series would get, without allocating it
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} type - Series type
+ * @param {Object} series - Effective series
+ * @param {Date} [date=new Date()] - Document date
+ * @returns {Promise<string>} The next number
+ */
+exports.peekNumber = async (user, type, series, date = new Date()) => {
+    const year = new Date(date).getFullYear();
+    const counter = await Counter.findOne({ key: counterKey(user, type, series, year) }).select('seq');
+    return exports.formatNumber(series, (counter?.seq || 0) + 1, year);
+};
@@ -0,0 +1,105 @@
+// File: services/pdfService.js
+const PDFDocument = require('pdfkit');
+const { ApiError } = require('../middleware/handleError');
+
+/**
+ * Render a PDF document into a buffer.
+ * Shared pipeline for every generated document (delivery notes, invoices).
+ * @async
+ * @param {function(PDFKit.PDFDocument): void} build - Draws the document content. Must not call doc.end().
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF buffer.
+ * @throws {ApiError} If PDF generation fails.
+ */
+const renderPdf = (build) => {
+   return new Promise((resolve, reject) => {
+      try {
+         const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+         const buffers = [];
+
+         doc.on('data', buffers.push.bind(buffers));
+         doc.on('end', () => resolve(Buffer.concat(buffers)));
+         doc.on('error', (err) => {
+            console.error("Error during PDF stream generation:", err);
+            reject(new ApiError(500, 'PDF generation stream failed.', 'PDF_STREAM_ERROR', { detail: err.message }));
+         });
+
+         build(doc);
+         doc.end();
+
+      } catch (error) {
+         console.error("Error during PDF content generation:", error);
+         reject(new ApiError(500, 'PDF content generation failed.', 'PDF_CONTENT_ERROR', { detail: error.message }));
+      }
+   });
+};
+
+/**
+ * Format a structured address on one line, skipping the empty parts.
+ * @param {object} [address] - Address with street, city, postalCode, province and country.
+ * @returns {string} Address such as 'Calle Mayor 1, 28013 Madrid (Madrid), Spain', or '' without street.
+ */
+const formatAddress = (address) => {
+   if (!address?.street) return '';
+   const locality = [address.postalCode, address.city].filter(Boolean).join(' ');
+   const province = address.province && address.province !== address.city ? ` (${address.province})` : '';
+   return [address.street, `${locality}${province}`, address.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Write the provider block: the user that issues the document and its company data.
+ * @param {PDFKit.PDFDocument} doc - Document being rendered.
+ * @param {object} [user] - Populated User document (firstName, lastName, email, nif, company).
+ */
+const writeProvider = (doc, user) => {
+   doc.fontSize(12).text('Provider:', { underline: true });
+   if (user) {
+      doc.text(`${user.firstName || ''} ${user.lastName || ''} (${user.email || 'N/A'})`);
+      if (user.company?.name) {
+         doc.text(`Company: ${user.company.name} (CIF: ${user.company.cif || 'N/A'})`);
+         const address = formatAddress(user.company.address);
+         if (address) {
+            doc.text(`Address: ${address}`);
+         }
+      } else {
+         doc.text(`NIF: ${user.nif || 'N/A'}`);
+      }
+   } else {
+      doc.text('Provider data not available.');
+   }
+   doc.moveDown();
+};
+
+/**
+ * Write the client block: name, tax ID, fiscal address and phone.
+ * @param {PDFKit.PDFDocument} doc - Document being rendered.
+ * @param {object} [client] - Populated Client document.
+ */
+const writeClient = (doc, client) => {
+   doc.fontSize(12).text('Client:', { underline: true });
+   if (client) {
+      doc.text(`${client.name || 'N/A'} (${client.billingEmail || client.email || 'N/A'})`);
+      doc.text(`Tax ID: ${client.cif || 'N/A'}`);
+      doc.text(`Address: ${formatAddress(client.address) || 'N/A'}`);
+      if (client.phone) {
+         doc.text(`Phone: ${client.phone}`);
+      }
+   } else {
+      doc.text('Client data not available.');
+   }
+   doc.moveDown();
+};
+
+/**
+ * Format an amount in euros for printing.
+ * @param {number} amount - Amount to format.
+ * @returns {string} Amount with two decimals and the euro sign.
+ */
+const formatAmount = (amount) => `${(amount || 0).toFixed(2)} €`;
+
+module.exports = {
+   renderPdf,
+   writeProvider,
+   writeClient,
+   formatAddress,
+   formatAmount
+};
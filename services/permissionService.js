@@ -0,0 +1,92 @@
+// File: services/permissionService.js
+const Company = require('../models/Company');
+
+/**
+ * Actions that can be allowed to a company role, as 'resource:action'
+ * @constant {Array<string>}
+ */
+const PERMISSIONS = [
+    'company:update',
+    'member:invite',
+    'member:remove',
+    'member:role',
+    'audit:read',
+    'client:read',
+    'client:create',
+    'client:update',
+    'client:archive',
+    'client:delete',
+    'project:read',
+    'project:create',
+    'project:update',
+    'project:archive',
+    'project:delete',
+    'deliverynote:read',
+    'deliverynote:create',
+    'deliverynote:update',
+    'deliverynote:sign',
+    'deliverynote:send',
+    'deliverynote:delete',
+    'invoice:read',
+    'invoice:create',
+    'invoice:update'
+];
+
+// Managing the company, its members and reading its audit log
+const MANAGEMENT = /^(company|member|audit):/;
+const READ = PERMISSIONS.filter(permission => permission.endsWith(':read') && !MANAGEMENT.test(permission));
+// Day-to-day work on the documents: everything but deleting them and managing the company
+const WORK = PERMISSIONS.filter(permission => !MANAGEMENT.test(permission) && !permission.endsWith(':delete'));
+
+/**
+ * Permissions of each company role
+ * - owner, admin: everything (only the owner can give or take away the admin role)
+ * - member: create, edit, archive, sign and send documents, but not delete them
+ * - signer: read clients, projects and delivery notes and sign the delivery notes
+ * - viewer: read only
+ * - guest: role of the members invited before roles existed, same permissions as member
+ * @constant {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    admin: PERMISSIONS,
+    member: WORK,
+    signer: ['client:read', 'project:read', 'deliverynote:read', 'deliverynote:sign'],
+    viewer: READ,
+    guest: WORK
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+/**
+ * Check if a company role allows an action
+ * @param {string} role - Company role
+ * @param {string} permission - Permission such as 'deliverynote:sign'
+ * @returns {boolean} True if the role has the permission
+ */
+exports.hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Check if a member can give a role to someone, or manage someone who has it.
+ * Nobody can give or take away the owner role, and only the owner can do it with the admin role.
+ * @param {string} actorRole - Company role of the member doing the change
+ * @param {string} role - Role given, or current role of the member managed
+ * @returns {boolean} True if allowed
+ */
+exports.canManageRole = (actorRole, role) => {
+    if (role === 'owner') return false;
+    if (role === 'admin') return actorRole === 'owner';
+    return exports.hasPermission(actorRole, 'member:role');
+};
+
+/**
+ * Role of a user in a company
+ * @param {ObjectId|string} userId - User id
+ * @param {ObjectId|string} companyId - Company id
+ * @returns {Promise<string|null>} Company role, or null if the user is not a member
+ */
+exports.getCompanyRole = async (userId, companyId) => {
+    const company = await Company.findOne({ _id: companyId, 'members.user': userId }, { 'members.$': 1 }).lean();
+    return company ? company.members[0].role : null;
+};
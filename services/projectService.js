@@ -0,0 +1,191 @@
+// File: services/projectService.js
+const DeliveryNote = require('../models/DeliveryNote');
+const { getItemType } = DeliveryNote;
+const { roundAmount, calculateLine } = require('./taxService');
+
+/**
+ * Aggregation expression of the type of '$$item', with the same fallback as getItemType
+ * for items stored before types existed
+ * @constant {Object}
+ */
+const ITEM_TYPE_EXPRESSION = {
+    $ifNull: ['$$item.type', { $cond: [{ $ifNull: ['$$item.person', false] }, 'hours', 'service'] }],
+};
+
+/**
+ * Share of a budget that has been used
+ * @param {number} used - Consumed hours or amount
+ * @param {number|null} budgeted - Budgeted hours or amount
+ * @returns {{budget: number|null, used: number, remaining: number|null, percent: number|null}} Budget usage
+ */
+const usage = (used, budgeted) => {
+    if (budgeted === null || budgeted === undefined) {
+        return { budget: null, used, remaining: null, percent: null };
+    }
+    return {
+        budget: budgeted,
+        used,
+        remaining: roundAmount(budgeted - used),
+        percent: budgeted > 0 ? roundAmount(used / budgeted * 100) : null,
+    };
+};
+
+/**
+ * Sum the hours and amounts of the delivery notes of a project and compare them with its budget.
+ * Hours are the quantity of the hours items; amounts are the taxable base
+ * (after discounts, without IVA), the same basis as the budget.
+ * @param {Object} project - Project document, with _id and budget
+ * @returns {Promise<Object>} Consumption: deliveryNotes, hours and amount usage, overBudget and the totals by status
+ */
+exports.getConsumption = async (project) => {
+    const groups = await DeliveryNote.aggregate([
+        { $match: { project: project._id } },
+        {
+            $project: {
+                status: 1,
+                subtotal: 1,
+                hours: {
+                    $sum: {
+                        $map: {
+                            input: '$items',
+                            as: 'item',
+                            in: { $cond: [{ $eq: [ITEM_TYPE_EXPRESSION, 'hours'] }, '$$item.quantity', 0] },
+                        },
+                    },
+                },
+            },
+        },
+        {
+            $group: {
+                _id: '$status',
+                deliveryNotes: { $sum: 1 },
+                hours: { $sum: '$hours' },
+                amount: { $sum: '$subtotal' },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const byStatus = {};
+    let deliveryNotes = 0;
+    let hours = 0;
+    let amount = 0;
+    groups.forEach(group => {
+        byStatus[group._id] = {
+            deliveryNotes: group.deliveryNotes,
+            hours: roundAmount(group.hours),
+            amount: roundAmount(group.amount),
+        };
+        deliveryNotes += group.deliveryNotes;
+        hours += group.hours;
+        amount += group.amount;
+    });
+
+    const hoursUsage = usage(roundAmount(hours), project.budget?.hours);
+    const amountUsage = usage(roundAmount(amount), project.budget?.amount);
+
+    return {
+        deliveryNotes,
+        hours: hoursUsage,
+        amount: amountUsage,
+        overBudget: (hoursUsage.remaining !== null && hoursUsage.remaining < 0)
+            || (amountUsage.remaining !== null && amountUsage.remaining < 0),
+        byStatus,
+    };
+};
+
+/**
+ * Add the hours and amount of an item to a report group, creating it on first use
+ * @param {Map<string, Object>} groups - Groups of the report by key
+ * @param {string} key - Group key
+ * @param {Object} initial - Fields of a new group besides hours, amount and quantity
+ * @param {{hours: number, amount: number, quantity: number}} line - Values of the item
+ * @returns {Object} The updated group
+ */
+const addToGroup = (groups, key, initial, { hours, amount, quantity }) => {
+    if (!groups.has(key)) {
+        groups.set(key, { ...initial, quantity: 0, hours: 0, amount: 0 });
+    }
+    const group = groups.get(key);
+    group.quantity += quantity;
+    group.hours += hours;
+    group.amount += amount;
+    return group;
+};
+
+/**
+ * Sort the groups by key and round their totals
+ * @param {Map<string, Object>} groups - Groups of the report
+ * @param {Array<string>} fields - Fields to keep from each group, in output order
+ * @returns {Array<Object>} Report rows
+ */
+const toRows = (groups, fields) => [...groups.keys()].sort().map(key => {
+    const group = groups.get(key);
+    const row = {};
+    fields.forEach(field => {
+        const value = group[field];
+        if (value instanceof Set) row[field] = value.size;
+        else row[field] = typeof value === 'number' ? roundAmount(value) : value;
+    });
+    return row;
+});
+
+/**
+ * Summarize the work of a project from its delivery notes: hours and amounts by person,
+ * by month (of the delivery note date, in UTC like the list date filters) and by item type.
+ * Amounts are the taxable base of the items, after discounts and without IVA.
+ * @param {Object} project - Project document
+ * @param {Object} [period={}] - Optional date range of the delivery notes
+ * @param {Date} [period.dateFrom] - First day included
+ * @param {Date} [period.dateTo] - Last moment included
+ * @returns {Promise<Object>} Report with period, totals, byPerson, byMonth and byType
+ */
+exports.getReport = async (project, { dateFrom, dateTo } = {}) => {
+    const filter = { project: project._id };
+    if (dateFrom || dateTo) {
+        filter.date = {};
+        if (dateFrom) filter.date.$gte = dateFrom;
+        if (dateTo) filter.date.$lte = dateTo;
+    }
+
+    const notes = await DeliveryNote.find(filter).select('date items').sort({ date: 1 }).lean();
+
+    const byPerson = new Map();
+    const byMonth = new Map();
+    const byType = new Map();
+    let hours = 0;
+    let amount = 0;
+
+    notes.forEach(note => {
+        const month = new Date(note.date).toISOString().slice(0, 7);
+        addToGroup(byMonth, month, { month, deliveryNotes: new Set() }, { hours: 0, amount: 0, quantity: 0 })
+            .deliveryNotes.add(note._id.toString());
+
+        note.items.forEach(item => {
+            const type = getItemType(item);
+            const line = {
+                quantity: item.quantity,
+                hours: type === 'hours' ? item.quantity : 0,
+                amount: calculateLine(item).base,
+            };
+
+            if (item.person) addToGroup(byPerson, item.person, { person: item.person }, line);
+            addToGroup(byMonth, month, {}, line);
+            addToGroup(byType, type, { type }, line);
+            hours += line.hours;
+            amount += line.amount;
+        });
+    });
+
+    return {
+        period: { dateFrom: dateFrom || null, dateTo: dateTo || null },
+        totals: {
+            deliveryNotes: notes.length,
+            hours: roundAmount(hours),
+            amount: roundAmount(amount),
+        },
+        byPerson: toRows(byPerson, ['person', 'hours', 'amount']),
+        byMonth: toRows(byMonth, ['month', 'deliveryNotes', 'hours', 'amount']),
+        byType: toRows(byType, ['type', 'quantity', 'hours', 'amount']),
+    };
+};
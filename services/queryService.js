@@ -0,0 +1,164 @@
+// File: services/queryService.js
+const { ApiError } = require('../middleware/handleError');
+const config = require('../config/config');
+
+/**
+ * Escape a user string so it can be used literally inside a regular expression
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a Mongo filter from validated query parameters.
+ * Each entry of the spec maps a query parameter to a document path and a match type:
+ * - 'exact': equality (ids, booleans, enums)
+ * - 'in': comma separated values, any of them
+ * - 'contains': case-insensitive partial match
+ * - 'from' / 'to': inclusive range bounds, can share the same path
+ * @param {Object} query - Validated and sanitized req.query
+ * @param {Object<string, {type: string, path?: string}>} spec - Filters accepted by the endpoint
+ * @returns {Object} Mongoose filter
+ */
+exports.buildFilter = (query, spec) => {
+    const filter = {};
+
+    Object.entries(spec).forEach(([param, { type, path = param }]) => {
+        const value = query[param];
+        if (value === undefined || value === null || value === '') return;
+
+        switch (type) {
+            case 'exact':
+                filter[path] = value;
+                break;
+            case 'in':
+                filter[path] = { $in: String(value).split(',').map(item => item.trim()).filter(Boolean) };
+                break;
+            case 'contains':
+                filter[path] = { $regex: escapeRegex(String(value)), $options: 'i' };
+                break;
+            case 'from':
+                filter[path] = { ...filter[path], $gte: value };
+                break;
+            case 'to':
+                filter[path] = { ...filter[path], $lte: value };
+                break;
+            default:
+                throw new Error(`Unknown filter type '${type}' for '${param}'`);
+        }
+    });
+
+    return filter;
+};
+
+/**
+ * Parse a sort parameter such as 'date' or '-date'
+ * @param {string} sort - Field name, prefixed with '-' for descending order
+ * @returns {{field: string, direction: number}} Sort field and direction (1 or -1)
+ */
+const parseSort = (sort) => (sort.startsWith('-')
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 });
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {string} field - Sort field
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (doc, field) => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    const payload = value instanceof Date
+        ? { v: value.toISOString(), d: true, id: doc._id.toString() }
+        : { v: value ?? null, id: doc._id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {{value: *, id: string}} Sort value and id of the last document seen
+ * @throws {ApiError} If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || typeof payload.id !== 'string' || !/^[a-f\d]{24}$/i.test(payload.id)) {
+            throw new Error('Malformed cursor');
+        }
+        return { value: payload.d ? new Date(payload.v) : payload.v, id: payload.id };
+    } catch (error) {
+        throw new ApiError(400, 'Invalid pagination cursor.', 'INVALID_CURSOR');
+    }
+};
+
+/**
+ * Build the filter that selects the documents after a cursor, using _id to break ties
+ * @param {{value: *, id: string}} position - Decoded cursor
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @returns {Object} Mongoose filter
+ */
+const afterCursor = ({ value, id }, field, direction) => {
+    const op = direction === 1 ? '$gt' : '$lt';
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+/**
+ * Run a paginated list query.
+ * Supports page/limit pagination and cursor pagination (when query.cursor is set);
+ * both return the total of documents matching the filter.
+ * @param {import('mongoose').Model} Model - Model to query
+ * @param {Object} filter - Mongoose filter, including the access scope
+ * @param {Object} [options={}] - List options
+ * @param {Object} [options.query={}] - Validated req.query with page, limit, cursor and sort
+ * @param {string} [options.defaultSort='-createdAt'] - Sort used when the query has none
+ * @param {Array<Array<string>>} [options.populate=[]] - populate() arguments, e.g. [['client', 'name']]
+ * @returns {Promise<{items: Array<Object>, pagination: Object}>} Page of documents and its metadata
+ * @throws {ApiError} If the cursor is invalid
+ */
+exports.paginate = async (Model, filter, { query = {}, defaultSort = '-createdAt', populate = [] } = {}) => {
+    const { defaultLimit, maxLimit } = config.pagination;
+    const limit = Math.min(Number(query.limit) || defaultLimit, maxLimit);
+    const { field, direction } = parseSort(query.sort || defaultSort);
+
+    let pageFilter = filter;
+    let page = null;
+    let skip = 0;
+    if (query.cursor) {
+        pageFilter = { $and: [filter, afterCursor(decodeCursor(query.cursor), field, direction)] };
+    } else {
+        page = Number(query.page) || 1;
+        skip = (page - 1) * limit;
+    }
+
+    let itemsQuery = Model.find(pageFilter)
+        .sort({ [field]: direction, _id: direction })
+        .skip(skip)
+        .limit(limit + 1); // One extra document tells whether there is a next page
+    populate.forEach(args => { itemsQuery = itemsQuery.populate(...args); });
+
+    const [docs, total] = await Promise.all([itemsQuery, Model.countDocuments(filter)]);
+    const hasNextPage = docs.length > limit;
+    const items = docs.slice(0, limit);
+
+    const pagination = {
+        total,
+        limit,
+        sort: `${direction === -1 ? '-' : ''}${field}`,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], field) : null,
+    };
+    if (page) {
+        pagination.page = page;
+        pagination.totalPages = Math.ceil(total / limit);
+        pagination.hasPrevPage = page > 1;
+    }
+
+    return { items, pagination };
+};
@@ -0,0 +1,52 @@
+// File: services/rateLimit/index.js
+const config = require('../../config/config');
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+/**
+ * Counters of a fixed time window, shared by the rate limiters
+ * @typedef {Object} RateLimitStore
+ * @property {string} type - Store name ('memory' or 'mongo')
+ * @property {function(string, number): Promise<{count: number, resetAt: Date}>} increment
+ *   Add a hit to a key and resolve with the hits of its current window; a new window of windowMs starts when the last one is over
+ * @property {function(string): Promise<void>} decrement - Remove a hit from a key, e.g. a request that should not count
+ * @property {function(string): Promise<void>} reset - Forget the hits of a key
+ */
+
+const stores = {
+   memory: createMemoryStore,
+   mongo: createMongoStore
+};
+
+/**
+ * Create a rate limit store
+ * @param {string} [type=config.rateLimits.store] - Store to use
+ * @returns {RateLimitStore} Rate limit store
+ * @throws {Error} When the store type is unknown
+ */
+const createStore = (type = config.rateLimits.store) => {
+   const factory = stores[type];
+   if (!factory) {
+      throw new Error(`Unknown rate limit store '${type}'. Use one of: ${Object.keys(stores).join(', ')}`);
+   }
+   return factory();
+};
+
+let store = null;
+
+/**
+ * Get the store selected with RATE_LIMIT_STORE, created on first use
+ * @returns {RateLimitStore} Rate limit store
+ */
+const getStore = () => {
+   if (!store) {
+      store = createStore();
+   }
+   return store;
+};
+
+module.exports = {
+   RATE_LIMIT_STORES: Object.keys(stores),
+   createStore,
+   getStore
+};
@@ -0,0 +1,47 @@
+// File: services/rateLimit/memoryStore.js
+
+/**
+ * Create a rate limit store that keeps the counters in the memory of the process.
+ * Counters are lost on restart and not shared between instances; use the mongo store for that.
+ * @returns {import('./index').RateLimitStore & {clear: function(): void}} Memory store; clear() forgets every key
+ */
+const createMemoryStore = () => {
+   const hits = new Map();
+
+   // Drop the finished windows from time to time so the map does not grow forever
+   const sweep = setInterval(() => {
+      const now = Date.now();
+      hits.forEach((entry, key) => {
+         if (entry.resetAt <= now) hits.delete(key);
+      });
+   }, 60 * 1000);
+   sweep.unref();
+
+   const increment = async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+         entry = { count: 0, resetAt: now + windowMs };
+         hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+   };
+
+   const decrement = async (key) => {
+      const entry = hits.get(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+   };
+
+   const reset = async (key) => {
+      hits.delete(key);
+   };
+
+   const clear = () => {
+      hits.clear();
+   };
+
+   return { type: 'memory', increment, decrement, reset, clear };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,49 @@
+// File: services/rateLimit/mongoStore.js
+const RateLimit = require('../../models/RateLimit');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Create a rate limit store backed by the rate_limits collection, shared by every instance of the API.
+ * Finished windows are removed by a TTL index.
+ * @returns {import('./index').RateLimitStore} Mongo store
+ */
+const createMongoStore = () => {
+   const increment = async (key, windowMs, { retry = true } = {}) => {
+      const now = new Date();
+      const isOpen = { $gt: ['$resetAt', now] };
+
+      try {
+         // One atomic update: add the hit to the open window or start a new one
+         const entry = await RateLimit.findOneAndUpdate(
+            { key },
+            [{
+               $set: {
+                  count: { $cond: [isOpen, { $add: ['$count', 1] }, 1] },
+                  resetAt: { $cond: [isOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+               }
+            }],
+            { upsert: true, new: true }
+         ).lean();
+         return { count: entry.count, resetAt: entry.resetAt };
+      } catch (error) {
+         // Two first hits of a key inserted at the same time: the loser retries on the created document
+         if (retry && error.code === DUPLICATE_KEY) {
+            return increment(key, windowMs, { retry: false });
+         }
+         throw error;
+      }
+   };
+
+   const decrement = async (key) => {
+      await RateLimit.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+   };
+
+   const reset = async (key) => {
+      await RateLimit.deleteOne({ key });
+   };
+
+   return { type: 'mongo', increment, decrement, reset };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,79 @@
+// File: services/searchService.js
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+
+/**
+ * Searchable collections, keyed by the group name used in the response and in ?types.
+ * Each entry sets the extra filter, the returned fields and the references to populate.
+ * Text indexes: client_text, project_text and deliverynote_text.
+ */
+const SEARCH_GROUPS = {
+    clients: {
+        model: Client,
+        filter: { archived: false },
+        select: 'name email',
+        populate: []
+    },
+    projects: {
+        model: Project,
+        filter: { archived: false },
+        select: 'name description client',
+        populate: [['client', 'name']]
+    },
+    deliveryNotes: {
+        model: DeliveryNote,
+        filter: {},
+        select: 'deliveryNoteNumber date status totalAmount project client',
+        populate: [['client', 'name'], ['project', 'name']]
+    }
+};
+
+/**
+ * Group names accepted by the search
+ * @constant {Array<string>}
+ */
+exports.SEARCH_TYPES = Object.keys(SEARCH_GROUPS);
+
+/**
+ * Run a text search on one collection, best matches first
+ * @param {string} type - Group name (see SEARCH_TYPES)
+ * @param {string} q - Search terms
+ * @param {Object} scope - Access filter of the user (getScopeFilter)
+ * @param {number} limit - Maximum results returned
+ * @returns {Promise<{total: number, items: Array<Object>}>} Total of matches and the best ones with their score
+ */
+exports.searchGroup = async (type, q, scope, limit) => {
+    const { model, filter, select, populate } = SEARCH_GROUPS[type];
+    const query = { $text: { $search: q }, ...filter, ...scope };
+
+    let itemsQuery = model.find(query, { score: { $meta: 'textScore' } })
+        .select(select)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit);
+    populate.forEach(args => { itemsQuery = itemsQuery.populate(...args); });
+
+    const [items, total] = await Promise.all([itemsQuery.lean(), model.countDocuments(query)]);
+    return { total, items };
+};
+
+/**
+ * Search several collections at once
+ * @param {string} q - Search terms
+ * @param {Object} scope - Access filter of the user (getScopeFilter)
+ * @param {Object} [options={}] - Search options
+ * @param {Array<string>} [options.types=SEARCH_TYPES] - Groups to search
+ * @param {number} [options.limit=10] - Maximum results per group
+ * @returns {Promise<{total: number, results: Object<string, {total: number, items: Array<Object>}>}>} Results by group
+ */
+exports.search = async (q, scope, { types = exports.SEARCH_TYPES, limit = 10 } = {}) => {
+    const groups = await Promise.all(types.map(type => exports.searchGroup(type, q, scope, limit)));
+
+    const results = {};
+    types.forEach((type, index) => { results[type] = groups[index]; });
+
+    return {
+        total: groups.reduce((total, group) => total + group.total, 0),
+        results
+    };
+};
@@ -0,0 +1,187 @@
+// File: services/sessionService.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authService = require('./authService');
+const { ApiError } = require('../middleware/handleError');
+const config = require('../config/config');
+
+// First match wins: Edge and Opera also announce Chrome, Chrome also announces Safari
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+// iOS also announces Mac OS X, Android also announces Linux
+const SYSTEMS = [['iPhone', 'iOS'], ['iPad', 'iOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Readable device name from a User-Agent header
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} e.g. 'Chrome on Windows', 'curl' or 'Unknown device'
+ */
+exports.describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const find = (list) => list.find(([token]) => userAgent.includes(token))?.[1];
+    const browser = find(BROWSERS);
+    const system = find(SYSTEMS);
+    if (browser || system) {
+        return [browser, system].filter(Boolean).join(' on ');
+    }
+    // API clients: 'curl/8.5.0', 'PostmanRuntime/7.36.0'...
+    return userAgent.split(/[\s/]/)[0];
+};
+
+/**
+ * Client data stored with a session
+ * @param {import('express').Request} req - Express request object
+ * @returns {{userAgent: string|null, ip: string|null}} User-Agent and IP of the request
+ */
+exports.getClientInfo = (req) => ({
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null
+});
+
+/**
+ * Build the tokens returned to the client
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - Plain refresh token (only its hash is stored)
+ * @returns {{token: string, refreshToken: string, expiresIn: string}} Access token, refresh token and access token lifetime
+ */
+const issueTokens = (user, session, refreshToken) => ({
+    token: authService.generateToken({
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        sid: session.id
+    }),
+    refreshToken,
+    expiresIn: config.auth.accessTokenExpiresIn
+});
+
+/**
+ * Start a session for a user (login or registration)
+ * @param {Object} user - User document
+ * @param {{userAgent?: string, ip?: string}} [client={}] - Client data, see getClientInfo
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>} Tokens of the new session
+ */
+exports.createSession = async (user, { userAgent = null, ip = null } = {}) => {
+    const refreshToken = authService.generateResetToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: authService.hashToken(refreshToken),
+        userAgent,
+        device: exports.describeDevice(userAgent),
+        ip,
+        expiresAt: new Date(Date.now() + config.auth.refreshTokenExpiresIn)
+    });
+
+    return issueTokens(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The used refresh token stops working; presenting it again means it was copied, so the session is revoked.
+ * @param {string} refreshToken - Plain refresh token
+ * @param {{userAgent?: string, ip?: string}} [client={}] - Client data, see getClientInfo
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>} New tokens
+ * @throws {ApiError} 401 if the token is unknown, already used, expired or revoked
+ */
+exports.refreshSession = async (refreshToken, { userAgent = null, ip = null } = {}) => {
+    const tokenHash = authService.hashToken(refreshToken);
+    const nextToken = authService.generateResetToken();
+    const now = new Date();
+
+    // Atomic rotation: two requests with the same token can never both succeed
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: authService.hashToken(nextToken),
+            previousTokenHash: tokenHash,
+            userAgent,
+            device: exports.describeDevice(userAgent),
+            ip,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + config.auth.refreshTokenExpiresIn)
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+        if (reused) {
+            reused.revoke('reuse_detected');
+            await reused.save();
+            throw new ApiError(401, 'Refresh token already used. The session has been closed for security.', 'REFRESH_TOKEN_REUSED');
+        }
+        throw new ApiError(401, 'Invalid or expired refresh token.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+        session.revoke('account_deleted');
+        await session.save();
+        throw new ApiError(401, 'Invalid or expired refresh token.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    return issueTokens(user, session, nextToken);
+};
+
+/**
+ * Check that the session of an access token is still open, and record its use.
+ * lastUsedAt is written at most once per config.auth.sessionTouchInterval.
+ * @param {string} sessionId - Session id (sid claim of the access token)
+ * @param {string} userId - User id of the access token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+exports.touchSession = async (sessionId, userId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const now = new Date();
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: now } })
+        .select('lastUsedAt');
+    if (!session) return false;
+
+    if (now - session.lastUsedAt >= config.auth.sessionTouchInterval) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: now });
+    }
+    return true;
+};
+
+/**
+ * List the open sessions of a user, most recently used first
+ * @param {string} userId - User id
+ * @returns {Promise<Array<Object>>} Session documents
+ */
+exports.listSessions = (userId) => Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+/**
+ * Close one session of a user
+ * @param {string} userId - User id
+ * @param {string} sessionId - Session to close
+ * @param {string} [reason='revoked'] - One of Session.REVOKE_REASONS
+ * @returns {Promise<boolean>} False if the user has no open session with that id
+ */
+exports.revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const { modifiedCount } = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return modifiedCount > 0;
+};
+
+/**
+ * Close every open session of a user
+ * @param {string} userId - User id
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.except] - Session to keep open, usually the current one
+ * @param {string} [options.reason='revoked'] - One of Session.REVOKE_REASONS
+ * @returns {Promise<number>} Number of sessions closed
+ */
+exports.revokeAllSessions = async (userId, { except, reason = 'revoked' } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return modifiedCount;
+};
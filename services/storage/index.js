@@ -0,0 +1,117 @@
+// File: services/storage/index.js
+const config = require('../../config/config');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const createIpfsStorage = require('./ipfsStorage');
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} type - Backend name ('local', 's3' or 'ipfs')
+ * @property {function(Buffer, {folder: string, fileName: string, contentType?: string}): Promise<string>} upload
+ *   Store a file and resolve with its key, the reference saved in the database
+ * @property {function(string): (string|null)} getUrl - Public URL of a stored key
+ * @property {function(string): Promise<Buffer>} download - Read a stored file
+ * @property {function(string): Promise<void>} remove - Delete a stored file
+ */
+
+const adapters = {
+   local: createLocalStorage,
+   s3: createS3Storage,
+   ipfs: createIpfsStorage
+};
+
+/**
+ * Create a storage adapter
+ * @param {string} [type=config.storage.type] - Backend to use
+ * @param {Object} [options=config.storage[type]] - Backend options
+ * @returns {StorageAdapter} Storage adapter
+ * @throws {Error} When the storage type is unknown
+ */
+const createStorage = (type = config.storage.type, options = config.storage[type]) => {
+   const factory = adapters[type];
+   if (!factory) {
+      throw new Error(`Unknown storage type '${type}'. Use one of: ${Object.keys(adapters).join(', ')}`);
+   }
+   return factory(options);
+};
+
+// Files saved before the storage service was added are IPFS CIDs, bare or as 'ipfs://<cid>'.
+// Keys of the local and S3 backends always start with their folder, so they never match.
+const IPFS_CID_PATTERN = /^(ipfs:\/\/)?(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+let storage = null;
+let ipfsStorage = null;
+
+/**
+ * Get the storage adapter selected with STORAGE_TYPE, created on first use
+ * @returns {StorageAdapter} Storage adapter
+ */
+const getStorage = () => {
+   if (!storage) {
+      storage = createStorage();
+   }
+   return storage;
+};
+
+/**
+ * Get the adapter that holds a stored file: IPFS for CIDs, whatever STORAGE_TYPE is,
+ * so documents stored before switching backends keep their links
+ * @param {string} key - Key of the stored file
+ * @returns {StorageAdapter} Storage adapter
+ */
+const getStorageFor = (key) => {
+   if (!IPFS_CID_PATTERN.test(key) || getStorage().type === 'ipfs') {
+      return getStorage();
+   }
+   if (!ipfsStorage) {
+      ipfsStorage = createStorage('ipfs');
+   }
+   return ipfsStorage;
+};
+
+/**
+ * Store a file in the configured backend
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Logical folder: 'logos', 'signatures' or 'pdfs'
+ * @param {string} options.fileName - File name inside the folder
+ * @param {string} [options.contentType] - MIME type of the file
+ * @returns {Promise<string>} Key of the stored file
+ */
+const upload = (buffer, options) => getStorage().upload(buffer, options);
+
+/**
+ * Build the public URL of a stored file.
+ * Absolute http(s) URLs are returned untouched, so external references keep working.
+ * @param {string} key - Key returned by upload, or an absolute URL
+ * @returns {string|null} Public URL, or null when no key is given
+ */
+const getUrl = (key) => {
+   if (!key) return null;
+   if (/^https?:\/\//.test(key)) return key;
+   return getStorageFor(key).getUrl(key);
+};
+
+/**
+ * Read a stored file
+ * @param {string} key - Key returned by upload
+ * @returns {Promise<Buffer>} File contents
+ */
+const download = (key) => getStorageFor(key).download(key);
+
+/**
+ * Delete a stored file
+ * @param {string} key - Key returned by upload
+ * @returns {Promise<void>}
+ */
+const remove = (key) => getStorageFor(key).remove(key);
+
+module.exports = {
+   STORAGE_TYPES: Object.keys(adapters),
+   createStorage,
+   getStorage,
+   upload,
+   getUrl,
+   download,
+   remove
+};
@@ -0,0 +1,90 @@
+// File: services/storage/ipfsStorage.js
+const FormData = require('form-data');
+const { ApiError } = require('../../middleware/handleError');
+
+/**
+ * Create a storage adapter that pins files to IPFS through the Pinata HTTP API.
+ * Keys are the IPFS CIDs returned by Pinata.
+ * @param {Object} options - Adapter options (config.storage.ipfs)
+ * @param {string} options.jwt - Pinata JWT
+ * @param {string} options.gatewayUrl - Public IPFS gateway used to build URLs
+ * @returns {import('./index').StorageAdapter} IPFS storage adapter
+ */
+const createIpfsStorage = ({ jwt, gatewayUrl }) => {
+   const gateway = gatewayUrl.endsWith('/') ? gatewayUrl : `${gatewayUrl}/`;
+
+   // Older documents saved the CID as 'ipfs://<cid>'
+   const toCid = (key) => key.replace(/^ipfs:\/\//, '');
+
+   const getUrl = (cid) => (cid ? `${gateway}ipfs/${toCid(cid)}` : null);
+
+   const upload = async (buffer, { fileName }) => {
+      // En entorno de test, simular upload exitoso
+      if (process.env.NODE_ENV === 'test') {
+         console.log(`[TEST MODE] Simulating IPFS upload for: ${fileName}`);
+         return 'QmTestHashFor' + fileName.replace(/[^a-zA-Z0-9]/g, '');
+      }
+
+      if (!jwt) {
+         throw new ApiError(500, 'IPFS service (Pinata JWT) is not configured.', 'IPFS_CONFIG_ERROR');
+      }
+
+      const data = new FormData();
+      data.append('file', buffer, fileName);
+      data.append('pinataMetadata', JSON.stringify({ name: fileName }));
+      data.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+
+      try {
+         const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
+            method: 'POST',
+            headers: {
+               'Authorization': `Bearer ${jwt}`,
+               ...data.getHeaders() // Para FormData
+            },
+            body: data
+         });
+
+         if (!response.ok) {
+            const errorBody = await response.text();
+            console.error('Pinata API Error Response:', `Status: ${response.status}, Body: ${errorBody}`);
+            throw new Error(`Failed to upload to Pinata: ${response.status} ${response.statusText}`);
+         }
+
+         const responseData = await response.json();
+         if (!responseData.IpfsHash) {
+            console.error('Pinata API successful response but missing IpfsHash:', responseData);
+            throw new Error('IpfsHash not found in Pinata response.');
+         }
+         console.log(`Successfully pinned '${fileName}' to IPFS via API. CID: ${responseData.IpfsHash}`);
+         return responseData.IpfsHash;
+
+      } catch (error) {
+         console.error(`Error uploading '${fileName}' to Pinata API:`, error.message, error.stack);
+         throw new ApiError(500, `Failed to upload '${fileName}' to IPFS.`, 'IPFS_UPLOAD_ERROR', { detail: error.message });
+      }
+   };
+
+   const download = async (cid) => {
+      const response = await fetch(getUrl(cid));
+      if (!response.ok) {
+         throw new Error(`Failed to download '${cid}' from IPFS: ${response.status} ${response.statusText}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+   };
+
+   const remove = async (cid) => {
+      if (!jwt || process.env.NODE_ENV === 'test') return;
+
+      const response = await fetch(`https://api.pinata.cloud/pinning/unpin/${toCid(cid)}`, {
+         method: 'DELETE',
+         headers: { 'Authorization': `Bearer ${jwt}` }
+      });
+      if (!response.ok && response.status !== 404) {
+         throw new Error(`Failed to unpin '${cid}' from IPFS: ${response.status} ${response.statusText}`);
+      }
+   };
+
+   return { type: 'ipfs', upload, getUrl, download, remove };
+};
+
+module.exports = createIpfsStorage;
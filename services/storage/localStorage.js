@@ -0,0 +1,50 @@
+// File: services/storage/localStorage.js
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Create a storage adapter that writes files to the local filesystem.
+ * Keys are paths relative to the storage root (e.g. 'logos/logo_1.png'),
+ * served by the static '/uploads' route of the server.
+ * @param {Object} options - Adapter options (config.storage.local)
+ * @param {string} options.path - Root directory for stored files
+ * @param {string} options.baseUrl - Public URL the root directory is served from
+ * @returns {import('./index').StorageAdapter} Local storage adapter
+ */
+const createLocalStorage = ({ path: rootPath, baseUrl }) => {
+   const root = path.resolve(rootPath);
+
+   // Keys come from the database: never let them point outside the storage root
+   const resolveKey = (key) => {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+         throw new Error(`Invalid storage key '${key}'.`);
+      }
+      return filePath;
+   };
+
+   const upload = async (buffer, { folder, fileName }) => {
+      const key = path.posix.join(folder, path.basename(fileName));
+      const filePath = resolveKey(key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return key;
+   };
+
+   const getUrl = (key) => (key ? `${baseUrl.replace(/\/$/, '')}/${key}` : null);
+
+   const download = async (key) => fs.readFile(resolveKey(key));
+
+   const remove = async (key) => {
+      try {
+         await fs.unlink(resolveKey(key));
+      } catch (error) {
+         if (error.code !== 'ENOENT') throw error;
+      }
+   };
+
+   return { type: 'local', upload, getUrl, download, remove };
+};
+
+module.exports = createLocalStorage;
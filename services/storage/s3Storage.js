@@ -0,0 +1,59 @@
+// File: services/storage/s3Storage.js
+const {
+   S3Client,
+   PutObjectCommand,
+   GetObjectCommand,
+   DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create a storage adapter for AWS S3 or any S3-compatible service (e.g. MinIO).
+ * Keys are object keys inside the bucket (e.g. 'pdfs/Albaran_ALB-1.pdf').
+ * @param {Object} options - Adapter options (config.storage.s3)
+ * @param {string} options.bucketName - Bucket where files are stored
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {string} [options.accessKeyId] - Access key, defaults to the AWS credential chain
+ * @param {string} [options.secretAccessKey] - Secret key, defaults to the AWS credential chain
+ * @param {string} [options.publicUrl] - Public URL of the bucket, e.g. a CDN
+ * @returns {import('./index').StorageAdapter} S3 storage adapter
+ */
+const createS3Storage = ({ bucketName, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+   const client = new S3Client({
+      region,
+      endpoint,
+      // MinIO and most S3-compatible services do not support virtual-hosted buckets
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+   });
+
+   const bucketUrl = (publicUrl
+      || (endpoint ? `${endpoint}/${bucketName}` : `https://${bucketName}.s3.${region}.amazonaws.com`)
+   ).replace(/\/$/, '');
+
+   const upload = async (buffer, { folder, fileName, contentType }) => {
+      const key = `${folder}/${fileName}`;
+      await client.send(new PutObjectCommand({
+         Bucket: bucketName,
+         Key: key,
+         Body: buffer,
+         ContentType: contentType
+      }));
+      return key;
+   };
+
+   const getUrl = (key) => (key ? `${bucketUrl}/${key}` : null);
+
+   const download = async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+   };
+
+   const remove = async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+   };
+
+   return { type: 's3', upload, getUrl, download, remove };
+};
+
+module.exports = createS3Storage;
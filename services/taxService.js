@@ -0,0 +1,70 @@
+// File: services/taxService.js
+
+/**
+ * Round an amount to cents.
+ * @param {number} amount - Amount to round.
+ * @returns {number} Amount with at most two decimals.
+ */
+const roundAmount = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculate the amounts of a single line (delivery note item or invoice line).
+ * The discount is a percentage applied before tax.
+ * @param {Object} line - Line data.
+ * @param {number} line.quantity - Quantity or hours.
+ * @param {number} [line.unitPrice=0] - Unit price.
+ * @param {number} [line.discount=0] - Discount percentage (0-100).
+ * @param {number} [line.taxRate=0] - Tax (IVA) percentage.
+ * @returns {{gross: number, discountAmount: number, base: number, taxAmount: number, total: number}} Line amounts
+ */
+const calculateLine = ({ quantity, unitPrice = 0, discount = 0, taxRate = 0 }) => {
+   const gross = roundAmount(quantity * (unitPrice || 0));
+   const discountAmount = roundAmount(gross * (discount || 0) / 100);
+   const base = roundAmount(gross - discountAmount);
+   const taxAmount = roundAmount(base * (taxRate || 0) / 100);
+   return { gross, discountAmount, base, taxAmount, total: roundAmount(base + taxAmount) };
+};
+
+/**
+ * Summarize the taxes of a set of lines, grouped by tax rate as required on Spanish documents.
+ * Tax is calculated per rate on the summed bases, so rounding does not drift with many lines.
+ * @param {Array<Object>} lines - Lines accepted by calculateLine.
+ * @returns {{subtotal: number, discountAmount: number, taxBreakdown: Array<{rate: number, base: number, amount: number}>, taxAmount: number, total: number}}
+ *   Subtotal is the taxable base after discounts; the breakdown is sorted by rate.
+ */
+const summarizeTaxes = (lines) => {
+   const bases = new Map();
+   let discountAmount = 0;
+
+   lines.forEach(line => {
+      const amounts = calculateLine(line);
+      const rate = line.taxRate || 0;
+      bases.set(rate, (bases.get(rate) || 0) + amounts.base);
+      discountAmount += amounts.discountAmount;
+   });
+
+   const taxBreakdown = [...bases.entries()]
+      .sort(([rateA], [rateB]) => rateA - rateB)
+      .map(([rate, base]) => ({
+         rate,
+         base: roundAmount(base),
+         amount: roundAmount(base * rate / 100),
+      }));
+
+   const subtotal = roundAmount(taxBreakdown.reduce((total, tax) => total + tax.base, 0));
+   const taxAmount = roundAmount(taxBreakdown.reduce((total, tax) => total + tax.amount, 0));
+
+   return {
+      subtotal,
+      discountAmount: roundAmount(discountAmount),
+      taxBreakdown,
+      taxAmount,
+      total: roundAmount(subtotal + taxAmount),
+   };
+};
+
+module.exports = {
+   roundAmount,
+   calculateLine,
+   summarizeTaxes
+};
@@ -0,0 +1,188 @@
+// File: services/twoFactorService.js
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const authService = require('./authService');
+const config = require('../config/config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // Seconds each TOTP code is valid (RFC 6238 default)
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return (bits.match(/.{1,5}/g) || [])
+        .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+        .join('');
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} value - Base32 string, case and padding insensitive
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (value) => {
+    const bits = value.toUpperCase().replace(/=+$/, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} 160-bit base32 secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code of a time step (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step: seconds since the epoch / 30
+ * @returns {string} Six digit code
+ */
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step of a date
+ * @param {number} [timestamp=Date.now()] - Milliseconds since the epoch
+ * @returns {number} Time step
+ */
+const stepAt = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TIME_STEP);
+
+/**
+ * Compute the current TOTP code of a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since the epoch
+ * @returns {string} Six digit code
+ */
+exports.generateCode = (secret, timestamp = Date.now()) => codeForStep(secret, stepAt(timestamp));
+
+/**
+ * Check a TOTP code, accepting config.twoFactor.window steps of clock drift on each side.
+ * A step already used is refused so a code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options={}] - Options
+ * @param {number|null} [options.lastUsedStep] - Step of the last accepted code
+ * @param {number} [options.timestamp=Date.now()] - Milliseconds since the epoch
+ * @returns {number|null} Step of the matching code, or null if the code is not valid
+ */
+exports.verifyCode = (secret, code, { lastUsedStep = null, timestamp = Date.now() } = {}) => {
+    if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+    const current = stepAt(timestamp);
+    for (let step = current - config.twoFactor.window; step <= current + config.twoFactor.window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account shown in the app, usually the user email
+ * @returns {string} otpauth URI
+ */
+exports.buildOtpauthUri = (secret, accountName) => {
+    const { issuer } = config.twoFactor;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(TIME_STEP) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Render an otpauth URI as a QR code image
+ * @param {string} otpauthUri - otpauth URI
+ * @returns {Promise<string>} PNG data URL, usable as the src of an img
+ */
+exports.renderQrCode = (otpauthUri) => QRCode.toDataURL(otpauthUri);
+
+/**
+ * Normalise a recovery code so it matches however it was typed
+ * @param {string} code - Recovery code, e.g. 'A1B2C-3D4E5'
+ * @returns {string} Lowercase code without separators
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Codes shown once to the user and the hashes to store
+ */
+exports.generateRecoveryCodes = () => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => authService.hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Check a second factor of a user: a TOTP code or one of the recovery codes.
+ * On success the code is consumed (TOTP step recorded, recovery code removed); the caller saves the user.
+ * @param {Object} user - User document selected with +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes
+ * @param {Object} factor - Second factor typed by the user
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {'totp'|'recovery'|null} Factor used, or null if it is not valid
+ */
+exports.verifySecondFactor = (user, { code, recoveryCode }) => {
+    const { twoFactor } = user;
+
+    if (code) {
+        const step = exports.verifyCode(twoFactor.secret, code, { lastUsedStep: twoFactor.lastUsedStep ?? null });
+        if (step === null) return null;
+        twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        const hash = authService.hashToken(normalizeRecoveryCode(recoveryCode));
+        const index = (twoFactor.recoveryCodes || []).indexOf(hash);
+        if (index === -1) return null;
+        twoFactor.recoveryCodes.splice(index, 1);
+        return 'recovery';
+    }
+
+    return null;
+};
+
+/**
+ * Start the second step of a login: store the hash of a short-lived challenge token on the user.
+ * The caller saves the user.
+ * @param {Object} user - User document
+ * @returns {{challengeToken: string, expiresAt: Date}} Token to send with the second factor and its expiry
+ */
+exports.createChallenge = (user) => {
+    const challengeToken = authService.generateResetToken();
+    const expiresAt = new Date(Date.now() + config.twoFactor.challengeExpiresIn);
+    user.twoFactor.challengeHash = authService.hashToken(challengeToken);
+    user.twoFactor.challengeExpires = expiresAt;
+    return { challengeToken, expiresAt };
+};
+
+/**
+ * Forget the login challenge of a user. The caller saves the user.
+ * @param {Object} user - User document
+ */
+exports.clearChallenge = (user) => {
+    user.twoFactor.challengeHash = null;
+    user.twoFactor.challengeExpires = null;
+};
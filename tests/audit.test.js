@@ -0,0 +1,218 @@
+// File: tests/audit.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const AuditLog = require('../models/AuditLog');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+
+jest.mock('../utils/handleEmail', () => ({
+  getEmailOptions: jest.requireActual('../utils/handleEmail').getEmailOptions,
+  sendSignedDeliveryNoteEmail: jest.fn()
+}));
+
+describe('Audit Log Tests', () => {
+  let owner, viewer, company, ownerToken, viewerToken;
+
+  const signToken = async (user) => (await sessionService.createSession(user)).token;
+
+  const clearDatabase = () => Promise.all([
+    User.deleteMany({}),
+    Company.deleteMany({}),
+    Client.deleteMany({}),
+    Project.deleteMany({}),
+    DeliveryNote.deleteMany({}),
+    AuditLog.deleteMany({})
+  ]);
+
+  const createClient = (data = {}) => request(app)
+    .post('/api/client')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ name: 'Audited Client', email: 'audited@client.com', ...data })
+    .expect(201);
+
+  beforeAll(clearDatabase);
+
+  afterAll(async () => {
+    await clearDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    [owner, viewer] = await User.create([
+      { email: 'owner@company.com', password: hashedPassword, isEmailVerified: true, company: { name: 'Shared SL' } },
+      { email: 'viewer@company.com', password: hashedPassword, isEmailVerified: true }
+    ]);
+    company = await Company.create({
+      name: 'Shared SL',
+      owner: owner._id,
+      members: [{ user: owner._id, role: 'owner' }, { user: viewer._id, role: 'viewer' }]
+    });
+    await User.updateMany({}, { companyId: company._id });
+
+    ownerToken = await signToken(owner);
+    viewerToken = await signToken(viewer);
+  });
+
+  describe('auditService.diff', () => {
+    it('should keep only the changed fields', () => {
+      const changes = auditService.diff(
+        { _id: '1', name: 'Old', email: 'same@client.com', updatedAt: 'a' },
+        { _id: '1', name: 'New', email: 'same@client.com', updatedAt: 'b' }
+      );
+
+      expect(changes).toEqual({ before: { name: 'Old' }, after: { name: 'New' }, fields: ['name'] });
+    });
+
+    it('should record that a secret changed without its value', () => {
+      const changes = auditService.diff(
+        { password: 'old-hash', signatureRequest: { tokenHash: 'a', sentTo: 'client@test.com' } },
+        { password: 'new-hash', signatureRequest: { tokenHash: 'b', sentTo: 'client@test.com' } }
+      );
+
+      expect(changes.before.password).toBe('[REDACTED]');
+      expect(changes.after.password).toBe('[REDACTED]');
+      expect(changes.after.signatureRequest).toEqual({ tokenHash: '[REDACTED]', sentTo: 'client@test.com' });
+    });
+  });
+
+  describe('Recording', () => {
+    it('should record the creation of a client with its actor and company', async () => {
+      const { body } = await createClient();
+
+      const entry = await AuditLog.findOne({ resourceId: body.client._id });
+      expect(entry.action).toBe('create');
+      expect(entry.resourceType).toBe('client');
+      expect(entry.actor.toString()).toBe(owner.id);
+      expect(entry.actorEmail).toBe('owner@company.com');
+      expect(entry.company.toString()).toBe(company.id);
+      expect(entry.before).toBeNull();
+      expect(entry.after.name).toBe('Audited Client');
+      expect(entry.ip).toBeTruthy();
+    });
+
+    it('should record the fields an update changed before and after', async () => {
+      const { body } = await createClient();
+
+      await request(app)
+        .put(`/api/client/${body.client._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Renamed Client', email: 'audited@client.com' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ resourceId: body.client._id, action: 'update' });
+      expect(entry.before).toEqual({ name: 'Audited Client' });
+      expect(entry.after).toEqual({ name: 'Renamed Client' });
+    });
+
+    it('should record the signature of a delivery note', async () => {
+      const client = await Client.create({ name: 'Client', email: 'client@test.com', createdBy: owner._id, company: company._id });
+      const project = await Project.create({ name: 'Project', client: client._id, createdBy: owner._id, company: company._id });
+      const note = await DeliveryNote.create({
+        deliveryNoteNumber: 'DN-AUDIT-001',
+        project: project._id,
+        client: client._id,
+        date: new Date(),
+        items: [{ description: 'Work to sign', quantity: 1, unitPrice: 10 }],
+        totalAmount: 10,
+        status: 'sent',
+        createdBy: owner._id,
+        company: company._id
+      });
+
+      await request(app)
+        .patch(`/api/deliverynote/sign/${note._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ signatureUrl: 'ipfs://QmTestSignatureHash' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ resourceId: note._id, action: 'sign' });
+      expect(entry.before).toMatchObject({ status: 'sent', isSigned: false });
+      expect(entry.after).toMatchObject({ status: 'signed', isSigned: true });
+    });
+  });
+
+  describe('GET /api/client/:id/history', () => {
+    it('should list the history of a client, newest first', async () => {
+      const { body } = await createClient();
+      await request(app)
+        .patch(`/api/client/${body.client._id}/archive`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/client/${body.client._id}/history`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(res.body.entries.map(entry => entry.action)).toEqual(['archive', 'create']);
+      expect(res.body.entries[0].actor.email).toBe('owner@company.com');
+      expect(res.body.pagination.total).toBe(2);
+    });
+
+    it('should not show the history of clients of other companies', async () => {
+      const client = await Client.create({ name: 'Other', email: 'other@client.com', createdBy: viewer._id });
+
+      await request(app)
+        .get(`/api/client/${client._id}/history`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should keep the log of deleted resources', async () => {
+      const { body } = await createClient();
+      await request(app)
+        .delete(`/api/client/${body.client._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/audit?resourceId=${body.client._id}&action=delete`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(res.body.entries).toHaveLength(1);
+      expect(res.body.entries[0].before.email).toBe('audited@client.com');
+      expect(res.body.entries[0].after).toBeNull();
+    });
+
+    it('should only list the entries of the company of the user', async () => {
+      await createClient();
+      await AuditLog.create({ resourceType: 'client', resourceId: new mongoose.Types.ObjectId(), action: 'create', company: new mongoose.Types.ObjectId() });
+
+      const res = await request(app)
+        .get('/api/audit?resourceType=client')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(res.body.entries).toHaveLength(1);
+    });
+
+    it('should require the audit:read permission', async () => {
+      const res = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+
+      expect(res.body.data.permission).toBe('audit:read');
+    });
+
+    it('should fail with an unknown action', async () => {
+      await request(app)
+        .get('/api/audit?action=rename')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -5,6 +5,7 @@ const app = require('../server');
 const User = require('../models/User');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
+const sessionService = require('../services/sessionService');
 
 describe('Client API Tests', () => {
   let testUser, userToken, testClient;
@@ -38,12 +39,7 @@ describe('Client API Tests', () => {
       role: 'user'
     });
     await testUser.save();
-
-    const jwt = require('jsonwebtoken');
-    userToken = jwt.sign(
-      { id: testUser._id, email: testUser.email, role: testUser.role },
-      process.env.JWT_SECRET
-    );
+    userToken = (await sessionService.createSession(testUser)).token;
   }, 10000);
 
   describe('POST /api/client', () => {
@@ -80,6 +76,58 @@ describe('Client API Tests', () => {
       expect(res.body.client.name).toBe(clientData.name);
     });
 
+    it('should store the tax ID, address, phone, contacts and billing email', async () => {
+      const clientData = {
+        name: 'Reformas García SL',
+        email: 'info@garcia.com',
+        cif: 'b-1234567-8',
+        phone: '912345678',
+        address: { street: 'Calle Mayor 1', city: 'Madrid', postalCode: '28013', province: 'Madrid' },
+        contacts: [{ name: 'Ana Gómez', email: 'Ana@Garcia.com', phone: '600123456', role: 'Administración' }],
+        billingEmail: 'Facturas@Garcia.com'
+      };
+
+      const res = await request(app)
+        .post('/api/client')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(clientData)
+        .expect(201);
+
+      expect(res.body.client.cif).toBe('B12345678');
+      expect(res.body.client.phone).toBe('912345678');
+      expect(res.body.client.address).toMatchObject({ ...clientData.address, country: 'Spain' });
+      expect(res.body.client.contacts).toHaveLength(1);
+      expect(res.body.client.contacts[0]).toMatchObject({ name: 'Ana Gómez', email: 'ana@garcia.com', role: 'Administración' });
+      expect(res.body.client.billingEmail).toBe('facturas@garcia.com');
+    });
+
+    it('should accept a plain string address as the street', async () => {
+      const res = await request(app)
+        .post('/api/client')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Legacy Client', email: 'legacy@client.com', address: 'Calle Sol 3' })
+        .expect(201);
+
+      expect(res.body.client.address.street).toBe('Calle Sol 3');
+    });
+
+    it('should fail with an invalid tax ID, postal code or contact', async () => {
+      const res = await request(app)
+        .post('/api/client')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          name: 'Bad Client',
+          email: 'bad@client.com',
+          cif: '1234',
+          address: { postalCode: '280' },
+          contacts: [{ email: 'not-an-email' }]
+        })
+        .expect(400);
+
+      const fields = res.body.data.errors.map(error => error.path);
+      expect(fields).toEqual(expect.arrayContaining(['cif', 'address.postalCode', 'contacts[0].name', 'contacts[0].email']));
+    });
+
     it('should fail with invalid email format', async () => {
       const clientData = {
         name: 'Test Client',
@@ -163,6 +211,118 @@ describe('Client API Tests', () => {
     });
   });
 
+  describe('POST /api/client/import', () => {
+    const csvFile = (lines) => Buffer.from(lines.join('\r\n'));
+
+    beforeEach(async () => {
+      await new Client({ name: 'Existing Client', email: 'existing@client.com', createdBy: testUser._id }).save();
+    });
+
+    it('should create valid rows and report skipped and failed ones', async () => {
+      const file = csvFile([
+        'name,email,cif,address.city,address.postalCode,notes',
+        'Reformas Norte,norte@client.com,B12345674,Bilbao,48001,old note',
+        'Existing Again,existing@client.com,,,,',
+        'X,not-an-email,,,123,',
+        'Reformas Sur,SUR@client.com,,Sevilla,41001,',
+        'Reformas Sur Copy,sur@client.com,,,,'
+      ]);
+
+      const res = await request(app)
+        .post('/api/client/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', file, 'clients.csv')
+        .expect(200);
+
+      expect(res.body.message).toBe('Clients imported successfully');
+      expect(res.body.dryRun).toBe(false);
+      expect(res.body.ignoredColumns).toEqual(['notes']);
+      expect(res.body.summary).toEqual({ total: 5, created: 2, skipped: 2, failed: 1 });
+      expect(res.body.rows.map(row => [row.row, row.status])).toEqual([
+        [2, 'created'], [3, 'skipped'], [4, 'failed'], [5, 'created'], [6, 'skipped']
+      ]);
+      expect(res.body.rows[2].errors.map(error => error.path)).toEqual(
+        expect.arrayContaining(['name', 'email', 'address.postalCode'])
+      );
+
+      const imported = await Client.findById(res.body.rows[0].id);
+      expect(imported.createdBy.toString()).toBe(testUser._id.toString());
+      expect(imported.cif).toBe('B12345674');
+      expect(imported.address.city).toBe('Bilbao');
+      expect(await Client.countDocuments({ createdBy: testUser._id })).toBe(3);
+    });
+
+    it('should accept semicolon separated files with a BOM', async () => {
+      const file = Buffer.from('\uFEFFname;email;address.street\nObras Este;este@client.com;"Calle Mayor; 5"\n');
+
+      const res = await request(app)
+        .post('/api/client/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', file, 'clients.csv')
+        .expect(200);
+
+      expect(res.body.summary.created).toBe(1);
+      const imported = await Client.findOne({ email: 'este@client.com' });
+      expect(imported.address.street).toBe('Calle Mayor; 5');
+    });
+
+    it('should not save anything in dry-run', async () => {
+      const file = csvFile(['name,email', 'Dry Client,dry@client.com', 'Existing,existing@client.com']);
+
+      const res = await request(app)
+        .post('/api/client/import?dryRun=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', file, 'clients.csv')
+        .expect(200);
+
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.summary).toEqual({ total: 2, created: 1, skipped: 1, failed: 0 });
+      expect(res.body.rows[0].id).toBeUndefined();
+      expect(await Client.exists({ email: 'dry@client.com' })).toBeNull();
+    });
+
+    it('should fail without a file, with an empty file or with a non CSV file', async () => {
+      const missing = await request(app)
+        .post('/api/client/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+      expect(missing.body.message).toBe('CSV file is required.');
+
+      const empty = await request(app)
+        .post('/api/client/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', Buffer.from('name,email\r\n'), 'clients.csv')
+        .expect(400);
+      expect(empty.body.message).toBe('The CSV file has no data rows.');
+
+      const image = await request(app)
+        .post('/api/client/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', Buffer.from('not a csv'), { filename: 'logo.png', contentType: 'image/png' })
+        .expect(400);
+      expect(image.body.message).toBe('Import file must be a CSV file.');
+    });
+
+    it('should fail with an invalid dryRun flag', async () => {
+      const res = await request(app)
+        .post('/api/client/import?dryRun=maybe')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', csvFile(['name,email', 'Client,c@client.com']), 'clients.csv')
+        .expect(400);
+
+      expect(res.body.message).toBe('Validation failed');
+    });
+
+    it('should fail without authentication', async () => {
+      const res = await request(app)
+        .post('/api/client/import')
+        .attach('file', csvFile(['name,email', 'Client,c@client.com']), 'clients.csv')
+        .expect(401);
+
+      expect(res.body.message).toContain('No token, authorization denied');
+    });
+  });
+
   describe('GET /api/client', () => {
     beforeEach(async () => {
       await Client.create([
@@ -181,6 +341,18 @@ describe('Client API Tests', () => {
       expect(res.body.message).toContain('retrieved successfully');
       expect(Array.isArray(res.body.clients)).toBe(true);
       expect(res.body.clients.length).toBe(2);
+      expect(res.body.pagination).toMatchObject({ total: 2, page: 1, hasNextPage: false });
+    });
+
+    it('should filter, sort and paginate clients', async () => {
+      const res = await request(app)
+        .get('/api/client?email=active&sort=-name&limit=1&page=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.clients).toHaveLength(1);
+      expect(res.body.clients[0].name).toBe('Active Client 1');
+      expect(res.body.pagination).toMatchObject({ total: 2, limit: 1, page: 2, totalPages: 2, hasPrevPage: true, hasNextPage: false });
     });
 
     it('should return empty array when no active clients', async () => {
@@ -315,6 +487,27 @@ describe('Client API Tests', () => {
       expect(res.body.client.name).toBe(updateData.name);
     });
 
+    it('should merge the address and replace the contacts', async () => {
+      testClient.address = { street: 'Calle Mayor 1', city: 'Madrid', postalCode: '28013' };
+      testClient.contacts = [{ name: 'Old Contact' }];
+      testClient.billingEmail = 'billing@client.com';
+      await testClient.save();
+
+      const res = await request(app)
+        .put(`/api/client/${testClient._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          address: { city: 'Getafe', postalCode: '28901' },
+          contacts: [{ name: 'New Contact', email: 'new@client.com' }],
+          billingEmail: null
+        })
+        .expect(200);
+
+      expect(res.body.client.address).toMatchObject({ street: 'Calle Mayor 1', city: 'Getafe', postalCode: '28901' });
+      expect(res.body.client.contacts.map(contact => contact.name)).toEqual(['New Contact']);
+      expect(res.body.client.billingEmail).toBeNull();
+    });
+
     it('should fail with invalid ObjectId format', async () => {
       const updateData = { name: 'New Name' };
 
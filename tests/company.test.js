@@ -0,0 +1,341 @@
+// File: tests/company.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const Counter = require('../models/Counter');
+const sessionService = require('../services/sessionService');
+
+describe('Company API Tests', () => {
+  let owner, member, outsider, company;
+  let ownerToken, memberToken, outsiderToken;
+
+  const signToken = async (user) => (await sessionService.createSession(user)).token;
+
+  beforeAll(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Client.deleteMany({}), Project.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Client.deleteMany({}), Project.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Client.deleteMany({}), Project.deleteMany({})]);
+
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    [owner, member, outsider] = await User.create([
+      { email: 'owner@company.com', password: hashedPassword, isEmailVerified: true, company: { name: 'Shared SL' } },
+      { email: 'member@company.com', password: hashedPassword, isEmailVerified: true, role: 'guest' },
+      { email: 'outsider@example.com', password: hashedPassword, isEmailVerified: true }
+    ]);
+
+    company = await Company.create({
+      name: 'Shared SL',
+      owner: owner._id,
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: member._id, role: 'guest' }
+      ]
+    });
+
+    owner.companyId = company._id;
+    member.companyId = company._id;
+    await Promise.all([owner.save(), member.save()]);
+
+    ownerToken = await signToken(owner);
+    memberToken = await signToken(member);
+    outsiderToken = await signToken(outsider);
+  });
+
+  // ===================== GET COMPANY =====================
+  describe('GET /api/company', () => {
+    it('should return the company with its members', async () => {
+      const res = await request(app)
+        .get('/api/company')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(res.body.message).toBe('Company retrieved successfully');
+      expect(res.body.company.name).toBe('Shared SL');
+      expect(res.body.company.owner.email).toBe(owner.email);
+      expect(res.body.company.members).toHaveLength(2);
+    });
+
+    it('should fail for users without company', async () => {
+      const res = await request(app)
+        .get('/api/company')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404);
+
+      expect(res.body.message).toBe('You do not belong to any company');
+    });
+
+    it('should fail without authentication', async () => {
+      const res = await request(app)
+        .get('/api/company')
+        .expect(401);
+
+      expect(res.body.message).toBe('No token, authorization denied');
+    });
+  });
+
+  // ===================== SHARED DATA =====================
+  describe('Company data scoping', () => {
+    it('should share clients created by the owner with members', async () => {
+      await request(app)
+        .post('/api/client')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Shared Client', email: 'shared@client.com' })
+        .expect(201);
+
+      const res = await request(app)
+        .get('/api/client')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(res.body.clients).toHaveLength(1);
+      expect(res.body.clients[0].company).toBe(company._id.toString());
+    });
+
+    it('should let members create projects for company clients', async () => {
+      const client = await Client.create({
+        name: 'Shared Client',
+        email: 'shared@client.com',
+        createdBy: owner._id,
+        company: company._id
+      });
+
+      const res = await request(app)
+        .post('/api/project')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'Member Project', description: 'Project created by a member', client: client._id })
+        .expect(201);
+
+      expect(res.body.project.company).toBe(company._id.toString());
+    });
+
+    it('should not expose company data to outsiders', async () => {
+      const client = await Client.create({
+        name: 'Shared Client',
+        email: 'shared@client.com',
+        createdBy: owner._id,
+        company: company._id
+      });
+
+      await request(app)
+        .get(`/api/client/${client._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404);
+    });
+  });
+
+  // ===================== REMOVE MEMBER =====================
+  // ===================== NUMBERING SERIES =====================
+  describe('/api/company/numbering', () => {
+    const year = new Date().getFullYear();
+
+    beforeEach(async () => {
+      await Promise.all([DeliveryNote.deleteMany({}), Counter.deleteMany({})]);
+    });
+
+    afterAll(async () => {
+      await Promise.all([DeliveryNote.deleteMany({}), Counter.deleteMany({})]);
+    });
+
+    it('should return the default series with the next numbers', async () => {
+      const res = await request(app)
+        .get('/api/company/numbering')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(res.body.numbering.deliveryNote).toEqual({
+        prefix: 'ALB',
+        padding: 4,
+        yearlyReset: true,
+        nextNumber: `ALB-${year}-0001`
+      });
+      expect(res.body.numbering.invoice.nextNumber).toBe(`FAC-${year}-0001`);
+    });
+
+    it('should update the series and number new delivery notes with it', async () => {
+      const res = await request(app)
+        .patch('/api/company/numbering')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ deliveryNote: { prefix: 'OBRA', padding: 3, yearlyReset: false } })
+        .expect(200);
+
+      expect(res.body.message).toBe('Numbering series updated successfully');
+      expect(res.body.numbering.deliveryNote.nextNumber).toBe('OBRA-001');
+
+      const client = await Client.create({ name: 'Series Client', email: 'series@client.com', createdBy: owner._id, company: company._id });
+      const project = await Project.create({ name: 'Series Project', client: client._id, createdBy: owner._id, company: company._id });
+
+      const note = await request(app)
+        .post('/api/deliverynote')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({
+          projectId: project._id,
+          date: new Date().toISOString(),
+          items: [{ description: 'Hours', quantity: 1 }]
+        })
+        .expect(201);
+
+      expect(note.body.data.deliveryNoteNumber).toBe('OBRA-001');
+    });
+
+    it('should not allow members to change the series', async () => {
+      const res = await request(app)
+        .patch('/api/company/numbering')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ deliveryNote: { prefix: 'X' } })
+        .expect(403);
+
+      expect(res.body.type).toBe('FORBIDDEN');
+      expect(res.body.data.permission).toBe('company:update');
+    });
+
+    it('should fail with an invalid series', async () => {
+      const res = await request(app)
+        .patch('/api/company/numbering')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ deliveryNote: { prefix: 'TOO LONG PREFIX', padding: 0 } })
+        .expect(400);
+
+      expect(res.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('DELETE /api/company/members/:userId', () => {
+    it('should remove a member as owner', async () => {
+      const res = await request(app)
+        .delete(`/api/company/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(res.body.message).toBe('Member removed successfully');
+
+      const updatedMember = await User.findById(member._id);
+      expect(updatedMember.companyId).toBeNull();
+    });
+
+    it('should not allow members to remove others', async () => {
+      const res = await request(app)
+        .delete(`/api/company/members/${owner._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+
+      expect(res.body.type).toBe('FORBIDDEN');
+      expect(res.body.data.permission).toBe('member:remove');
+    });
+
+    it('should not remove the owner', async () => {
+      const res = await request(app)
+        .delete(`/api/company/members/${owner._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+
+      expect(res.body.message).toBe('The company owner cannot be removed');
+    });
+
+    it('should fail with invalid ObjectId', async () => {
+      const res = await request(app)
+        .delete('/api/company/members/invalid-id')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+
+      expect(res.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('PATCH /api/company/members/:userId', () => {
+    it('should change the role of a member as owner', async () => {
+      const res = await request(app)
+        .patch(`/api/company/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      expect(res.body.member.role).toBe('viewer');
+      expect(res.body.member.permissions).toContain('client:read');
+      expect(res.body.member.permissions).not.toContain('client:create');
+      expect((await Company.findById(company._id)).getMember(member._id).role).toBe('viewer');
+    });
+
+    it('should only let the owner give the admin role', async () => {
+      await request(app)
+        .patch(`/api/company/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      outsider.companyId = company._id;
+      await outsider.save();
+      await Company.updateOne({ _id: company._id }, { $push: { members: { user: outsider._id, role: 'member' } } });
+
+      const res = await request(app)
+        .patch(`/api/company/members/${outsider._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      expect(res.body.message).toBe('You cannot give the admin role');
+
+      await request(app)
+        .patch(`/api/company/members/${outsider._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'signer' })
+        .expect(200);
+    });
+
+    it('should not change the role of the owner', async () => {
+      await Company.updateOne({ _id: company._id, 'members.user': member._id }, { 'members.$.role': 'admin' });
+
+      const res = await request(app)
+        .patch(`/api/company/members/${owner._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'viewer' })
+        .expect(403);
+
+      expect(res.body.message).toBe('You cannot manage members with the owner role');
+    });
+
+    it('should not allow members to change roles', async () => {
+      const res = await request(app)
+        .patch(`/api/company/members/${owner._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'viewer' })
+        .expect(403);
+
+      expect(res.body.data.permission).toBe('member:role');
+    });
+
+    it('should fail with an unknown role', async () => {
+      await request(app)
+        .patch(`/api/company/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'owner' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/company/roles', () => {
+    it('should return the permission matrix and the current role', async () => {
+      const res = await request(app)
+        .get('/api/company/roles')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(res.body.currentRole).toBe('guest');
+      const signer = res.body.roles.find(({ role }) => role === 'signer');
+      expect(signer.permissions).toContain('deliverynote:sign');
+      expect(signer.permissions).not.toContain('deliverynote:update');
+    });
+  });
+});
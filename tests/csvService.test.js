@@ -0,0 +1,40 @@
+// File: tests/csvService.test.js
+const { toCsvRow, toCsv, parseCsv, BOM } = require('../services/csvService');
+
+describe('CSV Service Tests', () => {
+  describe('toCsvRow', () => {
+    it('should quote values with separators, quotes or line breaks', () => {
+      expect(toCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines'])).toBe('plain,"a,b","say ""hi""","two\nlines"\r\n');
+    });
+
+    it('should write numbers, booleans, dates and empty values', () => {
+      expect(toCsvRow([-12.5, true, new Date('2026-03-01T00:00:00Z'), null, undefined]))
+        .toBe('-12.5,true,2026-03-01T00:00:00.000Z,,\r\n');
+    });
+
+    it('should neutralise text that spreadsheets would run as a formula', () => {
+      expect(toCsvRow(['=SUM(A1:A2)', '@cmd', '-1+1'])).toBe("'=SUM(A1:A2),'@cmd,'-1+1\r\n");
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should start with the BOM and write the header first', () => {
+      expect(toCsv(['name', 'hours'], [['Ana', 6]])).toBe(`${BOM}name,hours\r\nAna,6\r\n`);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should read what toCsv writes', () => {
+      const text = toCsv(['name', 'note'], [['a,b', 'say "hi"'], ['two\nlines', '']]);
+      expect(parseCsv(text)).toEqual([['name', 'note'], ['a,b', 'say "hi"'], ['two\nlines', '']]);
+    });
+
+    it('should detect semicolon separated files', () => {
+      expect(parseCsv('name;street\nAna;"Mayor; 5"\n')).toEqual([['name', 'street'], ['Ana', 'Mayor; 5']]);
+    });
+
+    it('should keep blank lines and ignore the final line break', () => {
+      expect(parseCsv('a,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], [''], ['1', '2']]);
+    });
+  });
+});
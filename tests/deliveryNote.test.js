@@ -2,11 +2,23 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const ExcelJS = require('exceljs');
 const app = require('../server');
 const User = require('../models/User');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
 const DeliveryNote = require('../models/DeliveryNote');
+const Counter = require('../models/Counter');
+const storage = require('../services/storage');
+const sessionService = require('../services/sessionService');
+const { sendSignatureRequestEmail, sendSignedDeliveryNoteEmail } = require('../utils/handleEmail');
+
+// Mock services
+jest.mock('../utils/handleEmail', () => ({
+   getEmailOptions: jest.requireActual('../utils/handleEmail').getEmailOptions,
+   sendSignatureRequestEmail: jest.fn(),
+   sendSignedDeliveryNoteEmail: jest.fn()
+}));
 
 describe('DeliveryNote API Tests', () => {
    let testUser, userToken, testClient, testProject, testDeliveryNote;
@@ -16,6 +28,7 @@ describe('DeliveryNote API Tests', () => {
       await Client.deleteMany({});
       await Project.deleteMany({});
       await DeliveryNote.deleteMany({});
+      await Counter.deleteMany({});
    });
 
    afterAll(async () => {
@@ -23,6 +36,7 @@ describe('DeliveryNote API Tests', () => {
       await Client.deleteMany({});
       await Project.deleteMany({});
       await DeliveryNote.deleteMany({});
+      await Counter.deleteMany({});
       await mongoose.connection.close();
    });
 
@@ -32,7 +46,8 @@ describe('DeliveryNote API Tests', () => {
          User.deleteMany({}),
          Client.deleteMany({}),
          Project.deleteMany({}),
-         DeliveryNote.deleteMany({})
+         DeliveryNote.deleteMany({}),
+         Counter.deleteMany({})
       ]);
 
       // Create test user
@@ -48,11 +63,7 @@ describe('DeliveryNote API Tests', () => {
       await testUser.save();
 
       // Generate token
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-         { id: testUser._id, email: testUser.email, role: testUser.role },
-         process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
 
       // Create test client and project in parallel
       const clientData = {
@@ -117,13 +128,62 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.data.items[0].quantity).toBe(8);
          expect(res.body.data.items[0].unitPrice).toBe(50);
          expect(res.body.data.items[0].person).toBe('John Developer');
-         expect(res.body.data.totalAmount).toBe(640); // (8*50) + (4*60)
+         expect(res.body.data.subtotal).toBe(640); // (8*50) + (4*60)
+         expect(res.body.data.taxAmount).toBe(134.4); // 21% default IVA
+         expect(res.body.data.totalAmount).toBe(774.4);
          expect(res.body.data.status).toBe('draft');
          expect(res.body.data.isSigned).toBe(false);
          expect(res.body.data.createdBy).toBe(testUser._id.toString());
          expect(res.body.data.notes).toBe(deliveryNoteData.notes);
       });
 
+      it('should keep hours, material and service items apart with their subtotals', async () => {
+         const res = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({
+               deliveryNoteNumber: 'DN-TYPES-001',
+               projectId: testProject._id,
+               date: new Date().toISOString(),
+               items: [
+                  { type: 'hours', description: 'Installation', quantity: 5, unitPrice: 40, person: 'John Developer' },
+                  { type: 'material', description: 'Cable', quantity: 20, unit: 'm', unitPrice: 1.5 },
+                  { type: 'service', description: 'Transport', quantity: 1, unitPrice: 30 },
+                  { description: 'Legacy hours', quantity: 1, unitPrice: 40, person: 'Jane Analyst' }
+               ]
+            })
+            .expect(201);
+
+         expect(res.body.data.items.map(item => item.type)).toEqual(['hours', 'material', 'service', 'hours']);
+         expect(res.body.data.items[1].unit).toBe('m');
+         expect(res.body.data.typeSubtotals).toEqual({ hours: 240, material: 30, service: 30 });
+         expect(res.body.data.subtotal).toBe(300);
+      });
+
+      it('should require a person for hours and a unit for materials', async () => {
+         const res = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({
+               deliveryNoteNumber: 'DN-TYPES-002',
+               projectId: testProject._id,
+               date: new Date().toISOString(),
+               items: [
+                  { type: 'hours', description: 'Installation', quantity: 5, unitPrice: 40 },
+                  { type: 'material', description: 'Cable', quantity: 20, unitPrice: 1.5 },
+                  { type: 'travel', description: 'Trip', quantity: 1 }
+               ]
+            })
+            .expect(400);
+
+         const messages = res.body.data.errors.map(error => error.msg);
+         expect(messages).toEqual(expect.arrayContaining([
+            'Item person is required for hours items.',
+            'Item unit is required for material items.',
+            'must be one of: hours, material, service.'
+         ]));
+      });
+
       it('should create delivery note without notes', async () => {
          const deliveryNoteData = {
             deliveryNoteNumber: 'DN-2025-002',
@@ -145,7 +205,101 @@ describe('DeliveryNote API Tests', () => {
             .expect(201);
 
          expect(res.body.data.notes).toBeUndefined();
-         expect(res.body.data.totalAmount).toBe(150);
+         expect(res.body.data.totalAmount).toBe(181.5); // 150 + 21% IVA
+      });
+
+      it('should apply item discounts and group taxes by rate', async () => {
+         const deliveryNoteData = {
+            deliveryNoteNumber: 'DN-2025-TAX',
+            projectId: testProject._id,
+            date: new Date().toISOString(),
+            items: [
+               { description: 'Development hours', quantity: 10, unitPrice: 50, discount: 10 },
+               { description: 'Books', quantity: 2, unitPrice: 25, taxRate: 4 },
+               { description: 'Export service', quantity: 1, unitPrice: 100, taxRate: 0 }
+            ]
+         };
+
+         const res = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send(deliveryNoteData)
+            .expect(201);
+
+         expect(res.body.data.items[0].taxRate).toBe(21);
+         expect(res.body.data.discountAmount).toBe(50);
+         expect(res.body.data.subtotal).toBe(600); // 450 + 50 + 100
+         expect(res.body.data.taxBreakdown).toEqual([
+            { rate: 0, base: 100, amount: 0 },
+            { rate: 4, base: 50, amount: 2 },
+            { rate: 21, base: 450, amount: 94.5 }
+         ]);
+         expect(res.body.data.taxAmount).toBe(96.5);
+         expect(res.body.data.totalAmount).toBe(696.5);
+      });
+
+      it('should number delivery notes automatically when no number is given', async () => {
+         const year = new Date().getFullYear();
+         const noteData = {
+            projectId: testProject._id,
+            date: new Date().toISOString(),
+            items: [{ description: 'Hours', quantity: 1, unitPrice: 10 }]
+         };
+
+         // A manual number that the series would produce next must be skipped
+         await DeliveryNote.create({
+            deliveryNoteNumber: `ALB-${year}-0002`,
+            project: testProject._id,
+            client: testClient._id,
+            items: [{ description: 'Manual', quantity: 1 }],
+            createdBy: testUser._id
+         });
+
+         const first = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send(noteData)
+            .expect(201);
+         const second = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send(noteData)
+            .expect(201);
+
+         expect(first.body.data.deliveryNoteNumber).toBe(`ALB-${year}-0001`);
+         expect(second.body.data.deliveryNoteNumber).toBe(`ALB-${year}-0003`);
+      });
+
+      it('should never allocate the same number to concurrent creates', async () => {
+         const responses = await Promise.all(Array.from({ length: 5 }, () =>
+            request(app)
+               .post('/api/deliverynote')
+               .set('Authorization', `Bearer ${userToken}`)
+               .send({
+                  projectId: testProject._id,
+                  date: new Date().toISOString(),
+                  items: [{ description: 'Hours', quantity: 1 }]
+               })
+         ));
+
+         responses.forEach(res => expect(res.status).toBe(201));
+         const numbers = responses.map(res => res.body.data.deliveryNoteNumber);
+         expect(new Set(numbers).size).toBe(5);
+      });
+
+      it('should fail with an invalid item tax rate or discount', async () => {
+         const res = await request(app)
+            .post('/api/deliverynote')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({
+               deliveryNoteNumber: 'DN-2025-BADTAX',
+               projectId: testProject._id,
+               date: new Date().toISOString(),
+               items: [{ description: 'Hours', quantity: 1, unitPrice: 10, taxRate: 150, discount: -5 }]
+            })
+            .expect(400);
+
+         expect(res.body.message).toBe('Validation failed');
       });
 
       it('should fail with missing required fields', async () => {
@@ -334,6 +488,41 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.data.every(note => note.createdBy === testUser._id.toString())).toBe(true);
       });
 
+      it('should filter delivery notes and return pagination metadata', async () => {
+         const signed = await request(app)
+            .get('/api/deliverynote?isSigned=true')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(signed.body.count).toBe(1);
+         expect(signed.body.data[0].isSigned).toBe(true);
+         expect(signed.body.pagination.total).toBe(1);
+
+         const byProject = await request(app)
+            .get(`/api/deliverynote?projectId=${testProject._id}&status=draft,sent&limit=1`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(byProject.body.count).toBe(1);
+         expect(byProject.body.pagination).toMatchObject({ total: 2, limit: 1, page: 1, totalPages: 2, hasNextPage: true });
+
+         const future = await request(app)
+            .get('/api/deliverynote?dateFrom=2999-01-01')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(future.body.count).toBe(0);
+      });
+
+      it('should fail with invalid list filters', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote?status=lost&clientId=not-an-id')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(400);
+
+         expect(res.body.message).toBe('Validation failed');
+      });
+
       it('should fail without authentication', async () => {
          const res = await request(app)
             .get('/api/deliverynote')
@@ -343,6 +532,135 @@ describe('DeliveryNote API Tests', () => {
       });
    });
 
+   // ===================== EXPORT DELIVERY NOTES =====================
+   describe('GET /api/deliverynote/export', () => {
+      beforeEach(async () => {
+         await DeliveryNote.create([
+            {
+               deliveryNoteNumber: 'DN-001',
+               project: testProject._id,
+               client: testClient._id,
+               date: new Date('2025-01-15'),
+               items: [
+                  { type: 'hours', description: 'Installation', quantity: 8, unitPrice: 50, taxRate: 21, person: 'Ana' },
+                  { type: 'material', description: 'Cable', quantity: 10, unitPrice: 2, unit: 'm' }
+               ],
+               status: 'draft',
+               createdBy: testUser._id
+            },
+            {
+               deliveryNoteNumber: 'DN-002',
+               project: testProject._id,
+               client: testClient._id,
+               date: new Date('2025-01-20'),
+               items: [{ type: 'service', description: 'Review, "final"', quantity: 1, unitPrice: 100 }],
+               status: 'signed',
+               isSigned: true,
+               signedDate: new Date('2025-01-21'),
+               signerName: 'Client Signer',
+               createdBy: testUser._id
+            }
+         ]);
+      });
+
+      const csvLines = (text) => text.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+      const readBinary = (res, callback) => {
+         const chunks = [];
+         res.on('data', chunk => chunks.push(chunk));
+         res.on('end', () => callback(null, Buffer.concat(chunks)));
+      };
+
+      it('should export one CSV row per delivery note with totals and signature', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+         expect(res.headers['content-disposition']).toMatch(/^attachment; filename="albaranes-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+         const lines = csvLines(res.text);
+         expect(lines[0]).toBe('Number,Date,Status,Client,Client tax ID,Project,Items,Subtotal,Discount,Tax,Total,Signed,Signed date,Signer');
+         expect(lines).toHaveLength(3);
+         // Newest first, like the list
+         expect(lines[1]).toBe('DN-002,2025-01-20T00:00:00.000Z,signed,Test Client,,Test Project,1,100,0,0,100,yes,2025-01-21T00:00:00.000Z,Client Signer');
+         expect(lines[2]).toBe('DN-001,2025-01-15T00:00:00.000Z,draft,Test Client,,Test Project,2,420,0,84,504,no,,');
+      });
+
+      it('should export one row per item and honour the list filters', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export?rows=item&status=draft&sort=date')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         const lines = csvLines(res.text);
+         expect(lines[0]).toBe('Number,Date,Status,Client,Client tax ID,Project,Type,Description,Person,Unit,Quantity,Unit price,Discount %,Tax rate %,Base,Tax,Total,Signed,Signed date,Signer');
+         expect(lines).toHaveLength(3);
+         expect(lines[1]).toContain(',hours,Installation,Ana,,8,50,0,21,400,84,484,no,,');
+         expect(lines[2]).toContain(',material,Cable,,m,10,2,0,0,20,0,20,no,,');
+      });
+
+      it('should quote CSV values that contain separators or quotes', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export?rows=item&isSigned=true')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(res.text).toContain(',service,"Review, ""final""",');
+      });
+
+      it('should export an XLSX workbook', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export?format=xlsx')
+            .set('Authorization', `Bearer ${userToken}`)
+            .buffer(true)
+            .parse(readBinary)
+            .expect(200);
+
+         expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+         expect(res.headers['content-disposition']).toMatch(/\.xlsx"$/);
+
+         const workbook = new ExcelJS.Workbook();
+         await workbook.xlsx.load(res.body);
+         const sheet = workbook.getWorksheet('Delivery notes');
+         expect(sheet.rowCount).toBe(3);
+         expect(sheet.getRow(1).getCell(1).value).toBe('Number');
+         expect(sheet.getRow(2).getCell(1).value).toBe('DN-002');
+         expect(sheet.getRow(3).getCell(11).value).toBe(504);
+      });
+
+      it('should not export other users delivery notes', async () => {
+         await DeliveryNote.updateMany({}, { createdBy: new mongoose.Types.ObjectId() });
+
+         const res = await request(app)
+            .get('/api/deliverynote/export')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(csvLines(res.text)).toHaveLength(1);
+      });
+
+      it('should fail with an unknown format or row layout', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export?format=pdf&rows=client')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(400);
+
+         expect(res.body.message).toBe('Validation failed');
+         const fields = res.body.data.errors.map(error => error.path);
+         expect(fields).toEqual(expect.arrayContaining(['format', 'rows']));
+      });
+
+      it('should fail without authentication', async () => {
+         const res = await request(app)
+            .get('/api/deliverynote/export')
+            .expect(401);
+
+         expect(res.body.message).toBe('No token, authorization denied');
+      });
+   });
+
    // ===================== GET DELIVERY NOTE BY ID =====================
    describe('GET /api/deliverynote/:id', () => {
       beforeEach(async () => {
@@ -374,7 +692,8 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.data).toBeDefined();
          expect(res.body.data._id).toBe(testDeliveryNote._id.toString());
          expect(res.body.data.deliveryNoteNumber).toBe('DN-SINGLE-001');
-         expect(res.body.data.totalAmount).toBe(680);
+         expect(res.body.data.subtotal).toBe(680);
+         expect(res.body.data.totalAmount).toBe(822.8); // 680 + 21% IVA
          expect(res.body.data.notes).toBe('Test delivery note');
 
          // Check populated fields
@@ -491,7 +810,8 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.message).toBe('Delivery note updated successfully.');
          expect(res.body.data.deliveryNoteNumber).toBe('DN-UPDATE-001-REVISED');
          expect(res.body.data.items).toHaveLength(2);
-         expect(res.body.data.totalAmount).toBe(520); // (8*50) + (2*60)
+         expect(res.body.data.subtotal).toBe(520); // (8*50) + (2*60)
+         expect(res.body.data.totalAmount).toBe(629.2);
          expect(res.body.data.notes).toBe('Updated with additional work');
       });
 
@@ -515,6 +835,33 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.message).toBe('Cannot update a signed delivery note.');
       });
 
+      it('should not change the status through an update', async () => {
+         const res = await request(app)
+            .put(`/api/deliverynote/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ notes: 'Skip the workflow', status: 'invoiced', statusHistory: [] })
+            .expect(400);
+
+         const fields = res.body.data.errors.map(error => error.path);
+         expect(fields).toEqual(expect.arrayContaining(['status', 'statusHistory']));
+
+         const unchangedNote = await DeliveryNote.findById(testDeliveryNote._id);
+         expect(unchangedNote.status).toBe('draft');
+         expect(unchangedNote.notes).toBeUndefined();
+      });
+
+      it('should ignore fields that cannot be edited', async () => {
+         const res = await request(app)
+            .put(`/api/deliverynote/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ notes: 'Only the notes change', signerName: 'Nobody', isSigned: true })
+            .expect(200);
+
+         expect(res.body.data.notes).toBe('Only the notes change');
+         expect(res.body.data.isSigned).toBe(false);
+         expect(res.body.data.signerName).toBeNull();
+      });
+
       it('should fail with invalid delivery note ID', async () => {
          const nonExistentId = new mongoose.Types.ObjectId();
          const signData = {
@@ -579,6 +926,88 @@ describe('DeliveryNote API Tests', () => {
          expect(res.body.data.isSigned).toBe(true);
       });
 
+      it('should email the signed PDF to the client after signing', async () => {
+         sendSignedDeliveryNoteEmail.mockClear();
+         const signedDate = '2026-03-05T10:00:00.000Z';
+
+         const res = await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ signatureUrl: 'ipfs://QmTestSignatureHash', signedDate })
+            .expect(200);
+
+         expect(res.body.pdfEmail).toEqual({ sentTo: 'client@test.com', cc: null });
+         expect(sendSignedDeliveryNoteEmail).toHaveBeenCalledTimes(1);
+         const [recipient, options] = sendSignedDeliveryNoteEmail.mock.calls[0];
+         expect(recipient).toBe('client@test.com');
+         expect(Buffer.isBuffer(options.pdf)).toBe(true);
+         expect(new Date(options.signedAt).toISOString()).toBe(signedDate);
+
+         const signedNote = await DeliveryNote.findById(testDeliveryNote._id);
+         expect(signedNote.signedDate.toISOString()).toBe(signedDate);
+      });
+
+      it('should keep the signature when the signed PDF cannot be emailed', async () => {
+         sendSignedDeliveryNoteEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+         const res = await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ signatureUrl: 'ipfs://QmTestSignatureHash' })
+            .expect(200);
+
+         expect(res.body.data.isSigned).toBe(true);
+         expect(res.body.pdfEmail).toBeNull();
+      });
+
+      it('should sign delivery note with an uploaded signature image', async () => {
+         const signatureImage = Buffer.from(
+            'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+            'base64'
+         );
+
+         const res = await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .attach('signature', signatureImage, 'signature.png')
+            .expect(200);
+
+         expect(res.body.message).toBe('Delivery note signed and PDF uploaded successfully.');
+         expect(res.body.data.isSigned).toBe(true);
+         expect(res.body.data.signatureUrl).toMatch(/^signatures\/Firma_DN-SIGN-001_/);
+         expect(res.body.data.pdfUrl).toBeDefined();
+      });
+
+      it('should store a signature URL without downloading it', async () => {
+         const fetchSpy = jest.spyOn(global, 'fetch');
+         const downloadSpy = jest.spyOn(storage, 'download');
+
+         try {
+            const res = await request(app)
+               .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+               .set('Authorization', `Bearer ${userToken}`)
+               .send({ signatureUrl: 'http://169.254.169.254/latest/meta-data/' })
+               .expect(200);
+
+            expect(res.body.data.signatureUrl).toBe('http://169.254.169.254/latest/meta-data/');
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(downloadSpy).not.toHaveBeenCalled();
+         } finally {
+            fetchSpy.mockRestore();
+            downloadSpy.mockRestore();
+         }
+      });
+
+      it('should reject signature files that are not PNG or JPEG', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .attach('signature', Buffer.from('GIF89a'), { filename: 'signature.gif', contentType: 'image/gif' })
+            .expect(400);
+
+         expect(res.body.message).toBe('Signature must be a PNG or JPEG image.');
+      });
+
       it('should fail to sign already signed delivery note', async () => {
          // Mark as already signed
          testDeliveryNote.isSigned = true;
@@ -645,6 +1074,372 @@ describe('DeliveryNote API Tests', () => {
       });
    });
 
+   // ===================== REMOTE SIGNATURE =====================
+   describe('Remote signature link', () => {
+      const signatureImage = Buffer.from(
+         'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+         'base64'
+      );
+
+      const requestSignature = async () => {
+         await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/request-signature`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(200);
+
+         const signUrl = sendSignatureRequestEmail.mock.calls[0][1];
+         return signUrl.split('/').pop();
+      };
+
+      beforeEach(async () => {
+         sendSignatureRequestEmail.mockClear();
+         testDeliveryNote = new DeliveryNote({
+            deliveryNoteNumber: 'DN-REMOTE-001',
+            project: testProject._id,
+            client: testClient._id,
+            date: new Date(),
+            items: [{ description: 'Work to sign remotely', quantity: 2, unitPrice: 50 }],
+            totalAmount: 100,
+            createdBy: testUser._id
+         });
+         await testDeliveryNote.save();
+      });
+
+      it('should email a signing link to the client and mark the note as sent', async () => {
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/request-signature`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(200);
+
+         expect(res.body.message).toBe('Signature request sent successfully.');
+         expect(res.body.data.sentTo).toBe(testClient.email);
+         expect(res.body.data.status).toBe('sent');
+         expect(sendSignatureRequestEmail).toHaveBeenCalledTimes(1);
+         expect(sendSignatureRequestEmail.mock.calls[0][1]).toMatch(/\/api\/deliverynote\/public\/sign\/[a-f0-9]{64}$/);
+      });
+
+      it('should send the signing link to the client billing email', async () => {
+         await Client.updateOne({ _id: testClient._id }, { billingEmail: 'billing@client.com' });
+
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/request-signature`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(200);
+
+         expect(res.body.data.sentTo).toBe('billing@client.com');
+         expect(sendSignatureRequestEmail.mock.calls[0][0]).toBe('billing@client.com');
+      });
+
+      it('should show the delivery note through the link without authentication', async () => {
+         const token = await requestSignature();
+
+         const res = await request(app)
+            .get(`/api/deliverynote/public/sign/${token}`)
+            .expect(200);
+
+         expect(res.body.data.deliveryNoteNumber).toBe('DN-REMOTE-001');
+         expect(res.body.data.createdBy).toBeUndefined();
+      });
+
+      it('should sign with an uploaded image and reject reusing the link', async () => {
+         const token = await requestSignature();
+
+         const res = await request(app)
+            .post(`/api/deliverynote/public/sign/${token}`)
+            .field('signerName', 'Client Signer')
+            .attach('signature', signatureImage, 'signature.png')
+            .expect(200);
+
+         expect(res.body.message).toBe('Delivery note signed successfully. Thank you.');
+         expect(res.body.data.emailedTo).toBe('client@test.com');
+
+         const signedNote = await DeliveryNote.findById(testDeliveryNote._id);
+         expect(signedNote.isSigned).toBe(true);
+         expect(signedNote.status).toBe('signed');
+         expect(signedNote.signerName).toBe('Client Signer');
+
+         await request(app)
+            .get(`/api/deliverynote/public/sign/${token}`)
+            .expect(404);
+      });
+
+      it('should delete the uploaded files when the signature cannot be saved', async () => {
+         const token = await requestSignature();
+         const removeSpy = jest.spyOn(storage, 'remove');
+         const saveSpy = jest.spyOn(DeliveryNote.prototype, 'save').mockRejectedValueOnce(new Error('Write conflict'));
+
+         try {
+            await request(app)
+               .post(`/api/deliverynote/public/sign/${token}`)
+               .attach('signature', signatureImage, 'signature.png')
+               .expect(500);
+
+            const removedKeys = removeSpy.mock.calls.map(([key]) => key);
+            expect(removedKeys).toHaveLength(2);
+            expect(removedKeys[0]).toMatch(/^signatures\/Firma_DN-REMOTE-001_/);
+            expect(removedKeys[1]).toMatch(/^pdfs\/Albaran_DN-REMOTE-001_/);
+
+            const unsignedNote = await DeliveryNote.findById(testDeliveryNote._id);
+            expect(unsignedNote.isSigned).toBe(false);
+         } finally {
+            saveSpy.mockRestore();
+            removeSpy.mockRestore();
+         }
+      });
+
+      it('should fail to sign without a signature image', async () => {
+         const token = await requestSignature();
+
+         const res = await request(app)
+            .post(`/api/deliverynote/public/sign/${token}`)
+            .field('signerName', 'Client Signer')
+            .expect(400);
+
+         expect(res.body.message).toBe('Signature image is required.');
+      });
+
+      it('should fail with an invalid token', async () => {
+         const res = await request(app)
+            .get(`/api/deliverynote/public/sign/${'a'.repeat(64)}`)
+            .expect(404);
+
+         expect(res.body.message).toBe('Signing link is invalid, expired or already used.');
+      });
+
+      it('should not request a signature for a signed delivery note', async () => {
+         testDeliveryNote.isSigned = true;
+         testDeliveryNote.status = 'signed';
+         await testDeliveryNote.save();
+
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/request-signature`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(400);
+
+         expect(res.body.message).toBe('Delivery note is already signed.');
+      });
+   });
+
+   // ===================== SEND SIGNED DELIVERY NOTE =====================
+   describe('POST /api/deliverynote/:id/send', () => {
+      beforeEach(async () => {
+         testDeliveryNote = new DeliveryNote({
+            deliveryNoteNumber: 'DN-SEND-001',
+            project: testProject._id,
+            client: testClient._id,
+            date: new Date(),
+            items: [{ description: 'Signed work', quantity: 4, unitPrice: 30 }],
+            status: 'sent',
+            createdBy: testUser._id
+         });
+         await testDeliveryNote.save();
+
+         await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ signatureUrl: 'ipfs://QmTestSignatureHash' })
+            .expect(200);
+         sendSignedDeliveryNoteEmail.mockReset();
+      });
+
+      it('should email the signed PDF to the client again', async () => {
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/send`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(200);
+
+         expect(res.body.message).toBe('Signed delivery note sent successfully.');
+         expect(res.body.data).toEqual({ sentTo: 'client@test.com', cc: null });
+         expect(sendSignedDeliveryNoteEmail).toHaveBeenCalledTimes(1);
+         const [recipient, options] = sendSignedDeliveryNoteEmail.mock.calls[0];
+         expect(recipient).toBe('client@test.com');
+         expect(options.deliveryNoteNumber).toBe('DN-SEND-001');
+         expect(options.pdf.subarray(0, 4).toString()).toBe('%PDF');
+      });
+
+      it('should send to another email and copy the provider', async () => {
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/send`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ email: 'accounts@client.com', ccProvider: true })
+            .expect(200);
+
+         expect(res.body.data).toEqual({ sentTo: 'accounts@client.com', cc: 'test@example.com' });
+         expect(sendSignedDeliveryNoteEmail.mock.calls[0][1].cc).toBe('test@example.com');
+      });
+
+      it('should not send an unsigned delivery note', async () => {
+         const draft = await new DeliveryNote({
+            deliveryNoteNumber: 'DN-SEND-002',
+            project: testProject._id,
+            client: testClient._id,
+            date: new Date(),
+            items: [{ description: 'Unsigned work', quantity: 1, unitPrice: 10 }],
+            createdBy: testUser._id
+         }).save();
+
+         const res = await request(app)
+            .post(`/api/deliverynote/${draft._id}/send`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(400);
+
+         expect(res.body.message).toBe('Only signed delivery notes can be sent.');
+         expect(sendSignedDeliveryNoteEmail).not.toHaveBeenCalled();
+      });
+
+      it('should report when the email cannot be sent', async () => {
+         sendSignedDeliveryNoteEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/send`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(502);
+
+         expect(res.body.message).toBe('Signed delivery note could not be emailed. Please try again.');
+      });
+
+      it('should fail with an invalid email', async () => {
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/send`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ email: 'not-an-email' })
+            .expect(400);
+
+         expect(res.body.message).toBe('Validation failed');
+      });
+
+      it('should fail without authentication', async () => {
+         const res = await request(app)
+            .post(`/api/deliverynote/${testDeliveryNote._id}/send`)
+            .expect(401);
+
+         expect(res.body.message).toBe('No token, authorization denied');
+      });
+   });
+
+   // ===================== STATUS WORKFLOW =====================
+   describe('PATCH /api/deliverynote/:id/status', () => {
+      beforeEach(async () => {
+         testDeliveryNote = new DeliveryNote({
+            deliveryNoteNumber: 'DN-STATUS-001',
+            project: testProject._id,
+            client: testClient._id,
+            date: new Date(),
+            items: [{ description: 'Workflow work', quantity: 2, unitPrice: 30 }],
+            status: 'draft',
+            isSigned: false,
+            createdBy: testUser._id
+         });
+         await testDeliveryNote.save();
+      });
+
+      it('should move a draft note to sent and record the transition', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ status: 'sent', comment: 'Sent to client by email' })
+            .expect(200);
+
+         expect(res.body.message).toBe('Delivery note status updated successfully.');
+         expect(res.body.data.status).toBe('sent');
+
+         const lastChange = res.body.data.history[res.body.data.history.length - 1];
+         expect(lastChange.from).toBe('draft');
+         expect(lastChange.to).toBe('sent');
+         expect(lastChange.changedBy).toBe(testUser._id.toString());
+         expect(lastChange.changedAt).toBeDefined();
+      });
+
+      it('should reject illegal transitions', async () => {
+         testDeliveryNote.isSigned = true;
+         testDeliveryNote.status = 'signed';
+         await testDeliveryNote.save();
+
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ status: 'draft' })
+            .expect(409);
+
+         expect(res.body.message).toBe("Cannot change delivery note status from 'signed' to 'draft'.");
+         expect(res.body.data.allowedTransitions).toEqual([]);
+      });
+
+      it('should not allow invoicing through the status endpoint', async () => {
+         testDeliveryNote.isSigned = true;
+         testDeliveryNote.status = 'signed';
+         await testDeliveryNote.save();
+
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ status: 'invoiced' })
+            .expect(400);
+
+         expect(res.body.message).toBe("Status 'invoiced' cannot be set manually.");
+
+         const unchangedNote = await DeliveryNote.findById(testDeliveryNote._id);
+         expect(unchangedNote.status).toBe('signed');
+      });
+
+      it('should not allow signing through the status endpoint', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ status: 'signed' })
+            .expect(400);
+
+         expect(res.body.message).toBe("Status 'signed' cannot be set manually.");
+      });
+
+      it('should fail with unknown status', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ status: 'archived' })
+            .expect(400);
+
+         expect(res.body.message).toBe('Validation failed');
+      });
+
+      it('should set status to signed when signing', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/sign/${testDeliveryNote._id}`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ signatureUrl: 'ipfs://QmTestSignatureHash' })
+            .expect(200);
+
+         expect(res.body.data.status).toBe('signed');
+      });
+
+      it('should return status and history', async () => {
+         const res = await request(app)
+            .get(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+         expect(res.body.data.status).toBe('draft');
+         expect(res.body.data.allowedTransitions).toEqual(['sent']);
+         expect(Array.isArray(res.body.data.history)).toBe(true);
+      });
+
+      it('should fail without authentication', async () => {
+         const res = await request(app)
+            .patch(`/api/deliverynote/${testDeliveryNote._id}/status`)
+            .send({ status: 'sent' })
+            .expect(401);
+
+         expect(res.body.message).toBe('No token, authorization denied');
+      });
+   });
+
    // ===================== DELETE DELIVERY NOTE =====================
    describe('DELETE /api/deliverynote/:id', () => {
       beforeEach(async () => {
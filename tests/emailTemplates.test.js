@@ -0,0 +1,87 @@
+// File: tests/emailTemplates.test.js
+const { renderEmail, resolveLanguage, LANGUAGES } = require('../services/email/templates');
+
+describe('Email Templates Tests', () => {
+  const signedNote = {
+    deliveryNoteNumber: 'ALB-2026-0001',
+    companyName: 'Reformas <Norte>',
+    clientName: 'Cliente S.L.',
+    signedAt: new Date('2026-03-02T10:00:00Z'),
+    signerName: 'Ana García'
+  };
+
+  describe('resolveLanguage', () => {
+    it('should keep supported languages and fall back to Spanish', () => {
+      expect(LANGUAGES).toEqual(['es', 'en']);
+      expect(resolveLanguage('en')).toBe('en');
+      expect(resolveLanguage('fr')).toBe('es');
+      expect(resolveLanguage(undefined)).toBe('es');
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should render the subject and both bodies in Spanish by default', () => {
+      const email = renderEmail('verification', { code: '123456' });
+
+      expect(email.subject).toBe('Verifica tu email');
+      expect(email.html).toContain('<html lang="es">');
+      expect(email.html).toContain('123456');
+      expect(email.text).toContain('Introduce este código para verificar tu cuenta:');
+      expect(email.text).toContain('123456');
+      expect(email.text).not.toMatch(/<[a-z]/i);
+    });
+
+    it('should render in the requested language', () => {
+      const email = renderEmail('signedDeliveryNote', signedNote, { language: 'en' });
+
+      expect(email.subject).toBe('Your signed delivery note ALB-2026-0001');
+      expect(email.html).toContain('Dear Cliente S.L.,');
+      expect(email.text).toContain('Signed on 2 March 2026 by Ana García.');
+    });
+
+    it('should escape the data in the HTML body but not in the text body', () => {
+      const email = renderEmail('signedDeliveryNote', signedNote, { language: 'es' });
+
+      expect(email.html).toContain('Reformas &lt;Norte&gt;');
+      expect(email.html).not.toContain('Reformas <Norte>');
+      expect(email.text).toContain('Te adjuntamos el albarán ALB-2026-0001 de Reformas <Norte>.');
+      expect(email.text).toContain('Firmado el 2 de marzo de 2026 por Ana García.');
+    });
+
+    it('should show the company logo in the header', () => {
+      const withLogo = renderEmail('signatureRequest', {
+        deliveryNoteNumber: 'ALB-2026-0001',
+        companyName: 'Reformas Norte',
+        signUrl: 'http://localhost:3000/api/deliverynote/public/sign/abc'
+      }, { logoUrl: 'http://localhost:3000/uploads/logo.png' });
+      const withoutLogo = renderEmail('passwordReset', { code: '654321' });
+
+      expect(withLogo.html).toContain('<img src="http://localhost:3000/uploads/logo.png" alt="Reformas Norte"');
+      expect(withLogo.html).toContain('href="http://localhost:3000/api/deliverynote/public/sign/abc"');
+      expect(withLogo.text).toContain('Revisar y firmar el albarán: http://localhost:3000/api/deliverynote/public/sign/abc');
+      expect(withoutLogo.html).not.toContain('<img');
+    });
+
+    it('should link the invitation and explain what accepting it does', () => {
+      const invitation = {
+        companyName: 'ACME',
+        invitationUrl: 'http://localhost:3000/api/user/invitations/abc',
+        expiresAt: new Date('2026-03-12T10:00:00Z')
+      };
+      const newAccount = renderEmail('invitation', invitation, { language: 'en' });
+      const existingAccount = renderEmail('invitation', { ...invitation, hasAccount: true }, { language: 'en' });
+
+      expect(newAccount.subject).toBe('Invitation to join ACME');
+      expect(newAccount.html).toContain('href="http://localhost:3000/api/user/invitations/abc"');
+      expect(newAccount.text).toContain('View the invitation: http://localhost:3000/api/user/invitations/abc');
+      expect(newAccount.text).toContain('you will choose the password');
+      expect(newAccount.text).toContain('expires on 12 March 2026');
+      expect(existingAccount.text).toContain('You already have an account');
+      expect(existingAccount.text).not.toContain('choose the password');
+    });
+
+    it('should reject an unknown template', () => {
+      expect(() => renderEmail('newsletter', {})).toThrow("Unknown email template 'newsletter'");
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// File: tests/emailTransport.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Emails of this suite go to the in-memory transport
+process.env.EMAIL_TRANSPORT = 'memory';
+process.env.EMAIL_FROM = '"Albaranes" <no-reply@test.com>';
+
+const { createTransport, getTransport, EMAIL_TRANSPORTS } = require('../services/email');
+const { sendVerificationEmail, sendSignedDeliveryNoteEmail } = require('../utils/handleEmail');
+
+describe('Email Transport Tests', () => {
+  beforeEach(() => {
+    getTransport().clear();
+  });
+
+  it('should list the available transports', () => {
+    expect(EMAIL_TRANSPORTS).toEqual(['gmail', 'smtp', 'file', 'memory']);
+  });
+
+  it('should reject an unknown transport', () => {
+    expect(() => createTransport('pigeon', {})).toThrow("Unknown email transport 'pigeon'");
+  });
+
+  it('should send every email function through the configured transport', async () => {
+    await sendVerificationEmail('user@test.com', '123456');
+
+    const [message] = getTransport().messages;
+    expect(getTransport().type).toBe('memory');
+    expect(message.from).toBe('"Albaranes" <no-reply@test.com>');
+    expect(message.to).toBe('user@test.com');
+    expect(message.html).toContain('123456');
+    expect(message.text).toContain('123456');
+  });
+
+  it('should keep attachments and copies', async () => {
+    await sendSignedDeliveryNoteEmail('client@test.com', {
+      deliveryNoteNumber: 'ALB-2026-0001',
+      companyName: 'Reformas <Norte>',
+      pdf: Buffer.from('%PDF-1.3'),
+      cc: 'provider@test.com'
+    }, { language: 'en' });
+
+    const [message] = getTransport().messages;
+    expect(message.cc).toBe('provider@test.com');
+    expect(message.subject).toBe('Your signed delivery note ALB-2026-0001');
+    expect(message.html).toContain('Reformas &lt;Norte&gt;');
+    expect(message.attachments[0]).toMatchObject({ filename: 'Albaran_ALB-2026-0001.pdf', contentType: 'application/pdf' });
+  });
+
+  it('should write emails as JSON files with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emails-'));
+    const transport = createTransport('file', { path: dir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const info = await transport.send({ from: 'a@test.com', to: 'b@test.com', subject: 'Hello', html: '<p>Hi</p>' });
+
+    const saved = JSON.parse(fs.readFileSync(info.path, 'utf8'));
+    expect(path.dirname(info.path)).toBe(dir);
+    expect(saved.subject).toBe('Hello');
+    expect(saved.html).toBe('<p>Hi</p>');
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
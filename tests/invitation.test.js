@@ -0,0 +1,322 @@
+// File: tests/invitation.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Invitation = require('../models/Invitation');
+const Client = require('../models/Client');
+const sessionService = require('../services/sessionService');
+const { sendInvitationEmail } = require('../utils/handleEmail');
+
+jest.mock('../utils/handleEmail', () => ({
+  getEmailOptions: jest.requireActual('../utils/handleEmail').getEmailOptions,
+  sendInvitationEmail: jest.fn()
+}));
+
+describe('Invitation API Tests', () => {
+  let owner, outsider, company, ownerToken;
+
+  const signToken = async (user) => (await sessionService.createSession(user)).token;
+
+  /**
+   * Invite an email as the owner and return the token of the emailed link
+   * @param {string} email - Invitee
+   * @returns {Promise<string>} Invitation token
+   */
+  const invite = async (email) => {
+    sendInvitationEmail.mockClear();
+    await request(app)
+      .post('/api/user/invite')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email });
+    const [, { invitationUrl }] = sendInvitationEmail.mock.calls[0];
+    return invitationUrl.split('/').pop();
+  };
+
+  beforeAll(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Invitation.deleteMany({}), Client.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Invitation.deleteMany({}), Client.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Company.deleteMany({}), Invitation.deleteMany({}), Client.deleteMany({})]);
+
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    [owner, outsider] = await User.create([
+      { email: 'owner@company.com', password: hashedPassword, isEmailVerified: true, company: { name: 'Shared SL' } },
+      { email: 'existing@example.com', password: hashedPassword, isEmailVerified: true, role: 'user' }
+    ]);
+    company = await Company.create({ name: 'Shared SL', owner: owner._id, members: [{ user: owner._id, role: 'owner' }] });
+    owner.companyId = company._id;
+    await owner.save();
+
+    ownerToken = await signToken(owner);
+  });
+
+  describe('POST /api/user/invite', () => {
+    it('should store a pending invitation with the hash of the emailed token', async () => {
+      const token = await invite('new@example.com');
+
+      const invitation = await Invitation.findOne({ email: 'new@example.com' }).select('+tokenHash');
+      expect(invitation.status).toBe('pending');
+      expect(invitation.tokenHash).toHaveLength(64);
+      expect(invitation.tokenHash).not.toBe(token);
+      expect(invitation.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should not add an existing user to the company nor change its role', async () => {
+      await invite('existing@example.com');
+
+      const [, emailData] = sendInvitationEmail.mock.calls[0];
+      expect(emailData.hasAccount).toBe(true);
+
+      const user = await User.findById(outsider._id);
+      expect(user.role).toBe('user');
+      expect(user.companyId).toBeNull();
+      expect((await Company.findById(company._id)).getMember(outsider._id)).toBeUndefined();
+    });
+
+    it('should renew the pending invitation when inviting the same email again', async () => {
+      const first = await invite('new@example.com');
+      const second = await invite('new@example.com');
+
+      expect(second).not.toBe(first);
+      expect(await Invitation.countDocuments({ email: 'new@example.com', status: 'pending' })).toBe(1);
+      await request(app).get(`/api/user/invitations/${first}`).expect(404);
+      await request(app).get(`/api/user/invitations/${second}`).expect(200);
+    });
+
+    it('should not invite a member of the company', async () => {
+      const res = await request(app)
+        .post('/api/user/invite')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'owner@company.com' })
+        .expect(409);
+
+      expect(res.body.message).toBe('User is already a member of this company');
+    });
+  });
+
+  describe('GET /api/user/invitations/:token', () => {
+    it('should show the company and whether the invitee has an account', async () => {
+      const token = await invite('new@example.com');
+
+      const res = await request(app)
+        .get(`/api/user/invitations/${token}`)
+        .expect(200);
+
+      expect(res.body.invitation.company.name).toBe('Shared SL');
+      expect(res.body.invitation.email).toBe('new@example.com');
+      expect(res.body.invitation.hasAccount).toBe(false);
+    });
+
+    it('should reject an expired invitation', async () => {
+      const token = await invite('new@example.com');
+      await Invitation.updateOne({ email: 'new@example.com' }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await request(app)
+        .get(`/api/user/invitations/${token}`)
+        .expect(404);
+
+      expect(res.body.type).toBe('INVALID_INVITATION');
+    });
+
+    it('should reject a malformed token', async () => {
+      await request(app)
+        .get('/api/user/invitations/not-a-token')
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/user/invitations/:token/accept', () => {
+    it('should create the account with the chosen password and log it in', async () => {
+      const token = await invite('new@example.com');
+
+      const res = await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .send({ password: 'MyOwnPassword1', firstName: 'Nuria' })
+        .expect(201);
+
+      expect(typeof res.body.token).toBe('string');
+      expect(res.body.company.name).toBe('Shared SL');
+
+      const user = await User.findOne({ email: 'new@example.com' });
+      expect(user.isEmailVerified).toBe(true);
+      expect(user.companyId.toString()).toBe(company.id);
+      expect(await bcrypt.compare('MyOwnPassword1', user.password)).toBe(true);
+      expect((await Company.findById(company._id)).getMember(user._id).role).toBe('guest');
+
+      await request(app)
+        .post('/api/user/login')
+        .send({ email: 'new@example.com', password: 'MyOwnPassword1' })
+        .expect(200);
+    });
+
+    it('should require a password when the invitee has no account', async () => {
+      const token = await invite('new@example.com');
+
+      const res = await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .send({})
+        .expect(400);
+
+      expect(res.body.type).toBe('PASSWORD_REQUIRED');
+      expect((await Invitation.findOne({ email: 'new@example.com' })).status).toBe('pending');
+    });
+
+    it('should add an existing user to the company keeping its credentials', async () => {
+      const token = await invite('existing@example.com');
+
+      const res = await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${await signToken(outsider)}`)
+        .send({})
+        .expect(200);
+
+      expect(res.body).not.toHaveProperty('token');
+      const user = await User.findById(outsider._id);
+      expect(user.companyId.toString()).toBe(company.id);
+      expect(user.role).toBe('user');
+      expect(await bcrypt.compare('Password123', user.password)).toBe(true);
+
+      const invitation = await Invitation.findOne({ email: 'existing@example.com' });
+      expect(invitation.status).toBe('accepted');
+      expect(invitation.user.toString()).toBe(outsider.id);
+    });
+
+    it('should keep listing the documents the user created before joining', async () => {
+      const client = await Client.create({ name: 'Own Client', email: 'own@client.com', createdBy: outsider._id, company: null });
+      const token = await invite('existing@example.com');
+
+      const outsiderToken = await signToken(outsider);
+
+      await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({})
+        .expect(200);
+
+      expect((await Client.findById(client._id)).company.toString()).toBe(company.id);
+      const res = await request(app)
+        .get('/api/client')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(200);
+      expect(res.body.clients.map(c => c._id)).toContain(client.id);
+    });
+
+    it('should only accept an invitation once', async () => {
+      const token = await invite('existing@example.com');
+
+      const outsiderToken = await signToken(outsider);
+
+      await request(app).post(`/api/user/invitations/${token}/accept`).set('Authorization', `Bearer ${outsiderToken}`).send({}).expect(200);
+      await request(app).post(`/api/user/invitations/${token}/accept`).set('Authorization', `Bearer ${outsiderToken}`).send({}).expect(404);
+    });
+
+    it('should leave the invitation pending and create no account when joining fails', async () => {
+      const token = await invite('new@example.com');
+      const saveSpy = jest.spyOn(Company.prototype, 'save').mockRejectedValueOnce(new Error('Write conflict'));
+
+      try {
+        await request(app)
+          .post(`/api/user/invitations/${token}/accept`)
+          .send({ password: 'MyOwnPassword1' })
+          .expect(500);
+      } finally {
+        saveSpy.mockRestore();
+      }
+
+      expect(await User.exists({ email: 'new@example.com' })).toBeNull();
+      expect((await Invitation.findOne({ email: 'new@example.com' })).status).toBe('pending');
+
+      await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .send({ password: 'MyOwnPassword1' })
+        .expect(201);
+    });
+
+    it('should require the invited account to be logged in when it already exists', async () => {
+      const token = await invite('existing@example.com');
+
+      const res = await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .send({})
+        .expect(401);
+
+      expect(res.body.type).toBe('LOGIN_REQUIRED');
+      expect((await User.findById(outsider._id)).companyId).toBeNull();
+      expect((await Invitation.findOne({ email: 'existing@example.com' })).status).toBe('pending');
+    });
+
+    it('should not let another account accept the invitation of an existing user', async () => {
+      const token = await invite('existing@example.com');
+
+      await request(app)
+        .post(`/api/user/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({})
+        .expect(403);
+
+      expect((await User.findById(outsider._id)).companyId).toBeNull();
+      expect((await Invitation.findOne({ email: 'existing@example.com' })).status).toBe('pending');
+    });
+  });
+
+  describe('POST /api/user/invitations/:token/decline', () => {
+    it('should close the invitation without joining the company', async () => {
+      const token = await invite('existing@example.com');
+
+      await request(app)
+        .post(`/api/user/invitations/${token}/decline`)
+        .expect(200);
+
+      expect((await Invitation.findOne({ email: 'existing@example.com' })).status).toBe('declined');
+      expect((await User.findById(outsider._id)).companyId).toBeNull();
+      await request(app).post(`/api/user/invitations/${token}/accept`).send({}).expect(404);
+    });
+  });
+
+  describe('/api/company/invitations', () => {
+    it('should list the pending invitations', async () => {
+      await invite('new@example.com');
+      await invite('existing@example.com');
+
+      const res = await request(app)
+        .get('/api/company/invitations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(res.body.invitations).toHaveLength(2);
+      expect(res.body.invitations[0].invitedBy.email).toBe('owner@company.com');
+      expect(res.body.invitations[0]).not.toHaveProperty('tokenHash');
+    });
+
+    it('should revoke a pending invitation', async () => {
+      const token = await invite('new@example.com');
+      const invitation = await Invitation.findOne({ email: 'new@example.com' });
+
+      await request(app)
+        .delete(`/api/company/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      await request(app).get(`/api/user/invitations/${token}`).expect(404);
+    });
+
+    it('should not let guests manage invitations', async () => {
+      const token = await invite('existing@example.com');
+      await request(app).post(`/api/user/invitations/${token}/accept`).send({}).expect(200);
+
+      await request(app)
+        .get('/api/company/invitations')
+        .set('Authorization', `Bearer ${await signToken(outsider)}`)
+        .expect(403);
+    });
+  });
+});
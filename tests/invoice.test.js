@@ -0,0 +1,303 @@
+// File: tests/invoice.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const storage = require('../services/storage');
+const sessionService = require('../services/sessionService');
+
+describe('Invoice API Tests', () => {
+  let testUser, userToken, testClient, otherClient, testProject, otherProject;
+
+  const clearCollections = () => Promise.all([
+    User.deleteMany({}),
+    Client.deleteMany({}),
+    Project.deleteMany({}),
+    DeliveryNote.deleteMany({}),
+    Invoice.deleteMany({}),
+    Counter.deleteMany({})
+  ]);
+
+  const createSignedNote = (deliveryNoteNumber, project, items) => DeliveryNote.create({
+    deliveryNoteNumber,
+    project: project._id,
+    client: project.client,
+    date: new Date(),
+    items,
+    status: 'signed',
+    isSigned: true,
+    createdBy: testUser._id
+  });
+
+  beforeAll(clearCollections);
+
+  afterAll(async () => {
+    await clearCollections();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await clearCollections();
+
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    testUser = await User.create({
+      email: 'test@example.com',
+      password: hashedPassword,
+      isEmailVerified: true,
+      company: { name: 'Autonomo', isAutonomous: true }
+    });
+    userToken = (await sessionService.createSession(testUser)).token;
+
+    [testClient, otherClient] = await Client.create([
+      { name: 'Test Client', email: 'client@test.com', createdBy: testUser._id },
+      { name: 'Other Client', email: 'other@test.com', createdBy: testUser._id }
+    ]);
+    [testProject, otherProject] = await Project.create([
+      { name: 'Test Project', client: testClient._id, createdBy: testUser._id },
+      { name: 'Other Project', client: otherClient._id, createdBy: testUser._id }
+    ]);
+  });
+
+  // ===================== CREATE INVOICE =====================
+  describe('POST /api/invoice', () => {
+    it('should invoice signed notes with IVA and IRPF for autonomous users', async () => {
+      const [note1, note2] = await Promise.all([
+        createSignedNote('DN-INV-001', testProject, [{ description: 'Hours', quantity: 10, unitPrice: 50 }]),
+        createSignedNote('DN-INV-002', testProject, [{ description: 'Material', quantity: 2, unitPrice: 250 }])
+      ]);
+
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note1._id, note2._id] })
+        .expect(201);
+
+      expect(res.body.message).toBe('Invoice created successfully.');
+      expect(res.body.data.invoiceNumber).toBe(`FAC-${new Date().getFullYear()}-0001`);
+      expect(res.body.data.lines).toHaveLength(2);
+      expect(res.body.data.subtotal).toBe(1000);
+      expect(res.body.data.ivaAmount).toBe(210);
+      expect(res.body.data.irpfAmount).toBe(150);
+      expect(res.body.data.total).toBe(1060);
+      expect(res.body.data.isPaid).toBe(false);
+      expect(res.body.data.pdfUrl).toBeTruthy();
+
+      const invoicedNote = await DeliveryNote.findById(note1._id);
+      expect(invoicedNote.status).toBe('invoiced');
+      expect(invoicedNote.invoice.toString()).toBe(res.body.data._id);
+    });
+
+    it('should delete the uploaded PDF when the invoice cannot be saved', async () => {
+      const note = await createSignedNote('DN-ORPHAN-001', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 10 }]);
+      const removeSpy = jest.spyOn(storage, 'remove');
+      const saveSpy = jest.spyOn(Invoice.prototype, 'save').mockRejectedValueOnce(new Error('Write conflict'));
+
+      try {
+        await request(app)
+          .post('/api/invoice')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ deliveryNoteIds: [note._id] })
+          .expect(500);
+
+        expect(removeSpy).toHaveBeenCalledTimes(1);
+        expect(removeSpy.mock.calls[0][0]).toMatch(/^invoices\/Factura_/);
+
+        const unchangedNote = await DeliveryNote.findById(note._id);
+        expect(unchangedNote.status).toBe('signed');
+      } finally {
+        saveSpy.mockRestore();
+        removeSpy.mockRestore();
+      }
+    });
+
+        it('should number invoices sequentially', async () => {
+      const [note1, note2] = await Promise.all([
+        createSignedNote('DN-SEQ-001', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 10 }]),
+        createSignedNote('DN-SEQ-002', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 10 }])
+      ]);
+
+      const first = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note1._id] })
+        .expect(201);
+      const second = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note2._id], irpfRate: 0 })
+        .expect(201);
+
+      const year = new Date().getFullYear();
+      expect(first.body.data.invoiceNumber).toBe(`FAC-${year}-0001`);
+      expect(second.body.data.invoiceNumber).toBe(`FAC-${year}-0002`);
+      expect(second.body.data.irpfAmount).toBe(0);
+    });
+
+    it('should keep the item tax rates or override them with ivaRate', async () => {
+      const [note1, note2] = await Promise.all([
+        createSignedNote('DN-RATE-001', testProject, [
+          { description: 'Hours', quantity: 10, unitPrice: 50, discount: 10 },
+          { description: 'Books', quantity: 1, unitPrice: 100, taxRate: 4 }
+        ]),
+        createSignedNote('DN-RATE-002', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 100 }])
+      ]);
+
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note1._id], irpfRate: 0 })
+        .expect(201);
+
+      expect(res.body.data.lines[0].amount).toBe(450);
+      expect(res.body.data.subtotal).toBe(550);
+      expect(res.body.data.taxBreakdown).toEqual([
+        { rate: 4, base: 100, amount: 4 },
+        { rate: 21, base: 450, amount: 94.5 }
+      ]);
+      expect(res.body.data.ivaAmount).toBe(98.5);
+      expect(res.body.data.total).toBe(648.5);
+
+      const overridden = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note2._id], ivaRate: 10, irpfRate: 0 })
+        .expect(201);
+
+      expect(overridden.body.data.lines[0].taxRate).toBe(10);
+      expect(overridden.body.data.ivaAmount).toBe(10);
+      expect(overridden.body.data.total).toBe(110);
+    });
+
+    it('should not invoice unsigned delivery notes', async () => {
+      const draftNote = await DeliveryNote.create({
+        deliveryNoteNumber: 'DN-DRAFT-001',
+        project: testProject._id,
+        client: testClient._id,
+        items: [{ description: 'Hours', quantity: 1, unitPrice: 10 }],
+        createdBy: testUser._id
+      });
+
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [draftNote._id] })
+        .expect(409);
+
+      expect(res.body.message).toBe('Only signed delivery notes that have not been invoiced yet can be invoiced.');
+    });
+
+    it('should not mix delivery notes of different clients', async () => {
+      const [note1, note2] = await Promise.all([
+        createSignedNote('DN-MIX-001', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 10 }]),
+        createSignedNote('DN-MIX-002', otherProject, [{ description: 'Hours', quantity: 1, unitPrice: 10 }])
+      ]);
+
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [note1._id, note2._id] })
+        .expect(400);
+
+      expect(res.body.message).toBe('All delivery notes of an invoice must belong to the same client.');
+    });
+
+    it('should fail with missing delivery notes', async () => {
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [new mongoose.Types.ObjectId()] })
+        .expect(404);
+
+      expect(res.body.message).toBe('One or more delivery notes were not found or access denied.');
+    });
+
+    it('should fail with invalid data', async () => {
+      const res = await request(app)
+        .post('/api/invoice')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ deliveryNoteIds: [], ivaRate: 150 })
+        .expect(400);
+
+      expect(res.body.message).toBe('Validation failed');
+    });
+
+    it('should fail without authentication', async () => {
+      const res = await request(app)
+        .post('/api/invoice')
+        .send({ deliveryNoteIds: [] })
+        .expect(401);
+
+      expect(res.body.message).toBe('No token, authorization denied');
+    });
+  });
+
+  // ===================== PAYMENT =====================
+  describe('PATCH /api/invoice/:id/payment', () => {
+    let invoice;
+
+    beforeEach(async () => {
+      const note = await createSignedNote('DN-PAY-001', testProject, [{ description: 'Hours', quantity: 1, unitPrice: 100 }]);
+      invoice = await Invoice.create({
+        invoiceNumber: 'FAC-2026-0001',
+        createdBy: testUser._id,
+        client: testClient._id,
+        deliveryNotes: [note._id],
+        lines: [{ deliveryNote: note._id, description: 'Hours', quantity: 1, unitPrice: 100 }]
+      });
+    });
+
+    it('should mark an invoice as paid and filter by payment state', async () => {
+      const res = await request(app)
+        .patch(`/api/invoice/${invoice._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ isPaid: true })
+        .expect(200);
+
+      expect(res.body.message).toBe('Invoice marked as paid.');
+      expect(res.body.data.isPaid).toBe(true);
+      expect(res.body.data.paidAt).toBeTruthy();
+
+      const unpaid = await request(app)
+        .get('/api/invoice?isPaid=false')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(unpaid.body.count).toBe(0);
+
+      const paid = await request(app)
+        .get('/api/invoice?isPaid=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(paid.body.count).toBe(1);
+    });
+
+    it('should mark a paid invoice as unpaid', async () => {
+      invoice.setPaid(true);
+      await invoice.save();
+
+      const res = await request(app)
+        .patch(`/api/invoice/${invoice._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ isPaid: false })
+        .expect(200);
+
+      expect(res.body.message).toBe('Invoice marked as unpaid.');
+      expect(res.body.data.paidAt).toBeNull();
+    });
+
+    it('should fail with non-existent invoice', async () => {
+      const res = await request(app)
+        .patch(`/api/invoice/${new mongoose.Types.ObjectId()}/payment`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ isPaid: true })
+        .expect(404);
+
+      expect(res.body.message).toBe('Invoice not found or access denied.');
+    });
+  });
+});
@@ -0,0 +1,231 @@
+// File: tests/permission.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const permissionService = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+
+jest.mock('../utils/handleEmail', () => ({
+  getEmailOptions: jest.requireActual('../utils/handleEmail').getEmailOptions,
+  sendSignedDeliveryNoteEmail: jest.fn()
+}));
+
+describe('Company Permission Tests', () => {
+  let owner, company, client, project, deliveryNote;
+  const tokens = {};
+
+  const signToken = async (user) => (await sessionService.createSession(user)).token;
+
+  const clearDatabase = () => Promise.all([
+    User.deleteMany({}),
+    Company.deleteMany({}),
+    Client.deleteMany({}),
+    Project.deleteMany({}),
+    DeliveryNote.deleteMany({})
+  ]);
+
+  beforeAll(clearDatabase);
+
+  afterAll(async () => {
+    await clearDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    const roles = ['member', 'signer', 'viewer'];
+    const users = await User.create([
+      { email: 'owner@company.com', password: hashedPassword, isEmailVerified: true, company: { name: 'Shared SL' } },
+      ...roles.map(role => ({ email: `${role}@company.com`, password: hashedPassword, isEmailVerified: true }))
+    ]);
+    owner = users[0];
+
+    company = await Company.create({
+      name: 'Shared SL',
+      owner: owner._id,
+      members: [
+        { user: owner._id, role: 'owner' },
+        ...roles.map((role, i) => ({ user: users[i + 1]._id, role }))
+      ]
+    });
+    await User.updateMany({}, { companyId: company._id });
+
+    tokens.owner = await signToken(owner);
+    await Promise.all(roles.map(async (role, i) => { tokens[role] = await signToken(users[i + 1]); }));
+
+    client = await Client.create({ name: 'Shared Client', email: 'shared@client.com', createdBy: owner._id, company: company._id });
+    project = await Project.create({ name: 'Shared Project', client: client._id, createdBy: owner._id, company: company._id });
+    deliveryNote = await DeliveryNote.create({
+      deliveryNoteNumber: 'DN-PERM-001',
+      project: project._id,
+      client: client._id,
+      date: new Date(),
+      items: [{ description: 'Work to sign', quantity: 6, unitPrice: 45 }],
+      totalAmount: 270,
+      status: 'sent',
+      isSigned: false,
+      createdBy: owner._id,
+      company: company._id
+    });
+  });
+
+  describe('permissionService', () => {
+    it('should apply the permission matrix', () => {
+      expect(permissionService.hasPermission('admin', 'client:delete')).toBe(true);
+      expect(permissionService.hasPermission('member', 'client:delete')).toBe(false);
+      expect(permissionService.hasPermission('signer', 'deliverynote:sign')).toBe(true);
+      expect(permissionService.hasPermission('viewer', 'deliverynote:sign')).toBe(false);
+      expect(permissionService.hasPermission('unknown', 'client:read')).toBe(false);
+    });
+
+    it('should only let the owner manage admins', () => {
+      expect(permissionService.canManageRole('owner', 'admin')).toBe(true);
+      expect(permissionService.canManageRole('admin', 'admin')).toBe(false);
+      expect(permissionService.canManageRole('admin', 'viewer')).toBe(true);
+      expect(permissionService.canManageRole('owner', 'owner')).toBe(false);
+      expect(permissionService.canManageRole('member', 'viewer')).toBe(false);
+    });
+  });
+
+  describe('Viewer', () => {
+    it('should read the company data', async () => {
+      const res = await request(app)
+        .get('/api/client')
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(200);
+
+      expect(res.body.clients).toHaveLength(1);
+    });
+
+    it('should not create clients', async () => {
+      const res = await request(app)
+        .post('/api/client')
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .send({ name: 'New Client', email: 'new@client.com' })
+        .expect(403);
+
+      expect(res.body.type).toBe('FORBIDDEN');
+      expect(res.body.data).toEqual({ permission: 'client:create', role: 'viewer' });
+    });
+  });
+
+  describe('Signer', () => {
+    it('should sign delivery notes of the company', async () => {
+      const res = await request(app)
+        .patch(`/api/deliverynote/sign/${deliveryNote._id}`)
+        .set('Authorization', `Bearer ${tokens.signer}`)
+        .send({ signatureUrl: 'ipfs://QmTestSignatureHash', signedDate: new Date().toISOString() })
+        .expect(200);
+
+      expect(res.body.data.isSigned).toBe(true);
+    });
+
+    it('should not edit delivery notes', async () => {
+      const res = await request(app)
+        .put(`/api/deliverynote/${deliveryNote._id}`)
+        .set('Authorization', `Bearer ${tokens.signer}`)
+        .send({ notes: 'Changed by the signer' })
+        .expect(403);
+
+      expect(res.body.data.permission).toBe('deliverynote:update');
+    });
+  });
+
+  describe('Member', () => {
+    it('should archive but not delete clients', async () => {
+      await request(app)
+        .patch(`/api/client/${client._id}/archive`)
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .expect(200);
+
+      const res = await request(app)
+        .delete(`/api/client/${client._id}`)
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .expect(403);
+
+      expect(res.body.data.permission).toBe('client:delete');
+      expect(await Client.exists({ _id: client._id })).toBeTruthy();
+    });
+
+    it('should get the new permissions when its role changes', async () => {
+      await request(app)
+        .patch(`/api/company/members/${(await User.findOne({ email: 'member@company.com' }))._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/project')
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .send({ name: 'Member Project', description: 'Not allowed anymore', client: client._id })
+        .expect(403);
+    });
+  });
+
+  it('should check the permissions against the company of the resource', async () => {
+    const otherCompany = await Company.create({ name: 'Other SL', owner: owner._id, members: [{ user: owner._id, role: 'owner' }] });
+    const otherClient = await Client.create({ name: 'Other Client', email: 'other@client.com', createdBy: owner._id, company: otherCompany._id });
+
+    // The owner of Shared SL is only a viewer of the company of this client
+    await Company.updateOne({ _id: otherCompany._id }, { members: [{ user: owner._id, role: 'viewer' }] });
+
+    const res = await request(app)
+      .delete(`/api/client/${otherClient._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .expect(403);
+
+    expect(res.body.data).toEqual({ permission: 'client:delete', role: 'viewer' });
+  });
+
+  it('should deny a user without a role in its own company', async () => {
+    // Removed from the members but still linked to the company
+    await Company.updateOne({ _id: company._id }, { $pull: { members: { role: 'member' } } });
+
+    const res = await request(app)
+      .get('/api/client')
+      .set('Authorization', `Bearer ${tokens.member}`)
+      .expect(403);
+
+    expect(res.body.data).toEqual({ permission: 'client:read' });
+  });
+
+  it('should not reveal resources of a company the user is not a member of', async () => {
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    const outsider = await User.create({ email: 'outsider@other.com', password: hashedPassword, isEmailVerified: true });
+    const otherCompany = await Company.create({ name: 'Other SL', owner: outsider._id, members: [{ user: outsider._id, role: 'owner' }] });
+    outsider.companyId = otherCompany._id;
+    await outsider.save();
+
+    await request(app)
+      .delete(`/api/client/${client._id}`)
+      .set('Authorization', `Bearer ${await signToken(outsider)}`)
+      .expect(404);
+
+    expect(await Client.exists({ _id: client._id })).toBeTruthy();
+  });
+
+  it('should leave personal accounts to the scoped lookups of the controllers', async () => {
+    const hashedPassword = await bcrypt.hash('Password123', 10);
+    const freelancer = await User.create({ email: 'freelancer@example.com', password: hashedPassword, isEmailVerified: true });
+    const ownClient = await Client.create({ name: 'Own Client', email: 'own@client.com', createdBy: freelancer._id, company: null });
+    const freelancerToken = await signToken(freelancer);
+
+    await request(app)
+      .delete(`/api/client/${ownClient._id}`)
+      .set('Authorization', `Bearer ${freelancerToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/client/${client._id}`)
+      .set('Authorization', `Bearer ${freelancerToken}`)
+      .expect(404);
+  });
+});
@@ -5,6 +5,8 @@ const app = require('../server');
 const User = require('../models/User');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const sessionService = require('../services/sessionService');
 
 describe('Project API Tests', () => {
   let testUser, userToken, testClient, testProject;
@@ -13,12 +15,14 @@ describe('Project API Tests', () => {
     await User.deleteMany({});
     await Client.deleteMany({});
     await Project.deleteMany({});
+    await DeliveryNote.deleteMany({});
   }, 10000);
 
   afterAll(async () => {
     await User.deleteMany({});
     await Client.deleteMany({});
     await Project.deleteMany({});
+    await DeliveryNote.deleteMany({});
     await mongoose.connection.close();
   }, 10000);
 
@@ -26,6 +30,7 @@ describe('Project API Tests', () => {
     await User.deleteMany({});
     await Client.deleteMany({});
     await Project.deleteMany({});
+    await DeliveryNote.deleteMany({});
 
     // Create test user
     const bcrypt = require('bcrypt');
@@ -41,11 +46,7 @@ describe('Project API Tests', () => {
     await testUser.save();
 
     // Generate token
-    const jwt = require('jsonwebtoken');
-    userToken = jwt.sign(
-      { id: testUser._id, email: testUser.email, role: testUser.role },
-      process.env.JWT_SECRET
-    );
+    userToken = (await sessionService.createSession(testUser)).token;
 
     // Create test client
     testClient = new Client({
@@ -211,6 +212,107 @@ describe('Project API Tests', () => {
 
       expect(res.body.message).toBe('Invalid token');
     });
+
+    it('should create a project with schedule and budget', async () => {
+      const res = await request(app)
+        .post('/api/project')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          name: 'Budgeted Project',
+          description: 'A project with a budget',
+          client: testClient._id,
+          startDate: '2026-03-01',
+          endDate: '2026-06-30',
+          budget: { hours: 100, amount: 5000 }
+        })
+        .expect(201);
+
+      expect(new Date(res.body.project.startDate).toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(new Date(res.body.project.endDate).toISOString()).toBe('2026-06-30T00:00:00.000Z');
+      expect(res.body.project.budget).toEqual({ hours: 100, amount: 5000 });
+    });
+
+    it('should fail with an end date before the start date or a negative budget', async () => {
+      const res = await request(app)
+        .post('/api/project')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          name: 'Bad Project',
+          description: 'A project with bad dates',
+          client: testClient._id,
+          startDate: '2026-06-30',
+          endDate: '2026-03-01',
+          budget: { amount: -1 }
+        })
+        .expect(400);
+
+      const fields = res.body.data.errors.map(error => error.path);
+      expect(fields).toEqual(expect.arrayContaining(['endDate', 'budget.amount']));
+    });
+  });
+
+  describe('POST /api/project/import', () => {
+    const csvFile = (lines) => Buffer.from(lines.join('\r\n'));
+
+    it('should create projects for clients given by ID or email and report the rest', async () => {
+      await new Project({
+        name: 'Existing Project',
+        description: 'Already in the application',
+        client: testClient._id,
+        createdBy: testUser._id
+      }).save();
+
+      const file = csvFile([
+        'name,description,client,clientEmail,startDate,endDate,budget.hours,budget.amount',
+        `Office Refurbishment,Refurbishment of the main office,${testClient._id},,2026-03-01,2026-06-30,120,9000`,
+        'Warehouse Roof,Replacement of the warehouse roof,,CLIENT@test.com,,,,',
+        `Existing Project,Duplicated name for the same client,${testClient._id},,,,,`,
+        'Unknown Client,Client email that does not exist,,nobody@test.com,,,,',
+        `Bad Dates,End date before the start date,${testClient._id},,2026-06-30,2026-03-01,,`
+      ]);
+
+      const res = await request(app)
+        .post('/api/project/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', file, 'projects.csv')
+        .expect(200);
+
+      expect(res.body.message).toBe('Projects imported successfully');
+      expect(res.body.summary).toEqual({ total: 5, created: 2, skipped: 1, failed: 2 });
+      expect(res.body.rows.map(row => row.status)).toEqual(['created', 'created', 'skipped', 'failed', 'failed']);
+      expect(res.body.rows[3].errors[0]).toEqual({ path: 'clientEmail', msg: 'Client not found.' });
+      expect(res.body.rows[4].errors[0].path).toBe('endDate');
+
+      const imported = await Project.findById(res.body.rows[0].id);
+      expect(imported.budget.hours).toBe(120);
+      expect(imported.budget.amount).toBe(9000);
+      expect(imported.createdBy.toString()).toBe(testUser._id.toString());
+      const byEmail = await Project.findById(res.body.rows[1].id);
+      expect(byEmail.client.toString()).toBe(testClient._id.toString());
+    });
+
+    it('should not save anything in dry-run', async () => {
+      const file = csvFile(['name,description,clientEmail', 'Dry Project,Only checked not saved,client@test.com']);
+
+      const res = await request(app)
+        .post('/api/project/import?dryRun=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', file, 'projects.csv')
+        .expect(200);
+
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.summary.created).toBe(1);
+      expect(await Project.countDocuments({})).toBe(0);
+    });
+
+    it('should fail without authentication', async () => {
+      const res = await request(app)
+        .post('/api/project/import')
+        .attach('file', csvFile(['name', 'Project']), 'projects.csv')
+        .expect(401);
+
+      expect(res.body.message).toContain('No token, authorization denied');
+    });
   });
 
   describe('GET /api/project', () => {
@@ -228,11 +330,52 @@ describe('Project API Tests', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .expect(200);
 
-      expect(Array.isArray(res.body)).toBe(true);
-      expect(res.body.length).toBe(2); // Only active projects
-      expect(res.body.every(project => !project.archived)).toBe(true);
-      expect(res.body.every(project => project.createdBy === testUser._id.toString())).toBe(true);
-      expect(res.body.every(project => project.client)).toBeDefined();
+      expect(res.body.message).toBe('Projects retrieved successfully');
+      expect(Array.isArray(res.body.projects)).toBe(true);
+      expect(res.body.projects.length).toBe(2); // Only active projects
+      expect(res.body.projects.every(project => !project.archived)).toBe(true);
+      expect(res.body.projects.every(project => project.createdBy === testUser._id.toString())).toBe(true);
+      expect(res.body.projects.every(project => project.client)).toBeDefined();
+      expect(res.body.pagination).toMatchObject({ total: 2, page: 1, totalPages: 1, hasNextPage: false });
+    });
+
+    it('should paginate projects by page and by cursor', async () => {
+      const firstPage = await request(app)
+        .get('/api/project?limit=1&sort=name')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(firstPage.body.projects).toHaveLength(1);
+      expect(firstPage.body.projects[0].name).toBe('Active Project 1');
+      expect(firstPage.body.pagination).toMatchObject({ total: 2, limit: 1, page: 1, totalPages: 2, hasNextPage: true });
+
+      const secondPage = await request(app)
+        .get(`/api/project?limit=1&sort=name&cursor=${firstPage.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(secondPage.body.projects[0].name).toBe('Active Project 2');
+      expect(secondPage.body.pagination.hasNextPage).toBe(false);
+      expect(secondPage.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should filter projects by name', async () => {
+      const res = await request(app)
+        .get('/api/project?name=project 2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.projects).toHaveLength(1);
+      expect(res.body.projects[0].name).toBe('Active Project 2');
+    });
+
+    it('should fail with invalid pagination parameters', async () => {
+      const res = await request(app)
+        .get('/api/project?page=0&limit=1000&sort=password')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(res.body.message).toBe('Validation failed');
     });
 
     it('should return empty array when no active projects', async () => {
@@ -244,8 +387,9 @@ describe('Project API Tests', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .expect(200);
 
-      expect(Array.isArray(res.body)).toBe(true);
-      expect(res.body.length).toBe(0);
+      expect(Array.isArray(res.body.projects)).toBe(true);
+      expect(res.body.projects.length).toBe(0);
+      expect(res.body.pagination.total).toBe(0);
     });
 
     it('should not return other users projects', async () => {
@@ -277,8 +421,8 @@ describe('Project API Tests', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .expect(200);
 
-      expect(res.body.length).toBe(2); // Still only user's projects
-      expect(res.body.every(project => project.createdBy === testUser._id.toString())).toBe(true);
+      expect(res.body.projects.length).toBe(2); // Still only user's projects
+      expect(res.body.projects.every(project => project.createdBy === testUser._id.toString())).toBe(true);
     });
 
     it('should fail without authentication', async () => {
@@ -367,6 +511,62 @@ describe('Project API Tests', () => {
       expect(res.body.archived).toBe(false);
     });
 
+    it('should include the consumption of the delivery notes against the budget', async () => {
+      testProject.budget = { hours: 10, amount: 500 };
+      await testProject.save();
+
+      const noteData = {
+        project: testProject._id,
+        client: testClient._id,
+        date: new Date(),
+        createdBy: testUser._id
+      };
+      await DeliveryNote.create([
+        {
+          ...noteData,
+          deliveryNoteNumber: 'DN-PRJ-001',
+          items: [
+            { type: 'hours', description: 'Installation', quantity: 6, unitPrice: 40, person: 'Ana' },
+            { type: 'material', description: 'Cable', quantity: 10, unit: 'm', unitPrice: 5 }
+          ]
+        },
+        {
+          ...noteData,
+          deliveryNoteNumber: 'DN-PRJ-002',
+          status: 'sent',
+          items: [{ description: 'Maintenance', quantity: 6, unitPrice: 40, person: 'Luis', discount: 50 }]
+        }
+      ]);
+
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.name).toBe('Test Project');
+      expect(res.body.consumption.deliveryNotes).toBe(2);
+      expect(res.body.consumption.hours).toEqual({ budget: 10, used: 12, remaining: -2, percent: 120 });
+      expect(res.body.consumption.amount).toEqual({ budget: 500, used: 410, remaining: 90, percent: 82 });
+      expect(res.body.consumption.overBudget).toBe(true);
+      expect(res.body.consumption.byStatus).toEqual({
+        draft: { deliveryNotes: 1, hours: 6, amount: 290 },
+        sent: { deliveryNotes: 1, hours: 6, amount: 120 }
+      });
+    });
+
+    it('should report the consumption without budget', async () => {
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.consumption).toMatchObject({
+        deliveryNotes: 0,
+        hours: { budget: null, used: 0, remaining: null, percent: null },
+        overBudget: false
+      });
+    });
+
     it('should fail with invalid ObjectId format', async () => {
       const res = await request(app)
         .get('/api/project/invalid-id')
@@ -419,6 +619,117 @@ describe('Project API Tests', () => {
     });
   });
 
+  describe('GET /api/project/:id/report', () => {
+    beforeEach(async () => {
+      testProject = await new Project({
+        name: 'Report Project',
+        description: 'Project with delivery notes',
+        client: testClient._id,
+        createdBy: testUser._id
+      }).save();
+
+      const noteData = { project: testProject._id, client: testClient._id, createdBy: testUser._id };
+      await DeliveryNote.create([
+        {
+          ...noteData,
+          deliveryNoteNumber: 'DN-REP-001',
+          date: new Date('2026-03-05'),
+          items: [
+            { type: 'hours', description: 'Installation', quantity: 6, unitPrice: 40, person: 'Ana' },
+            { type: 'material', description: 'Cable', quantity: 10, unit: 'm', unitPrice: 5 }
+          ]
+        },
+        {
+          ...noteData,
+          deliveryNoteNumber: 'DN-REP-002',
+          date: new Date('2026-03-20'),
+          items: [{ description: 'Testing', quantity: 2, unitPrice: 40, person: 'Luis', discount: 50 }]
+        },
+        {
+          ...noteData,
+          deliveryNoteNumber: 'DN-REP-003',
+          date: new Date('2026-04-02'),
+          items: [{ description: 'Maintenance', quantity: 3, unitPrice: 40, person: 'Ana' }]
+        }
+      ]);
+    });
+
+    it('should group hours and amounts by person, month and item type', async () => {
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}/report`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const { report } = res.body;
+      expect(report.project.name).toBe('Report Project');
+      expect(report.totals).toEqual({ deliveryNotes: 3, hours: 11, amount: 450 });
+      expect(report.byPerson).toEqual([
+        { person: 'Ana', hours: 9, amount: 360 },
+        { person: 'Luis', hours: 2, amount: 40 }
+      ]);
+      expect(report.byMonth).toEqual([
+        { month: '2026-03', deliveryNotes: 2, hours: 8, amount: 330 },
+        { month: '2026-04', deliveryNotes: 1, hours: 3, amount: 120 }
+      ]);
+      expect(report.byType).toEqual([
+        { type: 'hours', quantity: 11, hours: 11, amount: 400 },
+        { type: 'material', quantity: 10, hours: 0, amount: 50 }
+      ]);
+    });
+
+    it('should only include delivery notes in the date range', async () => {
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}/report?dateFrom=2026-03-10&dateTo=2026-03-31`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.report.totals).toEqual({ deliveryNotes: 1, hours: 2, amount: 40 });
+      expect(res.body.report.byPerson.map(row => row.person)).toEqual(['Luis']);
+    });
+
+    it('should export the report as CSV', async () => {
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}/report?format=csv`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toContain('.csv');
+      const lines = res.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(lines[0]).toBe('group,key,deliveryNotes,quantity,hours,amount');
+      expect(lines).toContain('person,Ana,,,9,360');
+      expect(lines[lines.length - 1]).toBe('total,,3,,11,450');
+    });
+
+    it('should export the report as PDF', async () => {
+      const res = await request(app)
+        .get(`/api/project/${testProject._id}/report?format=pdf`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toContain('.pdf');
+    });
+
+    it('should fail with an unknown format or an inverted date range', async () => {
+      await request(app)
+        .get(`/api/project/${testProject._id}/report?format=xml`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/project/${testProject._id}/report?dateFrom=2026-04-01&dateTo=2026-03-01`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('should fail without authentication', async () => {
+      await request(app)
+        .get(`/api/project/${testProject._id}/report`)
+        .expect(401);
+    });
+  });
+
   describe('PUT /api/project/:id', () => {
     beforeEach(async () => {
       testProject = await new Project({
@@ -449,6 +760,33 @@ describe('Project API Tests', () => {
       expect(res.body.project._id).toBe(testProject._id.toString());
     });
 
+    it('should update the schedule and merge the budget', async () => {
+      testProject.budget = { hours: 40, amount: 2000 };
+      await testProject.save();
+
+      const res = await request(app)
+        .put(`/api/project/${testProject._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ startDate: '2026-01-10', budget: { amount: 2500 } })
+        .expect(200);
+
+      expect(new Date(res.body.project.startDate).toISOString()).toBe('2026-01-10T00:00:00.000Z');
+      expect(res.body.project.budget).toEqual({ hours: 40, amount: 2500 });
+    });
+
+    it('should fail when the new end date is before the stored start date', async () => {
+      testProject.startDate = new Date('2026-05-01');
+      await testProject.save();
+
+      const res = await request(app)
+        .put(`/api/project/${testProject._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ endDate: '2026-04-01' })
+        .expect(400);
+
+      expect(res.body.message).toBe('End date cannot be before start date.');
+    });
+
     it('should fail with invalid ObjectId format', async () => {
       const updateData = {
         name: 'Updated Project',
@@ -0,0 +1,39 @@
+// File: tests/queryService.test.js
+const { buildFilter } = require('../services/queryService');
+
+describe('Query Service Tests', () => {
+  describe('buildFilter', () => {
+    const spec = {
+      status: { type: 'in' },
+      clientId: { type: 'exact', path: 'client' },
+      isSigned: { type: 'exact' },
+      name: { type: 'contains' },
+      dateFrom: { type: 'from', path: 'date' },
+      dateTo: { type: 'to', path: 'date' }
+    };
+
+    it('should map query parameters to document paths', () => {
+      const dateFrom = new Date('2026-01-01');
+      const dateTo = new Date('2026-01-31');
+
+      expect(buildFilter({
+        status: 'signed, invoiced',
+        clientId: '605c5d4f5311236168a109ca',
+        isSigned: false,
+        dateFrom,
+        dateTo
+      }, spec)).toEqual({
+        status: { $in: ['signed', 'invoiced'] },
+        client: '605c5d4f5311236168a109ca',
+        isSigned: false,
+        date: { $gte: dateFrom, $lte: dateTo }
+      });
+    });
+
+    it('should escape partial matches and ignore empty or unknown parameters', () => {
+      expect(buildFilter({ name: 'a.b (c)', status: '', other: 'x' }, spec)).toEqual({
+        name: { $regex: 'a\\.b \\(c\\)', $options: 'i' }
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// File: tests/rateLimit.test.js
+const express = require('express');
+const request = require('supertest');
+const { rateLimit, recoverLimiter } = require('../middleware/rateLimit');
+const { createStore, RATE_LIMIT_STORES } = require('../services/rateLimit');
+const { handleApiErrors } = require('../middleware/handleError');
+const config = require('../config/config');
+
+describe('Rate Limit Tests', () => {
+  let store;
+
+  /**
+   * Small app with one limited route that answers with the status of the body
+   */
+  const createApp = (options) => {
+    const app = express();
+    app.use(express.json());
+    app.post('/limited', rateLimit({ name: 'test', windowMs: 60000, max: 2, store, ...options }), (req, res) => {
+      res.status(req.body.status || 200).json({ ok: true });
+    });
+    app.use(handleApiErrors);
+    return app;
+  };
+
+  beforeEach(() => {
+    store = createStore('memory');
+  });
+
+  it('should list the available stores', () => {
+    expect(RATE_LIMIT_STORES).toEqual(['memory', 'mongo']);
+    expect(() => createStore('redis')).toThrow("Unknown rate limit store 'redis'");
+  });
+
+  it('should reject requests over the limit with Retry-After', async () => {
+    const app = createApp();
+
+    const first = await request(app).post('/limited').send({}).expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    await request(app).post('/limited').send({}).expect(200);
+
+    const res = await request(app).post('/limited').send({}).expect(429);
+    expect(res.body.type).toBe('RATE_LIMITED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(res.body.data.retryAfter).toBe(Number(res.headers['retry-after']));
+  });
+
+  it('should limit each account even when the IP changes', async () => {
+    const app = createApp({ keys: (req) => ({ ip: req.get('X-Test-Ip'), account: req.body.email }) });
+    const attempt = (ip, email) => request(app).post('/limited').set('X-Test-Ip', ip).send({ email });
+
+    await attempt('10.0.0.1', 'victim@test.com').expect(200);
+    await attempt('10.0.0.2', 'victim@test.com').expect(200);
+    await attempt('10.0.0.3', 'victim@test.com').expect(429);
+    await attempt('10.0.0.3', 'other@test.com').expect(200);
+  });
+
+  it('should only count failed requests when skipSuccessfulRequests is set', async () => {
+    const app = createApp({ skipSuccessfulRequests: true });
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/limited').send({}).expect(200);
+    }
+    await request(app).post('/limited').send({ status: 401 }).expect(401);
+    await request(app).post('/limited').send({ status: 401 }).expect(401);
+    await request(app).post('/limited').send({ status: 401 }).expect(429);
+  });
+
+  it('should count every password recovery request, also the successful ones', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/recover-password', recoverLimiter, (req, res) => res.status(200).json({ ok: true }));
+    app.use(handleApiErrors);
+    const { enabled } = config.rateLimits;
+    config.rateLimits.enabled = true;
+
+    try {
+      for (let i = 0; i < config.rateLimits.recover.max; i++) {
+        await request(app).post('/recover-password').send({ email: 'victim@test.com' }).expect(200);
+      }
+      await request(app).post('/recover-password').send({ email: 'victim@test.com' }).expect(429);
+    } finally {
+      config.rateLimits.enabled = enabled;
+    }
+  });
+
+  it('should let requests through when skipped or when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const skipped = createApp({ skip: () => true });
+    const broken = createApp({ store: { increment: () => Promise.reject(new Error('down')) } });
+
+    for (let i = 0; i < 3; i++) {
+      await request(skipped).post('/limited').send({}).expect(200);
+      await request(broken).post('/limited').send({}).expect(200);
+    }
+    console.error.mockRestore();
+  });
+
+  it('should start a new window once the current one is over', async () => {
+    const first = await store.increment('key', 20);
+    const second = await store.increment('key', 20);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const third = await store.increment('key', 20);
+
+    expect([first.count, second.count, third.count]).toEqual([1, 2, 1]);
+    expect(third.resetAt.getTime()).toBeGreaterThan(second.resetAt.getTime());
+  });
+});
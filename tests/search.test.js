@@ -0,0 +1,148 @@
+// File: tests/search.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const DeliveryNote = require('../models/DeliveryNote');
+const sessionService = require('../services/sessionService');
+
+describe('Search API Tests', () => {
+  let testUser, userToken, otherUser, otherToken;
+
+  const clearCollections = () => Promise.all([
+    User.deleteMany({}),
+    Client.deleteMany({}),
+    Project.deleteMany({}),
+    DeliveryNote.deleteMany({})
+  ]);
+
+  const createUser = async (email) => {
+    const user = await User.create({
+      email,
+      password: await bcrypt.hash('Password123', 10),
+      isEmailVerified: true
+    });
+    const token = (await sessionService.createSession(user)).token;
+    return [user, token];
+  };
+
+  beforeAll(async () => {
+    await clearCollections();
+    // $text queries need the text indexes to exist
+    await Promise.all([Client.createIndexes(), Project.createIndexes(), DeliveryNote.createIndexes()]);
+  });
+
+  afterAll(async () => {
+    await clearCollections();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await clearCollections();
+
+    [testUser, userToken] = await createUser('test@example.com');
+    [otherUser, otherToken] = await createUser('other@example.com');
+
+    const [garciaClient, otherClient] = await Client.create([
+      { name: 'Reformas García', email: 'garcia@test.com', createdBy: testUser._id },
+      { name: 'Pinturas López', email: 'lopez@test.com', createdBy: testUser._id },
+      { name: 'Reformas Archivadas', email: 'archived@test.com', createdBy: testUser._id, archived: true },
+      { name: 'Reformas Ajenas', email: 'ajenas@test.com', createdBy: otherUser._id }
+    ]);
+    const [reformProject] = await Project.create([
+      { name: 'Reforma cocina', description: 'Reforma integral de la cocina', client: garciaClient._id, createdBy: testUser._id },
+      { name: 'Fachada', description: 'Pintura exterior', client: otherClient._id, createdBy: testUser._id }
+    ]);
+    await DeliveryNote.create([
+      {
+        deliveryNoteNumber: 'DN-SEARCH-001',
+        project: reformProject._id,
+        client: garciaClient._id,
+        date: new Date(),
+        items: [{ description: 'Azulejos para la reforma', quantity: 10, unitPrice: 5 }],
+        createdBy: testUser._id
+      },
+      {
+        deliveryNoteNumber: 'DN-SEARCH-002',
+        project: reformProject._id,
+        client: garciaClient._id,
+        date: new Date(),
+        items: [{ description: 'Horas de fontanería', quantity: 4, unitPrice: 30 }],
+        createdBy: testUser._id
+      }
+    ]);
+  });
+
+  describe('GET /api/search', () => {
+    it('should return the matches grouped by type', async () => {
+      const res = await request(app)
+        .get('/api/search?q=reforma')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.query).toBe('reforma');
+      expect(res.body.data.clients.items.map(c => c.name)).toEqual(['Reformas García']);
+      expect(res.body.data.projects.items.map(p => p.name)).toEqual(['Reforma cocina']);
+      expect(res.body.data.projects.items[0].client.name).toBe('Reformas García');
+      expect(res.body.data.deliveryNotes.items.map(n => n.deliveryNoteNumber)).toEqual(['DN-SEARCH-001']);
+      expect(res.body.total).toBe(3);
+      expect(res.body.data.clients.items[0].score).toBeGreaterThan(0);
+    });
+
+    it('should find delivery notes by number', async () => {
+      const res = await request(app)
+        .get('/api/search?q=DN-SEARCH-002&types=deliveryNotes')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Object.keys(res.body.data)).toEqual(['deliveryNotes']);
+      expect(res.body.data.deliveryNotes.items[0].deliveryNoteNumber).toBe('DN-SEARCH-002');
+    });
+
+    it('should only search documents of the user', async () => {
+      const res = await request(app)
+        .get('/api/search?q=reformas')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.clients.items.map(c => c.name)).toEqual(['Reformas Ajenas']);
+      expect(res.body.data.projects.total).toBe(0);
+      expect(res.body.data.deliveryNotes.total).toBe(0);
+    });
+
+    it('should limit the results per group and keep the total', async () => {
+      const res = await request(app)
+        .get('/api/search?q=reforma fontanería&types=deliveryNotes&limit=1')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.deliveryNotes.items).toHaveLength(1);
+      expect(res.body.data.deliveryNotes.total).toBe(2);
+    });
+
+    it('should fail without search terms', async () => {
+      const res = await request(app)
+        .get('/api/search')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should fail with unknown types', async () => {
+      const res = await request(app)
+        .get('/api/search?q=reforma&types=invoices')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should fail without authentication', async () => {
+      const res = await request(app).get('/api/search?q=reforma');
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// File: tests/session.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { describeDevice } = require('../services/sessionService');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+describe('Session API Tests', () => {
+  let user;
+
+  const login = (userAgent = CHROME_WINDOWS) => request(app)
+    .post('/api/user/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'session@test.com', password: 'Password123' })
+    .expect(200);
+
+  beforeAll(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+    user = await User.create({
+      email: 'session@test.com',
+      password: await bcrypt.hash('Password123', 10),
+      isEmailVerified: true
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and the system', () => {
+      expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+      expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+      expect(describeDevice('curl/8.5.0')).toBe('curl');
+      expect(describeDevice(undefined)).toBe('Unknown device');
+    });
+  });
+
+  describe('POST /api/user/login', () => {
+    it('should return an access token and a refresh token of a new session', async () => {
+      const res = await login();
+
+      expect(typeof res.body.token).toBe('string');
+      expect(typeof res.body.refreshToken).toBe('string');
+      expect(res.body.expiresIn).toBe('15m');
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.device).toBe('Chrome on Windows');
+      expect(session.refreshTokenHash).not.toBe(res.body.refreshToken);
+    });
+  });
+
+  describe('POST /api/user/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body: first } = await login();
+
+      const res = await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      expect(res.body.message).toBe('Token refreshed successfully');
+      expect(res.body.refreshToken).not.toBe(first.refreshToken);
+
+      await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${res.body.token}`)
+        .expect(200);
+    });
+
+    it('should close the session when a used refresh token is presented again', async () => {
+      const { body: first } = await login();
+      const { body: second } = await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      const res = await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(401);
+
+      expect(res.body.type).toBe('REFRESH_TOKEN_REUSED');
+      await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const res = await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: 'not-a-token' })
+        .expect(401);
+
+      expect(res.body.type).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should require the refresh token', async () => {
+      await request(app)
+        .post('/api/user/refresh')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/user/logout', () => {
+    it('should revoke the access and refresh tokens of the session', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/user/logout')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+      expect(res.body.message).toBe('Session has been revoked');
+
+      await request(app)
+        .post('/api/user/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Access tokens', () => {
+    it('should reject a token without a session, which could not be revoked', async () => {
+      const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, process.env.JWT_SECRET);
+
+      const res = await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+      expect(res.body.message).toBe('Invalid token');
+    });
+  });
+
+  describe('Sessions list and revoke', () => {
+    it('should list the open sessions with the current one marked', async () => {
+      const { body: desktop } = await login();
+      await login(SAFARI_IPHONE);
+
+      const res = await request(app)
+        .get('/api/user/sessions')
+        .set('Authorization', `Bearer ${desktop.token}`)
+        .expect(200);
+
+      expect(res.body.sessions).toHaveLength(2);
+      const current = res.body.sessions.find(session => session.current);
+      expect(current.device).toBe('Chrome on Windows');
+      expect(current.lastUsedAt).toBeDefined();
+      expect(res.body.sessions[0]).not.toHaveProperty('refreshTokenHash');
+    });
+
+    it('should revoke another session', async () => {
+      const { body: desktop } = await login();
+      const { body: phone } = await login(SAFARI_IPHONE);
+      const phoneSession = await Session.findOne({ device: 'Safari on iOS' });
+
+      await request(app)
+        .delete(`/api/user/sessions/${phoneSession._id}`)
+        .set('Authorization', `Bearer ${desktop.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(401);
+      await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${desktop.token}`)
+        .expect(200);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const { body } = await login();
+      const other = await User.create({ email: 'other@test.com', password: 'hashed-password', isEmailVerified: true });
+      const otherSession = await Session.create({ user: other._id, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+
+      await request(app)
+        .delete(`/api/user/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(404);
+    });
+
+    it('should revoke every session but the current one', async () => {
+      const { body: desktop } = await login();
+      await login(SAFARI_IPHONE);
+      await login('curl/8.5.0');
+
+      const res = await request(app)
+        .delete('/api/user/sessions')
+        .set('Authorization', `Bearer ${desktop.token}`)
+        .expect(200);
+
+      expect(res.body.revoked).toBe(2);
+      expect(await Session.countDocuments({ user: user._id, revokedAt: null })).toBe(1);
+    });
+  });
+
+  describe('POST /api/user/reset-password', () => {
+    it('should close every session of the user', async () => {
+      const { body } = await login();
+      await User.updateOne({ _id: user._id }, { passwordResetCode: '123456', passwordResetExpires: Date.now() + 60000 });
+
+      await request(app)
+        .post('/api/user/reset-password')
+        .send({ email: 'session@test.com', code: '123456', newPassword: 'NewPassword123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+    });
+  });
+});
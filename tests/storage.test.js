@@ -0,0 +1,104 @@
+// File: tests/storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, getUrl } = require('../services/storage');
+const config = require('../config/config');
+
+describe('Storage Service Tests', () => {
+  // ===================== LOCAL =====================
+  describe('local storage', () => {
+    let rootPath, storage;
+
+    beforeAll(() => {
+      rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+      storage = createStorage('local', { path: rootPath, baseUrl: 'http://localhost:3000/uploads/' });
+    });
+
+    afterAll(() => {
+      fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    it('should upload, read and remove a file', async () => {
+      const key = await storage.upload(Buffer.from('signature'), { folder: 'signatures', fileName: 'sig.png' });
+
+      expect(key).toBe('signatures/sig.png');
+      expect(storage.getUrl(key)).toBe('http://localhost:3000/uploads/signatures/sig.png');
+      expect((await storage.download(key)).toString()).toBe('signature');
+
+      await storage.remove(key);
+      expect(fs.existsSync(path.join(rootPath, key))).toBe(false);
+    });
+
+    it('should ignore removing a missing file', async () => {
+      await expect(storage.remove('logos/missing.png')).resolves.toBeUndefined();
+    });
+
+    it('should not read files outside the storage root', async () => {
+      await expect(storage.download('../outside.txt')).rejects.toThrow("Invalid storage key '../outside.txt'.");
+    });
+  });
+
+  // ===================== IPFS =====================
+  describe('ipfs storage', () => {
+    it('should build gateway URLs from CIDs', () => {
+      const storage = createStorage('ipfs', { jwt: 'test-jwt', gatewayUrl: 'https://gateway.example.com' });
+
+      expect(storage.getUrl('QmTestCid')).toBe('https://gateway.example.com/ipfs/QmTestCid');
+      expect(storage.getUrl('ipfs://QmTestCid')).toBe('https://gateway.example.com/ipfs/QmTestCid');
+    });
+
+    it('should keep serving CIDs stored before the storage service from the IPFS gateway', () => {
+      const cid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      const gateway = config.storage.ipfs.gatewayUrl.replace(/\/$/, '');
+
+      expect(getUrl(cid)).toBe(`${gateway}/ipfs/${cid}`);
+      expect(getUrl(`ipfs://${cid}`)).toBe(`${gateway}/ipfs/${cid}`);
+      expect(getUrl('signatures/sig.png')).not.toContain('/ipfs/');
+    });
+  });
+
+  // ===================== CONFIGURATION =====================
+  describe('createStorage / getUrl', () => {
+    it('should fail with an unknown storage type', () => {
+      expect(() => createStorage('ftp', {})).toThrow("Unknown storage type 'ftp'. Use one of: local, s3, ipfs");
+    });
+
+    it('should return absolute URLs untouched', () => {
+      expect(getUrl('https://example.com/signature.png')).toBe('https://example.com/signature.png');
+      expect(getUrl(null)).toBeNull();
+    });
+  });
+
+  // ===================== S3 (MinIO) =====================
+  // Runs against an S3-compatible server when configured, e.g. a local MinIO:
+  // S3_ENDPOINT=http://localhost:9000 S3_BUCKET_NAME=test S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+  const describeS3 = process.env.S3_ENDPOINT ? describe : describe.skip;
+  describeS3('s3 storage', () => {
+    let storage;
+
+    beforeAll(() => {
+      storage = createStorage('s3', {
+        bucketName: process.env.S3_BUCKET_NAME,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    });
+
+    it('should upload, read and remove an object', async () => {
+      const key = await storage.upload(Buffer.from('%PDF-test'), {
+        folder: 'pdfs',
+        fileName: `test_${Date.now()}.pdf`,
+        contentType: 'application/pdf'
+      });
+
+      expect(storage.getUrl(key)).toBe(`${process.env.S3_ENDPOINT}/${process.env.S3_BUCKET_NAME}/${key}`);
+      expect((await storage.download(key)).toString()).toBe('%PDF-test');
+
+      await storage.remove(key);
+      await expect(storage.download(key)).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// File: tests/taxService.test.js
+const { calculateLine, summarizeTaxes } = require('../services/taxService');
+
+describe('Tax Service Tests', () => {
+  describe('calculateLine', () => {
+    it('should apply the discount before the tax', () => {
+      expect(calculateLine({ quantity: 3, unitPrice: 33.33, discount: 15, taxRate: 21 })).toEqual({
+        gross: 99.99,
+        discountAmount: 15,
+        base: 84.99,
+        taxAmount: 17.85,
+        total: 102.84
+      });
+    });
+
+    it('should treat missing price, discount and rate as zero', () => {
+      expect(calculateLine({ quantity: 2 })).toEqual({
+        gross: 0,
+        discountAmount: 0,
+        base: 0,
+        taxAmount: 0,
+        total: 0
+      });
+    });
+  });
+
+  describe('summarizeTaxes', () => {
+    it('should group the bases by rate and compute the tax on each group', () => {
+      const summary = summarizeTaxes([
+        { quantity: 1, unitPrice: 0.05, taxRate: 21 },
+        { quantity: 1, unitPrice: 0.05, taxRate: 21 },
+        { quantity: 1, unitPrice: 10, taxRate: 10, discount: 50 }
+      ]);
+
+      expect(summary.taxBreakdown).toEqual([
+        { rate: 10, base: 5, amount: 0.5 },
+        { rate: 21, base: 0.1, amount: 0.02 }
+      ]);
+      expect(summary.subtotal).toBe(5.1);
+      expect(summary.discountAmount).toBe(5);
+      expect(summary.taxAmount).toBe(0.52);
+      expect(summary.total).toBe(5.62);
+    });
+
+    it('should return empty totals without lines', () => {
+      expect(summarizeTaxes([])).toEqual({
+        subtotal: 0,
+        discountAmount: 0,
+        taxBreakdown: [],
+        taxAmount: 0,
+        total: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,286 @@
+// File: tests/twoFactor.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const twoFactorService = require('../services/twoFactorService');
+
+// Codes of the previous, current and next 30 s steps: each one can only be used once
+const STEP = 30 * 1000;
+const codeAt = (secret, offset) => twoFactorService.generateCode(secret, Date.now() + offset * STEP);
+
+describe('Two-Factor Authentication Tests', () => {
+  let user;
+
+  const login = () => request(app)
+    .post('/api/user/login')
+    .send({ email: 'twofactor@test.com', password: 'Password123' })
+    .expect(200);
+
+  /**
+   * Enable 2FA through the API, spending the code of the previous step
+   * @returns {Promise<{token: string, secret: string, recoveryCodes: Array<string>}>}
+   */
+  const enableTwoFactor = async () => {
+    const { body: { token } } = await login();
+    const { body: setup } = await request(app)
+      .post('/api/user/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const { body } = await request(app)
+      .post('/api/user/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: codeAt(setup.secret, -1) })
+      .expect(200);
+    return { token, secret: setup.secret, recoveryCodes: body.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+    user = await User.create({
+      email: 'twofactor@test.com',
+      password: await bcrypt.hash('Password123', 10),
+      isEmailVerified: true
+    });
+  });
+
+  describe('twoFactorService', () => {
+    // RFC 6238 test vector: secret '12345678901234567890' at T = 59 s
+    const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    it('should compute the RFC 6238 codes', () => {
+      expect(twoFactorService.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(twoFactorService.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    });
+
+    it('should accept one step of clock drift and refuse replays', () => {
+      const timestamp = 59 * 1000;
+      const step = twoFactorService.verifyCode(RFC_SECRET, '287082', { timestamp: timestamp + STEP });
+      expect(step).toBe(1);
+      expect(twoFactorService.verifyCode(RFC_SECRET, '287082', { timestamp, lastUsedStep: step })).toBeNull();
+      expect(twoFactorService.verifyCode(RFC_SECRET, '287082', { timestamp: timestamp + 2 * STEP })).toBeNull();
+    });
+
+    it('should build the otpauth URI of authenticator apps', () => {
+      const uri = twoFactorService.buildOtpauthUri(RFC_SECRET, 'twofactor@test.com');
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Albaranes%3Atwofactor%40test\.com\?/);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('issuer=Albaranes');
+    });
+  });
+
+  describe('Enrollment', () => {
+    it('should return a secret with its QR code without enabling 2FA yet', async () => {
+      const { body: { token } } = await login();
+
+      const res = await request(app)
+        .post('/api/user/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(res.body.otpauthUri).toContain(res.body.secret);
+      expect(res.body.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const status = await request(app)
+        .get('/api/user/2fa')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(status.body.enabled).toBe(false);
+    });
+
+    it('should enable 2FA with a valid code and return the recovery codes once', async () => {
+      const { token, recoveryCodes } = await enableTwoFactor();
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+      const status = await request(app)
+        .get('/api/user/2fa')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(status.body.enabled).toBe(true);
+      expect(status.body.recoveryCodesLeft).toBe(10);
+
+      const stored = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+      expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('should not enable 2FA with a wrong code', async () => {
+      const { body: { token } } = await login();
+      await request(app)
+        .post('/api/user/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const res = await request(app)
+        .post('/api/user/2fa/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(401);
+
+      expect(res.body.type).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should not start a new setup while 2FA is enabled', async () => {
+      const { token } = await enableTwoFactor();
+
+      await request(app)
+        .post('/api/user/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+    });
+
+    it('should not expose the secret in the user data', async () => {
+      const { token } = await enableTwoFactor();
+
+      const res = await request(app)
+        .get('/api/user')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(res.body.twoFactor.enabled).toBe(true);
+      expect(res.body.twoFactor).not.toHaveProperty('secret');
+      expect(res.body.twoFactor).not.toHaveProperty('recoveryCodes');
+    });
+  });
+
+  describe('POST /api/user/login/2fa', () => {
+    it('should return a challenge instead of tokens', async () => {
+      await enableTwoFactor();
+
+      const res = await login();
+
+      expect(res.body.twoFactorRequired).toBe(true);
+      expect(typeof res.body.challengeToken).toBe('string');
+      expect(res.body).not.toHaveProperty('token');
+    });
+
+    it('should complete the login with a TOTP code', async () => {
+      const { secret } = await enableTwoFactor();
+      const { body: { challengeToken } } = await login();
+
+      const res = await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken, code: codeAt(secret, 0) })
+        .expect(200);
+
+      expect(typeof res.body.token).toBe('string');
+      expect(typeof res.body.refreshToken).toBe('string');
+      expect(res.body.user.email).toBe('twofactor@test.com');
+
+      // The challenge is single use
+      await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken, code: codeAt(secret, 1) })
+        .expect(401);
+    });
+
+    it('should refuse a code that was already used', async () => {
+      const { secret } = await enableTwoFactor();
+
+      const res = await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, code: codeAt(secret, -1) })
+        .expect(401);
+
+      expect(res.body.type).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      const res = await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+      expect(res.body.recoveryCodesLeft).toBe(9);
+
+      await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should lock the account after repeated wrong codes', async () => {
+      await enableTwoFactor();
+      const { body: { challengeToken } } = await login();
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/user/login/2fa')
+          .send({ challengeToken, code: '000000' })
+          .expect(401);
+      }
+      const res = await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(423);
+
+      expect(res.body.type).toBe('ACCOUNT_LOCKED');
+      expect(res.headers['retry-after']).toBe('60');
+    });
+
+    it('should reject an unknown challenge', async () => {
+      const res = await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken: 'not-a-challenge', code: '123456' })
+        .expect(401);
+
+      expect(res.body.type).toBe('INVALID_CHALLENGE');
+    });
+  });
+
+  describe('Recovery codes and disable', () => {
+    it('should replace the recovery codes', async () => {
+      const { token, secret, recoveryCodes } = await enableTwoFactor();
+
+      const res = await request(app)
+        .post('/api/user/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: codeAt(secret, 0) })
+        .expect(200);
+
+      expect(res.body.recoveryCodes).toHaveLength(10);
+      await request(app)
+        .post('/api/user/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should require the password to disable 2FA', async () => {
+      const { token, secret } = await enableTwoFactor();
+
+      await request(app)
+        .post('/api/user/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'WrongPassword1', code: codeAt(secret, 0) })
+        .expect(401);
+    });
+
+    it('should disable 2FA so the login returns tokens again', async () => {
+      const { token, recoveryCodes } = await enableTwoFactor();
+
+      await request(app)
+        .post('/api/user/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'Password123', recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const res = await login();
+      expect(typeof res.body.token).toBe('string');
+      expect(res.body).not.toHaveProperty('twoFactorRequired');
+    });
+  });
+});
@@ -3,10 +3,14 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const config = require('../config/config');
 const path = require('path');
+const sessionService = require('../services/sessionService');
+const { sendVerificationEmail, sendInvitationEmail } = require('../utils/handleEmail');
 
 // Mock services
 jest.mock('../utils/handleEmail', () => ({
+  getEmailOptions: jest.requireActual('../utils/handleEmail').getEmailOptions,
   sendVerificationEmail: jest.fn(),
   sendPasswordResetEmail: jest.fn(),
   sendInvitationEmail: jest.fn()
@@ -57,6 +61,42 @@ describe('User API Tests', () => {
       expect(dbUser.verificationCode).toBeDefined();
     });
 
+    it('should store the language and send the verification email in it', async () => {
+      sendVerificationEmail.mockClear();
+
+      await request(app)
+        .post('/api/user/register')
+        .send({
+          name: 'John',
+          surname: 'Doe',
+          email: 'john@test.com',
+          password: 'Password123',
+          passwordConfirm: 'Password123',
+          language: 'en'
+        })
+        .expect(201);
+
+      const dbUser = await User.findOne({ email: 'john@test.com' });
+      expect(dbUser.language).toBe('en');
+      expect(sendVerificationEmail).toHaveBeenCalledWith('john@test.com', dbUser.verificationCode, { language: 'en', logoUrl: undefined });
+    });
+
+    it('should reject an unsupported language', async () => {
+      const res = await request(app)
+        .post('/api/user/register')
+        .send({
+          name: 'John',
+          surname: 'Doe',
+          email: 'john@test.com',
+          password: 'Password123',
+          passwordConfirm: 'Password123',
+          language: 'fr'
+        })
+        .expect(400);
+
+      expect(res.body.data.errors[0].path).toBe('language');
+    });
+
     it('should reject registration with mismatched passwords', async () => {
       const userData = {
         name: 'John',
@@ -118,12 +158,7 @@ describe('User API Tests', () => {
         maxVerificationAttempts: 3
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should validate email with correct code', async () => {
@@ -226,6 +261,50 @@ describe('User API Tests', () => {
 
       expect(res.body.message).toBe('Email not verified. Please verify your email to log in.');
     });
+
+    it('should lock the account after repeated failed logins', async () => {
+      const { maxAttempts } = config.rateLimits.lockout;
+      const attempt = (password) => request(app)
+        .post('/api/user/login')
+        .send({ email: 'test@example.com', password });
+
+      for (let i = 1; i < maxAttempts; i++) {
+        await attempt('WrongPassword').expect(401);
+      }
+      const locked = await attempt('WrongPassword').expect(423);
+      expect(Number(locked.headers['retry-after'])).toBe(60);
+      expect(locked.body.retryAfter).toBe(60);
+
+      // Not even the right password gets in while locked
+      await attempt('Password123').expect(423);
+    });
+
+    it('should clear the failed logins after a successful login', async () => {
+      await User.updateOne({ _id: testUser._id }, { failedLoginAttempts: 3, lockoutCount: 1 });
+
+      await request(app)
+        .post('/api/user/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockoutCount).toBe(0);
+      expect(user.lockUntil).toBeNull();
+    });
+
+    it('should double each consecutive lockout up to the maximum', () => {
+      const policy = { maxAttempts: 2, baseDuration: 1000, maxDuration: 3000 };
+      const user = new User({ email: 'lock@test.com', password: 'Password123' });
+
+      const durations = [];
+      for (let i = 0; i < 8; i++) {
+        durations.push(user.registerFailedLogin(policy));
+      }
+
+      expect(durations).toEqual([0, 1000, 0, 2000, 0, 3000, 0, 3000]);
+      expect(user.getLockRemaining()).toBeGreaterThan(0);
+    });
   });
 
   // ===================== OBTENER USUARIO =====================
@@ -246,12 +325,7 @@ describe('User API Tests', () => {
         nif: '12345678A'
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should get current user data with exact structure', async () => {
@@ -298,12 +372,7 @@ describe('User API Tests', () => {
         role: 'user'
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should update personal data successfully', async () => {
@@ -323,6 +392,16 @@ describe('User API Tests', () => {
       expect(res.body.user).toBeDefined();
     });
 
+    it('should update the email language', async () => {
+      const res = await request(app)
+        .put('/api/user')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ language: 'en' })
+        .expect(200);
+
+      expect(res.body.user.language).toBe('en');
+    });
+
     it('should reject invalid NIF format', async () => {
       const updateData = {
         firstName: 'John',
@@ -365,12 +444,7 @@ describe('User API Tests', () => {
         role: 'user'
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should update company data for regular company', async () => {
@@ -437,12 +511,7 @@ describe('User API Tests', () => {
         role: 'user'
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should require authentication', async () => {
@@ -477,12 +546,7 @@ describe('User API Tests', () => {
         role: 'user'
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should soft delete user by default', async () => {
@@ -667,12 +731,7 @@ describe('User API Tests', () => {
         }
       });
       await testUser.save();
-
-      const jwt = require('jsonwebtoken');
-      userToken = jwt.sign(
-        { id: testUser._id, email: testUser.email, role: testUser.role },
-        process.env.JWT_SECRET
-      );
+      userToken = (await sessionService.createSession(testUser)).token;
     });
 
     it('should invite new user successfully', async () => {
@@ -688,8 +747,32 @@ describe('User API Tests', () => {
         .expect(201);
 
       expect(res.body.message).toBe('Invitation sent');
-      expect(res.body.user.email).toBe('newguest@example.com');
-      expect(res.body.user.role).toBe('guest');
+      expect(res.body.invitation.email).toBe('newguest@example.com');
+      expect(res.body.invitation.role).toBe('guest');
+      expect(res.body.invitation.status).toBe('pending');
+      // The account is only created when the invitation is accepted
+      expect(await User.findOne({ email: 'newguest@example.com' })).toBeNull();
+    });
+
+    it('should send the invitation in the language and with the logo of the owner', async () => {
+      testUser.language = 'en';
+      testUser.logo = { url: 'http://localhost:3000/uploads/logo.png', filename: 'logo.png' };
+      await testUser.save();
+      sendInvitationEmail.mockClear();
+
+      await request(app)
+        .post('/api/user/invite')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ email: 'newguest@example.com' })
+        .expect(201);
+
+      const [email, invitation, options] = sendInvitationEmail.mock.calls[0];
+      expect(email).toBe('newguest@example.com');
+      expect(invitation.companyName).toBe('Test Company');
+      expect(invitation.invitationUrl).toMatch(/\/api\/user\/invitations\/[0-9a-f]{64}$/);
+      expect(invitation.hasAccount).toBe(false);
+      expect(invitation).not.toHaveProperty('tempPassword');
+      expect(options).toEqual({ language: 'en', logoUrl: 'http://localhost:3000/uploads/logo.png' });
     });
 
     it('should handle user without company data', async () => {
@@ -706,12 +789,7 @@ describe('User API Tests', () => {
         role: 'user'
       });
       await userWithoutCompany.save();
-
-      const jwt = require('jsonwebtoken');
-      const tokenWithoutCompany = jwt.sign(
-        { id: userWithoutCompany._id, email: userWithoutCompany.email, role: userWithoutCompany.role },
-        process.env.JWT_SECRET
-      );
+      const tokenWithoutCompany = (await sessionService.createSession(userWithoutCompany)).token;
 
       const inviteData = {
         email: 'guest@example.com',
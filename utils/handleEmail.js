@@ -1,62 +1,47 @@
 // File: utils/handleEmail.js
-const nodemailer = require('nodemailer');
-const { google } = require('googleapis');
-const OAuth2 = google.auth.OAuth2;
+const { sendMail } = require('../services/email');
+const { renderEmail } = require('../services/email/templates');
 
 /**
- * Create an OAuth2 authenticated transporter for sending emails
- * @returns {Promise<nodemailer.Transporter>} Configured nodemailer transporter
+ * Localisation and branding of an email
+ * @typedef {Object} EmailOptions
+ * @property {string} [language] - Language of the email ('es' or 'en'), usually the sender user's language
+ * @property {string} [logoUrl] - Public URL of the company logo shown in the header (user.logo.url)
  */
-const createTransporter = async () => {
-    const oauth2Client = new OAuth2(
-        process.env.CLIENT_ID,
-        process.env.CLIENT_SECRET,
-        process.env.REDIRECT_URI,
-    );
-    oauth2Client.setCredentials({refresh_token: process.env.REFRESH_TOKEN});
 
-    const accessToken = await new Promise((resolve, reject) => {
-        oauth2Client.getAccessToken((err, token) => {
-            if (err) {
-                reject('Error retrieving access token');
-            }
-            resolve(token);
-        });
-    });
-
-    const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            type: 'OAuth2',
-            user: process.env.EMAIL,
-            accessToken,
-            clientId: process.env.CLIENT_ID,
-            clientSecret: process.env.CLIENT_SECRET,
-            refreshToken: process.env.REFRESH_TOKEN,
-        }
-    });
+/**
+ * Build the email options of a user: their language and their company logo
+ * @param {Object} [user] - User document, e.g. the populated createdBy of a delivery note
+ * @returns {EmailOptions} Language and logo, empty for an unknown user
+ */
+exports.getEmailOptions = (user) => ({
+    language: user?.language,
+    logoUrl: user?.logo?.url || undefined
+});
 
-    return transporter;
+/**
+ * Render a template and send it with its plain-text fallback
+ * @param {string} template - Template name in templates/email
+ * @param {Object} message - nodemailer message without subject and bodies: to, cc, attachments...
+ * @param {Object} data - Template data
+ * @param {EmailOptions} [options] - Language and logo
+ * @returns {Promise<any>} Result of email sending
+ */
+const sendTemplate = (template, message, data, options) => {
+    const { subject, html, text } = renderEmail(template, data, options);
+    return sendMail({ ...message, subject, html, text });
 };
 
 /**
  * Send verification email with code
  * @param {string} email - Recipient email address
  * @param {string} code - Verification code
+ * @param {EmailOptions} [options] - Language and logo
  * @returns {Promise<any>} Result of email sending
  */
-exports.sendVerificationEmail = async (email, code) => {
+exports.sendVerificationEmail = async (email, code, options) => {
     try {
-        const transporter = await createTransporter();
-
-        const mailOptions = {
-            from: `"API" <${process.env.EMAIL}>`,
-            to: email,
-            subject: "Email verification",
-            html: `<h2> Your verification code is: ${code} </h2>`
-        };
-
-        return await transporter.sendMail(mailOptions);
+        return await sendTemplate('verification', { to: email }, { code }, options);
 
     } catch (error) {
         console.log('Error sending verification email');
@@ -68,20 +53,12 @@ exports.sendVerificationEmail = async (email, code) => {
  * Send password reset email with code
  * @param {string} email - Recipient email address
  * @param {string} code - Password reset code
+ * @param {EmailOptions} [options] - Language and logo
  * @returns {Promise<any>} Result of email sending
  */
-exports.sendPasswordResetEmail = async (email, code) => {
+exports.sendPasswordResetEmail = async (email, code, options) => {
     try {
-        const transporter = await createTransporter();
-        
-        const mailOptions = {
-            from: `"API" <${process.env.EMAIL}>`,
-            to: email,
-            subject: "Password Reset Request",
-            html: `<h2>Your password reset code is: ${code} </h2>`
-        };
-
-        return await transporter.sendMail(mailOptions);
+        return await sendTemplate('passwordReset', { to: email }, { code }, options);
 
     } catch (error) {
         console.log('Error sending password reset email');
@@ -90,27 +67,75 @@ exports.sendPasswordResetEmail = async (email, code) => {
 };
 
 /**
- * Send invitation email to team member (with guest role)
+ * Send an invitation to join a company with the link to accept or decline it
  * @param {string} email - Recipient email address
- * @param {string} tempPassword - Temporary password
- * @param {string} companyName - Company name
+ * @param {Object} invitation - Invitation data
+ * @param {string} invitation.companyName - Company name
+ * @param {string} invitation.invitationUrl - Link to the invitation, with its one-time token
+ * @param {Date} invitation.expiresAt - Date the invitation expires
+ * @param {boolean} [invitation.hasAccount=false] - Whether the invitee already has an account
+ * @param {EmailOptions} [options] - Language and logo of the inviter
  * @returns {Promise<any>} Result of email sending
  */
-exports.sendInvitationEmail = async (email, tempPassword, companyName) => {
+exports.sendInvitationEmail = async (email, { companyName, invitationUrl, expiresAt, hasAccount = false }, options) => {
     try {
-        const transporter = await createTransporter();
+        return await sendTemplate('invitation', { to: email }, { companyName, invitationUrl, expiresAt, hasAccount }, options);
 
-        const mailOptions = {
-            from: `"API" <${process.env.EMAIL}>`,
+    } catch (error) {
+        console.log('Error sending invitation');
+        throw error;
+    }
+};
+
+/**
+ * Send a remote signature request with a one-time signing link
+ * @param {string} email - Recipient (client) email address
+ * @param {string} signUrl - Public link where the client can sign the delivery note
+ * @param {string} deliveryNoteNumber - Number of the delivery note to sign
+ * @param {string} companyName - Name of the provider company
+ * @param {EmailOptions} [options] - Language and logo of the provider
+ * @returns {Promise<any>} Result of email sending
+ */
+exports.sendSignatureRequestEmail = async (email, signUrl, deliveryNoteNumber, companyName, options) => {
+    try {
+        return await sendTemplate('signatureRequest', { to: email }, { signUrl, deliveryNoteNumber, companyName }, options);
+
+    } catch (error) {
+        console.log('Error sending signature request');
+        throw error;
+    }
+};
+
+/**
+ * Send the signed delivery note PDF to the client
+ * @param {string} email - Recipient (client) email address
+ * @param {Object} data - Email data
+ * @param {string} data.deliveryNoteNumber - Number of the signed delivery note
+ * @param {string} data.companyName - Name of the provider company
+ * @param {Buffer} data.pdf - Signed PDF, sent as attachment
+ * @param {string} [data.clientName] - Name of the client
+ * @param {Date} [data.signedAt] - Signing date
+ * @param {string} [data.signerName] - Name of the person who signed
+ * @param {string} [data.cc] - Copy, usually the provider
+ * @param {EmailOptions} [options] - Language and logo of the provider
+ * @returns {Promise<any>} Result of email sending
+ */
+exports.sendSignedDeliveryNoteEmail = async (email, { deliveryNoteNumber, companyName, pdf, clientName, signedAt, signerName, cc }, options) => {
+    try {
+        const message = {
             to: email,
-            subject: `Invitation to join ${companyName}`,
-            html: `<h2> Your temporary password is: ${tempPassword} </h2>`
+            cc,
+            attachments: [{
+                filename: `Albaran_${deliveryNoteNumber}.pdf`,
+                content: pdf,
+                contentType: 'application/pdf'
+            }]
         };
 
-        return await transporter.sendMail(mailOptions);
+        return await sendTemplate('signedDeliveryNote', message, { deliveryNoteNumber, companyName, clientName, signedAt, signerName }, options);
 
     } catch (error) {
-        console.log('Error sending invitation');
+        console.log('Error sending signed delivery note');
         throw error;
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,67 @@
+// File: validators/auditValidators.js
+const { query } = require('express-validator');
+const {
+  validateMongoId,
+  validatePagination,
+  validateQueryMongoId,
+  validateQueryDate,
+  handleValidationErrors,
+} = require('./commonValidators');
+const { AUDIT_RESOURCES, AUDIT_ACTIONS } = require('../models/AuditLog');
+
+/**
+ * Fields the audit log can be sorted by.
+ * @constant {Array<string>}
+ */
+const AUDIT_SORT_FIELDS = ['createdAt'];
+
+/**
+ * Validation rules for listing the audit log: pagination and filters by resource type and id,
+ * action (comma separated), actor and date range.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateListAuditLogs = [
+  ...validatePagination(AUDIT_SORT_FIELDS),
+  query('resourceType')
+    .optional()
+    .isIn(AUDIT_RESOURCES)
+    .withMessage(`resourceType must be one of: ${AUDIT_RESOURCES.join(', ')}.`),
+  validateQueryMongoId('resourceId'),
+  query('action')
+    .optional()
+    .custom(value => String(value).split(',').every(action => AUDIT_ACTIONS.includes(action.trim())))
+    .withMessage(`action must be one or more of: ${AUDIT_ACTIONS.join(', ')}.`),
+  validateQueryMongoId('actor'),
+  validateQueryDate('from'),
+  validateQueryDate('to', { endOfDay: true }),
+  query('to')
+    .optional()
+    .custom((value, { req }) => !req.query.from || value >= req.query.from)
+    .withMessage('to cannot be before from.'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the history of a client, project or delivery note: its id and pagination.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateResourceHistory = [
+  validateMongoId('id'),
+  ...validatePagination(AUDIT_SORT_FIELDS),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the history of the current user: pagination.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateUserHistory = [
+  ...validatePagination(AUDIT_SORT_FIELDS),
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateListAuditLogs,
+  validateResourceHistory,
+  validateUserHistory,
+};
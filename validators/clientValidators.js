@@ -1,24 +1,97 @@
 // File: validators/clientValidators.js
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   validateMongoId,
   handleValidationErrors,
   validateRequiredString,
   validateOptionalString,
   validateMongoIdBody,
+  validatePagination,
 } = require('./commonValidators');
 const Client = require('../models/Client'); // Needed for uniqueness check
+const { getScopeFilter } = require('../services/companyService');
 
 /**
- * Validation rules for creating a new client.
- * @constant {Array<import('express-validator').ValidationChain | Function>}
+ * Spanish tax IDs: CIF (companies), NIF (people) and NIE (foreigners)
+ * @constant {RegExp}
  */
-const validateCreateClient = [
+const TAX_ID_REGEX = /^([ABCDEFGHJNPQRSUVW]\d{7}[0-9A-J]|\d{8}[A-Z]|[XYZ]\d{7}[A-Z])$/;
+
+/**
+ * Validation rules for the client profile fields shared by create and update:
+ * tax ID, phone, fiscal address, contacts and billing email.
+ * A plain string address is accepted as the street for backwards compatibility.
+ * @constant {Array<import('express-validator').ValidationChain>}
+ */
+const validateClientProfile = [
+  body('cif')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('cif must be a string.')
+    .customSanitizer(value => value.replace(/[\s-]/g, '').toUpperCase())
+    .matches(TAX_ID_REGEX)
+    .withMessage('cif must be a valid CIF, NIF or NIE.'),
+  body('phone')
+    .optional({ checkFalsy: true }) // Allows the field to be null, undefined or empty string
+    .matches(/^\d{9}$/)
+    .withMessage('Phone number must be exactly 9 digits long and contain only numbers.'),
+  body('address')
+    .optional({ checkFalsy: true })
+    .customSanitizer(value => (typeof value === 'string' ? { street: value } : value))
+    .isObject()
+    .withMessage('address must be an object with street, city, postalCode, province and country.'),
+  body(['address.street', 'address.city', 'address.province', 'address.country'])
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Address fields must be strings.')
+    .trim(),
+  body('address.postalCode')
+    .optional({ checkFalsy: true })
+    .matches(/^\d{5}$/)
+    .withMessage('address.postalCode must be 5 digits.'),
+  body('contacts')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('contacts must be an array of up to 20 contacts.'),
+  validateRequiredString('contacts.*.name', 2),
+  body('contacts.*.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Contact email must be a valid email address.')
+    .normalizeEmail(),
+  body('contacts.*.phone')
+    .optional({ checkFalsy: true })
+    .matches(/^\d{9}$/)
+    .withMessage('Contact phone must be exactly 9 digits long and contain only numbers.'),
+  validateOptionalString('contacts.*.role'),
+  body('billingEmail')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('billingEmail must be a valid email address.')
+    .normalizeEmail(),
+];
+
+/**
+ * Field rules of a new client, shared by the create endpoint and the CSV import.
+ * The import reports clients with an existing email as skipped, so the uniqueness check is not part of them.
+ * @constant {Array<import('express-validator').ValidationChain>}
+ */
+const clientFieldRules = [
   validateRequiredString('name', 2),
   validateRequiredString('email')
     .isEmail()
     .withMessage('Must be a valid email address.')
-    .normalizeEmail()
+    .normalizeEmail(),
+  ...validateClientProfile,
+];
+
+/**
+ * Validation rules for creating a new client.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateCreateClient = [
+  ...clientFieldRules,
+  body('email')
     .custom(async (email, { req }) => {
       // Check if client email already exists for this user/company
       const userId = req.user?.id;
@@ -26,17 +99,11 @@ const validateCreateClient = [
         // This should ideally not happen if auth middleware runs first
         throw new Error('User information not found.');
       }
-      const existingClient = await Client.findOne({ email, createdBy: userId });
+      const existingClient = await Client.findOne({ email, ...getScopeFilter(req.user) });
       if (existingClient) {
         return Promise.reject('Client with this email already exists for this user.');
       }
     }),
-   body('phone')
-      .optional({ checkFalsy: true }) // Allows the field to be null, undefined or empty string
-      .matches(/^\d{9}$/)
-      .withMessage('Phone number must be exactly 9 digits long and contain only numbers.'),
-  validateOptionalString('address'),
-  validateOptionalString('cif', 9), // Assuming CIF has a typical length
   handleValidationErrors,
 ];
 
@@ -63,7 +130,7 @@ const validateUpdateClient = [
       // Check if the new email is already used by *another* client of the same user
       const existingClient = await Client.findOne({
         email,
-        createdBy: userId,
+        ...getScopeFilter(req.user),
         _id: { $ne: clientId }, // Exclude the current client being updated
       });
       if (existingClient) {
@@ -72,13 +139,7 @@ const validateUpdateClient = [
         );
       }
     }),
-   body('phone')
-      .optional({ checkFalsy: true }) // Allows the field to be null, undefined or empty string
-      .matches(/^\d{9}$/)
-      .withMessage('Phone number must be exactly 9 digits long and contain only numbers.'),
-  validateOptionalString('address'),
-  validateOptionalString('cif', 9),
-
+  ...validateClientProfile,
   handleValidationErrors,
 ];
 
@@ -88,8 +149,22 @@ const validateUpdateClient = [
  */
 const validateClientId = [validateMongoId('id'), handleValidationErrors];
 
+/**
+ * Validation rules for listing clients: pagination, sort and partial name/email filters.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateListClients = [
+  ...validatePagination(['name', 'email', 'createdAt']),
+  query('name').optional().isString().withMessage('name must be a string.').trim(),
+  query('email').optional().isString().withMessage('email must be a string.').trim(),
+  query('cif').optional().isString().withMessage('cif must be a string.').trim().toUpperCase(),
+  handleValidationErrors,
+];
+
 module.exports = {
+  clientFieldRules,
   validateCreateClient,
   validateUpdateClient,
   validateClientId,
+  validateListClients,
 };
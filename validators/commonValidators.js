@@ -1,6 +1,7 @@
 // File: validators/commonValidators.js
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { ApiError } = require('../middleware/handleError');
+const config = require('../config/config');
 
 /**
  * Middleware to handle validation errors from express-validator.
@@ -171,6 +172,92 @@ const validateOptionalDate = (fieldName) =>
       .withMessage(`${fieldName} must be a valid date in ISO8601 format (YYYY-MM-DD).`)
       .toDate(); // Convert to Date object
 
+/**
+ * Creates a validation chain for the sort parameter of list endpoints.
+ *
+ * @param {Array<string>} sortFields - Fields the list can be sorted by (ascending, or descending with a '-' prefix).
+ * @returns {import('express-validator').ValidationChain} - The express-validator validation chain.
+ */
+const validateSort = (sortFields) =>
+   query('sort')
+      .optional()
+      .isIn(sortFields.flatMap(field => [field, `-${field}`]))
+      .withMessage(`sort must be one of: ${sortFields.join(', ')} (prefix with '-' for descending order).`);
+
+/**
+ * Creates the validation chains shared by list endpoints: page, limit, cursor and sort.
+ * Page and cursor pagination are mutually exclusive.
+ *
+ * @param {Array<string>} sortFields - Fields the list can be sorted by (ascending, or descending with a '-' prefix).
+ * @returns {Array<import('express-validator').ValidationChain>} - The express-validator validation chains.
+ */
+const validatePagination = (sortFields) => [
+   query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('page must be a positive integer.')
+      .toInt(),
+   query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.pagination.maxLimit })
+      .withMessage(`limit must be an integer between 1 and ${config.pagination.maxLimit}.`)
+      .toInt(),
+   query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('cursor must be a cursor returned by a previous page.')
+      .custom((value, { req }) => req.query.page === undefined)
+      .withMessage('Use either page or cursor, not both.'),
+   validateSort(sortFields),
+];
+
+/**
+ * Creates a validation chain for an optional ObjectId filter in the query string.
+ *
+ * @param {string} fieldName - The name of the query parameter.
+ * @returns {import('express-validator').ValidationChain} - The express-validator validation chain.
+ */
+const validateQueryMongoId = (fieldName) =>
+   query(fieldName)
+      .optional()
+      .isMongoId()
+      .withMessage(`${fieldName} must be a valid MongoDB ObjectId.`);
+
+/**
+ * Creates a validation chain for an optional date filter in the query string.
+ *
+ * @param {string} fieldName - The name of the query parameter.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.endOfDay=false] - Move plain dates (YYYY-MM-DD) to the end of the day, for inclusive upper bounds.
+ * @returns {import('express-validator').ValidationChain} - The express-validator validation chain.
+ */
+const validateQueryDate = (fieldName, options = {}) =>
+   query(fieldName)
+      .optional()
+      .isISO8601()
+      .withMessage(`${fieldName} must be a valid date in ISO8601 format (YYYY-MM-DD).`)
+      .customSanitizer(value => {
+         const date = new Date(value);
+         if (options.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+         }
+         return date;
+      });
+
+/**
+ * Validation rules for the CSV import endpoints: the dryRun query flag.
+ * The uploaded file itself is checked by the csvUpload middleware.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateImport = [
+   query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean (true or false).')
+      .toBoolean(),
+   handleValidationErrors,
+];
+
 module.exports = {
    handleValidationErrors,
    validateMongoId,
@@ -182,5 +269,10 @@ module.exports = {
    validateRequiredBoolean,
    validateOptionalBoolean,
    validateRequiredDate,
-   validateOptionalDate
+   validateOptionalDate,
+   validateSort,
+   validatePagination,
+   validateQueryMongoId,
+   validateQueryDate,
+   validateImport
 };
@@ -0,0 +1,65 @@
+// File: validators/companyValidators.js
+const { body } = require('express-validator');
+const { validateMongoId, handleValidationErrors } = require('./commonValidators');
+const { NUMBERING_SERIES, ASSIGNABLE_ROLES } = require('../models/Company');
+
+/**
+ * Validation rules for operations requiring a member user ID in the route parameter.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateMemberId = [validateMongoId('userId'), handleValidationErrors];
+
+/**
+ * Validation rules for changing the role of a member. The owner role cannot be given.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateUpdateMemberRole = [
+  validateMongoId('userId'),
+  body('role')
+    .notEmpty().withMessage('Role is required.')
+    .isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}.`),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for operations requiring an invitation ID in the route parameter.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateInvitationId = [validateMongoId('invitationId'), handleValidationErrors];
+
+/**
+ * Validation rules for updating the numbering series of the company.
+ * Every series and field is optional; prefixes only allow letters, digits, '_' and '/'.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateUpdateNumbering = [
+  body()
+    .custom((value) => NUMBERING_SERIES.some(type => value[type] !== undefined))
+    .withMessage(`Provide at least one numbering series: ${NUMBERING_SERIES.join(', ')}.`),
+  ...NUMBERING_SERIES.flatMap(type => [
+    body(type)
+      .optional()
+      .isObject().withMessage(`${type} must be an object.`),
+    body(`${type}.prefix`)
+      .optional()
+      .isString().withMessage(`${type}.prefix must be a string.`)
+      .trim()
+      .matches(/^[A-Za-z0-9_/]{1,10}$/).withMessage(`${type}.prefix must have 1 to 10 letters, digits, '_' or '/'.`),
+    body(`${type}.padding`)
+      .optional()
+      .isInt({ min: 1, max: 10 }).withMessage(`${type}.padding must be an integer between 1 and 10.`)
+      .toInt(),
+    body(`${type}.yearlyReset`)
+      .optional()
+      .isBoolean().withMessage(`${type}.yearlyReset must be a boolean (true or false).`)
+      .toBoolean(),
+  ]),
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateMemberId,
+  validateUpdateMemberRole,
+  validateInvitationId,
+  validateUpdateNumbering,
+};
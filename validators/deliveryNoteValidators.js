@@ -1,5 +1,5 @@
 // File: validators/deliveryNoteValidators.js
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   validateMongoId,
   handleValidationErrors,
@@ -11,15 +11,37 @@ const {
   validateRequiredDate,
   validateOptionalDate,
   validateOptionalBoolean,
+  validateSort,
+  validatePagination,
+  validateQueryMongoId,
+  validateQueryDate,
 } = require('./commonValidators'); // Assuming commonValidators.js exists and is correct
 const DeliveryNote = require('../models/DeliveryNote'); // For uniqueness check
+const { ITEM_TYPES } = require('../models/DeliveryNote');
+const { getScopeFilter } = require('../services/companyService');
+
+/**
+ * Checks the fields each item type requires: a person for hours and a unit for materials.
+ * @param {Object} item - Item of the request body.
+ * @returns {boolean} True if the item is consistent with its type.
+ * @throws {Error} If a required field of the type is missing.
+ */
+const checkItemType = (item) => {
+  if (item?.type === 'hours' && !item.person) {
+    throw new Error('Item person is required for hours items.');
+  }
+  if (item?.type === 'material' && !item.unit) {
+    throw new Error('Item unit is required for material items.');
+  }
+  return true;
+};
 
 /**
  * Validation rules for creating a new delivery note.
  * @constant {Array<import('express-validator').ValidationChain | Function>}
  */
 const validateCreateDeliveryNote = [
-  validateRequiredString('deliveryNoteNumber'),
+  validateOptionalString('deliveryNoteNumber'), // Allocated from the company series when omitted
   validateRequiredDate('date'),
   validateMongoIdBody('projectId'), // Ensure projectId is a valid ObjectId in the body
 
@@ -29,6 +51,9 @@ const validateCreateDeliveryNote = [
     .isArray({ min: 1 }).withMessage('Items must be an array with at least one item.'),
 
   // Validate each item within the 'items' array
+  body('items.*.type', 'Item type')
+    .optional()
+    .isIn(ITEM_TYPES).withMessage(`must be one of: ${ITEM_TYPES.join(', ')}.`),
   body('items.*.description', 'Item description')
     .notEmpty().withMessage('cannot be empty.')
     .isString().withMessage('must be a string.')
@@ -41,10 +66,22 @@ const validateCreateDeliveryNote = [
     .optional({ checkFalsy: true }) // Price is optional
     .isNumeric().withMessage('must be a number.')
     .isFloat({ min: 0 }).withMessage('cannot be negative.'),
+  body('items.*.discount', 'Item discount')
+    .optional({ checkFalsy: true }) // Discount percentage, defaults to 0
+    .isFloat({ min: 0, max: 100 }).withMessage('must be a percentage between 0 and 100.'),
+  body('items.*.taxRate', 'Item tax rate')
+    .optional({ checkFalsy: true }) // Tax percentage, defaults to the general IVA
+    .isFloat({ min: 0, max: 100 }).withMessage('must be a percentage between 0 and 100.'),
    body('items.*.person', 'Item person')
-    .optional({ checkFalsy: true }) // Person is optional
+    .optional({ checkFalsy: true }) // Required only for hours items
     .isString().withMessage('must be a string.')
     .trim(),
+  body('items.*.unit', 'Item unit')
+    .optional({ checkFalsy: true }) // Required only for material items
+    .isString().withMessage('must be a string.')
+    .trim()
+    .isLength({ max: 20 }).withMessage('cannot exceed 20 characters.'),
+  body('items.*').custom(checkItemType),
   validateOptionalString('notes'), // Optional notes field
 
   handleValidationErrors,
@@ -64,7 +101,7 @@ const validateUpdateDeliveryNote = [
     if (!userId || !noteId) throw new Error('User or Note ID not found for validation.');
     const existingNote = await DeliveryNote.findOne({
       deliveryNoteNumber, // Corrected field name
-      createdBy: userId, // Corrected field name
+      ...getScopeFilter(req.user), // Own notes or the company ones
       _id: { $ne: noteId },
     });
     if (existingNote) {
@@ -78,6 +115,10 @@ const validateUpdateDeliveryNote = [
    body('items')
     .optional()
     .isArray({ min: 1 }).withMessage('Items, if provided, must be an array with at least one item.'),
+  body('items.*.type', 'Item type')
+    .if(body('items').exists({ checkFalsy: false })) // Validate only if items array is present
+    .optional()
+    .isIn(ITEM_TYPES).withMessage(`must be one of: ${ITEM_TYPES.join(', ')}.`),
    body('items.*.description', 'Item description')
     .if(body('items').exists({ checkFalsy: false })) // Validate only if items array is present
     .notEmpty().withMessage('cannot be empty.')
@@ -93,29 +134,125 @@ const validateUpdateDeliveryNote = [
     .optional({ checkFalsy: true })
     .isNumeric().withMessage('must be a number.')
     .isFloat({ min: 0 }).withMessage('cannot be negative.'),
+  body('items.*.discount', 'Item discount')
+    .if(body('items').exists({ checkFalsy: false }))
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 100 }).withMessage('must be a percentage between 0 and 100.'),
+  body('items.*.taxRate', 'Item tax rate')
+    .if(body('items').exists({ checkFalsy: false }))
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 100 }).withMessage('must be a percentage between 0 and 100.'),
    body('items.*.person', 'Item person')
     .if(body('items').exists({ checkFalsy: false }))
     .optional({ checkFalsy: true })
     .isString().withMessage('must be a string.')
     .trim(),
+  body('items.*.unit', 'Item unit')
+    .if(body('items').exists({ checkFalsy: false }))
+    .optional({ checkFalsy: true })
+    .isString().withMessage('must be a string.')
+    .trim()
+    .isLength({ max: 20 }).withMessage('cannot exceed 20 characters.'),
+  body('items.*')
+    .if(body('items').exists({ checkFalsy: false }))
+    .custom(checkItemType),
 
   validateOptionalString('notes'),
 
+  // Status, history, signature and invoice only change through their own endpoints
+  body(['status', 'statusHistory', 'invoice', 'signatureRequest'])
+    .not().exists()
+    .withMessage('cannot be changed by updating the delivery note; use its own endpoint.'),
+
   handleValidationErrors,
 ];
 
 /**
  * Validation rules for signing a delivery note.
- * Expects the signature URL (IPFS CID or cloud URL).
+ * Expects the signature URL (IPFS CID or cloud URL) or an uploaded signature image.
+ * Must run after the multipart parser so req.file and the body fields are available.
  * @constant {Array<import('express-validator').ValidationChain | Function>}
  */
 const validateSignDeliveryNote = [
   validateMongoId('id'),
-  validateRequiredString('signatureUrl'), // Changed from URL to string to accept CID [cite: 8]
+  body('signatureUrl')
+    .custom((value, { req }) => Boolean(req.file) || (typeof value === 'string' && value.trim() !== ''))
+    .withMessage('signatureUrl is required when no signature image is uploaded.'),
   validateOptionalDate('signedDate'),
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for changing the status of a delivery note.
+ * The workflow itself (which transitions are legal) is checked in the controller.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateDeliveryNoteStatus = [
+  validateMongoId('id'),
+  body('status')
+    .notEmpty().withMessage('status cannot be empty.')
+    .isIn(DeliveryNote.STATUSES).withMessage(`status must be one of: ${DeliveryNote.STATUSES.join(', ')}.`),
+  validateOptionalString('comment'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for sending a remote signature request.
+ * The recipient defaults to the client's email.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateRequestSignature = [
+  validateMongoId('id'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail().withMessage('email must be a valid email address if provided.')
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for emailing the signed PDF again: optional recipient,
+ * instead of the client billing email, and whether to copy the provider.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateSendSignedDeliveryNote = [
+  validateMongoId('id'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail().withMessage('email must be a valid email address if provided.')
+    .normalizeEmail(),
+  validateOptionalBoolean('ccProvider').toBoolean(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation chain for the one-time token of a remote signing link.
+ * @constant {import('express-validator').ValidationChain}
+ */
+const validateSigningToken = param('token')
+  .isHexadecimal().withMessage('token must be a valid signing token.')
+  .isLength({ min: 64, max: 64 }).withMessage('token must be a valid signing token.');
+
+/**
+ * Validation rules for viewing a delivery note through a remote signing link.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validatePublicSigningLink = [
+  validateSigningToken,
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for signing through a remote signing link.
+ * Must run after the multipart parser so the body fields are available.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validatePublicSignDeliveryNote = [
+  validateSigningToken,
+  validateOptionalString('signerName', 2),
+  handleValidationErrors,
+];
+
 /**
  * Validation rules for operations requiring just a delivery note ID.
  * @constant {Array<import('express-validator').ValidationChain | Function>}
@@ -125,9 +262,85 @@ const validateDeliveryNoteId = [
     handleValidationErrors
 ];
 
+/**
+ * Fields the delivery note list and export can be sorted by.
+ * @constant {Array<string>}
+ */
+const LIST_SORT_FIELDS = ['date', 'deliveryNoteNumber', 'totalAmount', 'createdAt'];
+
+/**
+ * Filters shared by the delivery note list and export: status (comma separated),
+ * project, client, signature and date range.
+ * @constant {Array<import('express-validator').ValidationChain>}
+ */
+const validateListFilters = [
+  query('status')
+    .optional()
+    .custom(value => String(value).split(',').every(status => DeliveryNote.STATUSES.includes(status.trim())))
+    .withMessage(`status must be one or more of: ${DeliveryNote.STATUSES.join(', ')}.`),
+  validateQueryMongoId('projectId'),
+  validateQueryMongoId('clientId'),
+  query('isSigned')
+    .optional()
+    .isBoolean().withMessage('isSigned must be a boolean (true or false).')
+    .toBoolean(),
+  validateQueryDate('dateFrom'),
+  validateQueryDate('dateTo', { endOfDay: true }),
+  query('dateTo')
+    .optional()
+    .custom((value, { req }) => !req.query.dateFrom || value >= req.query.dateFrom)
+    .withMessage('dateTo cannot be before dateFrom.'),
+];
+
+/**
+ * Validation rules for listing delivery notes: pagination, sort and filters by
+ * status (comma separated), project, client, signature and date range.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateListDeliveryNotes = [
+  ...validatePagination(LIST_SORT_FIELDS),
+  ...validateListFilters,
+  handleValidationErrors,
+];
+
+/**
+ * Export formats and row layouts of GET /api/deliverynote/export.
+ * @constant {Object<string, Array<string>>}
+ */
+const EXPORT_OPTIONS = {
+  format: ['csv', 'xlsx'],
+  rows: ['note', 'item'],
+};
+
+/**
+ * Validation rules for exporting delivery notes: the list filters and sort,
+ * the file format and whether each row is a note or an item.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateExportDeliveryNotes = [
+  validateSort(LIST_SORT_FIELDS),
+  ...validateListFilters,
+  query('format')
+    .optional()
+    .isIn(EXPORT_OPTIONS.format)
+    .withMessage(`format must be one of: ${EXPORT_OPTIONS.format.join(', ')}.`),
+  query('rows')
+    .optional()
+    .isIn(EXPORT_OPTIONS.rows)
+    .withMessage(`rows must be one of: ${EXPORT_OPTIONS.rows.join(', ')}.`),
+  handleValidationErrors,
+];
+
 module.exports = {
   validateCreateDeliveryNote,
   validateUpdateDeliveryNote,
   validateSignDeliveryNote,
+  validateDeliveryNoteStatus,
+  validateRequestSignature,
+  validateSendSignedDeliveryNote,
+  validatePublicSigningLink,
+  validatePublicSignDeliveryNote,
   validateDeliveryNoteId,
+  validateListDeliveryNotes,
+  validateExportDeliveryNotes,
 };
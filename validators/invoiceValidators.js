@@ -0,0 +1,88 @@
+// File: validators/invoiceValidators.js
+const { body, query } = require('express-validator');
+const {
+  validateMongoId,
+  handleValidationErrors,
+  validateOptionalString,
+  validateRequiredBoolean,
+  validateOptionalDate,
+  validatePagination,
+  validateQueryMongoId,
+  validateQueryDate,
+} = require('./commonValidators');
+
+/**
+ * Creates a validation chain for an optional tax percentage in the request body.
+ * @param {string} fieldName - The name of the field in the request body.
+ * @returns {import('express-validator').ValidationChain} - The express-validator validation chain.
+ */
+const validateOptionalRate = (fieldName) =>
+  body(fieldName)
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 }).withMessage(`${fieldName} must be a percentage between 0 and 100.`)
+    .toFloat();
+
+/**
+ * Validation rules for creating an invoice from signed delivery notes.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateCreateInvoice = [
+  body('deliveryNoteIds')
+    .isArray({ min: 1 }).withMessage('deliveryNoteIds must be a non-empty array.'),
+  body('deliveryNoteIds.*')
+    .isMongoId().withMessage('Each delivery note ID must be a valid MongoDB ObjectId.'),
+  validateOptionalDate('issueDate'),
+  validateOptionalDate('dueDate'),
+  body('dueDate')
+    .optional({ checkFalsy: true })
+    .custom((value, { req }) => !req.body.issueDate || value >= req.body.issueDate)
+    .withMessage('dueDate cannot be before issueDate.'),
+  validateOptionalRate('ivaRate'),
+  validateOptionalRate('irpfRate'),
+  validateOptionalString('notes'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for listing invoices: pagination, sort and filters by payment state,
+ * client and issue date range.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateListInvoices = [
+  ...validatePagination(['issueDate', 'invoiceNumber', 'total', 'createdAt']),
+  validateQueryMongoId('clientId'),
+  validateQueryDate('dateFrom'),
+  validateQueryDate('dateTo', { endOfDay: true }),
+  query('isPaid')
+    .optional()
+    .isBoolean().withMessage('isPaid must be a boolean (true or false).')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for marking an invoice as paid or unpaid.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateInvoicePayment = [
+  validateMongoId('id'),
+  validateRequiredBoolean('isPaid').toBoolean(),
+  validateOptionalDate('paidAt'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for operations requiring just an invoice ID.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateInvoiceId = [
+  validateMongoId('id'),
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateCreateInvoice,
+  validateListInvoices,
+  validateInvoicePayment,
+  validateInvoiceId,
+};
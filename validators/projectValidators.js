@@ -1,5 +1,5 @@
 // File: validators/projectValidators.js
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   validateMongoId,
   handleValidationErrors,
@@ -7,14 +7,33 @@ const {
   validateOptionalString,
   validateMongoIdBody,
   validateOptionalDate,
+  validatePagination,
+  validateQueryMongoId,
+  validateQueryDate,
 } = require('./commonValidators');
 const Project = require('../models/Project'); // Needed for uniqueness check if required
 
 /**
- * Validation rules for creating a new project.
- * @constant {Array<import('express-validator').ValidationChain | Function>}
+ * Validation rules for the project budget: hours and/or amount, null to remove one of them.
+ * @constant {Array<import('express-validator').ValidationChain>}
  */
-const validateCreateProject = [
+const validateBudget = [
+  body('budget')
+    .optional()
+    .isObject()
+    .withMessage('budget must be an object with hours and/or amount.'),
+  body(['budget.hours', 'budget.amount'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Budget hours and amount must be non-negative numbers.')
+    .toFloat(),
+];
+
+/**
+ * Field rules of a new project, shared by the create endpoint and the CSV import.
+ * @constant {Array<import('express-validator').ValidationChain>}
+ */
+const projectFieldRules = [
   validateRequiredString('name', 3),
   validateRequiredString('description', 10),
   validateMongoIdBody('client'), // Ensure clientId is a valid ObjectId in the body
@@ -26,6 +45,7 @@ const validateCreateProject = [
     }
     return true;
   }),
+  ...validateBudget,
   // Add custom validation if project names must be unique per client/user
   // .custom(async (name, { req }) => {
   //   const userId = req.user?.id;
@@ -38,6 +58,27 @@ const validateCreateProject = [
   //     return Promise.reject('Project with this name already exists for this client.');
   //   }
   // }),
+];
+
+/**
+ * Rules of the clientEmail column of the project CSV import, an alternative to the client ID
+ * for files where the clients have just been imported.
+ * @constant {Array<import('express-validator').ValidationChain>}
+ */
+const projectImportClientRules = [
+  body('clientEmail')
+    .optional()
+    .isEmail()
+    .withMessage('clientEmail must be a valid email address.')
+    .normalizeEmail(),
+];
+
+/**
+ * Validation rules for creating a new project.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateCreateProject = [
+  ...projectFieldRules,
   handleValidationErrors,
 ];
 
@@ -66,6 +107,7 @@ const validateUpdateProject = [
     // If only startDate is provided, we'd need the existing endDate to compare
     return true;
   }),
+  ...validateBudget,
   // Add custom validation for uniqueness if needed, similar to create but excluding self
   handleValidationErrors,
 ];
@@ -76,8 +118,50 @@ const validateUpdateProject = [
  */
 const validateProjectId = [validateMongoId('id'), handleValidationErrors];
 
+/**
+ * Validation rules for listing projects: pagination, sort, clientId and partial name filters.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateListProjects = [
+  ...validatePagination(['name', 'createdAt', 'updatedAt']),
+  validateQueryMongoId('clientId'),
+  query('name').optional().isString().withMessage('name must be a string.').trim(),
+  handleValidationErrors,
+];
+
+/**
+ * Report formats of GET /api/project/:id/report
+ * @constant {Array<string>}
+ */
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * Validation rules for the project report: project ID, optional date range and output format.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateProjectReport = [
+  validateMongoId('id'),
+  validateQueryDate('dateFrom'),
+  validateQueryDate('dateTo', { endOfDay: true }),
+  query('dateTo').custom((value, { req }) => {
+    if (value && req.query.dateFrom && value < req.query.dateFrom) {
+      throw new Error('dateTo cannot be before dateFrom.');
+    }
+    return true;
+  }),
+  query('format')
+    .optional()
+    .isIn(REPORT_FORMATS)
+    .withMessage(`format must be one of: ${REPORT_FORMATS.join(', ')}.`),
+  handleValidationErrors,
+];
+
 module.exports = {
+  projectFieldRules,
+  projectImportClientRules,
   validateCreateProject,
   validateUpdateProject,
   validateProjectId,
+  validateListProjects,
+  validateProjectReport,
 };
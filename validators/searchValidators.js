@@ -0,0 +1,29 @@
+// File: validators/searchValidators.js
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('./commonValidators');
+const { SEARCH_TYPES } = require('../services/searchService');
+
+/**
+ * Validation rules for the global search.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateSearch = [
+  query('q')
+    .isString().withMessage('q must be a string.')
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('q must be between 2 and 100 characters long.'),
+  query('types')
+    .optional()
+    .customSanitizer(value => [...new Set(String(value).split(',').map(type => type.trim()).filter(Boolean))].join(','))
+    .custom(value => value.length > 0 && value.split(',').every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`types must be one or more of: ${SEARCH_TYPES.join(', ')}.`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('limit must be an integer between 1 and 50.')
+    .toInt(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  validateSearch,
+};
@@ -1,6 +1,8 @@
 // File: validators/userValidators.js
 const { body, param, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { LANGUAGES } = require('../services/email/templates');
+const { ASSIGNABLE_ROLES } = require('../models/Company');
 
 /**
  * Handle validation errors and format response
@@ -35,6 +37,53 @@ const validateMongoId = (paramName) => {
     });
 };
 
+/**
+ * Optional preferred language of the user's emails
+ * @returns {ValidationChain}
+ */
+const validateLanguage = () => body('language')
+  .optional()
+  .isIn(LANGUAGES)
+  .withMessage(`Language must be one of: ${LANGUAGES.join(', ')}.`);
+
+/**
+ * Second factor of a user: a 6-digit TOTP code or one of the recovery codes
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.allowRecoveryCode=true] - Accept a recovery code instead of the TOTP code
+ * @returns {Array<ValidationChain>}
+ */
+const validateSecondFactor = ({ allowRecoveryCode = true } = {}) => {
+  const code = body('code');
+  if (allowRecoveryCode) {
+    code.optional();
+  } else {
+    code.notEmpty().withMessage('Authentication code is required.').bail();
+  }
+  code
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Code must be exactly 6 digits.')
+    .isNumeric()
+    .withMessage('Code must be numeric.');
+
+  if (!allowRecoveryCode) {
+    return [code];
+  }
+
+  return [
+    code,
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .withMessage('Recovery code must be a string.')
+      .trim()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Recovery code is not valid.'),
+    body()
+      .custom((value) => Boolean(value.code || value.recoveryCode))
+      .withMessage('Provide an authentication code or a recovery code.'),
+  ];
+};
+
 /**
  * Validation rules for user registration.
  * @constant {Array<import('express-validator').ValidationChain | Function>}
@@ -72,6 +121,7 @@ const validateUserRegistration = [
       }
       return true;
     }),
+  validateLanguage(),
   handleValidationErrors,
 ];
 
@@ -132,6 +182,7 @@ const validateUpdateUser = [
     .optional()
     .isLength({ min: 9, max: 9 })
     .withMessage('NIF must be exactly 9 characters.'),
+  validateLanguage(),
   handleValidationErrors,
 ];
 
@@ -248,8 +299,104 @@ const validateInviteUser = [
     .normalizeEmail(),
   body('role')
     .optional()
-    .isIn(['admin', 'guest'])
-    .withMessage('Invalid role specified.'),
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}.`),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for renewing the access token.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required.')
+    .isString()
+    .withMessage('Refresh token must be a string.'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for operations on one session of the current user.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateSessionId = [validateMongoId('sessionId'), handleValidationErrors];
+
+/**
+ * Validation rules for confirming a two-factor secret or regenerating the recovery codes.
+ * Only a code of the authenticator app is accepted.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateTwoFactorCode = [
+  ...validateSecondFactor({ allowRecoveryCode: false }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for turning two-factor authentication off.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required.'),
+  ...validateSecondFactor(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the second step of a login with two-factor authentication.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required.')
+    .isString()
+    .withMessage('Challenge token must be a string.'),
+  ...validateSecondFactor(),
+  handleValidationErrors,
+];
+
+/**
+ * Token of an invitation link in the route parameter
+ * @returns {ValidationChain}
+ */
+const validateInvitationTokenParam = () => param('token')
+  .isHexadecimal()
+  .withMessage('Invitation token is not valid.')
+  .isLength({ min: 64, max: 64 })
+  .withMessage('Invitation token is not valid.');
+
+/**
+ * Validation rules for viewing or declining an invitation.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateInvitationToken = [validateInvitationTokenParam(), handleValidationErrors];
+
+/**
+ * Validation rules for accepting an invitation. The password is only required
+ * when the invitee has no account yet; the controller checks it.
+ * @constant {Array<import('express-validator').ValidationChain | Function>}
+ */
+const validateAcceptInvitation = [
+  validateInvitationTokenParam(),
+  body('firstName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters.'),
+  body('lastName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters.'),
+  body('password')
+    .optional()
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long.')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d\S]{8,}$/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number.'),
+  validateLanguage(),
   handleValidationErrors,
 ];
 
@@ -269,5 +416,12 @@ module.exports = {
   validateForgotPassword,
   validateResetPassword,
   validateInviteUser,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateTwoFactorLogin,
+  validateInvitationToken,
+  validateAcceptInvitation,
   validateUserId,
 };